@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server';
+import { getShare } from '@/lib/shareStore';
+
+/**
+ * GET /api/share/[id] - Devuelve el código de una playlist compartida guardada
+ *
+ * Respuesta: { code, createdAt } o 404 si el enlace no existe
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    const share = await getShare(id);
+
+    if (!share) {
+      return NextResponse.json(
+        { error: 'Enlace no encontrado' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(share, {
+      // El contenido de un ID no cambia nunca
+      headers: { 'Cache-Control': 'public, max-age=31536000, immutable' }
+    });
+
+  } catch (error) {
+    return NextResponse.json(
+      { error: 'Error interno del servidor' },
+      { status: 500 }
+    );
+  }
+}
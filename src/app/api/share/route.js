@@ -0,0 +1,62 @@
+import { NextResponse } from 'next/server';
+import { decodeShareCode, ShareCodeError } from '@/lib/shareCodec';
+import { saveShare, ShareStoreFullError } from '@/lib/shareStore';
+import { checkRateLimit, getClientKey } from '@/lib/rateLimit';
+
+// Límite de tamaño del código (≈ 10.000 canciones, el máximo de una playlist de Spotify)
+const MAX_CODE_LENGTH = 250000;
+
+// Enlaces que puede crear un mismo cliente por minuto
+const RATE_LIMIT = { limit: 10, windowMs: 60 * 1000 };
+
+/**
+ * POST /api/share - Guarda una playlist compartida demasiado larga para la URL
+ *
+ * Body: { code } - Código generado por encodeShareCode (src/lib/shareCodec.js)
+ * Respuesta: { id } - ID corto para /shared-playlist?s=<id>
+ * Errores: 400 código no válido, 429 demasiadas peticiones (con Retry-After), 507 almacén lleno
+ */
+export async function POST(request) {
+  const { allowed, retryAfter } = checkRateLimit(`share:${getClientKey(request)}`, RATE_LIMIT);
+  if (!allowed) {
+    return NextResponse.json(
+      { error: 'Demasiadas peticiones' },
+      { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+    );
+  }
+
+  try {
+    const { code } = await request.json();
+
+    if (typeof code !== 'string' || !code || code.length > MAX_CODE_LENGTH) {
+      return NextResponse.json(
+        { error: 'Código no válido' },
+        { status: 400 }
+      );
+    }
+
+    // Validar versión y checksum antes de guardar nada en disco
+    await decodeShareCode(code);
+
+    const id = await saveShare(code);
+    return NextResponse.json({ id }, { status: 201 });
+
+  } catch (error) {
+    if (error instanceof ShareCodeError || error instanceof SyntaxError) {
+      return NextResponse.json(
+        { error: 'Código no válido' },
+        { status: 400 }
+      );
+    }
+    if (error instanceof ShareStoreFullError) {
+      return NextResponse.json(
+        { error: 'No hay espacio para más enlaces compartidos' },
+        { status: 507 }
+      );
+    }
+    return NextResponse.json(
+      { error: 'Error interno del servidor' },
+      { status: 500 }
+    );
+  }
+}
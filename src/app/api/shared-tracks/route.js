@@ -0,0 +1,61 @@
+import { NextResponse } from 'next/server';
+import { getTracksMetadata, SpotifyRateLimitError } from '@/lib/spotifyAppClient';
+import { isPackableId } from '@/lib/shareCodec';
+import { checkRateLimit, getClientKey } from '@/lib/rateLimit';
+
+// Máximo de canciones por petición: como mucho 20 llamadas a Spotify (bloques de 50).
+// Las playlists más largas se piden en varias peticiones
+const MAX_TRACK_IDS = 1000;
+
+// Peticiones por minuto de un mismo cliente (una playlist de 10.000 canciones son 10)
+const RATE_LIMIT = { limit: 20, windowMs: 60 * 1000 };
+
+function tooManyRequests(retryAfter) {
+  return NextResponse.json(
+    { error: 'Demasiadas peticiones' },
+    { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+  );
+}
+
+/**
+ * POST /api/shared-tracks - Metadatos de canciones para visitantes sin sesión
+ *
+ * Usa el token de la aplicación (client-credentials) y la caché de src/lib/spotifyAppClient.js.
+ *
+ * Body: { ids: Array<string> } - IDs de Spotify (como mucho MAX_TRACK_IDS)
+ * Respuesta: { tracks: Array<Track|null> } - Mismo orden que ids; null si no está disponible
+ * Errores: 400 IDs no válidos, 429 demasiadas peticiones o límite de Spotify (con Retry-After)
+ */
+export async function POST(request) {
+  const { allowed, retryAfter } = checkRateLimit(`shared-tracks:${getClientKey(request)}`, RATE_LIMIT);
+  if (!allowed) return tooManyRequests(retryAfter);
+
+  try {
+    const { ids } = await request.json();
+
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_TRACK_IDS || !ids.every(isPackableId)) {
+      return NextResponse.json(
+        { error: 'IDs de canciones no válidos' },
+        { status: 400 }
+      );
+    }
+
+    const tracks = await getTracksMetadata(ids);
+    return NextResponse.json({ tracks });
+
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return NextResponse.json(
+        { error: 'IDs de canciones no válidos' },
+        { status: 400 }
+      );
+    }
+    if (error instanceof SpotifyRateLimitError) {
+      return tooManyRequests(error.retryAfter);
+    }
+    return NextResponse.json(
+      { error: 'Error al obtener las canciones' },
+      { status: 502 }
+    );
+  }
+}
@@ -2,7 +2,8 @@
 
 import { Suspense, useEffect, useState, useRef } from 'react';
 import { useRouter, useSearchParams } from 'next/navigation';
-import { saveTokens } from '@/lib/auth';
+import { saveTokens, consumePostLoginRedirect } from '@/lib/auth';
+import { flushOutbox } from '@/lib/mutationOutbox';
 
 function CallbackContent() {
   const router = useRouter();
@@ -65,9 +66,11 @@ function CallbackContent() {
 
         // Guardar tokens
         saveTokens(data.access_token, data.refresh_token, data.expires_in);
+        // Enviar los cambios que quedaron en cola al caducar la sesión
+        flushOutbox();
 
-        // Redirigir al dashboard
-        router.push('/dashboard');
+        // Volver a la página que pidió el login (ej: playlist compartida) o al dashboard
+        router.push(consumePostLoginRedirect() || '/dashboard');
 
       } catch (error) {
         setError(error.message);
@@ -11,6 +11,7 @@ import AddToPlaylistModal from '@/components/modals/AddToPlaylistModal';
 import { useSpotify } from '@/hooks/useSpotify';
 import { useDebounce } from '@/hooks/useDebounce';
 import { useFavorites } from '@/hooks/useFavorites';
+import { useAudioPlayerContext } from '@/contexts/AudioPlayerContext';
 
 /**
  * PÁGINA: EXPLORE CLIENT - DESCUBRIMIENTO DE MÚSICA
@@ -25,18 +26,21 @@ import { useFavorites } from '@/hooks/useFavorites';
  * - Recomendaciones personalizadas basadas en top tracks
  * - Añadir canciones a playlists (modal)
  * - Añadir/quitar canciones de "Liked Songs" (favoritos)
- * - Reproducir previews de canciones
+ * - Reproducir previews de canciones (la lista visible pasa a ser la cola)
+ * - "Play next" / "Add to queue" en cada canción
  *
  * DEPENDENCIAS:
  * - useSpotify: Para búsquedas y obtener datos
  * - useDebounce: Optimizar búsquedas en tiempo real
  * - useFavorites: Gestión de canciones favoritas
+ * - useAudioPlayerContext: Cola del reproductor
  *
  * @returns {JSX.Element} Página de exploración de música
  */
 export default function ExploreClient() {
   const { getUserProfile, searchTracks, searchArtists, getUserTopTracks } = useSpotify();
   const { isFavorite, toggleFavorite } = useFavorites();
+  const { playQueue, playNext, addToQueue } = useAudioPlayerContext();
   const [user, setUser] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
@@ -101,7 +105,7 @@ export default function ExploreClient() {
   };
 
   return (
-    <div className="flex h-screen bg-black text-white overflow-hidden">
+    <div className="flex h-full bg-black text-white overflow-hidden">
       <Sidebar />
 
       <main className="flex-1 overflow-y-auto relative bg-black">
@@ -151,7 +155,7 @@ export default function ExploreClient() {
                 </div>
               ) : Array.isArray(searchResults) && searchResults.length > 0 ? (
                 <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-4">
-                  {searchResults.map((item) => (
+                  {searchResults.map((item, index) => (
                     item && item.id ? (
                       <AlbumCard
                         key={item.id}
@@ -174,6 +178,11 @@ export default function ExploreClient() {
                         isFavorite={isFavorite(item.id)}
                         onAddToPlaylist={setSelectedTrackForPlaylist}
                         onToggleFavorite={toggleFavorite}
+                        {...(item.type === 'track' && {
+                          onPlayClick: () => playQueue(searchResults, index),
+                          onPlayNext: playNext,
+                          onAddToQueue: addToQueue
+                        })}
                       />
                     ) : null
                   ))}
@@ -198,7 +207,7 @@ export default function ExploreClient() {
                 </div>
               ) : Array.isArray(recommendedTracks) && recommendedTracks.length > 0 ? (
                 <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-4">
-                  {recommendedTracks.map((track) => (
+                  {recommendedTracks.map((track, index) => (
                     track && track.id ? (
                       <AlbumCard
                         key={track.id}
@@ -213,6 +222,9 @@ export default function ExploreClient() {
                         isFavorite={isFavorite(track.id)}
                         onAddToPlaylist={setSelectedTrackForPlaylist}
                         onToggleFavorite={toggleFavorite}
+                        onPlayClick={() => playQueue(recommendedTracks, index)}
+                        onPlayNext={playNext}
+                        onAddToQueue={addToQueue}
                       />
                     ) : null
                   ))}
@@ -1,26 +1,86 @@
 'use client';
 
-import { useState, useEffect } from 'react';
-import { Heart, Play, Clock, Music } from 'lucide-react';
+import { useState, useEffect, useCallback } from 'react';
+import { Heart, Play, Clock, Music, RefreshCw } from 'lucide-react';
 import Sidebar from '@/components/layout/Sidebar';
 import TopBar from '@/components/layout/TopBar';
 import TrackCard from '@/components/playlist/TrackCard';
 import Button from '@/components/ui/Button';
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import LoadMoreTrigger from '@/components/ui/LoadMoreTrigger';
 import AddToPlaylistModal from '@/components/modals/AddToPlaylistModal';
+import ExportMenu from '@/components/ui/ExportMenu';
 import { useSpotify } from '@/hooks/useSpotify';
 import { useFavorites } from '@/hooks/useFavorites';
+import { hasExhaustedRetries } from '@/lib/favoritesSync';
+import { useAudioPlayerContext } from '@/contexts/AudioPlayerContext';
+
+/**
+ * Ordena items de Liked Songs ({ track, added_at }) según el criterio elegido
+ */
+function sortLikedTracks(items, sortBy) {
+  return [...items].sort((a, b) => {
+    switch (sortBy) {
+      case 'recent':
+        return new Date(b.added_at || 0) - new Date(a.added_at || 0);
+      case 'title':
+        return (a?.track?.name || '').localeCompare(b?.track?.name || '');
+      case 'artist':
+        return (a?.track?.artists?.[0]?.name || '').localeCompare(b?.track?.artists?.[0]?.name || '');
+      default:
+        return 0;
+    }
+  });
+}
 
 /**
  * Cliente de Liked Songs - Canciones favoritas del usuario
+ *
+ * PAGINACIÓN:
+ * Carga las canciones de 50 en 50 (scroll infinito con LoadMoreTrigger).
+ * "Load all" recorre el resto de páginas con fetchAllPages (desde el enlace next) mostrando el progreso.
+ * Si una página falla no se añade nada: se mantiene el enlace next y se muestra el error.
+ *
+ * REPRODUCCIÓN:
+ * "Play all" reproduce la lista completa en el orden elegido como cola (avance automático).
+ * Si quedan páginas sin cargar se cargan antes (con el progreso de "Load all") para poder
+ * ordenarla entera y no añadir canciones a una cola que el usuario ya ha cambiado.
+ * Si la carga falla no se reproduce nada (sería una lista cortada sin avisar).
+ * Reproducir una canción de la lista inicia la cola desde ella.
+ *
+ * EXPORTACIÓN:
+ * ExportMenu descarga todas las canciones guardadas (carga antes las páginas pendientes;
+ * si alguna falla, ExportMenu muestra el error y no descarga nada).
+ *
+ * SINCRONIZACIÓN CON LOS FAVORITOS LOCALES (useFavorites):
+ * - La lista viene de Spotify; encima se aplican los cambios locales aún sin confirmar
+ *   (likes nuevos al principio, unlikes ocultos)
+ * - Al abrir la página se reconcilian los favoritos locales; con la reconciliación
+ *   terminada, las canciones que ya no son favoritas se ocultan sin recargar
+ * - Junto a los controles se muestra el estado: sincronizando, cambios pendientes o
+ *   fallidos (con "Retry")
  */
 export default function FavoritesClient() {
-  const { getUserProfile, getUserSavedTracks } = useSpotify();
-  const { favorites } = useFavorites();
+  const { getUserProfile, getPage, fetchAllPages } = useSpotify();
+  const {
+    isFavorite,
+    pendingChanges,
+    syncing,
+    lastSyncedAt,
+    syncError,
+    syncNow,
+    retryFailed
+  } = useFavorites();
+  const { playQueue } = useAudioPlayerContext();
   const [user, setUser] = useState(null);
   const [likedTracks, setLikedTracks] = useState([]);
+  const [paging, setPaging] = useState({ next: null, total: 0 });
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadAllProgress, setLoadAllProgress] = useState(null);
+  const [loadAllError, setLoadAllError] = useState(null);
   const [loading, setLoading] = useState(true);
   const [sortBy, setSortBy] = useState('recent');
+  const [playError, setPlayError] = useState(null);
   const [selectedTrackForPlaylist, setSelectedTrackForPlaylist] = useState(null);
 
   useEffect(() => {
@@ -30,9 +90,10 @@ export default function FavoritesClient() {
         const profile = await getUserProfile();
         setUser(profile);
 
-        // Cargar canciones guardadas de Spotify
-        const savedTracks = await getUserSavedTracks();
-        setLikedTracks(savedTracks || []);
+        // Cargar primera página de canciones guardadas de Spotify
+        const page = await getPage('/me/tracks', { limit: 50 });
+        setLikedTracks(page.items);
+        setPaging({ next: page.next, total: page.total });
       } catch (error) {
         setLikedTracks([]);
       } finally {
@@ -41,31 +102,91 @@ export default function FavoritesClient() {
     };
 
     loadFavorites();
-  }, [getUserProfile, getUserSavedTracks]);
+  }, [getUserProfile, getPage]);
 
-  const handlePlayAll = () => {
-    // Implementar reproducción de todas las canciones
-    alert('Playing all liked songs...');
-  };
+  // Alinear los favoritos locales con Spotify (solo descarga todo si la lista ha cambiado)
+  useEffect(() => {
+    syncNow();
+  }, [syncNow]);
 
-  const sortedTracks = Array.isArray(likedTracks)
-    ? [...likedTracks].sort((a, b) => {
-        switch (sortBy) {
-          case 'recent':
-            return (b.added_at || 0) - (a.added_at || 0);
-          case 'title':
-            const aName = a?.track?.name || '';
-            const bName = b?.track?.name || '';
-            return aName.localeCompare(bName);
-          case 'artist':
-            const aArtist = a?.track?.artists?.[0]?.name || '';
-            const bArtist = b?.track?.artists?.[0]?.name || '';
-            return aArtist.localeCompare(bArtist);
-          default:
-            return 0;
+  // Cargar la siguiente página (scroll infinito / botón "Load more")
+  const handleLoadMore = useCallback(async () => {
+    if (loadingMore || !paging.next) return;
+    setLoadingMore(true);
+    const page = await getPage(paging.next);
+    setLikedTracks(prev => [...prev, ...page.items]);
+    setPaging(prev => ({ next: page.next, total: page.total || prev.total }));
+    setLoadingMore(false);
+  }, [loadingMore, paging.next, getPage]);
+
+  // Cargar todas las páginas restantes mostrando el progreso (null si alguna falla)
+  const handleLoadAll = async () => {
+    if (!paging.next) return [];
+    const alreadyLoaded = likedTracks.length;
+    setLoadAllError(null);
+    setLoadAllProgress({ loaded: alreadyLoaded, total: paging.total });
+
+    try {
+      const remaining = await fetchAllPages(paging.next, {
+        query: null,
+        onProgress: ({ loaded }) => {
+          setLoadAllProgress({ loaded: alreadyLoaded + loaded, total: paging.total });
         }
-      })
-    : [];
+      });
+
+      setLikedTracks(prev => [...prev, ...remaining]);
+      setPaging(prev => ({ next: null, total: prev.total }));
+      return remaining;
+    } catch (error) {
+      setLoadAllError('Could not load all your liked songs. Try again.');
+      return null;
+    } finally {
+      setLoadAllProgress(null);
+    }
+  };
+
+  // Para exportar se necesita la lista completa, no solo las páginas visibles
+  const loadAllTracksForExport = async () => {
+    if (!paging.next) return likedTracks;
+    const remaining = await fetchAllPages(paging.next, { query: null });
+    return [...likedTracks, ...remaining];
+  };
+
+  // Reproducir la lista completa: primero se cargan las páginas pendientes y luego se ordena todo
+  const handlePlayAll = async () => {
+    if (loadAllProgress) return;
+    setPlayError(null);
+
+    let items = visibleTracks;
+    if (paging.next) {
+      const remaining = await handleLoadAll();
+      if (!remaining) return;
+      items = [...visibleTracks, ...remaining.filter(item => !isRemoved(item.track?.id))];
+    }
+
+    if (!playQueue(sortLikedTracks(items, sortBy).map(item => item.track))) {
+      setPlayError('None of these songs has a preview to play.');
+    }
+  };
+
+  // Cambios locales que la lista descargada de Spotify todavía no refleja
+  const likedIds = new Set(likedTracks.map(item => item.track?.id));
+  const localAdds = pendingChanges
+    .filter(change => change.saved && change.track && !likedIds.has(change.trackId))
+    .map(change => ({ track: change.track, added_at: new Date(change.queuedAt).toISOString() }));
+  const reconciled = lastSyncedAt !== null && !syncing;
+  const isRemoved = (trackId) => (reconciled
+    ? !isFavorite(trackId)
+    : pendingChanges.some(change => change.trackId === trackId && !change.saved));
+  const visibleTracks = [...localAdds, ...likedTracks.filter(item => !isRemoved(item.track?.id))];
+  const removedCount = likedTracks.length + localAdds.length - visibleTracks.length;
+  const songCount = Math.max(0, (paging.total || likedTracks.length) + localAdds.length - removedCount);
+
+  // Los que aún se reintentan solos cuentan como pendientes (igual que el corazón y la bandeja)
+  const failedCount = pendingChanges.filter(hasExhaustedRetries).length;
+  const pendingCount = pendingChanges.length - failedCount;
+
+  const sortedTracks = sortLikedTracks(visibleTracks, sortBy);
 
   const totalDuration = Array.isArray(likedTracks)
     ? likedTracks.reduce((acc, item) => acc + (item.track?.duration_ms || 0), 0)
@@ -74,7 +195,7 @@ export default function FavoritesClient() {
   const minutes = Math.floor((totalDuration % 3600000) / 60000);
 
   return (
-    <div className="flex h-screen bg-black text-white overflow-hidden">
+    <div className="flex h-full bg-black text-white overflow-hidden">
       <Sidebar />
 
       <main className="flex-1 overflow-y-auto relative bg-black">
@@ -95,7 +216,7 @@ export default function FavoritesClient() {
               <div className="flex items-center gap-2 text-sm">
                 <span className="font-semibold">{user?.display_name}</span>
                 <span className="text-gray-400">•</span>
-                <span className="text-gray-400">{likedTracks?.length || 0} songs</span>
+                <span className="text-gray-400">{songCount} songs</span>
                 {totalDuration > 0 && (
                   <>
                     <span className="text-gray-400">•</span>
@@ -115,7 +236,7 @@ export default function FavoritesClient() {
             <div className="flex items-center gap-4">
               <Button
                 onClick={handlePlayAll}
-                disabled={(likedTracks?.length || 0) === 0}
+                disabled={sortedTracks.length === 0 || !!loadAllProgress}
                 className="w-14 h-14 rounded-full bg-green-500 hover:bg-green-400 flex items-center justify-center"
               >
                 <Play size={24} fill="black" className="text-black ml-1" />
@@ -125,10 +246,54 @@ export default function FavoritesClient() {
                 className="text-green-500 cursor-pointer"
                 fill="currentColor"
               />
+
+              {playError && <span className="text-sm text-red-400">{playError}</span>}
+              {loadAllError && <span className="text-sm text-red-400">{loadAllError}</span>}
+
+              {/* Estado de sincronización con Spotify */}
+              {failedCount > 0 ? (
+                <span className="flex items-center gap-2 text-sm text-red-400">
+                  {failedCount} {failedCount === 1 ? 'change' : 'changes'} failed to sync
+                  <button
+                    onClick={() => retryFailed()}
+                    className="flex items-center gap-1 text-white hover:underline"
+                  >
+                    <RefreshCw size={14} />
+                    Retry
+                  </button>
+                </span>
+              ) : pendingCount > 0 ? (
+                <span className="text-sm text-gray-400">
+                  Syncing {pendingCount} {pendingCount === 1 ? 'change' : 'changes'}...
+                </span>
+              ) : syncing ? (
+                <span className="text-sm text-gray-400">Syncing with Spotify...</span>
+              ) : syncError ? (
+                <span className="text-sm text-red-400" title={syncError}>
+                  Could not sync with Spotify
+                </span>
+              ) : null}
             </div>
 
             {/* Sort Options */}
             <div className="flex items-center gap-2">
+              {paging.next && (
+                <Button
+                  onClick={handleLoadAll}
+                  disabled={!!loadAllProgress}
+                  variant="ghost"
+                  size="sm"
+                >
+                  {loadAllProgress
+                    ? `Loading ${loadAllProgress.loaded} of ${loadAllProgress.total}...`
+                    : `Load all (${paging.total})`}
+                </Button>
+              )}
+              <ExportMenu
+                tracks={likedTracks}
+                name="Liked Songs"
+                getTracks={loadAllTracksForExport}
+              />
               <span className="text-sm text-gray-400">Sort by:</span>
               <select
                 value={sortBy}
@@ -149,7 +314,7 @@ export default function FavoritesClient() {
             <div className="flex justify-center py-12">
               <LoadingSpinner />
             </div>
-          ) : (likedTracks?.length || 0) > 0 ? (
+          ) : sortedTracks.length > 0 ? (
             <div className="space-y-1">
               {/* Table Header */}
               <div className="grid grid-cols-[16px_6fr_4fr_3fr_1fr] gap-4 px-4 py-2 text-sm text-gray-400 border-b border-gray-800 mb-2">
@@ -172,9 +337,18 @@ export default function FavoritesClient() {
                     showAddToPlaylist={true}
                     showRemove={false}
                     onAddToPlaylist={setSelectedTrackForPlaylist}
+                    onPlay={() => playQueue(sortedTracks.map(sorted => sorted.track), index)}
                   />
                 ) : null
               ))}
+
+              <LoadMoreTrigger
+                onLoadMore={handleLoadMore}
+                hasMore={!!paging.next && !loadAllProgress}
+                loading={loadingMore}
+                loaded={likedTracks.length}
+                total={paging.total}
+              />
             </div>
           ) : (
             <div className="flex flex-col items-center justify-center py-16 text-gray-400">
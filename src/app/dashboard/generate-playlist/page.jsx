@@ -1,11 +1,27 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, Suspense } from 'react';
+import { useSearchParams } from 'next/navigation';
 import { Sparkles } from 'lucide-react';
 import Sidebar from '@/components/layout/Sidebar';
 import TopBar from '@/components/layout/TopBar';
 import Button from '@/components/ui/Button';
 import { useSpotify } from '@/hooks/useSpotify';
+import { useSavePlaylist } from '@/hooks/useSavePlaylist';
+import { useUndoHistory } from '@/hooks/useUndoHistory';
+import { usePlaylistHistory } from '@/hooks/usePlaylistHistory';
+import UndoToast from '@/components/ui/UndoToast';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import MixPresetSelector from '@/components/ui/MixPresetSelector';
+import { DEFAULT_PREFERENCES } from '@/lib/preferences';
+import {
+  PLAYLIST_STRATEGIES,
+  DEFAULT_STRATEGY,
+  DEFAULT_PLAYLIST_LENGTH,
+  PLAYLIST_LENGTH_OPTIONS
+} from '@/lib/spotify';
+import { addHistoryEntry } from '@/lib/playlistHistory';
+import { decodeMixParam } from '@/lib/mixLink';
 
 // Widgets
 import ArtistWidget from '@/components/widgets/ArtistWidget';
@@ -18,11 +34,26 @@ import PopularityWidget from '@/components/widgets/PopularityWidget';
 // Playlist
 import PlaylistDisplay from '@/components/playlist/PlaylistDisplay';
 
+// Generate / Refresh no devolvieron canciones (sin resultados o error de la API)
+const NO_RESULTS_MESSAGE = 'No songs were generated. Adjust your preferences or try again.';
+
+/**
+ * Lee el parámetro ?mix= (null si no hay, { config } si es válido, { error } si no)
+ */
+function readMixParam(param) {
+  if (!param) return null;
+  try {
+    return { config: decodeMixParam(param) };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
 /**
  * PÁGINA: GENERATE PLAYLIST - GENERADOR DE PLAYLISTS PERSONALIZADAS
  * ==================================================================
  * Página principal para crear playlists personalizadas basadas en múltiples criterios musicales.
- * Utiliza 6 widgets especializados para configurar preferencias y genera playlists de hasta 30 canciones.
+ * Utiliza 6 widgets especializados para configurar preferencias y genera playlists de 15 a 100 canciones.
  *
  * FUNCIONALIDAD:
  * - Selección de hasta 5 artistas favoritos (ArtistWidget)
@@ -31,16 +62,26 @@ import PlaylistDisplay from '@/components/playlist/PlaylistDisplay';
  * - Selección de décadas musicales 1960-2020 (DecadeWidget)
  * - Control de mood: energía, valencia, bailabilidad, acusticidad (MoodWidget)
  * - Control de popularidad: rango min/max 0-100 (PopularityWidget)
- * - Generación de playlist con algoritmo de Spotify Recommendations API
+ * - Generación de playlist con el pipeline de src/lib/spotify.js
+ * - Selector de estrategia (Smart mix, Strict match, Discovery) y de longitud objetivo
  * - Visualización de playlist generada con drag & drop
  * - Refresh de playlist (regenerar con mismas preferencias)
  * - Añadir más canciones manteniendo las existentes
  * - Eliminar canciones individualmente
  * - Reordenar canciones con drag & drop
- * - Guardar playlist en cuenta de Spotify (próximamente)
+ * - Deshacer/rehacer cualquier edición (Ctrl+Z / Ctrl+Shift+Z y toast "Undo")
+ * - Guardar playlist en Spotify: nueva, reemplazando o añadiendo a una existente (useSavePlaylist)
+ * - Mixes guardados: guardar, cargar, actualizar, duplicar, eliminar, exportar e importar (MixPresetSelector)
+ * - Registro de cada generación en el historial (src/lib/playlistHistory.js)
+ * - Restaurar una generación del historial con ?history=<id> (preferencias, estrategia, longitud y canciones)
+ * - Abrir una configuración compartida con ?mix=<código> (src/lib/mixLink.js); los IDs de
+ *   artistas y canciones se resuelven con la API. Enlaces mal formados o antiguos muestran un error.
  *
  * ARQUITECTURA:
  * - Client Component con estado local complejo
+ * - Componente interno: GeneratePlaylistContent (lógica principal)
+ * - Componente exportado: GeneratePlaylistPage (wrapper con Suspense por useSearchParams)
+ * - El estado inicial se lee de la entrada del historial indicada en la URL (si existe)
  * - 6 widgets independientes que actualizan preferencias
  * - Estado centralizado en objeto preferences
  * - Cada widget tiene su propio handler
@@ -55,7 +96,10 @@ import PlaylistDisplay from '@/components/playlist/PlaylistDisplay';
  *   - genres: Array<string> - Hasta 5 géneros
  *   - decades: Array<string> - Décadas seleccionadas
  *   - mood: Object - Parámetros de audio (energy, valence, danceability, acousticness)
- *   - popularity: Object - {min: number, max: number}
+ *   - popularity: Object - {range: string, min: number, max: number}
+ *   (esquema definido en src/lib/preferences.js)
+ * - strategy: string - Estrategia del pipeline (PLAYLIST_STRATEGIES)
+ * - targetLength: number - Número de canciones a generar
  *
  * WIDGETS UTILIZADOS:
  * 1. ArtistWidget - Búsqueda y selección de artistas
@@ -66,8 +110,12 @@ import PlaylistDisplay from '@/components/playlist/PlaylistDisplay';
  * 6. PopularityWidget - Selector de rango con chips predefinidos
  *
  * DEPENDENCIAS DE REACT:
- * - useState: Gestión de estado local (user, playlist, preferences)
+ * - useState: Gestión de estado local (user, playlist, preferences, generación restaurada)
  * - useEffect: Carga de perfil de usuario al montar
+ * - Suspense: Boundary requerido por useSearchParams
+ *
+ * DEPENDENCIAS DE NEXT.JS:
+ * - useSearchParams: Leer los parámetros history (generación a restaurar) y mix (configuración compartida)
  *
  * DEPENDENCIAS DE LUCIDE:
  * - Sparkles: Icono del botón de generar
@@ -77,6 +125,16 @@ import PlaylistDisplay from '@/components/playlist/PlaylistDisplay';
  * - Importa TopBar desde @/components/layout/TopBar (src/components/layout/TopBar.jsx)
  * - Importa Button desde @/components/ui/Button (src/components/ui/Button.jsx)
  * - Importa useSpotify desde @/hooks/useSpotify (src/hooks/useSpotify.jsx)
+ * - Importa useSavePlaylist desde @/hooks/useSavePlaylist (src/hooks/useSavePlaylist.jsx)
+ * - Importa useUndoHistory desde @/hooks/useUndoHistory (src/hooks/useUndoHistory.jsx)
+ * - Importa usePlaylistHistory desde @/hooks/usePlaylistHistory (src/hooks/usePlaylistHistory.jsx)
+ * - Importa UndoToast desde @/components/ui/UndoToast (src/components/ui/UndoToast.jsx)
+ * - Importa LoadingSpinner desde @/components/ui/LoadingSpinner (src/components/ui/LoadingSpinner.jsx)
+ * - Importa MixPresetSelector desde @/components/ui/MixPresetSelector (src/components/ui/MixPresetSelector.jsx)
+ * - Importa addHistoryEntry desde @/lib/playlistHistory (src/lib/playlistHistory.js)
+ * - Importa decodeMixParam desde @/lib/mixLink (src/lib/mixLink.js)
+ * - Importa DEFAULT_PREFERENCES desde @/lib/preferences (src/lib/preferences.js)
+ * - Importa PLAYLIST_STRATEGIES y constantes de longitud desde @/lib/spotify (src/lib/spotify.js)
  * - Importa ArtistWidget desde @/components/widgets/ArtistWidget (src/components/widgets/ArtistWidget.jsx)
  * - Importa TrackWidget desde @/components/widgets/TrackWidget (src/components/widgets/TrackWidget.jsx)
  * - Importa GenreWidget desde @/components/widgets/GenreWidget (src/components/widgets/GenreWidget.jsx)
@@ -87,20 +145,20 @@ import PlaylistDisplay from '@/components/playlist/PlaylistDisplay';
  *
  * UTILIZADO EN:
  * - Ruta: /dashboard/generate-playlist
- * - Accesible desde: Dashboard home, sidebar
+ * - Accesible desde: Dashboard home, sidebar, página de historial (/dashboard/history, botón "Restore")
  *
  * FLUJO DE GENERACIÓN:
  * 1. Usuario configura preferencias en widgets
  * 2. Cada widget actualiza su parte del estado preferences
  * 3. Usuario hace clic en "Generate Playlist"
- * 4. handleGeneratePlaylist() llama a generatePlaylist(preferences)
- * 5. Hook useSpotify ejecuta algoritmo de generación:
- *    a. Llama a Recommendations API con diferentes combinaciones de seeds
- *    b. Combina resultados de múltiples llamadas
- *    c. Elimina duplicados
- *    d. Filtra por criterios adicionales (mood, popularidad)
- *    e. Retorna hasta 30 tracks únicos
- * 6. Playlist generada se muestra en PlaylistDisplay
+ * 4. handleGeneratePlaylist() llama a generatePlaylist(preferences, { strategy, limit })
+ * 5. Hook useSpotify ejecuta el pipeline de la estrategia elegida:
+ *    a. source: Reúne candidatas (top tracks de artistas, búsqueda por género/década, gustos del usuario)
+ *    b. dedupe: Elimina duplicados
+ *    c. filter: Descarta excluidas (y, según la estrategia, las que no cumplen década/popularidad)
+ *    d. rank: Ordena las candidatas con sus razones (track.recommendation)
+ *    e. limit: Retorna la longitud objetivo
+ * 6. Playlist generada se muestra en PlaylistDisplay y se registra en el historial
  * 7. Usuario puede: refrescar, añadir más, eliminar, reordenar, guardar
  *
  * HANDLERS:
@@ -110,12 +168,15 @@ import PlaylistDisplay from '@/components/playlist/PlaylistDisplay';
  * - handleDecadesChange: Actualiza decades en preferences
  * - handleMoodChange: Actualiza mood en preferences
  * - handlePopularityChange: Actualiza popularity en preferences
+ * - handleApplyMix: Carga un mix guardado (preferencias, estrategia y longitud)
  * - handleGeneratePlaylist: Genera nueva playlist desde cero
- * - handleRefreshPlaylist: Regenera playlist con mismas preferencias
+ * - handleRefreshPlaylist: Regenera playlist con mismas preferencias (también se registra en el historial)
  * - handleAddMoreSongs: Añade canciones nuevas sin eliminar existentes
  * - handleRemoveTrack: Elimina una canción por ID
+ * - handleRemoveTracks: Elimina varias canciones en una sola edición (modo audición)
  * - handleReorderTracks: Actualiza orden de canciones (drag & drop)
- * - handleSaveToSpotify: Guarda playlist en cuenta de Spotify (TODO)
+ * - applyPlaylistEdit: Aplica un cambio a la playlist y lo registra en el historial de deshacer
+ * - handleSaveToSpotify: Guarda playlist en Spotify con el modo elegido en el modal
  *
  * LAYOUT:
  * - Grid responsive 1 columna móvil, 2 columnas desktop
@@ -125,18 +186,53 @@ import PlaylistDisplay from '@/components/playlist/PlaylistDisplay';
  *
  * @returns {JSX.Element} - Página completa de generación de playlists
  */
-export default function GeneratePlaylistPage() {
+function GeneratePlaylistContent() {
+  const searchParams = useSearchParams();
   const { getUserProfile, generatePlaylist, loading } = useSpotify();
+  // Instancia aparte para resolver el enlace ?mix= sin activar el spinner de generación
+  const { getArtistsByIds, getTracksByIds } = useSpotify();
   const [user, setUser] = useState(null);
+  // Configuración compartida (?mix=<código>); tiene prioridad sobre ?history. Se lee una sola vez al montar
+  const [sharedMix] = useState(() => readMixParam(searchParams.get('mix')));
+  const [sharedMixStatus, setSharedMixStatus] = useState(null);
+  const { entries: historyEntries } = usePlaylistHistory();
+  const [restoredEntry, setRestoredEntry] = useState(null);
+  // Generate / Refresh sin canciones (la playlist actual se mantiene)
+  const [generateError, setGenerateError] = useState(null);
   const [playlist, setPlaylist] = useState([]);
-  const [preferences, setPreferences] = useState({
-    artists: [],
-    tracks: [],
-    genres: [],
-    decades: [],
-    mood: {},
-    popularity: { min: 0, max: 100 },
-  });
+  const {
+    saving,
+    progress: saveProgress,
+    savedPlaylist,
+    error: saveError,
+    savePlaylist,
+    getEditablePlaylists,
+    reset: resetSave
+  } = useSavePlaylist();
+  const history = useUndoHistory();
+  const initialConfig = sharedMix?.config;
+  const [preferences, setPreferences] = useState(() => initialConfig?.preferences || DEFAULT_PREFERENCES);
+  const [strategy, setStrategy] = useState(() => (
+    PLAYLIST_STRATEGIES[initialConfig?.strategy] ? initialConfig.strategy : DEFAULT_STRATEGY
+  ));
+  const [targetLength, setTargetLength] = useState(() => (
+    PLAYLIST_LENGTH_OPTIONS.includes(initialConfig?.limit) ? initialConfig.limit : DEFAULT_PLAYLIST_LENGTH
+  ));
+
+  // Generación a restaurar desde el historial (?history=<id>). El historial vive en localStorage:
+  // en el servidor y al hidratar está vacío, así que se aplica (una sola vez) en el primer render
+  // en que aparece la entrada, ajustando el estado durante el render en vez de en un efecto
+  const historyId = sharedMix ? null : searchParams.get('history');
+  const entryToRestore = historyId && !restoredEntry
+    ? historyEntries.find((entry) => entry.id === historyId)
+    : null;
+  if (entryToRestore) {
+    setRestoredEntry(entryToRestore);
+    setPlaylist(entryToRestore.tracks || []);
+    setPreferences(entryToRestore.preferences || DEFAULT_PREFERENCES);
+    if (PLAYLIST_STRATEGIES[entryToRestore.strategy]) setStrategy(entryToRestore.strategy);
+    if (PLAYLIST_LENGTH_OPTIONS.includes(entryToRestore.limit)) setTargetLength(entryToRestore.limit);
+  }
 
   // Cargar perfil del usuario
   useEffect(() => {
@@ -147,6 +243,33 @@ export default function GeneratePlaylistPage() {
     loadProfile();
   }, [getUserProfile]);
 
+  // Resolver los artistas y canciones del enlace ?mix= (solo vienen sus IDs)
+  useEffect(() => {
+    const config = sharedMix?.config;
+    if (!config || (config.artistIds.length === 0 && config.trackIds.length === 0)) return;
+
+    let cancelled = false;
+    const resolveSharedMix = async () => {
+      const [artists, tracks] = await Promise.all([
+        config.artistIds.length > 0 ? getArtistsByIds(config.artistIds) : [],
+        config.trackIds.length > 0 ? getTracksByIds(config.trackIds) : []
+      ]);
+      if (cancelled) return;
+
+      setPreferences((prev) => ({ ...prev, artists, tracks }));
+      const missing = config.artistIds.length + config.trackIds.length - artists.length - tracks.length;
+      setSharedMixStatus({
+        resolved: true,
+        warning: missing > 0 ? `${missing} artists or songs from this mix could not be loaded.` : null
+      });
+    };
+    resolveSharedMix();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sharedMix, getArtistsByIds, getTracksByIds]);
+
   // Handlers para cada widget
   const handleArtistsChange = (artists) => {
     setPreferences((prev) => ({ ...prev, artists }));
@@ -172,47 +295,106 @@ export default function GeneratePlaylistPage() {
     setPreferences((prev) => ({ ...prev, popularity }));
   };
 
-  // Generar playlist
+  // Cargar un mix guardado
+  const handleApplyMix = (mix) => {
+    setPreferences(mix.preferences);
+    if (PLAYLIST_STRATEGIES[mix.strategy]) setStrategy(mix.strategy);
+    if (mix.limit) setTargetLength(mix.limit);
+  };
+
+  // Aplicar un cambio a la playlist registrándolo en el historial (deshacer = volver a la versión anterior)
+  // Si las canciones quedan igual (mismos IDs en el mismo orden) no se añade un paso de deshacer
+  const applyPlaylistEdit = (label, nextPlaylist) => {
+    const previousPlaylist = Array.isArray(playlist) ? playlist : [];
+    const unchanged = previousPlaylist.length === nextPlaylist.length &&
+      previousPlaylist.every((track, index) => track.id === nextPlaylist[index]?.id);
+    if (unchanged) return;
+
+    setPlaylist(nextPlaylist);
+    history.push({
+      label,
+      undo: () => setPlaylist(previousPlaylist),
+      redo: () => setPlaylist(nextPlaylist)
+    });
+  };
+
+  // Guardar la generación en el historial con las preferencias exactas que la produjeron
+  const recordGeneration = (tracks) => {
+    addHistoryEntry({ tracks, preferences, strategy, limit: targetLength });
+  };
+
+  // Generar playlist (un resultado vacío o fallido no sustituye a la playlist actual)
   const handleGeneratePlaylist = async () => {
-    const generatedPlaylist = await generatePlaylist(preferences);
-    setPlaylist(generatedPlaylist);
+    setGenerateError(null);
+    const generatedPlaylist = await generatePlaylist(preferences, { strategy, limit: targetLength });
+    if (!Array.isArray(generatedPlaylist) || generatedPlaylist.length === 0) {
+      setGenerateError(NO_RESULTS_MESSAGE);
+      return;
+    }
+    applyPlaylistEdit('Generated a new playlist', generatedPlaylist);
+    recordGeneration(generatedPlaylist);
   };
 
   // Refrescar playlist (regenerar con mismas preferencias)
   const handleRefreshPlaylist = async () => {
-    const generatedPlaylist = await generatePlaylist(preferences);
-    setPlaylist(generatedPlaylist);
+    setGenerateError(null);
+    const generatedPlaylist = await generatePlaylist(preferences, { strategy, limit: targetLength });
+    if (!Array.isArray(generatedPlaylist) || generatedPlaylist.length === 0) {
+      setGenerateError(NO_RESULTS_MESSAGE);
+      return;
+    }
+    applyPlaylistEdit('Refreshed playlist', generatedPlaylist);
+    recordGeneration(generatedPlaylist);
   };
 
   // Añadir más canciones a la playlist existente
   const handleAddMoreSongs = async () => {
-    const newTracks = await generatePlaylist(preferences);
-    // Filtrar duplicados
     const currentPlaylist = Array.isArray(playlist) ? playlist : [];
     const existingIds = new Set(currentPlaylist.map((t) => t.id));
+    // El motor descarta las canciones existentes; el filtro se mantiene por seguridad
+    const newTracks = await generatePlaylist(preferences, {
+      strategy,
+      limit: targetLength,
+      excludeIds: [...existingIds]
+    });
     const uniqueNewTracks = Array.isArray(newTracks) ? newTracks.filter((t) => !existingIds.has(t.id)) : [];
-    setPlaylist([...currentPlaylist, ...uniqueNewTracks]);
+    if (uniqueNewTracks.length === 0) return;
+    applyPlaylistEdit(`Added ${uniqueNewTracks.length} songs`, [...currentPlaylist, ...uniqueNewTracks]);
   };
 
   // Eliminar canción de la playlist
   const handleRemoveTrack = (trackId) => {
     const currentPlaylist = Array.isArray(playlist) ? playlist : [];
-    setPlaylist(currentPlaylist.filter((track) => track.id !== trackId));
+    const removed = currentPlaylist.find((track) => track.id === trackId);
+    applyPlaylistEdit(
+      `Removed "${removed?.name || 'song'}"`,
+      currentPlaylist.filter((track) => track.id !== trackId)
+    );
   };
 
-  // Guardar en Spotify (opcional - requiere permisos adicionales)
-  const handleSaveToSpotify = async () => {
-    alert('Save to Spotify feature coming soon!');
-    // Aquí implementarías la llamada a la API para crear playlist
+  // Eliminar varias canciones de una vez (resultado del modo audición): un solo paso de deshacer
+  const handleRemoveTracks = (trackIds) => {
+    const currentPlaylist = Array.isArray(playlist) ? playlist : [];
+    const ids = new Set(trackIds);
+    applyPlaylistEdit(
+      `Removed ${ids.size} songs`,
+      currentPlaylist.filter((track) => !ids.has(track.id))
+    );
+  };
+
+  // Guardar en Spotify (details viene del modal: { mode, name, description, isPublic, target })
+  const handleSaveToSpotify = async (details) => {
+    const currentPlaylist = Array.isArray(playlist) ? playlist : [];
+    await savePlaylist(currentPlaylist, details);
   };
 
   // Reordenar tracks
   const handleReorderTracks = (newOrder) => {
-    setPlaylist(newOrder);
+    applyPlaylistEdit('Reordered songs', newOrder);
   };
 
   return (
-    <div className="flex h-screen bg-black text-white overflow-hidden">
+    <div className="flex h-full bg-black text-white overflow-hidden">
       {/* Sidebar Fija */}
       <Sidebar />
 
@@ -229,24 +411,82 @@ export default function GeneratePlaylistPage() {
               Generate Your Perfect Playlist
             </h1>
             <p className="text-gray-400">
-              Customize your preferences below and create a personalized playlist
+              {restoredEntry
+                ? `Restored "${restoredEntry.name}" from your history`
+                : 'Customize your preferences below and create a personalized playlist'}
             </p>
+
+            {generateError && (
+              <p className="mt-3 text-sm text-red-400">{generateError}</p>
+            )}
+
+            {/* Estado del enlace ?mix= */}
+            {sharedMix?.error && (
+              <p className="mt-3 text-sm text-red-400">Could not open this mix link: {sharedMix.error}</p>
+            )}
+            {sharedMix?.config && (
+              <p className="mt-3 text-sm text-blue-400">
+                {sharedMixStatus?.resolved || (sharedMix.config.artistIds.length === 0 && sharedMix.config.trackIds.length === 0)
+                  ? 'Loaded a shared mix. Generate to hear it.'
+                  : 'Loading shared mix...'}
+                {sharedMixStatus?.warning && (
+                  <span className="text-yellow-400"> {sharedMixStatus.warning}</span>
+                )}
+              </p>
+            )}
           </div>
 
           {/* Widgets Section */}
           <div className="mb-8">
-            <div className="flex items-center justify-between mb-6">
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
               <h2 className="text-2xl font-bold text-white">
                 Customize Your Preferences
               </h2>
-              <Button
-                onClick={handleGeneratePlaylist}
-                disabled={loading}
-                className="flex items-center gap-2"
-              >
-                <Sparkles size={18} />
-                {loading ? 'Generating...' : 'Generate Playlist'}
-              </Button>
+              <div className="flex flex-wrap items-center gap-3">
+                {/* Mixes guardados */}
+                <MixPresetSelector
+                  preferences={preferences}
+                  strategy={strategy}
+                  limit={targetLength}
+                  onApply={handleApplyMix}
+                />
+
+                {/* Estrategia del pipeline */}
+                <select
+                  value={strategy}
+                  onChange={(e) => setStrategy(e.target.value)}
+                  title={PLAYLIST_STRATEGIES[strategy]?.description}
+                  className="bg-[#282828] text-white px-3 py-2 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-600"
+                >
+                  {Object.values(PLAYLIST_STRATEGIES).map((option) => (
+                    <option key={option.id} value={option.id}>
+                      {option.name}
+                    </option>
+                  ))}
+                </select>
+
+                {/* Longitud objetivo */}
+                <select
+                  value={targetLength}
+                  onChange={(e) => setTargetLength(Number(e.target.value))}
+                  className="bg-[#282828] text-white px-3 py-2 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-600"
+                >
+                  {PLAYLIST_LENGTH_OPTIONS.map((length) => (
+                    <option key={length} value={length}>
+                      {length} songs
+                    </option>
+                  ))}
+                </select>
+
+                <Button
+                  onClick={handleGeneratePlaylist}
+                  disabled={loading}
+                  className="flex items-center gap-2"
+                >
+                  <Sparkles size={18} />
+                  {loading ? 'Generating...' : 'Generate Playlist'}
+                </Button>
+              </div>
             </div>
 
             {/* Widget Grid */}
@@ -294,15 +534,49 @@ export default function GeneratePlaylistPage() {
             <PlaylistDisplay
               playlist={playlist}
               onRemoveTrack={handleRemoveTrack}
+              onRemoveTracks={handleRemoveTracks}
               onRefresh={handleRefreshPlaylist}
               onAddMore={handleAddMoreSongs}
               onSaveToSpotify={handleSaveToSpotify}
+              onLoadSaveTargets={getEditablePlaylists}
+              onCloseSave={resetSave}
+              saveStatus={{
+                saving,
+                progress: saveProgress,
+                savedPlaylist,
+                error: saveError
+              }}
               onReorderTracks={handleReorderTracks}
+              onUndo={history.undo}
+              onRedo={history.redo}
+              canUndo={history.canUndo}
+              canRedo={history.canRedo}
               loading={loading}
             />
           </div>
         </div>
       </main>
+
+      {/* Toast de deshacer */}
+      <UndoToast
+        action={history.lastAction}
+        error={history.error}
+        onUndo={history.undo}
+        onRedo={history.redo}
+        onDismiss={history.dismiss}
+      />
     </div>
   );
 }
+
+export default function GeneratePlaylistPage() {
+  return (
+    <Suspense fallback={
+      <div className="h-full bg-black flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    }>
+      <GeneratePlaylistContent />
+    </Suspense>
+  );
+}
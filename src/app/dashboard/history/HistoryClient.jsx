@@ -0,0 +1,262 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { History, RotateCcw, Pencil, Trash2, GitCompare, Music, X } from 'lucide-react';
+import Sidebar from '@/components/layout/Sidebar';
+import TopBar from '@/components/layout/TopBar';
+import Button from '@/components/ui/Button';
+import { useSpotify } from '@/hooks/useSpotify';
+import { usePlaylistHistory } from '@/hooks/usePlaylistHistory';
+import { PLAYLIST_STRATEGIES } from '@/lib/spotify';
+
+/**
+ * Lista compacta de canciones para el panel de diferencias
+ */
+function DiffTrackList({ title, tracks, className }) {
+  return (
+    <div>
+      <h4 className={`text-sm font-bold mb-2 ${className}`}>
+        {title} ({tracks.length})
+      </h4>
+      {tracks.length === 0 ? (
+        <p className="text-xs text-gray-500">None</p>
+      ) : (
+        <ul className="space-y-1 max-h-64 overflow-y-auto pr-2">
+          {tracks.map((track) => (
+            <li key={track.id} className="text-sm text-gray-300 truncate">
+              {track.name}
+              <span className="text-gray-500"> · {track.artists?.map((artist) => artist.name).join(', ')}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Cliente de History - Playlists generadas anteriormente
+ *
+ * FUNCIONALIDAD:
+ * - Lista las generaciones (más reciente primero) con fecha, estrategia y número de canciones
+ * - Restore: abre el generador con ?history=<id> (preferencias, estrategia, longitud y canciones)
+ * - Rename inline (Enter guarda, Escape cancela) y Delete con confirmación
+ * - Compare: se seleccionan dos generaciones y se muestran las canciones añadidas,
+ *   eliminadas y comunes, junto con las preferencias que cambiaron
+ * - Clear history: vacía todo el historial
+ *
+ * El historial se guarda en localStorage con un máximo de entradas (las más antiguas
+ * se eliminan automáticamente), ver src/lib/playlistHistory.js.
+ */
+export default function HistoryClient() {
+  const router = useRouter();
+  const { getUserProfile } = useSpotify();
+  const { entries, maxEntries, rename, remove, clear, diff } = usePlaylistHistory();
+  const [user, setUser] = useState(null);
+  const [editing, setEditing] = useState(null);
+  // IDs seleccionados para comparar (máximo 2, en orden de selección)
+  const [compareIds, setCompareIds] = useState([]);
+
+  useEffect(() => {
+    const loadProfile = async () => {
+      const profile = await getUserProfile();
+      setUser(profile);
+    };
+    loadProfile();
+  }, [getUserProfile]);
+
+  const handleRestore = (entry) => {
+    router.push(`/dashboard/generate-playlist?history=${encodeURIComponent(entry.id)}`);
+  };
+
+  const handleSaveName = () => {
+    if (editing) {
+      rename(editing.id, editing.name);
+    }
+    setEditing(null);
+  };
+
+  const handleDelete = (entry) => {
+    if (!confirm(`Delete "${entry.name}" from your history?`)) return;
+    remove(entry.id);
+    setCompareIds((prev) => prev.filter((id) => id !== entry.id));
+  };
+
+  const handleClear = () => {
+    if (!confirm('Delete all generated playlists from your history?')) return;
+    clear();
+    setCompareIds([]);
+  };
+
+  const toggleCompare = (id) => {
+    setCompareIds((prev) => {
+      if (prev.includes(id)) return prev.filter((selected) => selected !== id);
+      // Al elegir una tercera se sustituye la más antigua de la selección
+      return [...prev, id].slice(-2);
+    });
+  };
+
+  // Comparar siempre de la generación más antigua a la más reciente
+  const compared = entries.filter((entry) => compareIds.includes(entry.id)).reverse();
+  const comparison = compared.length === 2 ? diff(compared[0], compared[1]) : null;
+
+  return (
+    <div className="flex h-full bg-black text-white overflow-hidden">
+      {/* Sidebar Fija */}
+      <Sidebar />
+
+      {/* Área Principal */}
+      <main className="flex-1 overflow-y-auto relative bg-black">
+        {/* Top Bar */}
+        <TopBar user={user} />
+
+        <div className="px-6 pb-8">
+          {/* Header */}
+          <div className="flex flex-wrap items-end justify-between gap-4 mb-8">
+            <div>
+              <h1 className="text-4xl font-bold text-white mb-2 flex items-center gap-3">
+                <History size={34} className="text-blue-500" />
+                History
+              </h1>
+              <p className="text-gray-400">
+                Your last {maxEntries} generated playlists are kept on this device. Older ones are removed automatically.
+              </p>
+            </div>
+            {entries.length > 0 && (
+              <Button variant="outline" size="sm" onClick={handleClear}>
+                Clear history
+              </Button>
+            )}
+          </div>
+
+          {/* Panel de comparación */}
+          {comparison && (
+            <div className="bg-[#181818] rounded-lg p-6 mb-8">
+              <div className="flex items-start justify-between gap-4 mb-4">
+                <h2 className="text-xl font-bold">
+                  {compared[0].name} <span className="text-gray-500">→</span> {compared[1].name}
+                </h2>
+                <button
+                  onClick={() => setCompareIds([])}
+                  className="text-gray-400 hover:text-white transition-colors"
+                >
+                  <X size={20} />
+                </button>
+              </div>
+
+              {comparison.preferenceChanges.length > 0 ? (
+                <div className="mb-6 space-y-1">
+                  {comparison.preferenceChanges.map((change) => (
+                    <p key={change.key} className="text-sm text-gray-300">
+                      <span className="capitalize font-semibold text-white">{change.key}:</span>{' '}
+                      <span className="text-red-400 line-through">{change.before}</span>{' '}
+                      <span className="text-green-400">{change.after}</span>
+                    </p>
+                  ))}
+                </div>
+              ) : (
+                <p className="mb-6 text-sm text-gray-400">Same preferences and strategy.</p>
+              )}
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <DiffTrackList title="Added" tracks={comparison.added} className="text-green-400" />
+                <DiffTrackList title="Removed" tracks={comparison.removed} className="text-red-400" />
+                <DiffTrackList title="In both" tracks={comparison.common} className="text-gray-300" />
+              </div>
+            </div>
+          )}
+
+          {entries.length === 0 ? (
+            <div className="text-center py-20">
+              <Music size={64} className="mx-auto text-gray-600 mb-4" />
+              <h3 className="text-2xl font-bold mb-2">No generated playlists yet</h3>
+              <p className="text-gray-400 mb-6">Every playlist you generate will show up here.</p>
+              <Button onClick={() => router.push('/dashboard/generate-playlist')}>
+                Generate a playlist
+              </Button>
+            </div>
+          ) : (
+            <>
+              {compareIds.length === 1 && (
+                <p className="text-sm text-gray-400 mb-4">Select another playlist to compare.</p>
+              )}
+              <ul className="space-y-3">
+                {entries.map((entry) => {
+                  const isSelected = compareIds.includes(entry.id);
+                  const covers = entry.tracks.slice(0, 4).map((track) => track.album?.images?.[0]?.url).filter(Boolean);
+
+                  return (
+                    <li
+                      key={entry.id}
+                      className={`flex items-center gap-4 p-4 rounded-lg transition-colors ${
+                        isSelected ? 'bg-blue-600/20 ring-1 ring-blue-600' : 'bg-[#181818] hover:bg-[#282828]'
+                      }`}
+                    >
+                      {/* Portada: primeras carátulas de la playlist */}
+                      <div className="w-14 h-14 grid grid-cols-2 rounded overflow-hidden bg-[#282828] flex-shrink-0">
+                        {covers.map((url, i) => (
+                          <img key={i} src={url} alt="" className="w-full h-full object-cover" />
+                        ))}
+                      </div>
+
+                      <div className="flex-1 min-w-0">
+                        {editing?.id === entry.id ? (
+                          <input
+                            autoFocus
+                            value={editing.name}
+                            onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                            onBlur={handleSaveName}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter') handleSaveName();
+                              if (e.key === 'Escape') setEditing(null);
+                            }}
+                            className="w-full bg-[#282828] text-white px-2 py-1 rounded focus:outline-none focus:ring-2 focus:ring-blue-600"
+                          />
+                        ) : (
+                          <p className="font-semibold truncate">{entry.name}</p>
+                        )}
+                        <p className="text-sm text-gray-400 truncate">
+                          {new Date(entry.createdAt).toLocaleString()} · {entry.tracks.length} songs
+                          {' · '}{PLAYLIST_STRATEGIES[entry.strategy]?.name || entry.strategy}
+                        </p>
+                      </div>
+
+                      <div className="flex items-center gap-1 flex-shrink-0">
+                        <Button size="sm" onClick={() => handleRestore(entry)} className="flex items-center gap-2">
+                          <RotateCcw size={14} />
+                          Restore
+                        </Button>
+                        <Button
+                          variant={isSelected ? 'secondary' : 'ghost'}
+                          size="sm"
+                          onClick={() => toggleCompare(entry.id)}
+                          className="flex items-center gap-2"
+                        >
+                          <GitCompare size={14} />
+                          Compare
+                        </Button>
+                        <button
+                          onClick={() => setEditing({ id: entry.id, name: entry.name })}
+                          className="p-2 text-gray-400 hover:text-white transition-colors"
+                        >
+                          <Pencil size={16} />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(entry)}
+                          className="p-2 text-gray-400 hover:text-red-400 transition-colors"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            </>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
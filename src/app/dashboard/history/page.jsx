@@ -0,0 +1,29 @@
+/**
+ * PÁGINA: HISTORY - HISTORIAL DE PLAYLISTS GENERADAS
+ * ====================================================
+ * Página wrapper para el historial de generaciones del usuario.
+ * Ruta: /dashboard/history
+ *
+ * FUNCIONALIDAD:
+ * - Wrapper simple que renderiza HistoryClient
+ * - Configurada con renderizado dinámico (force-dynamic)
+ * - Muestra las playlists generadas guardadas en el navegador
+ *
+ * CONFIGURACIÓN:
+ * - dynamic = 'force-dynamic': Fuerza renderizado en cada request
+ * - El historial vive en localStorage, así que todo el contenido se resuelve en el cliente
+ *
+ * REFERENCIAS:
+ * - Importa HistoryClient desde ./HistoryClient (src/app/dashboard/history/HistoryClient.jsx)
+ *
+ * @returns {JSX.Element} - Componente HistoryClient
+ */
+
+import HistoryClient from './HistoryClient';
+
+// Forzar renderizado dinámico para esta página
+export const dynamic = 'force-dynamic';
+
+export default function HistoryPage() {
+  return <HistoryClient />;
+}
@@ -0,0 +1,492 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { FileUp, Search, Music, ChevronDown, ChevronUp, ArrowLeft } from 'lucide-react';
+import Sidebar from '@/components/layout/Sidebar';
+import TopBar from '@/components/layout/TopBar';
+import PlaylistDisplay from '@/components/playlist/PlaylistDisplay';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { useSpotify } from '@/hooks/useSpotify';
+import { useSavePlaylist } from '@/hooks/useSavePlaylist';
+import {
+  parseImportText,
+  buildSearchQueries,
+  rankCandidates,
+  CONFIDENCE_HIGH,
+  CONFIDENCE_LOW,
+  CONFIDENCE_MIN
+} from '@/lib/playlistImport';
+
+// Búsquedas simultáneas al emparejar (más provoca errores 429 con listas largas)
+const MATCH_CONCURRENCY = 3;
+const MAX_CANDIDATES = 5;
+
+const ACCEPTED_FILES = '.csv,.tsv,.m3u,.m3u8,.txt';
+
+/**
+ * Porcentaje de confianza con color: verde (alta), amarillo (revisar), rojo (baja)
+ */
+function ConfidenceBadge({ confidence }) {
+  const color = confidence >= CONFIDENCE_HIGH
+    ? 'bg-green-600/20 text-green-400'
+    : confidence >= CONFIDENCE_LOW
+      ? 'bg-yellow-600/20 text-yellow-400'
+      : 'bg-red-600/20 text-red-400';
+
+  return (
+    <span className={`px-2 py-0.5 rounded text-xs font-semibold ${color}`}>
+      {Math.round(confidence * 100)}%
+    </span>
+  );
+}
+
+/**
+ * Miniatura + nombre + artistas de un track de Spotify
+ */
+function TrackSummary({ track }) {
+  return (
+    <div className="flex items-center gap-3 min-w-0">
+      {track.album?.images?.[0]?.url ? (
+        <img
+          src={track.album.images[track.album.images.length - 1].url}
+          alt=""
+          className="w-10 h-10 rounded object-cover flex-shrink-0"
+        />
+      ) : (
+        <div className="w-10 h-10 rounded bg-[#282828] flex items-center justify-center flex-shrink-0">
+          <Music size={16} className="text-gray-500" />
+        </div>
+      )}
+      <div className="min-w-0">
+        <p className="text-white truncate">{track.name}</p>
+        <p className="text-sm text-gray-400 truncate">
+          {track.artists?.map(artist => artist.name).join(', ')}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Cliente de Import - Importar playlists de otros servicios
+ *
+ * FLUJO:
+ * 1. El usuario sube un fichero (CSV, M3U/M3U8, TXT) o pega el texto
+ * 2. parseImportText detecta el formato y extrae las filas (src/lib/playlistImport.js)
+ * 3. Emparejamiento:
+ *    - Filas con ID de Spotify (URI/URL) se resuelven directamente con getTracksByIds
+ *    - El resto se busca con searchTracks: primero por ISRC, después por título y artista,
+ *      parando en cuanto una candidata alcanza CONFIDENCE_HIGH
+ *    - MATCH_CONCURRENCY búsquedas a la vez, con progreso y cancelación
+ * 4. Revisión: cada fila muestra su mejor candidata y su confianza. "Fix" abre las
+ *    alternativas y una búsqueda manual; "Skip" la excluye
+ * 5. "Load into playlist" pasa las canciones elegidas (sin duplicados) a PlaylistDisplay,
+ *    desde donde se reordenan, exportan o guardan en Spotify
+ */
+export default function ImportClient() {
+  const { getUserProfile, searchTracks, getTracksByIds } = useSpotify();
+  const {
+    saving,
+    progress: saveProgress,
+    savedPlaylist,
+    error: saveError,
+    savePlaylist,
+    getEditablePlaylists,
+    reset: resetSave
+  } = useSavePlaylist();
+  const [user, setUser] = useState(null);
+  const [text, setText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [parseError, setParseError] = useState(null);
+  // Una entrada por fila: { row, candidates, selected, confidence, skipped, manual }
+  const [matches, setMatches] = useState([]);
+  const [matchProgress, setMatchProgress] = useState(null);
+  const [expandedIndex, setExpandedIndex] = useState(null);
+  const [manualQuery, setManualQuery] = useState('');
+  const [manualSearching, setManualSearching] = useState(false);
+  const [reviewOnly, setReviewOnly] = useState(false);
+  const [playlist, setPlaylist] = useState(null);
+  const [duplicatesRemoved, setDuplicatesRemoved] = useState(0);
+  // Se incrementa para cancelar un emparejamiento en curso (nueva importación o desmontaje)
+  const matchRunRef = useRef(0);
+
+  useEffect(() => {
+    const loadProfile = async () => {
+      const profile = await getUserProfile();
+      setUser(profile);
+    };
+    loadProfile();
+  }, [getUserProfile]);
+
+  useEffect(() => {
+    const matchRun = matchRunRef;
+    return () => {
+      matchRun.current++;
+    };
+  }, []);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setText(await file.text());
+    setFileName(file.name);
+    setParseError(null);
+  };
+
+  const updateMatch = (index, changes) => {
+    setMatches(prev => prev.map((match, i) => (i === index ? { ...match, ...changes } : match)));
+  };
+
+  const withCandidates = (match, candidates) => {
+    const best = candidates[0];
+    const accepted = best && best.confidence >= CONFIDENCE_MIN;
+    return {
+      ...match,
+      candidates: candidates.slice(0, MAX_CANDIDATES),
+      selected: accepted ? best.track : null,
+      confidence: best?.confidence ?? 0,
+      status: 'done'
+    };
+  };
+
+  const findCandidates = async (row) => {
+    let candidates = [];
+    for (const query of buildSearchQueries(row)) {
+      const results = await searchTracks(query);
+      candidates = rankCandidates(row, [...candidates.map(candidate => candidate.track), ...results]);
+      if (candidates[0]?.confidence >= CONFIDENCE_HIGH) break;
+    }
+    return candidates;
+  };
+
+  const handleMatch = async () => {
+    let parsed;
+    try {
+      parsed = parseImportText(text, fileName);
+    } catch (error) {
+      setParseError(error.message);
+      return;
+    }
+
+    if (parsed.rows.length === 0) {
+      setParseError('No songs found. Use a CSV with a title column, an M3U playlist, or one "Artist - Title" per line.');
+      return;
+    }
+
+    const run = ++matchRunRef.current;
+    const isCancelled = () => matchRunRef.current !== run;
+    const rows = parsed.rows;
+    const initial = rows.map(row => ({ row, candidates: [], selected: null, confidence: 0, skipped: false, manual: false, status: 'pending' }));
+
+    setParseError(null);
+    setPlaylist(null);
+    setExpandedIndex(null);
+    setMatches(initial);
+    setMatchProgress({ done: 0, total: rows.length });
+
+    // Filas exportadas desde Spotify: se resuelven por ID sin buscar
+    const idRows = rows.filter(row => row.spotifyId);
+    const byId = new Map();
+    if (idRows.length > 0) {
+      const tracks = await getTracksByIds([...new Set(idRows.map(row => row.spotifyId))]);
+      tracks.forEach(track => byId.set(track.id, track));
+    }
+    if (isCancelled()) return;
+
+    const results = [...initial];
+    let done = 0;
+    let next = 0;
+
+    const worker = async () => {
+      while (next < rows.length && !isCancelled()) {
+        const index = next++;
+        const row = rows[index];
+        const direct = byId.get(row.spotifyId);
+        const candidates = direct
+          ? [{ track: direct, confidence: 1 }]
+          : await findCandidates(row);
+        if (isCancelled()) return;
+
+        results[index] = withCandidates(results[index], candidates);
+        updateMatch(index, results[index]);
+        done++;
+        setMatchProgress({ done, total: rows.length });
+      }
+    };
+
+    await Promise.all(Array.from({ length: MATCH_CONCURRENCY }, worker));
+    if (!isCancelled()) {
+      setMatchProgress(null);
+    }
+  };
+
+  const handleCancelMatch = () => {
+    matchRunRef.current++;
+    setMatchProgress(null);
+  };
+
+  const handleToggleFix = (index) => {
+    setExpandedIndex(prev => (prev === index ? null : index));
+    const { row } = matches[index];
+    setManualQuery([row.artist, row.title].filter(Boolean).join(' '));
+  };
+
+  const handleChoose = (index, candidate) => {
+    updateMatch(index, { selected: candidate.track, confidence: candidate.confidence, skipped: false, manual: true });
+    setExpandedIndex(null);
+  };
+
+  const handleManualSearch = async (index) => {
+    if (!manualQuery.trim()) return;
+    setManualSearching(true);
+    const results = await searchTracks(manualQuery);
+    updateMatch(index, { candidates: rankCandidates(matches[index].row, results).slice(0, MAX_CANDIDATES) });
+    setManualSearching(false);
+  };
+
+  const handleLoadPlaylist = () => {
+    const seen = new Set();
+    const tracks = matches
+      .filter(match => match.selected && !match.skipped)
+      .map(match => match.selected)
+      .filter(track => !seen.has(track.id) && seen.add(track.id));
+
+    setDuplicatesRemoved(matches.filter(match => match.selected && !match.skipped).length - tracks.length);
+    setPlaylist(tracks);
+  };
+
+  const handleSaveToSpotify = async (details) => {
+    await savePlaylist(playlist, details);
+  };
+
+  const matching = !!matchProgress;
+  const finished = matches.filter(match => match.status === 'done');
+  const included = finished.filter(match => match.selected && !match.skipped);
+  const confident = included.filter(match => match.manual || match.confidence >= CONFIDENCE_HIGH);
+  const needsReview = (match) => match.status === 'done' && !match.skipped && !match.manual &&
+    (!match.selected || match.confidence < CONFIDENCE_HIGH);
+  const visibleMatches = matches
+    .map((match, index) => ({ match, index }))
+    .filter(({ match }) => !reviewOnly || needsReview(match));
+  const playlistName = fileName ? fileName.replace(/\.[^.]+$/, '') : 'Imported Playlist';
+
+  return (
+    <div className="flex h-full bg-black text-white overflow-hidden">
+      {/* Sidebar Fija */}
+      <Sidebar />
+
+      {/* Área Principal */}
+      <main className="flex-1 overflow-y-auto relative bg-black">
+        {/* Top Bar */}
+        <TopBar user={user} />
+
+        <div className="px-6 pb-8">
+          {/* Header */}
+          <div className="mb-8">
+            <h1 className="text-4xl font-bold text-white mb-2 flex items-center gap-3">
+              <FileUp size={34} className="text-blue-500" />
+              Import Playlist
+            </h1>
+            <p className="text-gray-400">
+              Bring a playlist from another service: upload a CSV or M3U file, or paste one &quot;Artist - Title&quot; per line.
+            </p>
+          </div>
+
+          {playlist ? (
+            <>
+              <div className="flex flex-wrap items-center gap-4 mb-4">
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setPlaylist(null)}
+                  className="flex items-center gap-2"
+                >
+                  <ArrowLeft size={16} />
+                  Back to matches
+                </Button>
+                {duplicatesRemoved > 0 && (
+                  <p className="text-sm text-gray-400">
+                    {duplicatesRemoved} duplicate {duplicatesRemoved === 1 ? 'song was' : 'songs were'} left out.
+                  </p>
+                )}
+              </div>
+              <PlaylistDisplay
+                playlist={playlist}
+                initialName={playlistName}
+                onRemoveTrack={(trackId) => setPlaylist(prev => prev.filter(track => track.id !== trackId))}
+                onRemoveTracks={(trackIds) => setPlaylist(prev => prev.filter(track => !trackIds.includes(track.id)))}
+                onReorderTracks={setPlaylist}
+                onSaveToSpotify={handleSaveToSpotify}
+                onLoadSaveTargets={getEditablePlaylists}
+                onCloseSave={resetSave}
+                saveStatus={{
+                  saving,
+                  progress: saveProgress,
+                  savedPlaylist,
+                  error: saveError
+                }}
+              />
+            </>
+          ) : (
+            <>
+              {/* Entrada: fichero o texto pegado */}
+              <div className="bg-[#181818] rounded-lg p-6 mb-8">
+                <div className="flex flex-wrap items-center gap-3 mb-4">
+                  <label className="inline-flex items-center gap-2 px-4 py-2 rounded-full bg-[#282828] hover:bg-[#3E3E3E] text-sm font-semibold cursor-pointer transition-colors">
+                    <FileUp size={16} />
+                    Choose file
+                    <input type="file" accept={ACCEPTED_FILES} onChange={handleFileChange} className="hidden" />
+                  </label>
+                  {fileName && <span className="text-sm text-gray-400">{fileName}</span>}
+                </div>
+                <textarea
+                  value={text}
+                  onChange={(e) => {
+                    setText(e.target.value);
+                    setParseError(null);
+                  }}
+                  placeholder={'Radiohead - Creep\nDaft Punk - One More Time'}
+                  rows={8}
+                  className="w-full bg-[#121212] text-white text-sm font-mono rounded-lg p-3 border border-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-600"
+                />
+                {parseError && <p className="mt-3 text-sm text-red-400">{parseError}</p>}
+                <div className="flex items-center gap-3 mt-4">
+                  <Button onClick={handleMatch} disabled={!text.trim() || matching}>
+                    Match songs
+                  </Button>
+                  {matching && (
+                    <>
+                      <span className="text-sm text-gray-400">
+                        Matching {matchProgress.done} of {matchProgress.total}...
+                      </span>
+                      <Button variant="ghost" size="sm" onClick={handleCancelMatch}>
+                        Cancel
+                      </Button>
+                    </>
+                  )}
+                </div>
+              </div>
+
+              {/* Resultados del emparejamiento */}
+              {matches.length > 0 && (
+                <>
+                  <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                    <p className="text-sm text-gray-400">
+                      {confident.length} matched · {finished.filter(needsReview).length} to review · {finished.filter(match => match.skipped).length} skipped
+                    </p>
+                    <div className="flex items-center gap-3">
+                      <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={reviewOnly}
+                          onChange={(e) => setReviewOnly(e.target.checked)}
+                          className="accent-blue-600"
+                        />
+                        Only show songs to review
+                      </label>
+                      <Button onClick={handleLoadPlaylist} disabled={matching || included.length === 0} size="sm">
+                        Load {included.length} songs into playlist
+                      </Button>
+                    </div>
+                  </div>
+
+                  <ul className="space-y-2">
+                    {visibleMatches.map(({ match, index }) => (
+                      <li key={index} className={`bg-[#181818] rounded-lg p-4 ${match.skipped ? 'opacity-50' : ''}`}>
+                        <div className="flex flex-wrap md:flex-nowrap items-center gap-4">
+                          {/* Fila original */}
+                          <div className="w-full md:w-1/3 min-w-0">
+                            <p className="text-xs text-gray-500">Line {match.row.line}</p>
+                            <p className="text-white truncate">{match.row.title || match.row.spotifyId}</p>
+                            <p className="text-sm text-gray-400 truncate">{match.row.artist}</p>
+                          </div>
+
+                          {/* Canción elegida */}
+                          <div className="flex-1 min-w-0">
+                            {match.status === 'pending' ? (
+                              <LoadingSpinner size="sm" />
+                            ) : match.selected ? (
+                              <TrackSummary track={match.selected} />
+                            ) : (
+                              <p className="text-sm text-red-400">No confident match</p>
+                            )}
+                          </div>
+
+                          {match.status === 'done' && (
+                            <div className="flex items-center gap-3 flex-shrink-0">
+                              {match.selected && <ConfidenceBadge confidence={match.confidence} />}
+                              {match.manual && <span className="text-xs text-blue-400">Picked</span>}
+                              <button
+                                onClick={() => handleToggleFix(index)}
+                                className="flex items-center gap-1 text-sm text-gray-300 hover:text-white transition-colors"
+                              >
+                                Fix
+                                {expandedIndex === index ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+                              </button>
+                              <button
+                                onClick={() => updateMatch(index, { skipped: !match.skipped })}
+                                className="text-sm text-gray-300 hover:text-white transition-colors"
+                              >
+                                {match.skipped ? 'Include' : 'Skip'}
+                              </button>
+                            </div>
+                          )}
+                        </div>
+
+                        {/* Alternativas y búsqueda manual */}
+                        {expandedIndex === index && (
+                          <div className="mt-4 pt-4 border-t border-gray-800">
+                            <form
+                              onSubmit={(e) => {
+                                e.preventDefault();
+                                handleManualSearch(index);
+                              }}
+                              className="flex gap-2 mb-3"
+                            >
+                              <input
+                                type="text"
+                                value={manualQuery}
+                                onChange={(e) => setManualQuery(e.target.value)}
+                                className="flex-1 bg-[#121212] text-white text-sm rounded px-3 py-2 border border-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-600"
+                              />
+                              <Button type="submit" variant="secondary" size="sm" disabled={manualSearching} className="flex items-center gap-2">
+                                <Search size={14} />
+                                Search
+                              </Button>
+                            </form>
+                            {match.candidates.length === 0 ? (
+                              <p className="text-sm text-gray-400">No results. Try a different search.</p>
+                            ) : (
+                              <ul className="space-y-1">
+                                {match.candidates.map(candidate => (
+                                  <li key={candidate.track.id}>
+                                    <button
+                                      onClick={() => handleChoose(index, candidate)}
+                                      className={`w-full flex items-center justify-between gap-4 p-2 rounded text-left transition-colors ${
+                                        candidate.track.id === match.selected?.id ? 'bg-blue-600/20' : 'hover:bg-[#282828]'
+                                      }`}
+                                    >
+                                      <TrackSummary track={candidate.track} />
+                                      <ConfidenceBadge confidence={candidate.confidence} />
+                                    </button>
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                          </div>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+/**
+ * PÁGINA: IMPORT - IMPORTAR PLAYLISTS DE OTROS SERVICIOS
+ * =======================================================
+ * Página wrapper para la importación de playlists desde ficheros o texto.
+ * Ruta: /dashboard/import
+ *
+ * FUNCIONALIDAD:
+ * - Wrapper simple que renderiza ImportClient
+ * - Configurada con renderizado dinámico (force-dynamic)
+ * - Acepta CSV, M3U/M3U8 o líneas "Artista - Título" y empareja cada fila con Spotify
+ *
+ * CONFIGURACIÓN:
+ * - dynamic = 'force-dynamic': Fuerza renderizado en cada request
+ * - Los ficheros se leen en el navegador, no se suben al servidor
+ *
+ * REFERENCIAS:
+ * - Importa ImportClient desde ./ImportClient (src/app/dashboard/import/ImportClient.jsx)
+ *
+ * @returns {JSX.Element} - Componente ImportClient
+ */
+
+import ImportClient from './ImportClient';
+
+// Forzar renderizado dinámico para esta página
+export const dynamic = 'force-dynamic';
+
+export default function ImportPage() {
+  return <ImportClient />;
+}
@@ -0,0 +1,38 @@
+/**
+ * LAYOUT: DASHBOARD - ESTRUCTURA COMÚN DE LAS PÁGINAS DEL DASHBOARD
+ * ===================================================================
+ * Envuelve todas las rutas /dashboard/* y añade la barra de reproducción global.
+ *
+ * ESTRUCTURA:
+ * - Columna a pantalla completa (h-screen)
+ * - Arriba: la página (Sidebar + contenido), que ocupa el espacio restante (h-full)
+ * - Abajo: NowPlayingBar, visible solo cuando hay una canción cargada
+ * - Sobre la página, abajo a la derecha: OutboxIndicator, visible solo con cambios
+ *   pendientes de enviar a Spotify o sin conexión
+ *
+ * La barra vive en el layout y no en cada página para que la reproducción y los
+ * controles se mantengan al navegar entre páginas del dashboard.
+ *
+ * REFERENCIAS:
+ * - Importa NowPlayingBar desde @/components/layout/NowPlayingBar (src/components/layout/NowPlayingBar.jsx)
+ * - Importa OutboxIndicator desde @/components/layout/OutboxIndicator (src/components/layout/OutboxIndicator.jsx)
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - Página del dashboard
+ * @returns {JSX.Element}
+ */
+
+import NowPlayingBar from '@/components/layout/NowPlayingBar';
+import OutboxIndicator from '@/components/layout/OutboxIndicator';
+
+export default function DashboardLayout({ children }) {
+  return (
+    <div className="flex flex-col h-screen bg-black">
+      <div className="flex-1 min-h-0 relative">
+        {children}
+        <OutboxIndicator />
+      </div>
+      <NowPlayingBar />
+    </div>
+  );
+}
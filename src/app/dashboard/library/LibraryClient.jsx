@@ -1,24 +1,34 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { Library, Music, User, Disc, Clock } from 'lucide-react';
 import Sidebar from '@/components/layout/Sidebar';
 import TopBar from '@/components/layout/TopBar';
 import AlbumCard from '@/components/ui/AlbumCard';
 import FilterChips from '@/components/ui/FilterChips';
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import LoadMoreTrigger from '@/components/ui/LoadMoreTrigger';
 import PlaylistModal from '@/components/modals/PlaylistModal';
 import { useSpotify } from '@/hooks/useSpotify';
 
 /**
  * Cliente de Your Library - Biblioteca personal del usuario
+ *
+ * PAGINACIÓN:
+ * Playlists y álbumes se cargan por páginas con getPage(); el enlace 'next' de
+ * cada lista se guarda para pedir la siguiente página con LoadMoreTrigger.
+ * Los contadores usan el 'total' de Spotify, no solo lo ya cargado.
  */
 export default function LibraryClient() {
-  const { getUserProfile, getUserPlaylists, getUserTopArtists, getUserSavedAlbums } = useSpotify();
+  const { getUserProfile, getUserTopArtists, getPage } = useSpotify();
   const [user, setUser] = useState(null);
   const [playlists, setPlaylists] = useState([]);
   const [artists, setArtists] = useState([]);
   const [albums, setAlbums] = useState([]);
+  // Estado de paginación por lista: { next: string|null, total: number }
+  const [playlistsPaging, setPlaylistsPaging] = useState({ next: null, total: 0 });
+  const [albumsPaging, setAlbumsPaging] = useState({ next: null, total: 0 });
+  const [loadingMore, setLoadingMore] = useState(false);
   const [loading, setLoading] = useState(true);
   const [activeFilter, setActiveFilter] = useState('playlists');
   const [selectedPlaylistId, setSelectedPlaylistId] = useState(null);
@@ -30,17 +40,19 @@ export default function LibraryClient() {
         const profile = await getUserProfile();
         setUser(profile);
 
-        // Cargar playlists
-        const userPlaylists = await getUserPlaylists();
-        setPlaylists(userPlaylists || []);
+        // Cargar primera página de playlists
+        const playlistsPage = await getPage('/me/playlists', { limit: 50 });
+        setPlaylists(playlistsPage.items);
+        setPlaylistsPaging({ next: playlistsPage.next, total: playlistsPage.total });
 
         // Cargar artistas favoritos
         const topArtists = await getUserTopArtists(20);
         setArtists(topArtists || []);
 
-        // Cargar álbumes guardados
-        const savedAlbums = await getUserSavedAlbums();
-        setAlbums(savedAlbums || []);
+        // Cargar primera página de álbumes guardados
+        const albumsPage = await getPage('/me/albums', { limit: 50 });
+        setAlbums(albumsPage.items.map(item => item.album));
+        setAlbumsPaging({ next: albumsPage.next, total: albumsPage.total });
       } catch (error) {
         setPlaylists([]);
         setArtists([]);
@@ -51,7 +63,26 @@ export default function LibraryClient() {
     };
 
     loadLibraryData();
-  }, [getUserProfile, getUserPlaylists, getUserTopArtists, getUserSavedAlbums]);
+  }, [getUserProfile, getUserTopArtists, getPage]);
+
+  // Cargar la siguiente página de la lista activa
+  const handleLoadMore = useCallback(async () => {
+    if (loadingMore) return;
+
+    if (activeFilter === 'playlists' && playlistsPaging.next) {
+      setLoadingMore(true);
+      const page = await getPage(playlistsPaging.next);
+      setPlaylists(prev => [...prev, ...page.items]);
+      setPlaylistsPaging(prev => ({ next: page.next, total: page.total || prev.total }));
+      setLoadingMore(false);
+    } else if (activeFilter === 'albums' && albumsPaging.next) {
+      setLoadingMore(true);
+      const page = await getPage(albumsPaging.next);
+      setAlbums(prev => [...prev, ...page.items.map(item => item.album)]);
+      setAlbumsPaging(prev => ({ next: page.next, total: page.total || prev.total }));
+      setLoadingMore(false);
+    }
+  }, [activeFilter, playlistsPaging.next, albumsPaging.next, loadingMore, getPage]);
 
   const filters = [
     { id: 'playlists', label: 'Playlists', icon: Music },
@@ -70,11 +101,13 @@ export default function LibraryClient() {
 
     let items = [];
     let emptyMessage = '';
+    let paging = { next: null, total: 0 };
 
     switch (activeFilter) {
       case 'playlists':
         items = Array.isArray(playlists) ? playlists : [];
         emptyMessage = 'No playlists found. Create your first playlist!';
+        paging = playlistsPaging;
         break;
       case 'artists':
         items = Array.isArray(artists) ? artists : [];
@@ -83,6 +116,7 @@ export default function LibraryClient() {
       case 'albums':
         items = Array.isArray(albums) ? albums : [];
         emptyMessage = 'No albums saved. Save your favorite albums!';
+        paging = albumsPaging;
         break;
       default:
         items = [];
@@ -98,39 +132,48 @@ export default function LibraryClient() {
     }
 
     return (
-      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-4">
-        {Array.isArray(items) && items.map((item) => (
-          item && item.id ? (
-            <AlbumCard
-              key={item.id}
-              id={item.id}
-              name={item.name || 'Unknown'}
-              image={
-                item.images?.[0]?.url ||
-                item.album?.images?.[0]?.url ||
-                '/placeholder.png'
-              }
-              artist={
-                item.owner?.display_name ||
-                item.artists?.[0]?.name ||
-                item.type ||
-                'Unknown'
-              }
-              type={activeFilter === 'playlists' ? 'playlist' : (item.type || 'track')}
-              onClick={() => {
-                if (activeFilter === 'playlists') {
-                  setSelectedPlaylistId(item.id);
+      <>
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-4">
+          {Array.isArray(items) && items.map((item) => (
+            item && item.id ? (
+              <AlbumCard
+                key={item.id}
+                id={item.id}
+                name={item.name || 'Unknown'}
+                image={
+                  item.images?.[0]?.url ||
+                  item.album?.images?.[0]?.url ||
+                  '/placeholder.png'
                 }
-              }}
-            />
-          ) : null
-        ))}
-      </div>
+                artist={
+                  item.owner?.display_name ||
+                  item.artists?.[0]?.name ||
+                  item.type ||
+                  'Unknown'
+                }
+                type={activeFilter === 'playlists' ? 'playlist' : (item.type || 'track')}
+                onClick={() => {
+                  if (activeFilter === 'playlists') {
+                    setSelectedPlaylistId(item.id);
+                  }
+                }}
+              />
+            ) : null
+          ))}
+        </div>
+        <LoadMoreTrigger
+          onLoadMore={handleLoadMore}
+          hasMore={!!paging.next}
+          loading={loadingMore}
+          loaded={items.length}
+          total={paging.total}
+        />
+      </>
     );
   };
 
   return (
-    <div className="flex h-screen bg-black text-white overflow-hidden">
+    <div className="flex h-full bg-black text-white overflow-hidden">
       <Sidebar />
 
       <main className="flex-1 overflow-y-auto relative bg-black">
@@ -164,7 +207,7 @@ export default function LibraryClient() {
                 <div className="flex items-center gap-3">
                   <Music className="text-blue-600" size={24} />
                   <div>
-                    <p className="text-2xl font-bold text-white">{Array.isArray(playlists) ? playlists.length : 0}</p>
+                    <p className="text-2xl font-bold text-white">{playlistsPaging.total || (Array.isArray(playlists) ? playlists.length : 0)}</p>
                     <p className="text-sm text-gray-400">Playlists</p>
                   </div>
                 </div>
@@ -182,7 +225,7 @@ export default function LibraryClient() {
                 <div className="flex items-center gap-3">
                   <Disc className="text-purple-600" size={24} />
                   <div>
-                    <p className="text-2xl font-bold text-white">{Array.isArray(albums) ? albums.length : 0}</p>
+                    <p className="text-2xl font-bold text-white">{albumsPaging.total || (Array.isArray(albums) ? albums.length : 0)}</p>
                     <p className="text-sm text-gray-400">Albums</p>
                   </div>
                 </div>
@@ -119,7 +119,7 @@ export default function DashboardPage() {
   ];
 
   return (
-    <div className="flex h-screen bg-black text-white overflow-hidden">
+    <div className="flex h-full bg-black text-white overflow-hidden">
       {/* Sidebar Fija */}
       <Sidebar />
 
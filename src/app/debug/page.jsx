@@ -2,6 +2,7 @@
 
 import { useEffect, useState } from 'react';
 import { getAccessToken } from '@/lib/auth';
+import { spotifyRequest } from '@/lib/spotifyClient';
 import Button from '@/components/ui/Button';
 
 /**
@@ -22,20 +23,10 @@ export default function DebugPage() {
       isExpired: expiration ? Date.now() > parseInt(expiration) : true
     });
 
-    // Intentar decodificar scopes del token (si está disponible)
-    if (token) {
-      fetch('https://api.spotify.com/v1/me', {
-        headers: { 'Authorization': `Bearer ${token}` }
-      })
-        .then(res => {
-          if (res.ok) {
-            setScopes(['Token válido - permisos activos']);
-          } else {
-            setScopes([`Error: ${res.status} ${res.statusText}`]);
-          }
-        })
-        .catch(err => setScopes([`Error: ${err.message}`]));
-    }
+    // Comprobar el token contra la API (el cliente lo refresca si ha caducado)
+    spotifyRequest('/me')
+      .then(() => setScopes(['Token válido - permisos activos']))
+      .catch(err => setScopes([err.status ? `Error: ${err.status} ${err.message}` : `Error: ${err.message}`]));
   }, []);
 
   const clearLocalStorage = () => {
@@ -46,25 +37,15 @@ export default function DebugPage() {
   };
 
   const testLibraryAccess = async () => {
-    const token = getAccessToken();
-    if (!token) {
-      alert('No hay token disponible');
-      return;
-    }
-
     try {
-      const response = await fetch('https://api.spotify.com/v1/me/tracks?limit=1', {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
-
-      if (response.ok) {
-        alert('✅ Acceso a biblioteca exitoso! Los permisos están correctos.');
+      await spotifyRequest('/me/tracks', { query: { limit: 1 } });
+      alert('✅ Acceso a biblioteca exitoso! Los permisos están correctos.');
+    } catch (error) {
+      if (error.status) {
+        alert(`❌ Error ${error.status}: ${error.spotifyMessage || 'Permission denied'}\n\nNecesitas re-autenticarte con los nuevos permisos.`);
       } else {
-        const error = await response.json();
-        alert(`❌ Error ${response.status}: ${error.error?.message || 'Permission denied'}\n\nNecesitas re-autenticarte con los nuevos permisos.`);
+        alert(`❌ Error: ${error.message}`);
       }
-    } catch (error) {
-      alert(`❌ Error: ${error.message}`);
     }
   };
 
@@ -3,12 +3,22 @@
  * ==================================================================
  * Página pública para visualizar playlists compartidas mediante URL.
  * Permite a usuarios (con o sin login) ver las canciones de una playlist compartida.
+ * Las canciones se obtienen en el servidor (POST /api/shared-tracks, credenciales de la
+ * aplicación), así que la página funciona para visitantes sin cuenta.
  *
  * FUNCIONALIDAD:
- * - Carga playlist desde parámetros URL (tracks IDs y nombre)
+ * - Carga playlist desde parámetros URL (código compacto, ID corto o lista de IDs antigua)
  * - Visualiza lista completa de canciones
  * - Muestra portada generada, nombre y estadísticas
  * - Botón para ir al dashboard
+ * - Con sesión: "Save to my Spotify" crea la playlist con el nombre compartido y todas las
+ *   canciones en orden (bloques de 100)
+ * - Recuerda la importación por enlace (src/lib/sharedImports.js), también la que queda en la
+ *   cola sin conexión: al volver a abrir el enlace ofrece
+ *   "Update" (sustituye las canciones de la playlist importada) o "Save as new playlist"
+ * - Sin sesión: "Log in to save this playlist" hace login con Spotify, vuelve a esta
+ *   página con ?import=1 e importa la playlist automáticamente
+ * - Aviso de canciones no disponibles y resumen de canciones guardadas
  * - Manejo de errores (playlist inválida, fallo de carga)
  * - Estados de carga con spinner
  *
@@ -16,19 +26,24 @@
  * - Client Component con Suspense boundary
  * - Componente interno: SharedPlaylistContent (lógica principal)
  * - Componente exportado: SharedPlaylistPage (wrapper con Suspense)
- * - Estado local: playlist, playlistName, loading, error
+ * - Estado local: playlist, playlistName, unavailableCount, loggedIn, shareKey, previousImport, loading, error
+ * - Guardado en Spotify con useSavePlaylist (modo 'create')
  *
  * PARÁMETROS URL:
- * - tracks: String - IDs de tracks separados por comas (ej: "id1,id2,id3")
- * - name: String - Nombre codificado de la playlist
+ * - p: String - Código compacto con nombre e IDs (src/lib/shareCodec.js)
+ * - s: String - ID corto de un código guardado en el servidor (GET /api/share/[id])
+ * - tracks + name: Formato antiguo, IDs separados por comas y nombre codificado
  *
- * EJEMPLO DE URL:
+ * EJEMPLOS DE URL:
+ * /shared-playlist?p=AQEL...
+ * /shared-playlist?s=Ab3dE9xZ
  * /shared-playlist?tracks=3n3Ppam7vgaVa1iaRUc9Lp,7qiZfU4dY1lWllzX7mPBI&name=My%20Awesome%20Playlist
  *
  * FLUJO DE CARGA:
  * 1. Página se monta, lee searchParams
- * 2. Extrae trackIds y nombre de los parámetros
- * 3. Llama a getTracksByIds() para obtener datos completos
+ * 2. Obtiene trackIds y nombre: decodifica ?p=, descarga y decodifica ?s= o lee ?tracks=&name=
+ * 3. Llama a /api/shared-tracks para obtener datos completos (sin token de usuario, en bloques
+ *    de 1000 IDs y esperando el Retry-After si el servidor responde 429)
  * 4. Renderiza playlist con TrackCards
  * 5. Si falla: muestra pantalla de error
  *
@@ -39,21 +54,26 @@
  *
  * DEPENDENCIAS DE REACT:
  * - useState: Estado local del componente
- * - useEffect: Carga de datos desde URL
+ * - useEffect: Carga de datos desde URL (e importación al volver del login)
+ * - useRef: Evita importar dos veces
+ * - useCallback: Memoización de la importación (usada también por el efecto)
  * - Suspense: Boundary para loading states
  *
  * DEPENDENCIAS DE NEXT.JS:
  * - useSearchParams: Leer parámetros de query string
- * - useRouter: Navegación al dashboard
+ * - useRouter: Navegación al dashboard y limpieza de ?import=1
  *
  * DEPENDENCIAS DE LUCIDE:
- * - Music, Home, Heart: Iconos de la UI
+ * - Music, Home, Heart, LogIn, Check, RefreshCw: Iconos de la UI
  *
  * REFERENCIAS:
  * - Importa TrackCard desde @/components/playlist/TrackCard (src/components/playlist/TrackCard.jsx)
  * - Importa Button desde @/components/ui/Button (src/components/ui/Button.jsx)
  * - Importa LoadingSpinner desde @/components/ui/LoadingSpinner (src/components/ui/LoadingSpinner.jsx)
- * - Importa useSpotify desde @/hooks/useSpotify (src/hooks/useSpotify.jsx)
+ * - Importa useSavePlaylist desde @/hooks/useSavePlaylist (src/hooks/useSavePlaylist.jsx)
+ * - Importa isAuthenticated, getSpotifyAuthUrl y setPostLoginRedirect desde @/lib/auth (src/lib/auth.js)
+ * - Importa getShareKey, getSharedImport y rememberSharedImport desde @/lib/sharedImports (src/lib/sharedImports.js)
+ * - Importa decodeShareCode desde @/lib/shareCodec (src/lib/shareCodec.js)
  *
  * GENERACIÓN DE URL:
  * - Esta URL se genera en: src/components/modals/SharePlaylistModal.jsx
@@ -62,7 +82,7 @@
  * UTILIZADO EN:
  * - Ruta: /shared-playlist?tracks=...&name=...
  * - Compartido por: SharePlaylistModal
- * - Accesible: Públicamente (requiere Spotify login para reproducir)
+ * - Accesible: Públicamente (el login solo hace falta para guardar la playlist)
  *
  * CARACTERÍSTICAS VISUALES:
  * - Header con gradiente azul/morado
@@ -76,13 +96,98 @@
 
 'use client';
 
-import { useState, useEffect, Suspense } from 'react';
+import { useState, useEffect, useRef, useCallback, Suspense } from 'react';
 import { useSearchParams, useRouter } from 'next/navigation';
-import { Music, Home, Heart } from 'lucide-react';
+import { Music, Home, Heart, LogIn, Check, RefreshCw } from 'lucide-react';
 import TrackCard from '@/components/playlist/TrackCard';
 import Button from '@/components/ui/Button';
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
-import { useSpotify } from '@/hooks/useSpotify';
+import { useSavePlaylist } from '@/hooks/useSavePlaylist';
+import { decodeShareCode } from '@/lib/shareCodec';
+import { isAuthenticated, getSpotifyAuthUrl, setPostLoginRedirect } from '@/lib/auth';
+import { getShareKey, getSharedImport, rememberSharedImport } from '@/lib/sharedImports';
+
+// Descripción de las playlists importadas desde un enlace compartido
+const SHARED_IMPORT_DESCRIPTION = 'Imported from a shared MusicStream playlist';
+
+// IDs por petición a /api/shared-tracks (su MAX_TRACK_IDS)
+const SHARED_TRACKS_BATCH = 1000;
+// Reintentos de un bloque cuando el servidor responde 429 (y espera máxima en segundos)
+const MAX_RATE_LIMIT_RETRIES = 3;
+const MAX_RATE_LIMIT_WAIT = 60;
+
+/**
+ * Metadatos de las canciones desde el servidor (no necesita sesión de Spotify)
+ *
+ * Se piden en bloques de SHARED_TRACKS_BATCH; si el servidor responde 429 se espera
+ * el Retry-After indicado y se reintenta el bloque.
+ *
+ * @returns {Promise<Array<Object|null>>} - Mismo orden que trackIds; null si no está disponible
+ */
+async function fetchSharedTracks(trackIds) {
+  const tracks = [];
+
+  for (let i = 0; i < trackIds.length; i += SHARED_TRACKS_BATCH) {
+    const ids = trackIds.slice(i, i + SHARED_TRACKS_BATCH);
+
+    for (let attempt = 0; ; attempt++) {
+      const response = await fetch('/api/shared-tracks', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids })
+      });
+
+      const retryAfter = Number(response.headers.get('Retry-After')) || 1;
+      if (response.status === 429 && attempt < MAX_RATE_LIMIT_RETRIES && retryAfter <= MAX_RATE_LIMIT_WAIT) {
+        await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+        continue;
+      }
+      if (!response.ok) {
+        throw new Error('Failed to load playlist');
+      }
+
+      const data = await response.json();
+      tracks.push(...ids.map((id, index) => data.tracks?.[index] ?? null));
+      break;
+    }
+  }
+
+  return tracks;
+}
+
+/**
+ * Obtiene nombre e IDs de la URL en cualquiera de sus formatos
+ *
+ * @returns {Promise<Object|null>} - { name, trackIds, key } o null si no hay parámetros
+ *   (key: clave del enlace para src/lib/sharedImports.js)
+ * @throws {Error} - Código dañado o enlace inexistente
+ */
+async function readSharedPlaylistParams(searchParams) {
+  const code = searchParams.get('p');
+  if (code) {
+    return { ...(await decodeShareCode(code)), key: getShareKey({ code }) };
+  }
+
+  const shortId = searchParams.get('s');
+  if (shortId) {
+    const response = await fetch(`/api/share/${encodeURIComponent(shortId)}`);
+    if (!response.ok) {
+      throw new Error(response.status === 404 ? 'This share link does not exist' : 'Failed to load playlist');
+    }
+    const share = await response.json();
+    return { ...(await decodeShareCode(share.code)), key: getShareKey({ shortId }) };
+  }
+
+  // Formato antiguo: ?tracks=id1,id2&name=...
+  const trackIds = searchParams.get('tracks');
+  if (!trackIds) return null;
+  const name = decodeURIComponent(searchParams.get('name') || 'Shared Playlist');
+  return {
+    name,
+    trackIds: trackIds.split(','),
+    key: getShareKey({ name, trackIds: trackIds.split(',') })
+  };
+}
 
 /**
  * SharedPlaylistContent - Componente interno con lógica de playlist compartida
@@ -96,46 +201,117 @@ import { useSpotify } from '@/hooks/useSpotify';
 function SharedPlaylistContent() {
   const searchParams = useSearchParams();
   const router = useRouter();
-  const { getTracksByIds } = useSpotify();
+  const { saving, savedPlaylist, error: saveError, savePlaylist } = useSavePlaylist();
 
   const [playlist, setPlaylist] = useState([]);
   const [playlistName, setPlaylistName] = useState('');
+  const [unavailableCount, setUnavailableCount] = useState(0);
+  const [loggedIn, setLoggedIn] = useState(false);
+  // Clave de la playlist compartida e importación previa a la cuenta del usuario (si la hay)
+  const [shareKey, setShareKey] = useState(null);
+  const [previousImport, setPreviousImport] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Evita importar dos veces al volver del login (el efecto puede ejecutarse de nuevo)
+  const importStartedRef = useRef(false);
+
+  /**
+   * Guarda la playlist en Spotify: crea una nueva o, con target, sustituye las canciones
+   * de la importada anteriormente (en orden y en bloques de 100, ver useSavePlaylist)
+   */
+  const importSharedPlaylist = useCallback(async (tracks, { name, key, target }) => {
+    const saved = await savePlaylist(tracks, target
+      ? { mode: 'overwrite', target }
+      : { mode: 'create', name, description: SHARED_IMPORT_DESCRIPTION });
+
+    // Creada sin conexión: se recuerda con el id provisional (sharedImports lo traduce al real)
+    if (saved) {
+      setPreviousImport(rememberSharedImport(key, saved));
+    }
+    return saved;
+  }, [savePlaylist]);
 
   useEffect(() => {
     const loadSharedPlaylist = async () => {
       try {
-        const trackIds = searchParams.get('tracks');
-        const name = searchParams.get('name');
+        const shared = await readSharedPlaylistParams(searchParams);
 
-        if (!trackIds) {
+        if (!shared || shared.trackIds.length === 0) {
           setError('Invalid playlist link');
           setLoading(false);
           return;
         }
 
-        const trackIdArray = trackIds.split(',');
-        setPlaylistName(decodeURIComponent(name || 'Shared Playlist'));
+        const name = shared.name || 'Shared Playlist';
+        setPlaylistName(name);
 
-        // Obtener información de las canciones
-        const tracks = await getTracksByIds(trackIdArray);
+        // Obtener información de las canciones (sin sesión, con el token de la aplicación)
+        const tracks = await fetchSharedTracks(shared.trackIds);
+        // Solo se pueden guardar canciones con URI (las no disponibles llegan como null)
+        const available = tracks.filter((track) => track?.uri);
+        const authenticated = isAuthenticated();
+        const key = shared.key;
+        const existingImport = getSharedImport(key);
+        setLoggedIn(authenticated);
+        setShareKey(key);
+        setPreviousImport(existingImport);
 
-        if (tracks && tracks.length > 0) {
-          setPlaylist(tracks);
+        if (available.length > 0) {
+          setPlaylist(available);
+          setUnavailableCount(tracks.length - available.length);
         } else {
           setError('Failed to load playlist');
         }
 
         setLoading(false);
+
+        // De vuelta del login con "Log in to save this playlist": importar automáticamente.
+        // Si ya se importó antes no se crea un duplicado: se muestran las opciones de actualizar o copiar
+        if (searchParams.get('import') === '1' && authenticated && available.length > 0 && !importStartedRef.current) {
+          importStartedRef.current = true;
+          if (!existingImport) {
+            await importSharedPlaylist(available, { name, key });
+          }
+
+          // Quitar ?import=1 para que recargar la página no vuelva a importar
+          const params = new URLSearchParams(searchParams.toString());
+          params.delete('import');
+          router.replace(`/shared-playlist?${params.toString()}`);
+        }
       } catch (err) {
-        setError('Failed to load playlist');
+        // Los errores del código (ShareCodeError) y del enlace corto ya traen un mensaje legible
+        setError(err.message || 'Failed to load playlist');
         setLoading(false);
       }
     };
 
     loadSharedPlaylist();
-  }, [searchParams, getTracksByIds]);
+  }, [searchParams, router, importSharedPlaylist]);
+
+  // Guardar en la cuenta del usuario como playlist nueva (primera importación o copia)
+  const handleSaveToSpotify = () => {
+    importSharedPlaylist(playlist, { name: playlistName, key: shareKey });
+  };
+
+  // Actualizar la playlist importada anteriormente con esta versión
+  const handleUpdateImport = () => {
+    importSharedPlaylist(playlist, {
+      key: shareKey,
+      target: {
+        id: previousImport.playlistId,
+        name: previousImport.name,
+        external_urls: { spotify: previousImport.url }
+      }
+    });
+  };
+
+  // Sin sesión: login con Spotify y volver a esta página para importar
+  const handleLoginToSave = () => {
+    const params = new URLSearchParams(searchParams.toString());
+    params.set('import', '1');
+    setPostLoginRedirect(`/shared-playlist?${params.toString()}`);
+    window.location.href = getSpotifyAuthUrl();
+  };
 
   if (loading) {
     return (
@@ -200,7 +376,55 @@ function SharedPlaylistContent() {
 
       {/* Actions */}
       <div className="max-w-6xl mx-auto px-6 py-6">
-        <div className="flex items-center gap-4 mb-8">
+        <div className="flex flex-wrap items-center gap-4 mb-4">
+          {savedPlaylist ? (
+            <a
+              href={savedPlaylist.url || undefined}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="flex items-center gap-2 bg-green-600 hover:bg-green-500 text-white font-semibold px-6 py-3 rounded-full transition-colors"
+            >
+              <Check size={18} />
+              {savedPlaylist.queued
+                ? 'Queued · Sent to Spotify when the connection is back'
+                : `${savedPlaylist.mode === 'overwrite' ? 'Updated' : 'Saved'} · Open in Spotify`}
+            </a>
+          ) : loggedIn && previousImport ? (
+            <>
+              <Button
+                onClick={handleUpdateImport}
+                disabled={saving}
+                className="flex items-center gap-2"
+              >
+                <RefreshCw size={18} />
+                {saving ? 'Saving...' : `Update "${previousImport.name}"`}
+              </Button>
+              <Button
+                onClick={handleSaveToSpotify}
+                disabled={saving}
+                variant="outline"
+              >
+                Save as new playlist
+              </Button>
+            </>
+          ) : loggedIn ? (
+            <Button
+              onClick={handleSaveToSpotify}
+              disabled={saving}
+              className="flex items-center gap-2"
+            >
+              <Heart size={18} />
+              {saving ? 'Saving...' : 'Save to my Spotify'}
+            </Button>
+          ) : (
+            <Button
+              onClick={handleLoginToSave}
+              className="flex items-center gap-2"
+            >
+              <LogIn size={18} />
+              Log in to save this playlist
+            </Button>
+          )}
           <Button
             onClick={() => router.push('/dashboard')}
             variant="secondary"
@@ -211,6 +435,27 @@ function SharedPlaylistContent() {
           </Button>
         </div>
 
+        {/* Avisos de guardado y canciones no disponibles */}
+        <div className="mb-8 space-y-1 text-sm">
+          {saveError && <p className="text-red-400">{saveError}</p>}
+          {loggedIn && previousImport && !savedPlaylist && (
+            <p className="text-gray-400">
+              You {previousImport.queued ? 'queued' : 'saved'} this playlist on {new Date(previousImport.importedAt).toLocaleDateString()}.
+              Updating replaces the songs of &quot;{previousImport.name}&quot; with this version.
+            </p>
+          )}
+          {savedPlaylist && (
+            <p className="text-gray-400">
+              {savedPlaylist.trackCount} of {playlist.length + unavailableCount} songs {savedPlaylist.queued ? 'queued for' : 'saved to'} &quot;{savedPlaylist.name}&quot;.
+            </p>
+          )}
+          {unavailableCount > 0 && (
+            <p className="text-yellow-400">
+              {unavailableCount} {unavailableCount === 1 ? 'song is' : 'songs are'} no longer available on Spotify.
+            </p>
+          )}
+        </div>
+
         {/* Track List */}
         <div className="bg-[#181818] rounded-xl p-6">
           {/* Header */}
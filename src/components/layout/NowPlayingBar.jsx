@@ -0,0 +1,304 @@
+'use client';
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Play, Pause, SkipBack, SkipForward, Shuffle, Repeat, Repeat1, Volume, Volume1, Volume2, VolumeX, Music, Heart, SlidersHorizontal } from 'lucide-react';
+import { useAudioPlayerContext, useAudioProgress } from '@/contexts/AudioPlayerContext';
+import { useFavorites } from '@/hooks/useFavorites';
+import { usePlayerShortcuts } from '@/hooks/usePlayerShortcuts';
+import { isWebAudioSupported } from '@/lib/audioEngine';
+import { MAX_CROSSFADE_SECONDS } from '@/lib/playerSettings';
+
+/**
+ * COMPONENTE: NOW PLAYING BAR - BARRA DE REPRODUCCIÓN GLOBAL
+ * ===========================================================
+ * Barra fija en la parte inferior del dashboard con la canción que está sonando
+ * y los controles del reproductor. Solo se muestra cuando hay una canción cargada.
+ *
+ * FUNCIONALIDAD:
+ * - Carátula, título y artistas de la canción actual, con botón de like
+ * - Controles: shuffle, anterior, play/pause, siguiente, repeat (off → all → one)
+ * - Barra de progreso con seek, tiempo transcurrido y tiempo restante
+ * - Volumen (slider) y silencio; ambos se guardan en localStorage
+ * - Atajos de teclado (usePlayerShortcuts): espacio, flechas, M (silencio), L (like)
+ * - Ajustes de reproducción (PlaybackSettings): duración del crossfade y normalización de volumen
+ *
+ * ARQUITECTURA:
+ * - Todo el estado viene de AudioPlayerContext (no tiene estado propio)
+ * - ProgressBar lee useAudioProgress por separado: es lo único que se vuelve a
+ *   renderizar con cada 'timeupdate'
+ * - PlaybackSettings tiene su propio estado (desplegable abierto); los ajustes
+ *   viven en el reproductor y se guardan en localStorage
+ *
+ * DEPENDENCIAS DE LUCIDE:
+ * - Play, Pause, SkipBack, SkipForward, Shuffle, Repeat, Repeat1: Controles
+ * - Volume, Volume1, Volume2, VolumeX: Icono de volumen según nivel / silencio
+ * - Music: Placeholder sin carátula
+ * - Heart: Like de la canción actual
+ * - SlidersHorizontal: Ajustes de reproducción
+ *
+ * REFERENCIAS:
+ * - Importa useAudioPlayerContext y useAudioProgress desde @/contexts/AudioPlayerContext (src/contexts/AudioPlayerContext.jsx)
+ * - Importa useFavorites desde @/hooks/useFavorites (src/hooks/useFavorites.jsx)
+ * - Importa usePlayerShortcuts desde @/hooks/usePlayerShortcuts (src/hooks/usePlayerShortcuts.jsx)
+ * - Importa isWebAudioSupported desde @/lib/audioEngine (src/lib/audioEngine.js)
+ * - Importa MAX_CROSSFADE_SECONDS desde @/lib/playerSettings (src/lib/playerSettings.js)
+ *
+ * UTILIZADO EN:
+ * - src/app/dashboard/layout.jsx (todas las páginas del dashboard)
+ *
+ * @returns {JSX.Element|null} Barra de reproducción o null si no hay canción
+ */
+export default function NowPlayingBar() {
+  const {
+    currentTrack,
+    isPlaying,
+    play,
+    next,
+    previous,
+    hasNext,
+    shuffle,
+    toggleShuffle,
+    repeat,
+    cycleRepeat,
+    volume,
+    muted,
+    setVolume,
+    toggleMute,
+  } = useAudioPlayerContext();
+  const { isFavorite, toggleFavorite } = useFavorites();
+
+  const handleLike = useCallback(() => {
+    if (currentTrack) toggleFavorite(currentTrack);
+  }, [currentTrack, toggleFavorite]);
+
+  usePlayerShortcuts({ onLike: handleLike });
+
+  if (!currentTrack) return null;
+
+  const isFav = isFavorite(currentTrack.id);
+
+  const images = currentTrack.album?.images || [];
+  const artwork = images[images.length - 1]?.url;
+  const VolumeIcon = muted || volume === 0 ? VolumeX : volume < 0.34 ? Volume : volume < 0.67 ? Volume1 : Volume2;
+  const RepeatIcon = repeat === 'one' ? Repeat1 : Repeat;
+
+  return (
+    <div className="h-20 flex-shrink-0 bg-[#181818] border-t border-[#282828] px-4 grid grid-cols-[1fr_2fr_1fr] items-center gap-4 text-white">
+      {/* Canción actual */}
+      <div className="flex items-center gap-3 min-w-0">
+        <div className="w-14 h-14 rounded bg-[#282828] overflow-hidden flex-shrink-0">
+          {artwork ? (
+            <img src={artwork} alt={currentTrack.album?.name || currentTrack.name} className="w-full h-full object-cover" />
+          ) : (
+            <div className="w-full h-full flex items-center justify-center">
+              <Music size={20} className="text-gray-500" />
+            </div>
+          )}
+        </div>
+        <div className="min-w-0">
+          <p className="text-sm font-medium truncate">{currentTrack.name}</p>
+          <p className="text-xs text-gray-400 truncate">
+            {currentTrack.artists?.map((artist) => artist.name).join(', ')}
+          </p>
+        </div>
+        <button
+          onClick={handleLike}
+          className={`flex-shrink-0 transition-colors ${isFav ? 'text-blue-500 hover:text-blue-400' : 'text-gray-400 hover:text-white'}`}
+          title={isFav ? 'Remove from Liked Songs (L)' : 'Save to Liked Songs (L)'}
+        >
+          <Heart size={16} fill={isFav ? 'currentColor' : 'none'} />
+        </button>
+      </div>
+
+      {/* Controles y progreso */}
+      <div className="flex flex-col items-center gap-1 min-w-0">
+        <div className="flex items-center gap-5">
+          <button
+            onClick={toggleShuffle}
+            className={`transition-colors ${shuffle ? 'text-blue-500 hover:text-blue-400' : 'text-gray-400 hover:text-white'}`}
+            title={shuffle ? 'Disable shuffle' : 'Enable shuffle'}
+          >
+            <Shuffle size={16} />
+          </button>
+          <button
+            onClick={previous}
+            className="text-gray-400 hover:text-white transition-colors"
+            title="Previous (Shift+←)"
+          >
+            <SkipBack size={18} fill="currentColor" />
+          </button>
+          <button
+            onClick={() => play(currentTrack)}
+            className="w-8 h-8 rounded-full bg-white text-black flex items-center justify-center hover:scale-105 transition-transform"
+            title={isPlaying ? 'Pause (Space)' : 'Play (Space)'}
+          >
+            {isPlaying ? <Pause size={16} fill="currentColor" /> : <Play size={16} fill="currentColor" className="ml-0.5" />}
+          </button>
+          <button
+            onClick={next}
+            disabled={!hasNext}
+            className="text-gray-400 hover:text-white transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+            title="Next (Shift+→)"
+          >
+            <SkipForward size={18} fill="currentColor" />
+          </button>
+          <button
+            onClick={cycleRepeat}
+            className={`transition-colors ${repeat !== 'off' ? 'text-blue-500 hover:text-blue-400' : 'text-gray-400 hover:text-white'}`}
+            title={repeat === 'off' ? 'Repeat all' : repeat === 'all' ? 'Repeat one' : 'Disable repeat'}
+          >
+            <RepeatIcon size={16} />
+          </button>
+        </div>
+        <ProgressBar />
+      </div>
+
+      {/* Ajustes y volumen */}
+      <div className="flex items-center justify-end gap-2">
+        <PlaybackSettings />
+        <button
+          onClick={toggleMute}
+          className="text-gray-400 hover:text-white transition-colors"
+          title={muted ? 'Unmute (M)' : 'Mute (M)'}
+        >
+          <VolumeIcon size={18} />
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={1}
+          step={0.01}
+          value={muted ? 0 : volume}
+          onChange={(e) => setVolume(Number(e.target.value))}
+          className="w-24 accent-blue-500 cursor-pointer"
+          aria-label="Volume"
+        />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Segundos → m:ss
+ */
+function formatTime(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Barra de progreso con seek y tiempos transcurrido / restante
+ */
+function ProgressBar() {
+  const { seek } = useAudioPlayerContext();
+  const { currentTime, duration } = useAudioProgress();
+
+  return (
+    <div className="w-full max-w-xl flex items-center gap-2 text-xs text-gray-400">
+      <span className="w-10 text-right tabular-nums">{formatTime(currentTime)}</span>
+      <input
+        type="range"
+        min={0}
+        max={duration || 0}
+        step={0.1}
+        value={Math.min(currentTime, duration || 0)}
+        onChange={(e) => seek(Number(e.target.value))}
+        disabled={!duration}
+        className="flex-1 accent-blue-500 cursor-pointer disabled:cursor-default"
+        aria-label="Seek"
+      />
+      <span className="w-10 tabular-nums">-{formatTime(duration - currentTime)}</span>
+    </div>
+  );
+}
+
+/**
+ * Botón con desplegable de ajustes de reproducción: crossfade y normalización
+ *
+ * Sin Web Audio los controles se desactivan (el motor usa un único Audio sin crossfade).
+ * Se cierra al hacer clic fuera o con Escape.
+ */
+function PlaybackSettings() {
+  const { crossfade, normalize, setCrossfade, setNormalize } = useAudioPlayerContext();
+  const [open, setOpen] = useState(false);
+  const [supported, setSupported] = useState(true);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    const handleEscape = (event) => {
+      if (event.key === 'Escape') {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    document.addEventListener('keydown', handleEscape);
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.removeEventListener('keydown', handleEscape);
+    };
+  }, [open]);
+
+  const handleToggle = () => {
+    setSupported(isWebAudioSupported());
+    setOpen(prev => !prev);
+  };
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={handleToggle}
+        className={`transition-colors ${open ? 'text-white' : 'text-gray-400 hover:text-white'}`}
+        title="Playback settings"
+      >
+        <SlidersHorizontal size={16} />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 bottom-full mb-3 w-64 bg-[#282828] rounded-lg shadow-xl border border-gray-700 p-4 z-50 text-sm">
+          <div className="flex items-center justify-between mb-2">
+            <label htmlFor="player-crossfade" className="text-white font-medium">Crossfade</label>
+            <span className="text-gray-400 tabular-nums">{crossfade > 0 ? `${crossfade}s` : 'Off'}</span>
+          </div>
+          <input
+            id="player-crossfade"
+            type="range"
+            min={0}
+            max={MAX_CROSSFADE_SECONDS}
+            step={1}
+            value={crossfade}
+            onChange={(e) => setCrossfade(Number(e.target.value))}
+            disabled={!supported}
+            className="w-full accent-blue-500 cursor-pointer disabled:cursor-not-allowed"
+          />
+
+          <label className={`flex items-center justify-between mt-4 ${supported ? 'cursor-pointer' : 'cursor-not-allowed'}`}>
+            <span className="text-white font-medium">Normalize volume</span>
+            <input
+              type="checkbox"
+              checked={normalize}
+              onChange={(e) => setNormalize(e.target.checked)}
+              disabled={!supported}
+              className="accent-blue-500"
+            />
+          </label>
+
+          {!supported && (
+            <p className="mt-3 text-xs text-gray-400">
+              Your browser does not support Web Audio, so songs switch without crossfade.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { CloudOff, CloudUpload, AlertCircle, RefreshCw, Trash2 } from 'lucide-react';
+import { useOutbox } from '@/hooks/useOutbox';
+
+/**
+ * COMPONENTE: OutboxIndicator - Cambios pendientes de enviar a Spotify
+ * =====================================================================
+ * Indicador flotante que aparece cuando hay cambios sin confirmar por Spotify
+ * (playlists, Liked Songs) o cuando el navegador está sin conexión.
+ *
+ * FUNCIONALIDAD:
+ * - Resumen: "Offline", "N pending" y/o "N failed"
+ * - Al pulsarlo, lista los cambios en orden con su estado y el error de Spotify
+ * - Reintentar o descartar cada cambio, y reintentar todos los fallidos
+ * - Se cierra con click fuera o Escape
+ *
+ * DEPENDENCIAS DE REACT:
+ * - useState: Panel abierto / cerrado
+ * - useEffect: Click fuera y Escape mientras está abierto
+ * - useRef: Contenedor para detectar clicks fuera
+ *
+ * DEPENDENCIAS DE LUCIDE:
+ * - CloudOff: Sin conexión
+ * - CloudUpload: Cambios pendientes
+ * - AlertCircle: Cambios fallidos
+ * - RefreshCw: Reintentar (gira mientras se envía la cola)
+ * - Trash2: Descartar
+ *
+ * REFERENCIAS:
+ * - Importa useOutbox desde @/hooks/useOutbox (src/hooks/useOutbox.jsx)
+ *
+ * UTILIZADO EN:
+ * - src/app/dashboard/layout.jsx (visible en todo el dashboard)
+ *
+ * @returns {JSX.Element|null} Indicador, o null si no hay nada pendiente y hay conexión
+ */
+export default function OutboxIndicator() {
+  const { items, pendingCount, failedCount, online, flushing, retry, retryAll, discard } = useOutbox();
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    const handleEscape = (event) => {
+      if (event.key === 'Escape') {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    document.addEventListener('keydown', handleEscape);
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.removeEventListener('keydown', handleEscape);
+    };
+  }, [open]);
+
+  if (online && items.length === 0) return null;
+
+  const Icon = !online ? CloudOff : failedCount > 0 ? AlertCircle : CloudUpload;
+  const summary = [
+    !online && 'Offline',
+    pendingCount > 0 && `${pendingCount} pending`,
+    failedCount > 0 && `${failedCount} failed`
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <div ref={containerRef} className="absolute bottom-4 right-4 z-40">
+      {open && (
+        <div className="absolute right-0 bottom-full mb-3 w-80 bg-[#282828] rounded-lg shadow-xl border border-gray-700 text-sm">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-700">
+            <span className="text-white font-medium">Changes waiting for Spotify</span>
+            {failedCount > 0 && online && (
+              <button
+                onClick={retryAll}
+                className="flex items-center gap-1 text-gray-400 hover:text-white transition-colors"
+              >
+                <RefreshCw size={14} />
+                Retry all
+              </button>
+            )}
+          </div>
+
+          {!online && (
+            <p className="px-4 pt-3 text-xs text-gray-400">
+              You are offline. Your changes are saved on this device and will be sent in order when you reconnect.
+            </p>
+          )}
+
+          {items.length === 0 ? (
+            <p className="px-4 py-3 text-gray-400">Nothing pending.</p>
+          ) : (
+            <ul className="max-h-72 overflow-y-auto py-2">
+              {items.map(item => (
+                <li key={item.key} className="flex items-start gap-3 px-4 py-2">
+                  <div className="min-w-0 flex-1">
+                    <p className="text-white truncate" title={item.label}>{item.label}</p>
+                    <p className={`text-xs truncate ${item.status === 'failed' ? 'text-red-400' : 'text-gray-400'}`} title={item.error || undefined}>
+                      {item.status === 'failed'
+                        ? item.error || 'Failed'
+                        : item.status === 'sending' ? 'Sending...'
+                          : item.status === 'unknown' ? 'Interrupted · checking Spotify before retrying'
+                            : item.error ? `Waiting to retry · ${item.error}` : 'Pending'}
+                    </p>
+                  </div>
+                  {item.status === 'failed' && (
+                    <button
+                      onClick={() => retry(item.key)}
+                      className="text-gray-400 hover:text-white transition-colors flex-shrink-0 mt-0.5"
+                      title="Retry"
+                    >
+                      <RefreshCw size={14} />
+                    </button>
+                  )}
+                  {item.status !== 'sending' && (
+                    <button
+                      onClick={() => discard(item.key)}
+                      className="text-gray-400 hover:text-red-400 transition-colors flex-shrink-0 mt-0.5"
+                      title="Discard"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className={`flex items-center gap-2 px-4 py-2 rounded-full shadow-lg text-sm font-medium transition-colors ${
+          failedCount > 0
+            ? 'bg-red-600 hover:bg-red-500 text-white'
+            : 'bg-[#282828] hover:bg-[#333] text-white border border-gray-700'
+        }`}
+      >
+        {flushing ? <RefreshCw size={16} className="animate-spin" /> : <Icon size={16} />}
+        {summary || 'Syncing'}
+      </button>
+    </div>
+  );
+}
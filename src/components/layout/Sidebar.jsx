@@ -6,7 +6,7 @@
  *
  * FUNCIONALIDAD:
  * - Logo y nombre de la aplicación (MusicStream)
- * - Navegación principal: Home, Generate Playlist, Explore, Library, Liked Songs
+ * - Navegación principal: Home, Generate Playlist, History, Import, Explore, Library, Liked Songs
  * - Botón para crear nuevas playlists (abre modal)
  * - Botón de Logout (limpia sesión y redirige al login)
  * - Resaltado visual de la ruta activa
@@ -24,11 +24,12 @@
  * - usePathname, useRouter: Hooks de navegación
  *
  * DEPENDENCIAS DE LUCIDE:
- * - Music, Home, Compass, Heart, PlusCircle, Library, Sparkles, LogOut: Iconos del menú
+ * - Music, Home, Compass, Heart, PlusCircle, Library, Sparkles, History, FileUp, LogOut: Iconos del menú
  *
  * REFERENCIAS:
  * - Importa useSpotify desde @/hooks/useSpotify (src/hooks/useSpotify.jsx)
  * - Importa CreatePlaylistModal desde @/components/ui/CreatePlaylistModal (src/components/ui/CreatePlaylistModal.jsx)
+ * - Importa clearOutbox desde @/lib/mutationOutbox (src/lib/mutationOutbox.js)
  *
  * UTILIZADO EN:
  * - src/app/layout.js (layout principal de la aplicación)
@@ -47,8 +48,10 @@
  *    - spotify_access_token
  *    - spotify_refresh_token
  *    - spotify_token_expiry
- *    - favorite_tracks
- * 3. Redirige al usuario a /login
+ *    - favorite_tracks, favorite_sync_queue, favorite_sync_meta
+ *    - shared_playlist_imports (playlists compartidas importadas por este usuario)
+ * 3. Vacía la cola de cambios sin enviar (clearOutbox)
+ * 4. Redirige al usuario a /login
  *
  * @returns {JSX.Element} - Barra lateral de navegación
  */
@@ -56,11 +59,12 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { Music, Home, Compass, Heart, PlusCircle, Library, Sparkles, LogOut } from 'lucide-react';
+import { Music, Home, Compass, Heart, PlusCircle, Library, Sparkles, History, FileUp, LogOut } from 'lucide-react';
 import Link from 'next/link';
 import { usePathname, useRouter } from 'next/navigation';
 import { useSpotify } from '@/hooks/useSpotify';
 import CreatePlaylistModal from '@/components/ui/CreatePlaylistModal';
+import { clearOutbox } from '@/lib/mutationOutbox';
 export default function Sidebar() {
   const pathname = usePathname();
   const router = useRouter();
@@ -92,6 +96,8 @@ export default function Sidebar() {
   const navItems = [
     { icon: Home, label: 'Home', href: '/dashboard' },
     { icon: Sparkles, label: 'Generate Playlist', href: '/dashboard/generate-playlist' },
+    { icon: History, label: 'History', href: '/dashboard/history' },
+    { icon: FileUp, label: 'Import', href: '/dashboard/import' },
     { icon: Compass, label: 'Explore', href: '/dashboard/explore' },
     { icon: Library, label: 'Your Library', href: '/dashboard/library' },
     { icon: Heart, label: 'Liked Songs', href: '/dashboard/favorites' },
@@ -103,13 +109,18 @@ export default function Sidebar() {
     localStorage.removeItem('spotify_refresh_token');
     localStorage.removeItem('spotify_token_expiry');
     localStorage.removeItem('favorite_tracks');
+    localStorage.removeItem('favorite_sync_queue');
+    localStorage.removeItem('favorite_sync_meta');
+    localStorage.removeItem('shared_playlist_imports');
+    // Los cambios sin enviar son de esta cuenta: no deben enviarse con la siguiente
+    clearOutbox();
 
     // Redirigir al login
     router.push('/login');
   };
 
   return (
-    <aside className="w-[260px] bg-[#121212] flex-shrink-0 flex flex-col hidden md:flex h-screen overflow-y-auto">
+    <aside className="w-[260px] bg-[#121212] flex-shrink-0 flex flex-col hidden md:flex h-full overflow-y-auto">
       {/* Logo */}
       <div className="flex items-center gap-3 p-6">
         <div className="w-9 h-9 bg-blue-600 rounded-full flex items-center justify-center text-white">
@@ -1,12 +1,17 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { X, Play, Pause, Clock, Music, Plus, Trash2, GripVertical, Share2, RefreshCw } from 'lucide-react';
 import { useSpotify } from '@/hooks/useSpotify';
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import LoadMoreTrigger from '@/components/ui/LoadMoreTrigger';
 import AddToPlaylistModal from './AddToPlaylistModal';
 import SharePlaylistModal from './SharePlaylistModal';
+import ExportMenu from '@/components/ui/ExportMenu';
 import { useAudioPlayerContext } from '@/contexts/AudioPlayerContext';
+import { useUndoHistory } from '@/hooks/useUndoHistory';
+import UndoToast from '@/components/ui/UndoToast';
+import { whenPlaylistSynced } from '@/lib/mutationOutbox';
 import {
   DndContext,
   closestCenter,
@@ -37,8 +42,9 @@ import { CSS } from '@dnd-kit/utilities';
  * @param {string} props.addedAt - Fecha ISO cuando se añadió el track
  * @param {Function} props.onRemove - Callback para eliminar track (recibe URI)
  * @param {Function} props.onAddToPlaylist - Callback para añadir a otra playlist
+ * @param {Function} props.onPlay - Reproduce la playlist como cola empezando por este track
  */
-function SortableTrack({ track, index, addedAt, onRemove, onAddToPlaylist }) {
+function SortableTrack({ track, index, addedAt, onRemove, onAddToPlaylist, onPlay }) {
   const {
     attributes,
     listeners,
@@ -83,7 +89,7 @@ function SortableTrack({ track, index, addedAt, onRemove, onAddToPlaylist }) {
       <div className="text-center">
         {showPlayButton ? (
           <button
-            onClick={() => play(track)}
+            onClick={() => (isCurrentTrack ? play(track) : onPlay(track))}
             className="text-gray-400 hover:text-white transition-colors"
           >
             {isCurrentTrack && isPlaying ? (
@@ -174,11 +180,15 @@ function SortableTrack({ track, index, addedAt, onRemove, onAddToPlaylist }) {
  * FUNCIONALIDAD:
  * - Carga y muestra detalles completos de la playlist desde Spotify API
  * - Lista completa de canciones con información detallada (cover, título, artista, álbum, fecha, duración)
- * - Drag & Drop para reordenar canciones dentro de la playlist
+ * - Drag & Drop para reordenar canciones, guardado en Spotify (optimista, con rollback)
+ * - Detección de conflictos si la playlist cambió en otro lugar (snapshot_id)
  * - Reproducir preview de cada canción con integración al AudioPlayer
- * - Eliminar canciones individuales de la playlist
+ *   (la playlist cargada pasa a ser la cola: al terminar una canción suena la siguiente)
+ * - Eliminar canciones individuales de la playlist (sin confirmación: se puede deshacer)
+ * - Deshacer/rehacer eliminaciones y reordenaciones con llamadas compensatorias a Spotify
  * - Añadir canciones a otras playlists (abre AddToPlaylistModal)
  * - Compartir playlist completa (abre SharePlaylistModal)
+ * - Exportar la playlist completa a CSV, JSON, M3U8 o XSPF (ExportMenu)
  * - Eliminar playlist completa con confirmación
  * - Muestra estadísticas: total de canciones, duración total
  *
@@ -191,8 +201,9 @@ function SortableTrack({ track, index, addedAt, onRemove, onAddToPlaylist }) {
  * - Integración con contexto de AudioPlayer para reproducción
  *
  * DEPENDENCIAS DE REACT:
- * - useState: Múltiples estados (playlist, tracks, modals, loading)
+ * - useState: Múltiples estados (playlist, tracks, modals, loading, syncing)
  * - useEffect: Carga inicial de datos de la playlist
+ * - useRef: snapshot_id conocido, último estado confirmado, cola de sincronización y cambios en cola
  *
  * DEPENDENCIAS DE LIBRERÍAS:
  * - lucide-react: Iconos diversos (X, Play, Pause, Clock, Music, Plus, Trash2, GripVertical, Share2)
@@ -203,9 +214,14 @@ function SortableTrack({ track, index, addedAt, onRemove, onAddToPlaylist }) {
  * REFERENCIAS:
  * - Importa useSpotify desde @/hooks/useSpotify (src/hooks/useSpotify.jsx)
  * - Importa LoadingSpinner desde @/components/ui/LoadingSpinner (src/components/ui/LoadingSpinner.jsx)
+ * - Importa LoadMoreTrigger desde @/components/ui/LoadMoreTrigger (src/components/ui/LoadMoreTrigger.jsx)
  * - Importa AddToPlaylistModal desde ./AddToPlaylistModal (src/components/modals/AddToPlaylistModal.jsx)
  * - Importa SharePlaylistModal desde ./SharePlaylistModal (src/components/modals/SharePlaylistModal.jsx)
+ * - Importa ExportMenu desde @/components/ui/ExportMenu (src/components/ui/ExportMenu.jsx)
  * - Importa useAudioPlayerContext desde @/contexts/AudioPlayerContext (src/contexts/AudioPlayerContext.jsx)
+ * - Importa useUndoHistory desde @/hooks/useUndoHistory (src/hooks/useUndoHistory.jsx)
+ * - Importa UndoToast desde @/components/ui/UndoToast (src/components/ui/UndoToast.jsx)
+ * - Importa whenPlaylistSynced desde @/lib/mutationOutbox (src/lib/mutationOutbox.js)
  *
  * UTILIZADO EN:
  * - src/app/playlists/page.jsx (al hacer clic en una playlist del usuario)
@@ -220,7 +236,8 @@ function SortableTrack({ track, index, addedAt, onRemove, onAddToPlaylist }) {
  * FLUJO DE EJECUCIÓN:
  * 1. Al montar con playlistId:
  *    - Llama a getPlaylistDetails(playlistId) para info básica
- *    - Llama a getPlaylistTracks(playlistId) para obtener canciones
+ *    - Llama a getPage('/playlists/{id}/tracks') para la primera página de canciones
+ *    - Las siguientes páginas se cargan con scroll infinito (LoadMoreTrigger)
  * 2. Renderiza header con cover, nombre, owner, estadísticas
  * 3. Muestra tabla de canciones con capacidad de drag & drop:
  *    - Cada track es un SortableTrack component
@@ -228,19 +245,67 @@ function SortableTrack({ track, index, addedAt, onRemove, onAddToPlaylist }) {
  *    - Botones de reproducir, añadir a otra playlist, eliminar
  * 4. Botones de acción en header:
  *    - Share: abre SharePlaylistModal con lista de tracks
+ *    - Export: carga las páginas pendientes y descarga el fichero en el formato elegido
  *    - Delete: confirma y elimina la playlist completa, recarga página
  *    - Close: cierra el modal
  * 5. Al hacer drag & drop:
- *    - handleDragEnd actualiza orden localmente con arrayMove
- *    - Podría sincronizar con Spotify API si se implementa
+ *    - handleDragEnd actualiza el orden local con arrayMove (UI optimista)
+ *    - La reordenación se encola (una petición cada vez, cada una con el snapshot de la anterior)
+ *    - Antes de enviarla compara el snapshot_id actual con el conocido:
+ *      si difiere, la playlist cambió en otro lugar → se restaura el orden y se ofrece recargar
+ *    - Envía PUT /playlists/{id}/tracks con range_start, insert_before y snapshot_id
+ *    - Si falla, restaura el último orden confirmado y descarta los cambios pendientes
+ * 6. Deshacer/rehacer (Ctrl+Z / Ctrl+Shift+Z o toast "Undo"):
+ *    - Eliminar se deshace volviendo a insertar la canción en su posición (POST con position)
+ *    - Mover se deshace con el movimiento inverso (mismo flujo que el drag & drop)
+ *    - El historial se vacía al recargar o tras un fallo (ya no coincide con Spotify)
+ * 7. Sin conexión (los cambios quedan en la cola de src/lib/mutationOutbox.js):
+ *    - La UI mantiene el cambio pero no hay snapshot_id nuevo: se muestra "Changes queued"
+ *      y no se comprueban conflictos (el snapshot conocido ya no incluye los cambios propios)
+ *    - Cuando la cola ha enviado todo lo de esta playlist se recarga desde Spotify
  */
 export default function PlaylistModal({ playlistId, onClose }) {
-  const { getPlaylistDetails, getPlaylistTracks, removeTrackFromPlaylist, deletePlaylist } = useSpotify();
+  const {
+    getPlaylistDetails,
+    getPage,
+    fetchAllPages,
+    addTracksToPlaylist,
+    removeTrackFromPlaylist,
+    reorderPlaylistTracks,
+    getPlaylistSnapshot,
+    deletePlaylist
+  } = useSpotify();
   const [playlist, setPlaylist] = useState(null);
   const [tracks, setTracks] = useState([]);
+  const [paging, setPaging] = useState({ next: null, total: 0 });
+  const [loadingMore, setLoadingMore] = useState(false);
   const [loading, setLoading] = useState(true);
   const [selectedTrackForPlaylist, setSelectedTrackForPlaylist] = useState(null);
   const [showShareModal, setShowShareModal] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  // Hay cambios en la cola sin conexión: se recarga la playlist cuando se envíen
+  const [queuedSync, setQueuedSync] = useState(false);
+  const history = useUndoHistory();
+  const { playQueue } = useAudioPlayerContext();
+
+  // Versión de la playlist en Spotify sobre la que se aplican los cambios
+  const snapshotRef = useRef(null);
+  // Último estado que Spotify ha confirmado (para rollback)
+  const confirmedTracksRef = useRef([]);
+  // Cola de sincronización: los cambios se envían de uno en uno
+  const syncQueueRef = useRef(Promise.resolve());
+  // Se incrementa al recargar o tras un fallo para descartar cambios pendientes
+  const syncGenerationRef = useRef(0);
+  const queuedSyncRef = useRef(false);
+  // false al cerrar el modal (la espera de la cola puede terminar después)
+  const activeRef = useRef(true);
+
+  useEffect(() => {
+    activeRef.current = true;
+    return () => {
+      activeRef.current = false;
+    };
+  }, []);
 
   const sensors = useSensors(
     useSensor(PointerSensor),
@@ -255,13 +320,16 @@ export default function PlaylistModal({ playlistId, onClose }) {
     const loadPlaylistData = async () => {
       setLoading(true);
       try {
-        const [playlistData, playlistTracks] = await Promise.all([
+        const [playlistData, tracksPage] = await Promise.all([
           getPlaylistDetails(playlistId),
-          getPlaylistTracks(playlistId)
+          getPage(`/playlists/${playlistId}/tracks`, { limit: 100 })
         ]);
 
         setPlaylist(playlistData);
-        setTracks(Array.isArray(playlistTracks) ? playlistTracks : []);
+        setTracks(tracksPage.items);
+        setPaging({ next: tracksPage.next, total: tracksPage.total });
+        snapshotRef.current = playlistData?.snapshot_id || null;
+        confirmedTracksRef.current = tracksPage.items;
       } catch (error) {
         setTracks([]);
       } finally {
@@ -270,30 +338,236 @@ export default function PlaylistModal({ playlistId, onClose }) {
     };
 
     loadPlaylistData();
-  }, [playlistId, getPlaylistDetails, getPlaylistTracks]);
+  }, [playlistId, getPlaylistDetails, getPage]);
+
+  // Cargar la siguiente página de canciones
+  const handleLoadMore = useCallback(async () => {
+    if (loadingMore || !paging.next) return;
+    setLoadingMore(true);
+    // El offset sale de lo ya cargado: 'next' queda desfasado tras eliminar o restaurar canciones
+    const page = await getPage(`/playlists/${playlistId}/tracks`, {
+      offset: confirmedTracksRef.current.length,
+      limit: 100
+    });
+    setTracks(prev => [...prev, ...page.items]);
+    confirmedTracksRef.current = [...confirmedTracksRef.current, ...page.items];
+    setPaging(prev => ({ next: page.next, total: page.total || prev.total }));
+    setLoadingMore(false);
+  }, [loadingMore, paging.next, playlistId, getPage]);
+
+  // Reproducir las canciones cargadas como cola, empezando por la elegida
+  const handlePlayFrom = (track) => {
+    const queue = tracks.map(item => item.track).filter(Boolean);
+    playQueue(queue, queue.findIndex(queued => queued.id === track.id));
+  };
 
-  const handleRemoveTrack = async (trackUri) => {
-    if (!confirm('¿Eliminar esta canción de la playlist?')) return;
+  // Para exportar se necesita la playlist completa, no solo las páginas visibles
+  const loadAllTracksForExport = useCallback(async () => {
+    if (!paging.next) return tracks;
+    const remaining = await fetchAllPages(paging.next, { query: null });
+    return [...tracks, ...remaining];
+  }, [tracks, paging.next, fetchAllPages]);
+
+  /**
+   * Encola una sincronización con Spotify (eliminar, restaurar, mover)
+   *
+   * Las operaciones se envían de una en una para que cada una use el snapshot_id
+   * y las posiciones que dejó la anterior. Si la generación cambia (recarga o fallo),
+   * las operaciones pendientes se descartan.
+   *
+   * @param {Function} task - Función async que recibe la generación y devuelve 'ok' | 'failed' | 'conflict'
+   * @returns {Promise<string>} - Resultado de la tarea ('skipped' si se descartó)
+   */
+  const enqueueSync = (task) => {
+    const generation = syncGenerationRef.current;
+    setSyncing(true);
+
+    const queued = syncQueueRef.current.then(() =>
+      generation === syncGenerationRef.current ? task(generation) : 'skipped'
+    );
+    syncQueueRef.current = queued.catch(() => 'failed');
+    queued.finally(() => {
+      // Solo la última operación encolada apaga el indicador
+      if (syncQueueRef.current === queued || generation !== syncGenerationRef.current) {
+        setSyncing(false);
+      }
+    });
+    return queued;
+  };
 
-    try {
-      await removeTrackFromPlaylist(playlistId, trackUri);
-      // Actualizar la lista localmente
-      setTracks(tracks.filter(item => item.track?.uri !== trackUri));
-    } catch (error) {
-      alert('Error al eliminar la canción');
+  /**
+   * Guarda el snapshot_id que devuelve Spotify tras un cambio o, si el cambio quedó en la
+   * cola, espera a que se envíe todo lo de esta playlist y la recarga con su versión real
+   */
+  const trackSyncResult = (result) => {
+    if (!result.queued) {
+      snapshotRef.current = result.snapshot_id || snapshotRef.current;
+      return;
     }
+    if (queuedSyncRef.current) return;
+
+    queuedSyncRef.current = true;
+    setQueuedSync(true);
+    whenPlaylistSynced(playlistId).then(() => {
+      queuedSyncRef.current = false;
+      if (!activeRef.current) return;
+      setQueuedSync(false);
+      handleRefreshPlaylist();
+    });
   };
 
-  const handleDragEnd = (event) => {
-    const { active, over } = event;
+  /**
+   * Restaura el último estado confirmado por Spotify y descarta lo pendiente
+   * (el historial de deshacer deja de ser válido)
+   */
+  const rollback = () => {
+    syncGenerationRef.current++;
+    setTracks(confirmedTracksRef.current);
+    history.clear();
+  };
+
+  /**
+   * Elimina todas las apariciones de una canción
+   * onRemoved recibe sus posiciones absolutas en la playlist [{ item, index }] para poder restaurarlas
+   *
+   * NOTA: Spotify elimina también las apariciones en páginas no cargadas, así que antes
+   * se descarga el resto de la playlist para conocer todas sus posiciones. Si no se puede
+   * descargar entero no se elimina nada: deshacer no podría restaurar todas las apariciones.
+   */
+  const removeTrack = (trackUri, onRemoved) => enqueueSync(async (generation) => {
+    const loaded = confirmedTracksRef.current;
+    const missing = paging.total - loaded.length;
+    let unloaded = [];
+    if (missing > 0) {
+      try {
+        unloaded = await fetchAllPages(`/playlists/${playlistId}/tracks`, {
+          query: { offset: loaded.length, limit: 100 }
+        });
+      } catch (error) {
+        return 'failed';
+      }
+      if (unloaded.length < missing) return 'failed';
+    }
+    if (generation !== syncGenerationRef.current) return 'skipped';
+
+    const removed = [...loaded, ...unloaded]
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => item.track?.uri === trackUri);
+
+    const result = await removeTrackFromPlaylist(playlistId, trackUri);
+    if (!result) return 'failed';
+
+    setTracks(prev => prev.filter(item => item.track?.uri !== trackUri));
+    confirmedTracksRef.current = confirmedTracksRef.current.filter(item => item.track?.uri !== trackUri);
+    setPaging(prev => ({ ...prev, total: Math.max(0, prev.total - removed.length) }));
+    trackSyncResult(result);
+    onRemoved?.(removed);
+    return 'ok';
+  });
+
+  /**
+   * Vuelve a insertar canciones eliminadas en sus posiciones absolutas (en orden ascendente)
+   * Las que caen fuera de las páginas cargadas solo se envían a Spotify
+   */
+  const restoreTracks = (removed) => enqueueSync(async () => {
+    for (const { item, index } of removed) {
+      const result = await addTracksToPlaylist(playlistId, [item.track.uri], { position: index });
+      if (!result) return 'failed';
+
+      if (index <= confirmedTracksRef.current.length) {
+        const insert = (list) => [...list.slice(0, index), item, ...list.slice(index)];
+        setTracks(insert);
+        confirmedTracksRef.current = insert(confirmedTracksRef.current);
+      }
+      setPaging(prev => ({ ...prev, total: prev.total + 1 }));
+      trackSyncResult(result);
+    }
+    return 'ok';
+  });
+
+  /**
+   * Mueve una canción: UI optimista inmediata y guardado en la cola
+   */
+  const moveTrack = (oldIndex, newIndex) => {
+    setTracks(prev => arrayMove(prev, oldIndex, newIndex));
+
+    return enqueueSync(async (generation) => {
+      // Detección de conflictos: la playlist cambió en otro lugar (otra pestaña, la app de Spotify...)
+      // Con cambios propios en cola el snapshot conocido no los incluye: no se puede comparar
+      const currentSnapshot = queuedSyncRef.current ? null : await getPlaylistSnapshot(playlistId);
+      if (generation !== syncGenerationRef.current) return 'skipped';
+      if (currentSnapshot && snapshotRef.current && currentSnapshot !== snapshotRef.current) {
+        rollback();
+        if (confirm('Esta playlist se ha modificado en otro lugar. ¿Recargarla para ver la versión actual?')) {
+          handleRefreshPlaylist();
+        }
+        return 'conflict';
+      }
+
+      // insert_before se refiere a las posiciones ANTES de mover la canción
+      const result = await reorderPlaylistTracks(playlistId, {
+        rangeStart: oldIndex,
+        insertBefore: newIndex > oldIndex ? newIndex + 1 : newIndex,
+        snapshotId: snapshotRef.current
+      });
+      if (generation !== syncGenerationRef.current) return 'skipped';
+      if (!result) return 'failed';
 
-    if (active.id !== over.id) {
-      setTracks((items) => {
-        const oldIndex = items.findIndex((item) => item.track?.id === active.id);
-        const newIndex = items.findIndex((item) => item.track?.id === over.id);
+      trackSyncResult(result);
+      confirmedTracksRef.current = arrayMove(confirmedTracksRef.current, oldIndex, newIndex);
+      return 'ok';
+    });
+  };
+
+  /**
+   * Convierte el resultado de una operación compensatoria (undo/redo) en error para el historial
+   */
+  const expectSynced = async (operation, message) => {
+    const outcome = await operation;
+    if (outcome === 'failed') {
+      rollback();
+    }
+    if (outcome === 'failed' || outcome === 'conflict') {
+      throw new Error(message);
+    }
+  };
 
-        return arrayMove(items, oldIndex, newIndex);
+  const handleRemoveTrack = async (trackUri) => {
+    const track = tracks.find(item => item.track?.uri === trackUri)?.track;
+
+    // Las posiciones originales se capturan dentro de la cola (estado confirmado)
+    const outcome = await removeTrack(trackUri, (removed) => {
+      history.push({
+        label: `Removed "${track?.name || 'song'}"`,
+        undo: () => expectSynced(restoreTracks(removed), 'Could not restore the song.'),
+        redo: () => expectSynced(removeTrack(trackUri), 'Could not remove the song.')
       });
+    });
+
+    if (outcome === 'failed') {
+      alert('Error al eliminar la canción');
+    }
+  };
+
+  const handleDragEnd = async (event) => {
+    const { active, over } = event;
+    if (!over || active.id === over.id) return;
+
+    const oldIndex = tracks.findIndex((item) => item.track?.id === active.id);
+    const newIndex = tracks.findIndex((item) => item.track?.id === over.id);
+    if (oldIndex === -1 || newIndex === -1) return;
+
+    const trackName = tracks[oldIndex].track?.name;
+    history.push({
+      label: `Moved "${trackName || 'song'}"`,
+      undo: () => expectSynced(moveTrack(newIndex, oldIndex), 'Could not undo the move.'),
+      redo: () => expectSynced(moveTrack(oldIndex, newIndex), 'Could not redo the move.')
+    });
+
+    const outcome = await moveTrack(oldIndex, newIndex);
+    if (outcome === 'failed') {
+      rollback();
+      alert('Error al guardar el nuevo orden. Se ha restaurado el orden anterior.');
     }
   };
 
@@ -317,14 +591,20 @@ export default function PlaylistModal({ playlistId, onClose }) {
 
   const handleRefreshPlaylist = async () => {
     setLoading(true);
+    // Descartar cambios pendientes y el historial: se aplicarían sobre datos antiguos
+    syncGenerationRef.current++;
+    history.clear();
     try {
-      const [playlistData, playlistTracks] = await Promise.all([
+      const [playlistData, tracksPage] = await Promise.all([
         getPlaylistDetails(playlistId),
-        getPlaylistTracks(playlistId)
+        getPage(`/playlists/${playlistId}/tracks`, { limit: 100 })
       ]);
 
       setPlaylist(playlistData);
-      setTracks(Array.isArray(playlistTracks) ? playlistTracks : []);
+      setTracks(tracksPage.items);
+      setPaging({ next: tracksPage.next, total: tracksPage.total });
+      snapshotRef.current = playlistData?.snapshot_id || null;
+      confirmedTracksRef.current = tracksPage.items;
     } catch (error) {
       alert('Error al refrescar la playlist');
       setTracks([]);
@@ -374,7 +654,7 @@ export default function PlaylistModal({ playlistId, onClose }) {
             <div className="flex items-center gap-2 text-sm text-gray-300">
               <span className="font-semibold">{playlist?.owner?.display_name}</span>
               <span className="text-gray-500">•</span>
-              <span className="text-gray-400">{tracks.length} songs</span>
+              <span className="text-gray-400">{paging.total || tracks.length} songs</span>
               {totalDuration > 0 && (
                 <>
                   <span className="text-gray-500">•</span>
@@ -383,6 +663,17 @@ export default function PlaylistModal({ playlistId, onClose }) {
                   </span>
                 </>
               )}
+              {queuedSync ? (
+                <>
+                  <span className="text-gray-500">•</span>
+                  <span className="text-gray-400">Changes queued · sent when the connection is back</span>
+                </>
+              ) : syncing && (
+                <>
+                  <span className="text-gray-500">•</span>
+                  <span className="text-gray-400">Saving changes...</span>
+                </>
+              )}
             </div>
             {playlist?.description && (
               <p className="text-sm text-gray-400 mt-2 line-clamp-2">{playlist.description}</p>
@@ -408,6 +699,13 @@ export default function PlaylistModal({ playlistId, onClose }) {
             >
               <Share2 size={20} className="text-white" />
             </button>
+            {/* Export Button */}
+            <ExportMenu
+              tracks={tracks}
+              name={playlist?.name}
+              getTracks={loadAllTracksForExport}
+              variant="icon"
+            />
             {/* Delete Button */}
             <button
               onClick={handleDeletePlaylist}
@@ -468,12 +766,21 @@ export default function PlaylistModal({ playlistId, onClose }) {
                           addedAt={item.added_at}
                           onRemove={handleRemoveTrack}
                           onAddToPlaylist={setSelectedTrackForPlaylist}
+                          onPlay={handlePlayFrom}
                         />
                       );
                     })}
                   </div>
                 </SortableContext>
               </DndContext>
+
+              <LoadMoreTrigger
+                onLoadMore={handleLoadMore}
+                hasMore={!!paging.next}
+                loading={loadingMore}
+                loaded={tracks.length}
+                total={paging.total}
+              />
             </>
           ) : (
             <div className="flex flex-col items-center justify-center py-16 text-gray-400">
@@ -500,6 +807,15 @@ export default function PlaylistModal({ playlistId, onClose }) {
           onClose={() => setShowShareModal(false)}
         />
       )}
+
+      {/* Toast de deshacer */}
+      <UndoToast
+        action={history.lastAction}
+        error={history.error}
+        onUndo={history.undo}
+        onRedo={history.redo}
+        onDismiss={history.dismiss}
+      />
     </div>
   );
 }
@@ -1,18 +1,20 @@
 'use client';
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { X, Copy, Check, Share2, Link as LinkIcon } from 'lucide-react';
 import Button from '@/components/ui/Button';
+import { encodeShareCode, MAX_INLINE_CODE_LENGTH } from '@/lib/shareCodec';
 
 /**
  * COMPONENTE: SharePlaylistModal - Modal para compartir playlists
  * =================================================================
  * Modal que genera un enlace compartible de una playlist y permite
  * copiarlo al portapapeles o usar la API nativa de compartir del navegador.
- * Crea URLs con parámetros que contienen los IDs de las canciones.
+ * Crea URLs con un código compacto de la playlist (src/lib/shareCodec.js).
  *
  * FUNCIONALIDAD:
- * - Genera URL compartible con todos los IDs de las canciones de la playlist
+ * - Genera URL compartible con el código compacto de la playlist (versión + checksum)
+ * - Playlists largas: el código se guarda en el servidor (POST /api/share) y la URL lleva un ID corto
  * - Muestra botón de copiar al portapapeles con feedback visual
  * - Botón de compartir nativo (si el navegador lo soporta)
  * - Fallback a copiar si navigator.share no está disponible
@@ -20,18 +22,21 @@ import Button from '@/components/ui/Button';
  *
  * ARQUITECTURA:
  * - Modal centrado con overlay oscuro y blur
- * - Estado local solo para feedback de "copiado"
- * - Genera URL dinámicamente basada en window.location.origin
- * - URL formato: /shared-playlist?tracks=id1,id2,id3&name=PlaylistName
+ * - Estado local: URL generada, error y feedback de "copiado"
+ * - Genera URL dinámicamente basada en window.location.origin (asíncrono: compresión y servidor)
+ * - URL formato: /shared-playlist?p=<código> o /shared-playlist?s=<id> (más de MAX_INLINE_CODE_LENGTH)
+ * - Las URLs antiguas /shared-playlist?tracks=id1,id2&name=... se siguen abriendo
  *
  * DEPENDENCIAS DE REACT:
- * - useState: Manejo del estado de "copiado" para feedback visual
+ * - useState: URL generada, error y estado de "copiado"
+ * - useEffect: Generación de la URL al abrir el modal o cambiar las canciones
  *
  * DEPENDENCIAS DE LIBRERÍAS:
  * - lucide-react: Iconos (X, Copy, Check, Share2, Link)
  *
  * REFERENCIAS:
  * - Importa Button desde @/components/ui/Button (src/components/ui/Button.jsx)
+ * - Importa encodeShareCode y MAX_INLINE_CODE_LENGTH desde @/lib/shareCodec (src/lib/shareCodec.js)
  *
  * UTILIZADO EN:
  * - src/components/modals/PlaylistModal.jsx (botón compartir en playlists del usuario)
@@ -45,36 +50,70 @@ import Button from '@/components/ui/Button';
  * @returns {JSX.Element} Modal con opciones de compartir
  *
  * FLUJO DE EJECUCIÓN:
- * 1. generateShareUrl() crea URL con trackIds y nombre codificados
+ * 1. generateShareUrl() codifica nombre y trackIds; si el código es largo lo guarda en /api/share
  * 2. Usuario puede:
  *    a) Clic en "Copy": copia URL al portapapeles, muestra "Copied!" por 2 seg
  *    b) Clic en "Share": usa navigator.share si disponible, sino copia
  * 3. URL generada puede abrirse en otra sesión para ver la playlist compartida
  *
- * EJEMPLO DE URL GENERADA:
- * https://example.com/shared-playlist?tracks=abc123,def456,ghi789&name=My%20Playlist
+ * EJEMPLOS DE URL GENERADA:
+ * https://example.com/shared-playlist?p=AQEL... (playlists cortas)
+ * https://example.com/shared-playlist?s=Ab3dE9xZ (playlists largas)
  */
 export default function SharePlaylistModal({ playlist, playlistName, onClose }) {
   const [copied, setCopied] = useState(false);
+  const [shareUrl, setShareUrl] = useState('');
+  const [linkError, setLinkError] = useState(null);
+
+  // La URL solo se regenera si cambian las canciones o el nombre (no en cada render del padre)
+  const trackIdsKey = playlist.map(track => track?.id).filter(Boolean).join(',');
+  const name = playlistName || 'Shared Playlist';
 
   // Generar URL compartible
-  const generateShareUrl = () => {
-    if (typeof window === 'undefined') return '';
+  useEffect(() => {
+    let cancelled = false;
 
-    const trackIds = playlist.map(track => track.id).join(',');
-    const encodedName = encodeURIComponent(playlistName || 'Shared Playlist');
+    const generateShareUrl = async () => {
+      try {
+        const code = await encodeShareCode({ name, trackIds: trackIdsKey.split(',') });
+        const url = new URL('/shared-playlist', window.location.origin);
 
-    const shareUrl = new URL(window.location.origin);
-    shareUrl.pathname = '/shared-playlist';
-    shareUrl.searchParams.set('tracks', trackIds);
-    shareUrl.searchParams.set('name', encodedName);
+        if (code.length <= MAX_INLINE_CODE_LENGTH) {
+          url.searchParams.set('p', code);
+        } else {
+          // Demasiado largo para la URL: guardarlo en el servidor y compartir el ID corto
+          const response = await fetch('/api/share', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code })
+          });
+          if (response.status === 429) {
+            throw new Error('Too many share links created. Please wait a minute and try again.');
+          }
+          if (!response.ok) {
+            throw new Error('Could not create the share link. Please try again.');
+          }
+          const { id } = await response.json();
+          url.searchParams.set('s', id);
+        }
 
-    return shareUrl.toString();
-  };
+        if (!cancelled) {
+          setShareUrl(url.toString());
+          setLinkError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setLinkError(err.message);
+      }
+    };
 
-  const shareUrl = generateShareUrl();
+    generateShareUrl();
+    return () => {
+      cancelled = true;
+    };
+  }, [trackIdsKey, name]);
 
   const handleCopy = async () => {
+    if (!shareUrl) return;
     try {
       await navigator.clipboard.writeText(shareUrl);
       setCopied(true);
@@ -85,6 +124,7 @@ export default function SharePlaylistModal({ playlist, playlistName, onClose })
   };
 
   const handleShare = async () => {
+    if (!shareUrl) return;
     if (navigator.share) {
       try {
         await navigator.share({
@@ -134,11 +174,12 @@ export default function SharePlaylistModal({ playlist, playlistName, onClose })
         <div className="mb-6">
           <label className="text-sm text-gray-400 mb-2 block">Share Link</label>
           <div className="flex items-center gap-2">
-            <div className="flex-1 bg-[#2a2a2a] rounded-lg px-4 py-3 text-sm text-gray-300 truncate">
-              {shareUrl}
+            <div className={`flex-1 bg-[#2a2a2a] rounded-lg px-4 py-3 text-sm truncate ${linkError ? 'text-red-400' : 'text-gray-300'}`}>
+              {linkError || shareUrl || 'Creating link...'}
             </div>
             <Button
               onClick={handleCopy}
+              disabled={!shareUrl}
               variant="secondary"
               size="sm"
               className="flex items-center gap-2 flex-shrink-0"
@@ -162,6 +203,7 @@ export default function SharePlaylistModal({ playlist, playlistName, onClose })
         <div className="flex gap-3">
           <Button
             onClick={handleShare}
+            disabled={!shareUrl}
             variant="primary"
             className="flex-1 flex items-center justify-center gap-2"
           >
@@ -0,0 +1,306 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { Headphones, Check, X, Heart, Music } from 'lucide-react';
+import Button from '@/components/ui/Button';
+import { useAudioPlayerContext, useAudioProgress } from '@/contexts/AudioPlayerContext';
+import { useFavorites } from '@/hooks/useFavorites';
+import { isTypingTarget } from '@/hooks/usePlayerShortcuts';
+
+// Segundos de cada preview que se escuchan
+const CLIP_OPTIONS = [5, 10, 15];
+const DEFAULT_CLIP_SECONDS = 10;
+// Se pasa a la siguiente un poco antes del final real del preview (evita que el
+// reproductor avance por su cuenta con 'ended' a la vez que el panel)
+const END_MARGIN_SECONDS = 0.5;
+
+/**
+ * COMPONENTE: AuditionPanel - Modo audición de una playlist
+ * ==========================================================
+ * Reproduce los primeros segundos de cada canción seguidos para revisar una
+ * playlist generada rápidamente, decidiendo con el teclado qué se queda.
+ *
+ * FUNCIONALIDAD:
+ * - Duración del fragmento configurable (CLIP_OPTIONS)
+ * - Teclas mientras suena: K (keep), X (remove), F (favorito); las tres pasan a la siguiente
+ * - Las canciones sin decidir se quedan; las que no tienen preview se saltan
+ * - Al terminar (o con "Finish") muestra el resumen: conservadas, eliminadas y favoritas,
+ *   con la opción de recuperar una eliminada antes de aplicar los cambios
+ *
+ * FASES:
+ * - 'setup': elegir la duración del fragmento y empezar
+ * - 'playing': audición en curso
+ * - 'summary': resumen y aplicar / descartar
+ *
+ * ARQUITECTURA:
+ * - La reproducción es la cola normal del reproductor (playQueue), así que los
+ *   controles de la barra inferior siguen funcionando (pausa, seek, volumen...)
+ * - Al final de cada fragmento un timer pasa a la siguiente; se reprograma con cada
+ *   actualización del progreso para seguir la posición real del audio (pausas, seek, carga)
+ * - Si el reproductor pasa a otra canción ajena a la playlist, la audición queda en
+ *   espera hasta que el usuario la termine
+ * - Los cambios no se aplican hasta "Apply": onApply recibe los IDs eliminados
+ *
+ * DEPENDENCIAS DE REACT:
+ * - useState: Fase, duración del fragmento, decisiones y favoritas
+ * - useEffect: Timer de fin de fragmento y atajos de teclado
+ * - useCallback: Acciones usadas por los efectos
+ *
+ * DEPENDENCIAS DE LUCIDE:
+ * - Headphones: Cabecera del panel
+ * - Check, X, Heart: Keep, Remove, Favorite
+ * - Music: Placeholder sin carátula
+ *
+ * REFERENCIAS:
+ * - Importa Button desde @/components/ui/Button (src/components/ui/Button.jsx)
+ * - Importa useAudioPlayerContext y useAudioProgress desde @/contexts/AudioPlayerContext (src/contexts/AudioPlayerContext.jsx)
+ * - Importa useFavorites desde @/hooks/useFavorites (src/hooks/useFavorites.jsx)
+ * - Importa isTypingTarget desde @/hooks/usePlayerShortcuts (src/hooks/usePlayerShortcuts.jsx)
+ *
+ * UTILIZADO EN:
+ * - src/components/playlist/PlaylistDisplay.jsx (botón "Audition")
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.tracks - Canciones de la playlist
+ * @param {Function} props.onApply - Recibe los IDs de las canciones eliminadas
+ * @param {Function} props.onClose - Cerrar el panel sin cambios
+ *
+ * @returns {JSX.Element} Panel de audición
+ */
+export default function AuditionPanel({ tracks, onApply, onClose }) {
+  const {
+    currentTrack,
+    isPlaying,
+    queue,
+    queueIndex,
+    playQueue,
+    next,
+    pause,
+  } = useAudioPlayerContext();
+  const { currentTime, duration } = useAudioProgress();
+  const { addFavorite, isFavorite } = useFavorites();
+
+  const [phase, setPhase] = useState('setup');
+  const [clipSeconds, setClipSeconds] = useState(DEFAULT_CLIP_SECONDS);
+  // { [trackId]: 'keep' | 'remove' }
+  const [decisions, setDecisions] = useState({});
+  const [favorited, setFavorited] = useState([]);
+  const [error, setError] = useState(null);
+
+  const playable = tracks.filter(track => track?.preview_url);
+  const auditioned = phase === 'playing' && currentTrack && tracks.some(track => track.id === currentTrack.id)
+    ? currentTrack
+    : null;
+
+  const handleStart = () => {
+    setDecisions({});
+    setFavorited([]);
+    if (!playQueue(playable, 0)) {
+      setError('None of these songs has a preview to play.');
+      return;
+    }
+    setError(null);
+    setPhase('playing');
+  };
+
+  const finish = useCallback(() => {
+    pause();
+    setPhase('summary');
+  }, [pause]);
+
+  // Siguiente canción, o el resumen si era la última de la cola
+  const advance = useCallback(() => {
+    if (queueIndex >= queue.length - 1 || !next()) {
+      finish();
+    }
+  }, [queueIndex, queue.length, next, finish]);
+
+  const decide = useCallback((decision) => {
+    if (!auditioned) return;
+    const trackId = auditioned.id;
+
+    if (decision === 'favorite') {
+      if (!isFavorite(trackId)) addFavorite(auditioned);
+      setFavorited(prev => (prev.includes(trackId) ? prev : [...prev, trackId]));
+    }
+    setDecisions(prev => ({ ...prev, [trackId]: decision === 'remove' ? 'remove' : 'keep' }));
+    advance();
+  }, [auditioned, isFavorite, addFavorite, advance]);
+
+  // EFECTO: Pasar a la siguiente al final del fragmento (según la posición real del audio)
+  useEffect(() => {
+    if (!auditioned || !isPlaying) return;
+    const end = duration > 0 ? Math.min(clipSeconds, duration - END_MARGIN_SECONDS) : clipSeconds;
+    const timer = setTimeout(advance, Math.max(0, end - currentTime) * 1000);
+    return () => clearTimeout(timer);
+  }, [auditioned, isPlaying, currentTime, duration, clipSeconds, advance]);
+
+  // EFECTO: Atajos K / X / F mientras suena la audición
+  useEffect(() => {
+    if (!auditioned) return;
+
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+      if (isTypingTarget(event.target)) return;
+
+      const decision = { k: 'keep', x: 'remove', f: 'favorite' }[event.key.toLowerCase()];
+      if (!decision) return;
+      event.preventDefault();
+      decide(decision);
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [auditioned, decide]);
+
+  const removed = tracks.filter(track => decisions[track.id] === 'remove');
+
+  if (phase === 'summary') {
+    return (
+      <div className="bg-[#282828] rounded-lg p-5 mb-6">
+        <h3 className="text-lg font-bold text-white mb-1">Audition summary</h3>
+        <p className="text-sm text-gray-400 mb-4">
+          {tracks.length - removed.length} kept · {removed.length} removed · {favorited.length} added to Liked Songs
+          {playable.length < tracks.length && ` · ${tracks.length - playable.length} without preview (kept)`}
+        </p>
+
+        {removed.length > 0 && (
+          <div className="space-y-1 mb-4 max-h-64 overflow-y-auto">
+            {removed.map(track => (
+              <div key={track.id} className="flex items-center justify-between gap-3 px-3 py-2 rounded bg-[#1f1f1f]">
+                <div className="min-w-0">
+                  <p className="text-white text-sm truncate">{track.name}</p>
+                  <p className="text-xs text-gray-400 truncate">
+                    {track.artists?.map(artist => artist.name).join(', ')}
+                  </p>
+                </div>
+                <button
+                  onClick={() => setDecisions(prev => ({ ...prev, [track.id]: 'keep' }))}
+                  className="text-sm text-gray-400 hover:text-white transition-colors flex-shrink-0"
+                >
+                  Keep
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex gap-3">
+          <Button onClick={() => onApply(removed.map(track => track.id))} variant="primary" size="sm">
+            {removed.length > 0 ? `Remove ${removed.length} songs` : 'Done'}
+          </Button>
+          <Button onClick={onClose} variant="ghost" size="sm">
+            Discard
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  if (phase === 'playing') {
+    const images = auditioned?.album?.images || [];
+    const artwork = images[images.length - 1]?.url;
+    const clipProgress = Math.min(1, currentTime / clipSeconds);
+
+    return (
+      <div className="bg-[#282828] rounded-lg p-5 mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-bold text-white flex items-center gap-2">
+            <Headphones size={18} />
+            Audition
+            {auditioned && (
+              <span className="text-sm font-normal text-gray-400">
+                {queueIndex + 1} / {queue.length}
+              </span>
+            )}
+          </h3>
+          <Button onClick={finish} variant="ghost" size="sm">
+            Finish
+          </Button>
+        </div>
+
+        {auditioned ? (
+          <>
+            <div className="flex items-center gap-3 mb-3">
+              {artwork ? (
+                <img src={artwork} alt="" className="w-12 h-12 rounded object-cover flex-shrink-0" />
+              ) : (
+                <div className="w-12 h-12 rounded bg-[#1f1f1f] flex items-center justify-center flex-shrink-0">
+                  <Music size={18} className="text-gray-500" />
+                </div>
+              )}
+              <div className="min-w-0">
+                <p className="text-white truncate">{auditioned.name}</p>
+                <p className="text-sm text-gray-400 truncate">
+                  {auditioned.artists?.map(artist => artist.name).join(', ')}
+                </p>
+              </div>
+            </div>
+
+            <div className="h-1 bg-[#1f1f1f] rounded-full overflow-hidden mb-4">
+              <div className="h-full bg-blue-500 transition-[width] duration-200" style={{ width: `${clipProgress * 100}%` }} />
+            </div>
+
+            <div className="flex flex-wrap gap-3">
+              <Button onClick={() => decide('keep')} variant="secondary" size="sm" className="flex items-center gap-2">
+                <Check size={16} />
+                Keep (K)
+              </Button>
+              <Button onClick={() => decide('remove')} variant="secondary" size="sm" className="flex items-center gap-2">
+                <X size={16} />
+                Remove (X)
+              </Button>
+              <Button onClick={() => decide('favorite')} variant="secondary" size="sm" className="flex items-center gap-2">
+                <Heart size={16} />
+                Favorite (F)
+              </Button>
+            </div>
+          </>
+        ) : (
+          <p className="text-sm text-gray-400">
+            The player is playing something else. Play a song from this playlist to continue, or finish the audition.
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-[#282828] rounded-lg p-5 mb-6">
+      <h3 className="text-lg font-bold text-white flex items-center gap-2 mb-1">
+        <Headphones size={18} />
+        Audition
+      </h3>
+      <p className="text-sm text-gray-400 mb-4">
+        Play the first seconds of each song in a row. Press K to keep, X to remove or F to add to Liked Songs;
+        you review the changes before they are applied.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="flex gap-1">
+          {CLIP_OPTIONS.map(seconds => (
+            <button
+              key={seconds}
+              onClick={() => setClipSeconds(seconds)}
+              className={`px-3 py-1.5 rounded-full text-sm transition-colors ${
+                clipSeconds === seconds ? 'bg-white text-black' : 'bg-[#1f1f1f] text-gray-300 hover:text-white'
+              }`}
+            >
+              {seconds}s
+            </button>
+          ))}
+        </div>
+        <Button onClick={handleStart} variant="primary" size="sm" disabled={playable.length === 0}>
+          Start audition
+        </Button>
+        <Button onClick={onClose} variant="ghost" size="sm">
+          Cancel
+        </Button>
+      </div>
+
+      {(error || playable.length === 0) && (
+        <p className="text-sm text-red-400 mt-3">{error || 'None of these songs has a preview to play.'}</p>
+      )}
+    </div>
+  );
+}
@@ -1,12 +1,16 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { RefreshCw, Plus, Save, Download, GripVertical, Share2 } from 'lucide-react';
+import { RefreshCw, Plus, Save, Download, GripVertical, Share2, Undo2, Redo2, Headphones } from 'lucide-react';
 import TrackCard from './TrackCard';
+import AuditionPanel from './AuditionPanel';
 import Button from '@/components/ui/Button';
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
 import AddToPlaylistModal from '@/components/modals/AddToPlaylistModal';
 import SharePlaylistModal from '@/components/modals/SharePlaylistModal';
+import CreatePlaylistModal from '@/components/ui/CreatePlaylistModal';
+import ExportMenu from '@/components/ui/ExportMenu';
+import { useAudioPlayerContext } from '@/contexts/AudioPlayerContext';
 import {
   DndContext,
   closestCenter,
@@ -29,14 +33,16 @@ import { CSS } from '@dnd-kit/utilities';
  * =======================================
  * Wrapper que hace un TrackCard draggable con @dnd-kit.
  * Agrega el icono de drag handle y el número de track.
+ * Si el track viene del motor de recomendaciones, muestra por qué se eligió.
  *
  * @param {Object} props
  * @param {Object} props.track - Objeto de canción
  * @param {number} props.index - Posición en la playlist
  * @param {Function} props.onRemove - Callback para eliminar
  * @param {Function} props.onAddToPlaylist - Callback para añadir a otra playlist
+ * @param {Function} props.onPlay - Reproduce la playlist como cola desde este track
  */
-function SortableTrackItem({ track, index, onRemove, onAddToPlaylist }) {
+function SortableTrackItem({ track, index, onRemove, onAddToPlaylist, onPlay }) {
   const {
     attributes,
     listeners,
@@ -73,13 +79,23 @@ function SortableTrackItem({ track, index, onRemove, onAddToPlaylist }) {
       </span>
 
       {/* Track Card */}
-      <div className="flex-1">
+      <div className="flex-1 min-w-0">
         <TrackCard
           track={track}
           onRemove={onRemove}
           showAddToPlaylist={true}
           onAddToPlaylist={onAddToPlaylist}
+          onPlay={() => onPlay(index)}
         />
+        {/* Explicación de la recomendación */}
+        {track.recommendation?.reasons?.length > 0 && (
+          <p
+            className="text-xs text-gray-500 px-3 pb-1 truncate"
+            title={track.recommendation.reasons.join(' · ')}
+          >
+            Why: {track.recommendation.reasons.join(' · ')}
+          </p>
+        )}
       </div>
     </div>
   );
@@ -96,11 +112,16 @@ function SortableTrackItem({ track, index, onRemove, onAddToPlaylist }) {
  * - Muestra lista completa de canciones generadas con información visual
  * - Editor inline del nombre de la playlist
  * - Estadísticas: número de canciones y duración total
- * - Botones de acción: Refresh, Add More, Share, Save to Spotify
+ * - Botones de acción: Refresh, Add More, Audition, Share, Export, Save to Spotify, Undo/Redo
  * - Drag & Drop para reordenar canciones
  * - Eliminar canciones individuales
+ * - Reproducir desde una canción: la playlist pasa a ser la cola del reproductor
+ * - Modo audición (AuditionPanel): escuchar los primeros segundos de cada canción y
+ *   decidir con el teclado cuáles se quedan; las eliminadas se aplican de una vez
  * - Añadir canciones a playlists de Spotify (abre modal)
  * - Compartir playlist completa (abre modal)
+ * - Exportar a CSV, JSON, M3U8 o XSPF con el nombre editado (ExportMenu)
+ * - Guardar en Spotify (abre CreatePlaylistModal con el nombre editado y los modos de guardado)
  * - Estados de carga y vacío con mensajes informativos
  *
  * ARQUITECTURA:
@@ -108,35 +129,50 @@ function SortableTrackItem({ track, index, onRemove, onAddToPlaylist }) {
  * - Sincroniza playlist local con prop externa mediante useEffect
  * - Sistema de drag & drop con @dnd-kit
  * - Header con tabla estilo Spotify (desktop) y cards (mobile)
- * - Sub-componentes: SortableTrackItem, TrackCard, modales
+ * - Sub-componentes: SortableTrackItem, TrackCard, AuditionPanel, modales
  *
  * DEPENDENCIAS DE REACT:
  * - useState: Manejo de nombre, modales, y playlist local
  * - useEffect: Sincronización de playlist prop con estado local
  *
  * DEPENDENCIAS DE LIBRERÍAS:
- * - lucide-react: Iconos (RefreshCw, Plus, Save, Download, GripVertical, Share2)
+ * - lucide-react: Iconos (RefreshCw, Plus, Save, Download, GripVertical, Share2, Undo2, Redo2, Headphones)
  * - @dnd-kit/core: Sistema de drag & drop
  * - @dnd-kit/sortable: Componentes sortables y utilidades
  *
  * REFERENCIAS:
  * - Importa TrackCard desde ./TrackCard (src/components/playlist/TrackCard.jsx)
+ * - Importa AuditionPanel desde ./AuditionPanel (src/components/playlist/AuditionPanel.jsx)
  * - Importa Button desde @/components/ui/Button (src/components/ui/Button.jsx)
  * - Importa LoadingSpinner desde @/components/ui/LoadingSpinner (src/components/ui/LoadingSpinner.jsx)
  * - Importa AddToPlaylistModal desde @/components/modals/AddToPlaylistModal (src/components/modals/AddToPlaylistModal.jsx)
  * - Importa SharePlaylistModal desde @/components/modals/SharePlaylistModal (src/components/modals/SharePlaylistModal.jsx)
+ * - Importa CreatePlaylistModal desde @/components/ui/CreatePlaylistModal (src/components/ui/CreatePlaylistModal.jsx)
+ * - Importa ExportMenu desde @/components/ui/ExportMenu (src/components/ui/ExportMenu.jsx)
+ * - Importa useAudioPlayerContext desde @/contexts/AudioPlayerContext (src/contexts/AudioPlayerContext.jsx)
  *
  * UTILIZADO EN:
  * - src/app/generator/page.jsx (muestra playlist generada por recomendaciones)
  * - src/app/page.jsx (página principal con generador de playlists)
+ * - src/app/dashboard/import/ImportClient.jsx (playlist importada de otro servicio)
  *
  * @param {Object} props - Propiedades del componente
  * @param {Array} props.playlist - Array de objetos track generados
+ * @param {string} props.initialName - Nombre inicial editable (default: 'My Custom Playlist')
  * @param {Function} props.onRemoveTrack - Callback al eliminar track (recibe trackId)
- * @param {Function} props.onRefresh - Callback para regenerar playlist completa
- * @param {Function} props.onAddMore - Callback para añadir más canciones similares
- * @param {Function} props.onSaveToSpotify - Callback para guardar en Spotify
+ * @param {Function} props.onRemoveTracks - Eliminar varias canciones en una sola edición (recibe trackIds).
+ *   Opcional: sin él, el resultado de la audición llama a onRemoveTrack por cada canción
+ * @param {Function} props.onRefresh - Callback para regenerar playlist completa (opcional)
+ * @param {Function} props.onAddMore - Callback para añadir más canciones similares (opcional)
+ * @param {Function} props.onSaveToSpotify - Callback para guardar en Spotify (recibe { mode, name, description, isPublic, target })
+ * @param {Function} props.onLoadSaveTargets - Devuelve las playlists existentes en las que se puede guardar
+ * @param {Function} props.onCloseSave - Callback al cerrar el modal de guardado (limpiar estado)
+ * @param {Object} props.saveStatus - { saving, progress, savedPlaylist, error } del guardado en curso
  * @param {Function} props.onReorderTracks - Callback con nuevo orden de tracks
+ * @param {Function} props.onUndo - Deshacer la última edición (opcional)
+ * @param {Function} props.onRedo - Rehacer la última edición deshecha (opcional)
+ * @param {boolean} props.canUndo - Si hay ediciones que deshacer
+ * @param {boolean} props.canRedo - Si hay ediciones que rehacer
  * @param {boolean} props.loading - Estado de carga durante generación
  *
  * @returns {JSX.Element} Display de playlist con controles
@@ -152,22 +188,35 @@ function SortableTrackItem({ track, index, onRemove, onAddToPlaylist }) {
  *    - Muestra lista de tracks con drag & drop habilitado
  * 5. Al reordenar:
  *    - handleDragEnd actualiza orden local con arrayMove
- *    - Llama a onReorderTracks con nuevo orden
+ *    - Llama a onReorderTracks con nuevo orden (fuera del updater, para no duplicar el historial)
  * 6. Modales se abren/cierran según estado local
  */
 export default function PlaylistDisplay({
   playlist = [],
+  initialName = 'My Custom Playlist',
   onRemoveTrack,
+  onRemoveTracks,
   onRefresh,
   onAddMore,
   onSaveToSpotify,
+  onLoadSaveTargets,
+  onCloseSave,
+  saveStatus = {},
   onReorderTracks,
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false,
   loading = false,
 }) {
-  const [playlistName, setPlaylistName] = useState('My Custom Playlist');
+  const [playlistName, setPlaylistName] = useState(initialName);
+  const { playQueue } = useAudioPlayerContext();
   const [selectedTrackForPlaylist, setSelectedTrackForPlaylist] = useState(null);
   const [showShareModal, setShowShareModal] = useState(false);
+  const [showSaveModal, setShowSaveModal] = useState(false);
+  const [saveTargets, setSaveTargets] = useState(undefined);
   const [localPlaylist, setLocalPlaylist] = useState(playlist);
+  const [showAudition, setShowAudition] = useState(false);
 
   const sensors = useSensors(
     useSensor(PointerSensor),
@@ -185,26 +234,52 @@ export default function PlaylistDisplay({
     onRemoveTrack?.(trackId);
   };
 
+  // Resultado de la audición: las canciones marcadas con X
+  const handleApplyAudition = (trackIds) => {
+    setShowAudition(false);
+    if (trackIds.length === 0) return;
+    if (onRemoveTracks) {
+      onRemoveTracks(trackIds);
+    } else {
+      trackIds.forEach(handleRemoveTrack);
+    }
+  };
+
   const handleDragEnd = (event) => {
     const { active, over } = event;
+    if (!over || active.id === over.id) return;
 
-    if (active.id !== over.id) {
-      setLocalPlaylist((items) => {
-        const oldIndex = items.findIndex((item) => item.id === active.id);
-        const newIndex = items.findIndex((item) => item.id === over.id);
-
-        const newOrder = arrayMove(items, oldIndex, newIndex);
+    const oldIndex = localPlaylist.findIndex((item) => item.id === active.id);
+    const newIndex = localPlaylist.findIndex((item) => item.id === over.id);
+    const newOrder = arrayMove(localPlaylist, oldIndex, newIndex);
 
-        // Notificar al componente padre del nuevo orden
-        if (onReorderTracks) {
-          onReorderTracks(newOrder);
-        }
+    setLocalPlaylist(newOrder);
+    // Notificar al componente padre del nuevo orden
+    onReorderTracks?.(newOrder);
+  };
 
-        return newOrder;
-      });
+  // Abrir el modal de guardado y cargar las playlists existentes (reemplazar / añadir)
+  const handleOpenSave = async () => {
+    setShowSaveModal(true);
+    if (onLoadSaveTargets) {
+      try {
+        setSaveTargets(await onLoadSaveTargets());
+      } catch (error) {
+        // Sin la lista completa solo se ofrece crear una playlist nueva
+        setSaveTargets([]);
+      }
     }
   };
 
+  const handleCloseSave = () => {
+    setShowSaveModal(false);
+    onCloseSave?.();
+  };
+
+  const handleSave = (name, description, isPublic, { mode, target }) => {
+    onSaveToSpotify({ mode, name, description, isPublic, target });
+  };
+
   const playlistArray = Array.isArray(localPlaylist) ? localPlaylist : [];
   const totalDuration = playlistArray.reduce(
     (acc, track) => acc + (track?.duration_ms || 0),
@@ -263,24 +338,39 @@ export default function PlaylistDisplay({
 
       {/* Action Buttons */}
       <div className="flex flex-wrap gap-3 mb-6">
-        <Button
-          onClick={onRefresh}
-          variant="secondary"
-          size="sm"
-          className="flex items-center gap-2"
-        >
-          <RefreshCw size={16} />
-          Refresh Playlist
-        </Button>
+        {onRefresh && (
+          <Button
+            onClick={onRefresh}
+            variant="secondary"
+            size="sm"
+            className="flex items-center gap-2"
+          >
+            <RefreshCw size={16} />
+            Refresh Playlist
+          </Button>
+        )}
+
+        {onAddMore && (
+          <Button
+            onClick={onAddMore}
+            variant="secondary"
+            size="sm"
+            className="flex items-center gap-2"
+          >
+            <Plus size={16} />
+            Add More Songs
+          </Button>
+        )}
 
         <Button
-          onClick={onAddMore}
+          onClick={() => setShowAudition(true)}
+          disabled={showAudition}
           variant="secondary"
           size="sm"
           className="flex items-center gap-2"
         >
-          <Plus size={16} />
-          Add More Songs
+          <Headphones size={16} />
+          Audition
         </Button>
 
         <Button
@@ -293,9 +383,37 @@ export default function PlaylistDisplay({
           Share
         </Button>
 
+        <ExportMenu tracks={playlistArray} name={playlistName} />
+
+        {onUndo && (
+          <Button
+            onClick={onUndo}
+            disabled={!canUndo}
+            variant="ghost"
+            size="sm"
+            className="flex items-center gap-2"
+          >
+            <Undo2 size={16} />
+            Undo
+          </Button>
+        )}
+
+        {onRedo && (
+          <Button
+            onClick={onRedo}
+            disabled={!canRedo}
+            variant="ghost"
+            size="sm"
+            className="flex items-center gap-2"
+          >
+            <Redo2 size={16} />
+            Redo
+          </Button>
+        )}
+
         {onSaveToSpotify && (
           <Button
-            onClick={onSaveToSpotify}
+            onClick={handleOpenSave}
             variant="primary"
             size="sm"
             className="flex items-center gap-2"
@@ -306,6 +424,15 @@ export default function PlaylistDisplay({
         )}
       </div>
 
+      {/* Modo audición */}
+      {showAudition && (
+        <AuditionPanel
+          tracks={playlistArray}
+          onApply={handleApplyAudition}
+          onClose={() => setShowAudition(false)}
+        />
+      )}
+
       {/* Track List Header (Desktop) */}
       <div className="hidden md:flex items-center gap-4 px-3 py-2 border-b border-gray-700 text-sm text-gray-400 font-medium mb-2">
         <div className="w-14">#</div>
@@ -332,6 +459,7 @@ export default function PlaylistDisplay({
                 index={index}
                 onRemove={handleRemoveTrack}
                 onAddToPlaylist={setSelectedTrackForPlaylist}
+                onPlay={(trackIndex) => playQueue(playlistArray, trackIndex)}
               />
             ))}
           </div>
@@ -354,6 +482,24 @@ export default function PlaylistDisplay({
           onClose={() => setShowShareModal(false)}
         />
       )}
+
+      {/* Save to Spotify Modal */}
+      {showSaveModal && (
+        <CreatePlaylistModal
+          isOpen={showSaveModal}
+          onClose={handleCloseSave}
+          onCreatePlaylist={handleSave}
+          loading={saveStatus.saving}
+          initialName={playlistName}
+          title="Save to Spotify"
+          submitLabel="Save"
+          saveTargets={saveTargets}
+          closeOnSubmit={false}
+          progress={saveStatus.progress}
+          result={saveStatus.savedPlaylist}
+          error={saveStatus.error}
+        />
+      )}
     </div>
   );
 }
@@ -1,6 +1,7 @@
 'use client';
 
-import { Play, Pause, Heart, X, Music, Plus } from 'lucide-react';
+import { useEffect } from 'react';
+import { Play, Pause, Heart, X, Music, Plus, ListStart, ListEnd } from 'lucide-react';
 import { useFavorites } from '@/hooks/useFavorites';
 import { useAudioPlayerContext } from '@/contexts/AudioPlayerContext';
 
@@ -14,10 +15,12 @@ import { useAudioPlayerContext } from '@/contexts/AudioPlayerContext';
  * FUNCIONALIDAD:
  * - Muestra información completa de la canción (cover, título, artista, álbum)
  * - Botón de reproducción de preview (30 segundos) integrado con AudioPlayer
- * - Sistema de favoritos con persistencia en localStorage
+ * - Sistema de favoritos sincronizado con las Liked Songs de Spotify, con indicador
+ *   de sincronización (cambio pendiente o fallido) en el corazón
  * - Indicador visual cuando es la canción actual reproduciéndose
  * - Botón para añadir a otra playlist (opcional)
  * - Botón para eliminar de la playlist actual (opcional)
+ * - Botones "Play next" y "Add to queue" de la cola del reproductor
  * - Muestra duración de la canción formateada
  * - Dos modos de visualización: card o tabla (para páginas como Liked Songs)
  * - Estados disabled si no hay preview_url disponible
@@ -30,10 +33,10 @@ import { useAudioPlayerContext } from '@/contexts/AudioPlayerContext';
  * - Formateo de duración y fechas relativas
  *
  * DEPENDENCIAS DE REACT:
- * - No usa hooks propios, solo hooks importados
+ * - useEffect: Pedir la comprobación del favorito en Spotify al mostrarse (verifyFavorite)
  *
  * DEPENDENCIAS DE LIBRERÍAS:
- * - lucide-react: Iconos (Play, Pause, Heart, X, Music, Plus)
+ * - lucide-react: Iconos (Play, Pause, Heart, X, Music, Plus, ListStart, ListEnd)
  *
  * REFERENCIAS:
  * - Importa useFavorites desde @/hooks/useFavorites (src/hooks/useFavorites.jsx)
@@ -60,6 +63,8 @@ import { useAudioPlayerContext } from '@/contexts/AudioPlayerContext';
  * @param {number} props.index - Índice en lista (para formato tabla)
  * @param {string} props.addedAt - Fecha ISO cuando se añadió (para formato tabla)
  * @param {boolean} props.showAlbum - Si usa formato tabla con columna de álbum (default: false)
+ * @param {Function} props.onPlay - Opcional: reproducir desde la lista que contiene el track
+ *   (ej: playQueue(tracks, index)). Sin él, play(track) reproduce solo esta canción
  *
  * @returns {JSX.Element} Tarjeta de canción en formato card o tabla
  *
@@ -74,11 +79,14 @@ import { useAudioPlayerContext } from '@/contexts/AudioPlayerContext';
  *    - Renderiza card con cover, info, y botones de acción
  *    - Botones de añadir/eliminar visibles solo en hover
  * 6. Al hacer clic en play:
- *    - Si hay preview_url, llama a play(track) del AudioPlayer
+ *    - Si es la canción actual, play(track) alterna pausa/reproducción
+ *    - Si no, llama a onPlay(track) si existe, o a play(track) del AudioPlayer
  *    - Si no hay preview_url, botón está disabled
- * 7. Botón de corazón:
+ * 7. Botón de corazón (en los dos formatos):
  *    - Llama a toggleFavorite(track) para añadir/quitar de favoritos
  *    - Cambia color según estado isFavorite
+ *    - Punto gris: cambio pendiente de enviar a Spotify; punto rojo: el envío falló y se reintentará
+ * 8. Al montarse pide comprobar en Spotify si la canción está guardada (agrupado y con caché)
  */
 export default function TrackCard({
   track,
@@ -88,14 +96,80 @@ export default function TrackCard({
   onAddToPlaylist,
   index,
   addedAt,
-  showAlbum = false
+  showAlbum = false,
+  onPlay
 }) {
-  const { isFavorite, toggleFavorite } = useFavorites();
-  const { currentTrack, isPlaying, play } = useAudioPlayerContext();
+  const { isFavorite, toggleFavorite, getSyncStatus, verifyFavorite } = useFavorites();
+  const { currentTrack, isPlaying, play, playNext, addToQueue } = useAudioPlayerContext();
   const isFav = isFavorite(track.id);
+  const syncStatus = getSyncStatus(track.id);
+
+  // Comprobar en Spotify el estado real de las canciones que se muestran
+  useEffect(() => {
+    verifyFavorite(track);
+  }, [track, verifyFavorite]);
   const isCurrentTrack = currentTrack?.id === track.id;
   const showPlayButton = track.preview_url;
 
+  const handlePlay = () => {
+    if (!showPlayButton) return;
+    if (isCurrentTrack || !onPlay) {
+      play(track);
+    } else {
+      onPlay(track);
+    }
+  };
+
+  // Botones de la cola (solo para canciones con preview)
+  const queueButtons = showPlayButton && (
+    <>
+      <button
+        onClick={() => playNext(track)}
+        className="text-gray-400 hover:text-white transition-colors opacity-0 group-hover:opacity-100"
+        title="Play next"
+      >
+        <ListStart size={18} />
+      </button>
+      <button
+        onClick={() => addToQueue(track)}
+        className="text-gray-400 hover:text-white transition-colors opacity-0 group-hover:opacity-100"
+        title="Add to queue"
+      >
+        <ListEnd size={18} />
+      </button>
+    </>
+  );
+
+  // Corazón con el estado de sincronización con Spotify
+  const favoriteButton = (
+    <button
+      onClick={() => toggleFavorite(track)}
+      className={`relative transition-colors ${
+        isFav
+          ? 'text-blue-500 hover:text-blue-400'
+          : 'text-gray-400 hover:text-white'
+      }`}
+      title={
+        syncStatus === 'error'
+          ? 'Could not sync with Spotify.'
+          : syncStatus === 'pending'
+          ? 'Syncing with Spotify...'
+          : isFav
+          ? 'Remove from Liked Songs'
+          : 'Save to Liked Songs'
+      }
+    >
+      <Heart size={18} fill={isFav ? 'currentColor' : 'none'} />
+      {syncStatus !== 'synced' && (
+        <span
+          className={`absolute -top-0.5 -right-0.5 w-2 h-2 rounded-full ${
+            syncStatus === 'error' ? 'bg-red-500' : 'bg-gray-400 animate-pulse'
+          }`}
+        />
+      )}
+    </button>
+  );
+
   const formatDuration = (ms) => {
     const minutes = Math.floor(ms / 60000);
     const seconds = Math.floor((ms % 60000) / 1000);
@@ -127,7 +201,7 @@ export default function TrackCard({
         <div className="text-center">
           {showPlayButton ? (
             <button
-              onClick={() => play(track)}
+              onClick={handlePlay}
               className="text-gray-400 hover:text-white transition-colors opacity-0 group-hover:opacity-100"
             >
               {isCurrentTrack && isPlaying ? (
@@ -180,9 +254,12 @@ export default function TrackCard({
 
         {/* Duration */}
         <div className="text-right flex items-center justify-end gap-3">
+          {queueButtons}
+          {favoriteButton}
+
           {/* Play/Pause Button */}
           <button
-            onClick={() => showPlayButton && play(track)}
+            onClick={handlePlay}
             disabled={!showPlayButton}
             className={`transition-colors ${
               !showPlayButton
@@ -260,9 +337,12 @@ export default function TrackCard({
           </button>
         )}
 
+        {/* Play Next / Add to Queue */}
+        {queueButtons}
+
         {/* Play/Pause Button - Always visible */}
         <button
-          onClick={() => showPlayButton && play(track)}
+          onClick={handlePlay}
           disabled={!showPlayButton}
           className={`transition-colors ${
             !showPlayButton
@@ -287,16 +367,7 @@ export default function TrackCard({
         </button>
 
         {/* Favorite Button */}
-        <button
-          onClick={() => toggleFavorite(track)}
-          className={`transition-colors ${
-            isFav
-              ? 'text-blue-500 hover:text-blue-400'
-              : 'text-gray-400 hover:text-white'
-          }`}
-        >
-          <Heart size={18} fill={isFav ? 'currentColor' : 'none'} />
-        </button>
+        {favoriteButton}
 
         {/* Duration */}
         <span className="text-gray-400 text-sm w-12 text-right">
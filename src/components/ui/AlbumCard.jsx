@@ -1,6 +1,6 @@
 'use client';
 
-import { Play, Plus, Heart } from 'lucide-react';
+import { Play, Plus, Heart, ListStart, ListEnd } from 'lucide-react';
 
 /**
  * COMPONENTE: AlbumCard - Tarjeta visual de álbum/artista/track
@@ -13,6 +13,7 @@ import { Play, Plus, Heart } from 'lucide-react';
  * - Muestra imagen cuadrada con efecto zoom en hover
  * - Título y subtítulo truncados si son muy largos
  * - Botones de Play y Add que aparecen en hover con animaciones
+ * - Botones "Play next" y "Add to queue" para tracks (si se pasan los callbacks)
  * - Soporte para props antiguas y nuevas (retrocompatibilidad)
  * - Click en toda la card ejecuta acción principal (o añadir a playlist)
  * - Imagen placeholder si no hay cover disponible
@@ -27,7 +28,7 @@ import { Play, Plus, Heart } from 'lucide-react';
  * - Ninguna (componente puramente presentacional)
  *
  * DEPENDENCIAS DE LIBRERÍAS:
- * - lucide-react: Iconos (Play, Plus)
+ * - lucide-react: Iconos (Play, Plus, Heart, ListStart, ListEnd)
  *
  * REFERENCIAS:
  * - No importa otros componentes locales
@@ -50,6 +51,8 @@ import { Play, Plus, Heart } from 'lucide-react';
  * @param {Function} props.onPlayClick - Callback al hacer clic en botón Play
  * @param {Function} props.onAddToPlaylist - Callback al añadir a playlist
  * @param {Function} props.onToggleFavorite - Callback al toggle favorito
+ * @param {Function} props.onPlayNext - Callback "Play next" (recibe track)
+ * @param {Function} props.onAddToQueue - Callback "Add to queue" (recibe track)
  * @param {boolean} props.showAddButton - Si muestra botón de añadir (default: false)
  * @param {boolean} props.showFavoriteButton - Si muestra botón de favoritos (default: false)
  * @param {boolean} props.isFavorite - Si el track está en favoritos
@@ -66,6 +69,7 @@ import { Play, Plus, Heart } from 'lucide-react';
  * 4. Botón Play: ejecuta onPlayClick con stopPropagation
  * 5. Botón Add: ejecuta onAddToPlaylist(track) con stopPropagation
  * 6. Botón Heart: ejecuta onToggleFavorite(track) con stopPropagation
+ * 7. Botones de cola: ejecutan onPlayNext(track) / onAddToQueue(track) con stopPropagation
  */
 export default function AlbumCard({
   id,
@@ -80,6 +84,8 @@ export default function AlbumCard({
   onPlayClick,
   onAddToPlaylist,
   onToggleFavorite,
+  onPlayNext,
+  onAddToQueue,
   showAddButton = false,
   showFavoriteButton = false,
   isFavorite = false,
@@ -132,6 +138,31 @@ export default function AlbumCard({
               />
             </div>
           )}
+          {/* Botones de cola (solo tracks) */}
+          {track && onPlayNext && (
+            <div
+              onClick={(e) => {
+                e.stopPropagation();
+                onPlayNext(track);
+              }}
+              className="bg-gray-700/80 hover:bg-gray-600 rounded-full p-2.5 shadow-xl hover:scale-110 transition-all opacity-70 group-hover:opacity-100"
+              title="Play next"
+            >
+              <ListStart size={18} className="text-white" />
+            </div>
+          )}
+          {track && onAddToQueue && (
+            <div
+              onClick={(e) => {
+                e.stopPropagation();
+                onAddToQueue(track);
+              }}
+              className="bg-gray-700/80 hover:bg-gray-600 rounded-full p-2.5 shadow-xl hover:scale-110 transition-all opacity-70 group-hover:opacity-100"
+              title="Add to queue"
+            >
+              <ListEnd size={18} className="text-white" />
+            </div>
+          )}
           {/* Botón Add to Playlist */}
           {showAddButton && onAddToPlaylist && (
             <div
@@ -1,7 +1,7 @@
 'use client';
 
 import { useState } from 'react';
-import { X, Music, Lock, Globe } from 'lucide-react';
+import { X, Music, Lock, Globe, ExternalLink } from 'lucide-react';
 import Button from '@/components/ui/Button';
 
 /**
@@ -16,7 +16,9 @@ import Button from '@/components/ui/Button';
  * - Toggle de privacidad: Public/Private con iconos
  * - Resetea el formulario al cerrar o después de crear
  * - Botón de crear deshabilitado durante loading
- * - Cierra automáticamente después de crear exitosamente
+ * - Cierra automáticamente después de crear exitosamente (closeOnSubmit)
+ * - Modo guardado (si recibe saveTargets): crear nueva, reemplazar o añadir a una playlist existente
+ * - Barra de progreso mientras se añaden canciones y enlace a la playlist guardada
  *
  * ARQUITECTURA:
  * - Modal condicional (solo renderiza si isOpen=true)
@@ -26,23 +28,31 @@ import Button from '@/components/ui/Button';
  * - Limpieza de estado al cerrar
  *
  * DEPENDENCIAS DE REACT:
- * - useState: Manejo de campos del formulario (name, description, isPublic)
+ * - useState: Manejo de campos del formulario (name, description, isPublic, mode, targetId)
  *
  * DEPENDENCIAS DE LIBRERÍAS:
- * - lucide-react: Iconos (X, Music, Lock, Globe)
+ * - lucide-react: Iconos (X, Music, Lock, Globe, ExternalLink)
  *
  * REFERENCIAS:
  * - Importa Button desde @/components/ui/Button (src/components/ui/Button.jsx)
  *
  * UTILIZADO EN:
- * - src/app/playlists/page.jsx (crear nuevas playlists desde la página principal)
- * - src/app/generator/page.jsx (guardar playlist generada en Spotify)
+ * - src/components/layout/Sidebar.jsx (crear nuevas playlists)
+ * - src/components/playlist/PlaylistDisplay.jsx (guardar playlist generada en Spotify)
  *
  * @param {Object} props - Propiedades del componente
  * @param {boolean} props.isOpen - Si el modal está visible
  * @param {Function} props.onClose - Callback para cerrar el modal
- * @param {Function} props.onCreatePlaylist - Callback al crear (recibe: name, description, isPublic)
+ * @param {Function} props.onCreatePlaylist - Callback al crear (recibe: name, description, isPublic, { mode, target })
  * @param {boolean} props.loading - Estado de carga durante creación
+ * @param {string} props.initialName - Nombre inicial del formulario (default: '')
+ * @param {string} props.title - Título del modal (default: 'Create Playlist')
+ * @param {string} props.submitLabel - Texto del botón de envío (default: 'Create Playlist')
+ * @param {Array} props.saveTargets - Playlists existentes; si se pasa, se muestran los modos de guardado
+ * @param {boolean} props.closeOnSubmit - Cerrar al enviar (default: true)
+ * @param {Object} props.progress - {done, total} mientras se añaden canciones
+ * @param {Object} props.result - {name, url, queued} de la playlist guardada (queued: en la cola, sin conexión)
+ * @param {string} props.error - Mensaje de error a mostrar
  *
  * @returns {JSX.Element|null} Modal de crear playlist o null si no está abierto
  *
@@ -53,30 +63,61 @@ import Button from '@/components/ui/Button';
  *    - Descripción (opcional)
  *    - Privacidad (toggle Public/Private)
  * 3. Al hacer submit:
- *    - Valida que nombre no esté vacío
- *    - Llama a onCreatePlaylist(name, description, isPublic)
- *    - Llama a handleClose() que resetea campos
+ *    - Valida que nombre no esté vacío (o que haya playlist elegida en reemplazar/añadir)
+ *    - Llama a onCreatePlaylist(name, description, isPublic, { mode, target })
+ *    - Si closeOnSubmit, llama a handleClose() que resetea campos
+ *    - Si no, muestra progress y después result (enlace a Spotify)
  * 4. Al cerrar (X o backdrop):
  *    - Resetea todos los campos a valores default
  *    - Llama a onClose()
  */
-export default function CreatePlaylistModal({ isOpen, onClose, onCreatePlaylist, loading }) {
-  const [name, setName] = useState('');
+// Modos disponibles cuando se guarda una playlist generada
+const SAVE_MODES = [
+  { id: 'create', label: 'New playlist' },
+  { id: 'overwrite', label: 'Replace existing' },
+  { id: 'append', label: 'Add to existing' }
+];
+
+export default function CreatePlaylistModal({
+  isOpen,
+  onClose,
+  onCreatePlaylist,
+  loading,
+  initialName = '',
+  title = 'Create Playlist',
+  submitLabel = 'Create Playlist',
+  saveTargets,
+  closeOnSubmit = true,
+  progress = null,
+  result = null,
+  error = null
+}) {
+  const [name, setName] = useState(initialName);
   const [description, setDescription] = useState('');
   const [isPublic, setIsPublic] = useState(true);
+  const [mode, setMode] = useState('create');
+  const [targetId, setTargetId] = useState('');
+
+  const target = saveTargets?.find((playlist) => playlist.id === targetId) || null;
+  const isCreating = mode === 'create';
+  const canSubmit = isCreating ? name.trim() : target;
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (name.trim()) {
-      onCreatePlaylist(name, description, isPublic);
-      handleClose();
+    if (canSubmit) {
+      onCreatePlaylist(name, description, isPublic, { mode, target });
+      if (closeOnSubmit) {
+        handleClose();
+      }
     }
   };
 
   const handleClose = () => {
-    setName('');
+    setName(initialName);
     setDescription('');
     setIsPublic(true);
+    setMode('create');
+    setTargetId('');
     onClose();
   };
 
@@ -94,7 +135,7 @@ export default function CreatePlaylistModal({ isOpen, onClose, onCreatePlaylist,
       <div className="relative bg-[#282828] rounded-lg w-full max-w-md p-6 shadow-2xl animate-in fade-in zoom-in duration-200">
         {/* Header */}
         <div className="flex items-center justify-between mb-6">
-          <h2 className="text-2xl font-bold text-white">Create Playlist</h2>
+          <h2 className="text-2xl font-bold text-white">{title}</h2>
           <button
             onClick={handleClose}
             className="text-gray-400 hover:text-white transition-colors"
@@ -103,90 +144,203 @@ export default function CreatePlaylistModal({ isOpen, onClose, onCreatePlaylist,
           </button>
         </div>
 
-        {/* Form */}
-        <form onSubmit={handleSubmit} className="space-y-6">
-          {/* Playlist Name */}
-          <div>
-            <label htmlFor="name" className="block text-sm font-medium text-gray-300 mb-2">
-              Playlist Name *
-            </label>
-            <input
-              type="text"
-              id="name"
-              value={name}
-              onChange={(e) => setName(e.target.value)}
-              placeholder="My Awesome Playlist"
-              className="w-full bg-[#3E3E3E] text-white px-4 py-3 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600"
-              required
-            />
+        {/* Result */}
+        {result && (
+          <div className="space-y-4 text-center">
+            <div className="w-16 h-16 bg-blue-600 rounded-full flex items-center justify-center mx-auto">
+              <Music size={28} className="text-white" />
+            </div>
+            <p className="text-white">
+              {result.queued ? 'Queued for' : 'Saved to'} <span className="font-bold">{result.name}</span>
+            </p>
+            {result.queued && (
+              <p className="text-sm text-gray-400">
+                Spotify could not be reached. The changes are queued and will be sent when the connection is back.
+              </p>
+            )}
+            {error && <p className="text-sm text-red-400">{error}</p>}
+            <div className="flex gap-3">
+              <Button
+                type="button"
+                onClick={handleClose}
+                className="flex-1 bg-transparent border border-gray-600 text-white hover:bg-gray-800"
+              >
+                Close
+              </Button>
+              {result.url && (
+                <a
+                  href={result.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex-1 flex items-center justify-center gap-2 px-4 py-2 rounded-full bg-blue-600 hover:bg-blue-500 text-white font-semibold transition-colors"
+                >
+                  <ExternalLink size={16} />
+                  Open in Spotify
+                </a>
+              )}
+            </div>
           </div>
+        )}
 
-          {/* Description */}
-          <div>
-            <label htmlFor="description" className="block text-sm font-medium text-gray-300 mb-2">
-              Description (Optional)
-            </label>
-            <textarea
-              id="description"
-              value={description}
-              onChange={(e) => setDescription(e.target.value)}
-              placeholder="Add a description to your playlist..."
-              rows={3}
-              className="w-full bg-[#3E3E3E] text-white px-4 py-3 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600 resize-none"
-            />
+        {/* Progress */}
+        {!result && progress && loading && (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-300">
+              Adding tracks... {progress.done} of {progress.total}
+            </p>
+            <div className="w-full h-2 bg-[#3E3E3E] rounded-full overflow-hidden">
+              <div
+                className="h-full bg-blue-600 transition-all"
+                style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+              />
+            </div>
           </div>
+        )}
 
-          {/* Privacy Toggle */}
-          <div>
-            <label className="block text-sm font-medium text-gray-300 mb-3">
-              Privacy
-            </label>
-            <div className="flex gap-3">
-              <button
+        {/* Form */}
+        {!result && !(progress && loading) && (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            {/* Save Mode */}
+            {saveTargets && (
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-3">
+                  Save as
+                </label>
+                <div className="flex gap-2">
+                  {SAVE_MODES.map((option) => (
+                    <button
+                      key={option.id}
+                      type="button"
+                      onClick={() => setMode(option.id)}
+                      className={`flex-1 px-3 py-2 rounded-md text-sm font-medium transition-all ${
+                        mode === option.id
+                          ? 'bg-blue-600 text-white'
+                          : 'bg-[#3E3E3E] text-gray-400 hover:text-white'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Existing Playlist */}
+            {!isCreating && (
+              <div>
+                <label htmlFor="target" className="block text-sm font-medium text-gray-300 mb-2">
+                  Playlist *
+                </label>
+                <select
+                  id="target"
+                  value={targetId}
+                  onChange={(e) => setTargetId(e.target.value)}
+                  className="w-full bg-[#3E3E3E] text-white px-4 py-3 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600"
+                >
+                  <option value="">Choose a playlist...</option>
+                  {saveTargets.map((playlist) => (
+                    <option key={playlist.id} value={playlist.id}>
+                      {playlist.name}
+                    </option>
+                  ))}
+                </select>
+                {mode === 'overwrite' && (
+                  <p className="text-xs text-gray-400 mt-2">
+                    All current tracks in this playlist will be replaced.
+                  </p>
+                )}
+              </div>
+            )}
+
+            {isCreating && (
+              <>
+                {/* Playlist Name */}
+                <div>
+                  <label htmlFor="name" className="block text-sm font-medium text-gray-300 mb-2">
+                    Playlist Name *
+                  </label>
+                  <input
+                    type="text"
+                    id="name"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="My Awesome Playlist"
+                    className="w-full bg-[#3E3E3E] text-white px-4 py-3 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600"
+                    required
+                  />
+                </div>
+
+                {/* Description */}
+                <div>
+                  <label htmlFor="description" className="block text-sm font-medium text-gray-300 mb-2">
+                    Description (Optional)
+                  </label>
+                  <textarea
+                    id="description"
+                    value={description}
+                    onChange={(e) => setDescription(e.target.value)}
+                    placeholder="Add a description to your playlist..."
+                    rows={3}
+                    className="w-full bg-[#3E3E3E] text-white px-4 py-3 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600 resize-none"
+                  />
+                </div>
+
+                {/* Privacy Toggle */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-3">
+                    Privacy
+                  </label>
+                  <div className="flex gap-3">
+                    <button
+                      type="button"
+                      onClick={() => setIsPublic(true)}
+                      className={`flex-1 flex items-center justify-center gap-2 px-4 py-3 rounded-md transition-all ${
+                        isPublic
+                          ? 'bg-blue-600 text-white'
+                          : 'bg-[#3E3E3E] text-gray-400 hover:text-white'
+                      }`}
+                    >
+                      <Globe size={18} />
+                      <span className="font-medium">Public</span>
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setIsPublic(false)}
+                      className={`flex-1 flex items-center justify-center gap-2 px-4 py-3 rounded-md transition-all ${
+                        !isPublic
+                          ? 'bg-blue-600 text-white'
+                          : 'bg-[#3E3E3E] text-gray-400 hover:text-white'
+                      }`}
+                    >
+                      <Lock size={18} />
+                      <span className="font-medium">Private</span>
+                    </button>
+                  </div>
+                </div>
+              </>
+            )}
+
+            {error && <p className="text-sm text-red-400">{error}</p>}
+
+            {/* Actions */}
+            <div className="flex gap-3 pt-2">
+              <Button
                 type="button"
-                onClick={() => setIsPublic(true)}
-                className={`flex-1 flex items-center justify-center gap-2 px-4 py-3 rounded-md transition-all ${
-                  isPublic
-                    ? 'bg-blue-600 text-white'
-                    : 'bg-[#3E3E3E] text-gray-400 hover:text-white'
-                }`}
+                onClick={handleClose}
+                className="flex-1 bg-transparent border border-gray-600 text-white hover:bg-gray-800"
               >
-                <Globe size={18} />
-                <span className="font-medium">Public</span>
-              </button>
-              <button
-                type="button"
-                onClick={() => setIsPublic(false)}
-                className={`flex-1 flex items-center justify-center gap-2 px-4 py-3 rounded-md transition-all ${
-                  !isPublic
-                    ? 'bg-blue-600 text-white'
-                    : 'bg-[#3E3E3E] text-gray-400 hover:text-white'
-                }`}
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                disabled={!canSubmit || loading}
+                className="flex-1 bg-blue-600 hover:bg-blue-500 text-white disabled:bg-gray-700 disabled:text-gray-500"
               >
-                <Lock size={18} />
-                <span className="font-medium">Private</span>
-              </button>
+                {loading ? 'Creating...' : submitLabel}
+              </Button>
             </div>
-          </div>
-
-          {/* Actions */}
-          <div className="flex gap-3 pt-2">
-            <Button
-              type="button"
-              onClick={handleClose}
-              className="flex-1 bg-transparent border border-gray-600 text-white hover:bg-gray-800"
-            >
-              Cancel
-            </Button>
-            <Button
-              type="submit"
-              disabled={!name.trim() || loading}
-              className="flex-1 bg-blue-600 hover:bg-blue-500 text-white disabled:bg-gray-700 disabled:text-gray-500"
-            >
-              {loading ? 'Creating...' : 'Create Playlist'}
-            </Button>
-          </div>
-        </form>
+          </form>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,132 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { Download } from 'lucide-react';
+import Button from './Button';
+import { EXPORT_FORMATS, downloadPlaylist } from '@/lib/playlistExport';
+
+/**
+ * COMPONENTE: ExportMenu - Botón de exportación de una lista de canciones
+ * ========================================================================
+ * Botón "Export" con un desplegable de formatos (CSV, JSON, M3U8, XSPF) que
+ * descarga la lista de canciones como fichero.
+ *
+ * FUNCIONALIDAD:
+ * - Un fichero por formato, con el nombre de la playlist como nombre de fichero
+ * - Si la lista está paginada, getTracks permite cargar el resto antes de exportar
+ * - Se cierra al hacer clic fuera o con Escape
+ *
+ * ARQUITECTURA:
+ * - Dos apariencias: botón con texto (variant 'button') o botón redondo (variant 'icon')
+ * - La serialización y la descarga están en src/lib/playlistExport.js
+ *
+ * DEPENDENCIAS DE REACT:
+ * - useState: Menú abierto y exportación en curso
+ * - useEffect: Cierre con clic fuera y con Escape
+ * - useRef: Contenedor para detectar clics fuera
+ *
+ * DEPENDENCIAS DE LUCIDE:
+ * - Download: Icono del botón
+ *
+ * REFERENCIAS:
+ * - Importa Button desde ./Button (src/components/ui/Button.jsx)
+ * - Importa EXPORT_FORMATS y downloadPlaylist desde @/lib/playlistExport (src/lib/playlistExport.js)
+ *
+ * UTILIZADO EN:
+ * - src/components/playlist/PlaylistDisplay.jsx (playlist generada)
+ * - src/components/modals/PlaylistModal.jsx (playlists del usuario)
+ * - src/app/dashboard/favorites/FavoritesClient.jsx (Liked Songs)
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Array<Object>} props.tracks - Tracks o items { track } ya cargados
+ * @param {string} props.name - Nombre de la playlist
+ * @param {Function} props.getTracks - Opcional: async () => lista completa (para listas paginadas)
+ * @param {string} props.variant - 'button' | 'icon' (default: 'button')
+ *
+ * @returns {JSX.Element} Botón con desplegable de formatos
+ */
+export default function ExportMenu({ tracks, name, getTracks, variant = 'button' }) {
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    const handleEscape = (event) => {
+      if (event.key === 'Escape') {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    document.addEventListener('keydown', handleEscape);
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.removeEventListener('keydown', handleEscape);
+    };
+  }, [open]);
+
+  const handleExport = async (format) => {
+    setOpen(false);
+    setExporting(true);
+    try {
+      const items = getTracks ? await getTracks() : tracks;
+      downloadPlaylist(items, format, { name });
+    } catch (error) {
+      alert('Could not export the playlist. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const disabled = exporting || !tracks || tracks.length === 0;
+
+  return (
+    <div ref={menuRef} className="relative">
+      {variant === 'icon' ? (
+        <button
+          onClick={() => setOpen(prev => !prev)}
+          disabled={disabled}
+          className="w-10 h-10 rounded-full bg-purple-600/80 hover:bg-purple-600 flex items-center justify-center transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          title="Export playlist"
+        >
+          <Download size={20} className="text-white" />
+        </button>
+      ) : (
+        <Button
+          onClick={() => setOpen(prev => !prev)}
+          disabled={disabled}
+          variant="secondary"
+          size="sm"
+          className="flex items-center gap-2"
+        >
+          <Download size={16} />
+          {exporting ? 'Exporting...' : 'Export'}
+        </Button>
+      )}
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-40 bg-[#282828] rounded-lg shadow-xl border border-gray-700 py-1 z-50">
+          {Object.values(EXPORT_FORMATS).map(format => (
+            <button
+              key={format.id}
+              onClick={() => handleExport(format.id)}
+              className="w-full text-left px-4 py-2 text-sm text-white hover:bg-[#3E3E3E] transition-colors"
+            >
+              {format.label}
+              <span className="ml-2 text-xs text-gray-400">.{format.extension}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+'use client';
+
+import { useEffect, useRef } from 'react';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+
+/**
+ * COMPONENTE: LoadMoreTrigger - Carga incremental de listas paginadas
+ * ====================================================================
+ * Pie de lista que carga la siguiente página de un endpoint paginado de Spotify.
+ * Combina scroll infinito (IntersectionObserver) con un botón "Load more" manual.
+ *
+ * FUNCIONALIDAD:
+ * - Llama a onLoadMore cuando el pie entra en pantalla (si autoLoad=true)
+ * - Botón "Load more" como alternativa accesible al scroll infinito
+ * - Muestra el progreso "X of Y loaded"
+ * - No renderiza nada si no quedan páginas
+ *
+ * DEPENDENCIAS DE REACT:
+ * - useRef: Referencia al elemento centinela observado
+ * - useEffect: Registro y limpieza del IntersectionObserver
+ *
+ * REFERENCIAS:
+ * - Importa Button desde @/components/ui/Button (src/components/ui/Button.jsx)
+ * - Importa LoadingSpinner desde @/components/ui/LoadingSpinner (src/components/ui/LoadingSpinner.jsx)
+ *
+ * UTILIZADO EN:
+ * - src/app/dashboard/library/LibraryClient.jsx (playlists y álbumes)
+ * - src/app/dashboard/favorites/FavoritesClient.jsx (Liked Songs)
+ * - src/components/modals/PlaylistModal.jsx (canciones de la playlist)
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Function} props.onLoadMore - Callback para cargar la siguiente página
+ * @param {boolean} props.hasMore - Si quedan páginas por cargar
+ * @param {boolean} props.loading - Si hay una página cargándose
+ * @param {number} props.loaded - Número de elementos ya cargados
+ * @param {number} props.total - Total de elementos según Spotify
+ * @param {boolean} props.autoLoad - Activar scroll infinito (default: true)
+ *
+ * @returns {JSX.Element|null} Pie de lista o null si no hay más páginas
+ */
+export default function LoadMoreTrigger({
+  onLoadMore,
+  hasMore,
+  loading = false,
+  loaded = 0,
+  total = 0,
+  autoLoad = true
+}) {
+  const sentinelRef = useRef(null);
+
+  // Scroll infinito: cargar cuando el centinela sea visible
+  useEffect(() => {
+    if (!autoLoad || !hasMore || loading) return;
+    const element = sentinelRef.current;
+    if (!element || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0]?.isIntersecting) {
+        onLoadMore();
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [autoLoad, hasMore, loading, onLoadMore]);
+
+  if (!hasMore) return null;
+
+  return (
+    <div ref={sentinelRef} className="flex flex-col items-center gap-3 py-6">
+      {loading ? (
+        <LoadingSpinner size="sm" />
+      ) : (
+        <Button onClick={onLoadMore} variant="secondary" size="sm">
+          Load more
+        </Button>
+      )}
+      {total > 0 && (
+        <p className="text-xs text-gray-500">
+          {loaded} of {total} loaded
+        </p>
+      )}
+    </div>
+  );
+}
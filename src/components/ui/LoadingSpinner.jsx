@@ -1,5 +1,7 @@
 'use client';
 
+import { useRateLimitStatus } from '@/hooks/useRateLimitStatus';
+
 /**
  * COMPONENTE: LoadingSpinner - Spinner de carga animado
  * ======================================================
@@ -11,21 +13,23 @@
  * - 3 tamaños configurables: sm, md, lg
  * - Clases CSS adicionales via prop className
  * - Variante full-page con backdrop y mensaje opcional
+ * - Aviso "Waiting for Spotify rate limit..." mientras la cola de peticiones está pausada por un 429
  *
  * ARQUITECTURA:
- * - Componente presentacional sin estado
+ * - Sin estado propio: lee el estado global de la cola de peticiones (useRateLimitStatus)
+ *   para mostrar el aviso de rate limit
  * - Animación CSS nativa (animate-spin de Tailwind)
  * - Border gradient para efecto de carga
  * - Centrado con flexbox
  *
  * DEPENDENCIAS DE REACT:
- * - Ninguna (componente puramente presentacional)
+ * - Ninguna directa (useRateLimitStatus usa useSyncExternalStore)
  *
  * DEPENDENCIAS DE LIBRERÍAS:
  * - Ninguna (solo Tailwind CSS)
  *
  * REFERENCIAS:
- * - No importa otros componentes
+ * - Importa useRateLimitStatus desde @/hooks/useRateLimitStatus (src/hooks/useRateLimitStatus.jsx)
  *
  * UTILIZADO EN:
  * - src/components/modals/AddToPlaylistModal.jsx (cargando playlists)
@@ -46,6 +50,7 @@
  * - lg: 48px (w-12 h-12, border-4)
  */
 export default function LoadingSpinner({ size = 'md', className = '' }) {
+  const { rateLimited } = useRateLimitStatus();
   const sizes = {
     sm: 'w-4 h-4 border-2',
     md: 'w-8 h-8 border-3',
@@ -53,7 +58,7 @@ export default function LoadingSpinner({ size = 'md', className = '' }) {
   };
 
   return (
-    <div className={`flex items-center justify-center ${className}`}>
+    <div className={`flex flex-col items-center justify-center ${className}`}>
       <div
         className={`
           ${sizes[size]}
@@ -63,6 +68,11 @@ export default function LoadingSpinner({ size = 'md', className = '' }) {
           animate-spin
         `}
       />
+      {rateLimited && (
+        <p className="text-xs text-yellow-400 mt-3">
+          Waiting for Spotify rate limit...
+        </p>
+      )}
     </div>
   );
 }
@@ -0,0 +1,205 @@
+'use client';
+
+import { useState, useRef } from 'react';
+import { BookmarkPlus, Save, Copy, Trash2, Download, Upload, Link2 } from 'lucide-react';
+import { useMixPresets } from '@/hooks/useMixPresets';
+import { encodeMixParam } from '@/lib/mixLink';
+
+/**
+ * COMPONENTE: MixPresetSelector - Mixes guardados del generador
+ * ==============================================================
+ * Barra compacta para la cabecera del generador que guarda y carga "mixes":
+ * combinaciones con nombre de preferencias, estrategia y longitud.
+ *
+ * FUNCIONALIDAD:
+ * - Select para cargar un mix (llama a onApply con el mix elegido)
+ * - Save as new: guarda la configuración actual con un nombre nuevo
+ * - Update: sobrescribe el mix seleccionado con la configuración actual
+ * - Duplicate / Delete (con confirmación) del mix seleccionado
+ * - Export: descarga todos los mixes como fichero JSON
+ * - Import: añade los mixes de un fichero JSON exportado (también de versiones antiguas)
+ * - Copy mix link: copia un enlace /dashboard/generate-playlist?mix=... con la configuración actual
+ *
+ * ARQUITECTURA:
+ * - Los mixes viven en localStorage (src/lib/mixPresets.js) a través de useMixPresets
+ * - El componente solo guarda qué mix está seleccionado y el último aviso
+ *
+ * DEPENDENCIAS DE REACT:
+ * - useState: Mix seleccionado y mensaje de estado
+ * - useRef: Input de fichero oculto para importar
+ *
+ * DEPENDENCIAS DE LIBRERÍAS:
+ * - lucide-react: Iconos de las acciones
+ *
+ * REFERENCIAS:
+ * - Importa useMixPresets desde @/hooks/useMixPresets (src/hooks/useMixPresets.jsx)
+ * - Importa encodeMixParam desde @/lib/mixLink (src/lib/mixLink.js)
+ *
+ * UTILIZADO EN:
+ * - src/app/dashboard/generate-playlist/page.jsx
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Object} props.preferences - Preferencias actuales del generador
+ * @param {string} props.strategy - Estrategia actual
+ * @param {number} props.limit - Longitud objetivo actual
+ * @param {Function} props.onApply - Callback al cargar un mix (recibe el mix)
+ *
+ * @returns {JSX.Element} Selector de mixes
+ */
+export default function MixPresetSelector({ preferences, strategy, limit, onApply }) {
+  const { mixes, save, update, duplicate, remove, exportToJson, importFromJson } = useMixPresets();
+  const [selectedId, setSelectedId] = useState('');
+  const [status, setStatus] = useState(null);
+  const fileInputRef = useRef(null);
+
+  // Si el mix seleccionado se elimina (aquí o en otra pestaña) se deja de considerar seleccionado
+  const selectedMix = mixes.find((mix) => mix.id === selectedId) || null;
+  const currentConfig = { preferences, strategy, limit };
+
+  // Ejecuta una acción de escritura mostrando el error si falla (p. ej. localStorage lleno)
+  const runAction = (action) => {
+    try {
+      action();
+    } catch (err) {
+      setStatus({ message: err.message, error: true });
+    }
+  };
+
+  const handleSelect = (id) => {
+    setSelectedId(id);
+    setStatus(null);
+    const mix = mixes.find((item) => item.id === id);
+    if (mix) onApply(mix);
+  };
+
+  const handleSaveAsNew = () => {
+    const name = prompt('Name for this mix:', selectedMix ? `${selectedMix.name} (copy)` : '');
+    if (!name?.trim()) return;
+    runAction(() => {
+      const mix = save(name, currentConfig);
+      setSelectedId(mix.id);
+      setStatus({ message: `Saved "${mix.name}"` });
+    });
+  };
+
+  const handleUpdate = () => {
+    if (!selectedMix) return;
+    runAction(() => {
+      update(selectedMix.id, currentConfig);
+      setStatus({ message: `Updated "${selectedMix.name}"` });
+    });
+  };
+
+  const handleDuplicate = () => {
+    if (!selectedMix) return;
+    runAction(() => {
+      const copy = duplicate(selectedMix.id);
+      if (copy) {
+        setSelectedId(copy.id);
+        setStatus({ message: `Created "${copy.name}"` });
+      }
+    });
+  };
+
+  const handleDelete = () => {
+    if (!selectedMix || !confirm(`Delete the mix "${selectedMix.name}"?`)) return;
+    runAction(() => {
+      remove(selectedMix.id);
+      setSelectedId('');
+      setStatus({ message: `Deleted "${selectedMix.name}"` });
+    });
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([exportToJson()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'musicstream-mixes.json';
+    // Algunos navegadores solo descargan enlaces que están en el documento y aún
+    // no han empezado a leer el blob al volver de click(): se revoca más tarde
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    // Permitir volver a elegir el mismo fichero
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = importFromJson(await file.text());
+      setStatus({ message: `Imported ${imported.length} ${imported.length === 1 ? 'mix' : 'mixes'}` });
+    } catch (err) {
+      setStatus({ message: err.message, error: true });
+    }
+  };
+
+  const handleCopyLink = async () => {
+    const url = new URL('/dashboard/generate-playlist', window.location.origin);
+    url.searchParams.set('mix', encodeMixParam(currentConfig));
+    try {
+      await navigator.clipboard.writeText(url.toString());
+      setStatus({ message: 'Mix link copied' });
+    } catch (err) {
+      setStatus({ message: 'Could not copy the link', error: true });
+    }
+  };
+
+  const iconButtonClass = 'p-2 rounded text-gray-400 hover:text-white hover:bg-white/5 transition-colors disabled:opacity-40 disabled:pointer-events-none';
+
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      <select
+        value={selectedMix ? selectedId : ''}
+        onChange={(e) => handleSelect(e.target.value)}
+        className="bg-[#282828] text-white px-3 py-2 rounded text-sm max-w-[200px] focus:outline-none focus:ring-2 focus:ring-blue-600"
+      >
+        <option value="">{mixes.length > 0 ? 'Load a mix...' : 'No saved mixes'}</option>
+        {mixes.map((mix) => (
+          <option key={mix.id} value={mix.id}>
+            {mix.name}
+          </option>
+        ))}
+      </select>
+
+      <button onClick={handleSaveAsNew} title="Save as new mix" className={iconButtonClass}>
+        <BookmarkPlus size={18} />
+      </button>
+      <button onClick={handleUpdate} disabled={!selectedMix} title="Update selected mix" className={iconButtonClass}>
+        <Save size={18} />
+      </button>
+      <button onClick={handleDuplicate} disabled={!selectedMix} title="Duplicate selected mix" className={iconButtonClass}>
+        <Copy size={18} />
+      </button>
+      <button onClick={handleDelete} disabled={!selectedMix} title="Delete selected mix" className={iconButtonClass}>
+        <Trash2 size={18} />
+      </button>
+      <button onClick={handleExport} disabled={mixes.length === 0} title="Export mixes (JSON)" className={iconButtonClass}>
+        <Download size={18} />
+      </button>
+      <button onClick={() => fileInputRef.current?.click()} title="Import mixes (JSON)" className={iconButtonClass}>
+        <Upload size={18} />
+      </button>
+      <button onClick={handleCopyLink} title="Copy mix link" className={iconButtonClass}>
+        <Link2 size={18} />
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        onChange={handleImport}
+        className="hidden"
+      />
+
+      {status && (
+        <span className={`text-xs ml-2 ${status.error ? 'text-red-400' : 'text-gray-400'}`}>
+          {status.message}
+        </span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+'use client';
+
+import { useEffect } from 'react';
+import { X } from 'lucide-react';
+
+/**
+ * COMPONENTE: UndoToast - Aviso con botón "Undo" tras editar una playlist
+ * ========================================================================
+ * Toast flotante que confirma la última operación del historial de edición
+ * y permite deshacerla (o rehacerla si se acaba de deshacer).
+ *
+ * FUNCIONALIDAD:
+ * - Muestra el label de la operación (ej: 'Removed "Song"')
+ * - Botón "Undo" tras una operación o un redo; botón "Redo" tras un undo
+ * - Muestra el error si el undo/redo falló
+ * - Se oculta solo a los AUTO_HIDE_MS milisegundos (cada acción nueva reinicia el tiempo)
+ *
+ * DEPENDENCIAS DE REACT:
+ * - useEffect: Temporizador de ocultación automática
+ *
+ * DEPENDENCIAS DE LIBRERÍAS:
+ * - lucide-react: Icono X para cerrar
+ *
+ * UTILIZADO EN:
+ * - src/app/dashboard/generate-playlist/page.jsx
+ * - src/components/modals/PlaylistModal.jsx
+ *
+ * @param {Object} props - Propiedades del componente
+ * @param {Object} props.action - lastAction de useUndoHistory {id, label, type}
+ * @param {string} props.error - Error del último undo/redo
+ * @param {Function} props.onUndo - Callback del botón "Undo"
+ * @param {Function} props.onRedo - Callback del botón "Redo"
+ * @param {Function} props.onDismiss - Callback al cerrar u ocultarse
+ *
+ * @returns {JSX.Element|null} Toast o null si no hay acción ni error
+ */
+
+// Tiempo visible del toast
+const AUTO_HIDE_MS = 6000;
+
+export default function UndoToast({ action, error, onUndo, onRedo, onDismiss }) {
+  const visible = Boolean(action || error);
+  const actionId = action?.id;
+
+  // Ocultar automáticamente (se reinicia con cada acción nueva)
+  useEffect(() => {
+    if (!visible) return;
+    const timer = setTimeout(onDismiss, AUTO_HIDE_MS);
+    return () => clearTimeout(timer);
+  }, [visible, actionId, error, onDismiss]);
+
+  if (!visible) return null;
+
+  const message = error
+    || (action.type === 'undo' ? `Undone: ${action.label}` : action.label);
+
+  return (
+    <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-[60] flex items-center gap-4 bg-[#282828] text-white px-4 py-3 rounded-lg shadow-2xl">
+      <span className={`text-sm ${error ? 'text-red-400' : ''}`}>{message}</span>
+      {action?.type === 'undo' ? (
+        <button
+          onClick={onRedo}
+          className="text-sm font-bold text-blue-400 hover:text-blue-300 transition-colors"
+        >
+          Redo
+        </button>
+      ) : action && (
+        <button
+          onClick={onUndo}
+          className="text-sm font-bold text-blue-400 hover:text-blue-300 transition-colors"
+        >
+          Undo
+        </button>
+      )}
+      <button
+        onClick={onDismiss}
+        className="text-gray-400 hover:text-white transition-colors"
+      >
+        <X size={16} />
+      </button>
+    </div>
+  );
+}
@@ -1,6 +1,5 @@
 'use client';
 
-import { useState } from 'react';
 import { Smile, Frown, Zap, Heart } from 'lucide-react';
 
 /**
@@ -24,15 +23,13 @@ import { Smile, Frown, Zap, Heart } from 'lucide-react';
  * - CSS custom para thumbs de los sliders
  *
  * ARQUITECTURA:
- * - Estado local sincronizado con prop mood inicial
+ * - Componente controlado: los valores se derivan siempre de la prop mood
+ *   (al cargar un mix o restaurar el historial los sliders reflejan el cambio)
  * - Valores por defecto: 50 para cada característica
  * - Presets que cambian todos los valores a la vez
  * - Callbacks en cada cambio de slider
  * - Estilos CSS inline para customizar range inputs
  *
- * DEPENDENCIAS DE REACT:
- * - useState: Manejo local de valores de sliders
- *
  * DEPENDENCIAS DE LIBRERÍAS:
  * - lucide-react: Iconos para presets (Smile, Frown, Zap, Heart)
  *
@@ -44,7 +41,7 @@ import { Smile, Frown, Zap, Heart } from 'lucide-react';
  * - src/app/page.jsx (página principal con generador)
  *
  * @param {Object} props - Propiedades del componente
- * @param {Object} props.mood - Objeto con valores iniciales {energy, valence, danceability}
+ * @param {Object} props.mood - Objeto con valores actuales {energy, valence, danceability}
  * @param {Function} props.onSelect - Callback con objeto actualizado de mood
  *
  * @returns {JSX.Element} Widget de configuración de mood
@@ -56,24 +53,22 @@ import { Smile, Frown, Zap, Heart } from 'lucide-react';
  * - Chill: { energy: 40, valence: 60, danceability: 40 }
  *
  * FLUJO DE EJECUCIÓN:
- * 1. Inicializa con valores de prop mood o defaults (50)
+ * 1. Muestra los valores de la prop mood o defaults (50)
  * 2. Usuario puede:
  *    a) Hacer clic en preset: aplica valores predefinidos
  *    b) Mover sliders manualmente: actualiza valor individual
  * 3. Cada cambio llama a onSelect con objeto completo actualizado
- * 4. Valores se usan en Spotify Recommendations API como targets
+ * 4. Valores se usan en el motor de recomendaciones local como perfil objetivo
  */
 export default function MoodWidget({ mood = {}, onSelect }) {
-  const [values, setValues] = useState({
-    energy: mood.energy || 50,
-    valence: mood.valence || 50,
-    danceability: mood.danceability || 50,
-  });
+  const values = {
+    energy: mood.energy ?? 50,
+    valence: mood.valence ?? 50,
+    danceability: mood.danceability ?? 50,
+  };
 
   const handleSliderChange = (key, value) => {
-    const newValues = { ...values, [key]: parseInt(value) };
-    setValues(newValues);
-    onSelect(newValues);
+    onSelect({ ...values, [key]: parseInt(value) });
   };
 
   const presets = [
@@ -100,7 +95,6 @@ export default function MoodWidget({ mood = {}, onSelect }) {
   ];
 
   const handlePreset = (preset) => {
-    setValues(preset.values);
     onSelect(preset.values);
   };
 
@@ -1,6 +1,5 @@
 'use client';
 
-import { useState } from 'react';
 import { TrendingUp, Music, Radio } from 'lucide-react';
 
 /**
@@ -22,15 +21,13 @@ import { TrendingUp, Music, Radio } from 'lucide-react';
  * - Iconos descriptivos para cada nivel
  *
  * ARQUITECTURA:
- * - Estado local para rango seleccionado y valores custom
- * - Inicializa con valores de prop popularity o defaults
+ * - Componente controlado: rango seleccionado y valores custom se derivan de la prop popularity
+ *   (al cargar un mix o restaurar el historial el widget refleja el cambio)
+ * - Usa los defaults (all, 0-100) si la prop no trae valores
  * - Grid de botones para presets (2 columnas)
  * - Sección separada para sliders custom
  * - Al mover sliders, se selecciona automáticamente modo 'custom'
  *
- * DEPENDENCIAS DE REACT:
- * - useState: Manejo de rango seleccionado y valores custom
- *
  * DEPENDENCIAS DE LIBRERÍAS:
  * - lucide-react: Iconos (TrendingUp, Music, Radio)
  *
@@ -42,7 +39,7 @@ import { TrendingUp, Music, Radio } from 'lucide-react';
  * - src/app/page.jsx (página principal con generador)
  *
  * @param {Object} props - Propiedades del componente
- * @param {Object} props.popularity - Objeto inicial {range, min, max}
+ * @param {Object} props.popularity - Objeto actual {range, min, max}
  * @param {Function} props.onSelect - Callback con objeto actualizado {range, min, max}
  *
  * @returns {JSX.Element} Widget de selección de popularidad
@@ -54,7 +51,7 @@ import { TrendingUp, Music, Radio } from 'lucide-react';
  * - underground: 0-50 (nicho/descubrir)
  *
  * FLUJO DE EJECUCIÓN:
- * 1. Inicializa con values de prop o defaults
+ * 1. Muestra los valores de la prop o defaults
  * 2. Usuario puede:
  *    a) Click en preset: aplica min/max predefinidos
  *    b) Mover sliders: activa modo 'custom' con valores personalizados
@@ -62,13 +59,11 @@ import { TrendingUp, Music, Radio } from 'lucide-react';
  * 4. Valores se usan en Spotify API para filtrar por popularidad
  */
 export default function PopularityWidget({ popularity = {}, onSelect }) {
-  const [selectedRange, setSelectedRange] = useState(
-    popularity.range || 'all'
-  );
-  const [customRange, setCustomRange] = useState({
-    min: popularity.min || 0,
-    max: popularity.max || 100,
-  });
+  const selectedRange = popularity.range || 'all';
+  const customRange = {
+    min: popularity.min ?? 0,
+    max: popularity.max ?? 100,
+  };
 
   const ranges = [
     {
@@ -106,14 +101,11 @@ export default function PopularityWidget({ popularity = {}, onSelect }) {
   ];
 
   const handleSelectRange = (range) => {
-    setSelectedRange(range.id);
     onSelect({ range: range.id, min: range.min, max: range.max });
   };
 
   const handleCustomRange = (key, value) => {
     const newRange = { ...customRange, [key]: parseInt(value) };
-    setCustomRange(newRange);
-    setSelectedRange('custom');
     onSelect({ range: 'custom', min: newRange.min, max: newRange.max });
   };
 
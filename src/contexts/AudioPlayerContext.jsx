@@ -15,10 +15,20 @@
  * - Usado en: src/app/layout.js (envuelve toda la aplicación)
  *
  * COMPONENTES QUE LO UTILIZAN:
- * - src/components/playlist/TrackCard.jsx (botón de reproducir preview)
+ * - src/components/playlist/TrackCard.jsx (botón de reproducir preview, play next, add to queue)
+ * - src/app/dashboard/favorites/FavoritesClient.jsx (reproducir todas las Liked Songs)
+ * - src/app/dashboard/explore/ExploreClient.jsx (acciones de cola de AlbumCard)
+ * - src/components/layout/NowPlayingBar.jsx (barra de reproducción, usa también useAudioProgress)
+ * - src/hooks/usePlayerShortcuts.jsx (atajos de teclado)
  * - src/components/widgets/TrackWidget.jsx (reproducir tracks)
  * - Cualquier componente que necesite reproducir audio
  *
+ * DOS CONTEXTOS:
+ * - AudioPlayerContext: Track, cola, controles y volumen (cambia pocas veces)
+ * - AudioProgressContext: currentTime y duration (cambia varias veces por segundo
+ *   con 'timeupdate'). Separado para que las listas de TrackCard no se vuelvan a
+ *   renderizar en cada tick; solo lo leen los componentes que muestran el progreso
+ *
  * VENTAJAS DE ESTE PATRÓN:
  * - Un solo reproductor de audio para toda la app (evita múltiples instancias)
  * - Estado compartido del track actual entre componentes
@@ -27,11 +37,12 @@
 
 'use client';
 
-import { createContext, useContext } from 'react';
+import { createContext, useContext, useMemo } from 'react';
 import { useAudioPlayer } from '@/hooks/useAudioPlayer';
 
-// Creación del contexto (inicialmente undefined)
+// Creación de los contextos (inicialmente undefined)
 const AudioPlayerContext = createContext();
+const AudioProgressContext = createContext();
 
 /**
  * AudioPlayerProvider - Proveedor del contexto de reproductor de audio
@@ -47,10 +58,17 @@ const AudioPlayerContext = createContext();
  * - play(track): Function - Reproduce una canción (o pausa si es la misma)
  * - pause(): Function - Pausa la reproducción
  * - stop(): Function - Detiene y resetea el reproductor
+ * - queue, queueIndex: Cola de reproducción y posición actual
+ * - playQueue(tracks, startIndex), next(), previous(): Reproducción de listas
+ * - shuffle/toggleShuffle, repeat/setRepeat/cycleRepeat: Modos de reproducción
+ * - playNext(track), addToQueue(track): Añadir canciones a la cola
+ * - seek(seconds), seekBy(offset), volume/muted, setVolume(volume), toggleMute(): Progreso y volumen
+ * - crossfade/setCrossfade(seconds), normalize/setNormalize(bool): Ajustes del motor de audio
+ * - currentTime, duration: Solo en AudioProgressContext (useAudioProgress)
  *
  * CICLO DE VIDA:
  * 1. Al montar: useAudioPlayer crea una instancia de Audio()
- * 2. Proporciona el objeto audioPlayer completo a través del contexto
+ * 2. Proporciona el reproductor (memoizado, sin el progreso) a través del contexto
  * 3. Los componentes hijos pueden acceder a play(), pause(), etc.
  *
  * @param {Object} props
@@ -60,12 +78,85 @@ const AudioPlayerContext = createContext();
  */
 export function AudioPlayerProvider({ children }) {
   // Obtener todas las funciones y estado del hook useAudioPlayer
-  const audioPlayer = useAudioPlayer();
+  const {
+    currentTime,
+    duration,
+    currentTrack,
+    isPlaying,
+    play,
+    pause,
+    stop,
+    queue,
+    queueIndex,
+    playQueue,
+    next,
+    previous,
+    hasNext,
+    hasPrevious,
+    shuffle,
+    toggleShuffle,
+    repeat,
+    setRepeat,
+    cycleRepeat,
+    playNext,
+    addToQueue,
+    seek,
+    seekBy,
+    volume,
+    muted,
+    setVolume,
+    toggleMute,
+    crossfade,
+    normalize,
+    setCrossfade,
+    setNormalize,
+  } = useAudioPlayer();
+
+  // El valor solo cambia cuando cambia algo distinto del progreso
+  const audioPlayer = useMemo(() => ({
+    currentTrack,
+    isPlaying,
+    play,
+    pause,
+    stop,
+    queue,
+    queueIndex,
+    playQueue,
+    next,
+    previous,
+    hasNext,
+    hasPrevious,
+    shuffle,
+    toggleShuffle,
+    repeat,
+    setRepeat,
+    cycleRepeat,
+    playNext,
+    addToQueue,
+    seek,
+    seekBy,
+    volume,
+    muted,
+    setVolume,
+    toggleMute,
+    crossfade,
+    normalize,
+    setCrossfade,
+    setNormalize,
+  }), [
+    currentTrack, isPlaying, play, pause, stop, queue, queueIndex, playQueue, next, previous,
+    hasNext, hasPrevious, shuffle, toggleShuffle, repeat, setRepeat, cycleRepeat, playNext,
+    addToQueue, seek, seekBy, volume, muted, setVolume, toggleMute, crossfade, normalize,
+    setCrossfade, setNormalize,
+  ]);
+
+  const progress = useMemo(() => ({ currentTime, duration }), [currentTime, duration]);
 
-  // Proveer el objeto completo audioPlayer a través del contexto
   return (
     <AudioPlayerContext.Provider value={audioPlayer}>
-      {children}
+      <AudioProgressContext.Provider value={progress}>
+        {children}
+      </AudioProgressContext.Provider>
     </AudioPlayerContext.Provider>
   );
 }
@@ -97,6 +188,10 @@ export function AudioPlayerProvider({ children }) {
  *   - play: (track) => void - Reproduce/pausa una canción
  *   - pause: () => void - Pausa la reproducción
  *   - stop: () => void - Detiene completamente
+ *   - playQueue: (tracks, startIndex) => boolean - Reproduce una lista (avanza sola)
+ *   - next / previous: () => void - Navegar por la cola
+ *   - playNext / addToQueue: (track) => void - Añadir a la cola
+ *   - shuffle, repeat y sus setters (ver src/hooks/useAudioPlayer.jsx)
  *
  * ERRORES:
  * - Lanza error si se usa fuera de AudioPlayerProvider
@@ -113,3 +208,21 @@ export function useAudioPlayerContext() {
   }
   return context;
 }
+
+/**
+ * useAudioProgress - Progreso de la canción actual
+ *
+ * Se lee aparte de useAudioPlayerContext porque cambia varias veces por segundo.
+ *
+ * @returns {Object} - { currentTime: number, duration: number } en segundos
+ *
+ * ERRORES:
+ * - Lanza error si se usa fuera de AudioPlayerProvider
+ */
+export function useAudioProgress() {
+  const context = useContext(AudioProgressContext);
+  if (context === undefined) {
+    throw new Error('useAudioProgress must be used within an AudioPlayerProvider');
+  }
+  return context;
+}
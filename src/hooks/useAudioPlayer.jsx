@@ -2,28 +2,57 @@
  * HOOK: USE AUDIO PLAYER - REPRODUCTOR DE PREVIEWS DE SPOTIFY
  * =============================================================
  * Hook personalizado para gestionar la reproducción de previews de audio (30 segundos)
- * de las canciones de Spotify. Utiliza la Web Audio API del navegador.
+ * de las canciones de Spotify, con una cola de reproducción.
  *
  * FUNCIONALIDAD:
  * - Reproducción de previews de 30 segundos de canciones de Spotify
  * - Toggle play/pause para la misma canción
- * - Cambio automático entre diferentes canciones
- * - Detección automática de fin de reproducción
+ * - Cola de reproducción: reproducir una lista desde un índice, siguiente/anterior
+ * - Avance automático al terminar cada preview, saltando canciones sin preview_url
+ * - Aleatorio (shuffle) y repetición: 'off' | 'all' (toda la cola) | 'one' (la canción actual)
+ * - "Play next" (justo después de la actual) y "Add to queue" (al final)
+ * - Progreso (currentTime/duration, actualizado con 'timeupdate') y seek
+ * - Volumen y silencio persistentes (src/lib/playerSettings.js)
+ * - Media Session: metadatos (título, artistas, carátula) y controles del sistema
+ *   (teclas multimedia, pantalla de bloqueo, notificaciones del navegador)
+ * - Crossfade entre canciones, precarga de la siguiente, fades al pausar y volumen
+ *   normalizado entre previews (src/lib/audioEngine.js, con fallback sin Web Audio)
  * - Manejo de errores de audio
  *
  * ARQUITECTURA:
- * - Estado: Maneja currentTrack e isPlaying con useState
- * - Ref: Mantiene instancia persistente de Audio() con useRef
- * - Event Listeners: 'ended' y 'error' para manejo automático
+ * - Estado: La cola ({ tracks, original, index, shuffle, repeat }) e isPlaying con useState
+ * - currentTrack se deriva de la cola (tracks[index])
+ * - Ref: Mantiene una instancia persistente del motor de audio (createAudioEngine) con useRef.
+ *   El motor tiene la interfaz de un elemento Audio (play, pause, currentTime, eventos...)
+ * - queueRef refleja siempre la última cola, para que los listeners de Audio
+ *   ('ended') y las acciones encadenadas no lean un estado antiguo
+ * - Event Listeners: 'ended' (avance automático), 'nearend' (empezar el crossfade con la
+ *   siguiente), 'timeupdate' / 'durationchange' (progreso), 'seeked' (posición en Media Session) y 'error'
+ * - Ajustes (volumen, crossfade, normalización): useSyncExternalStore sobre el módulo de
+ *   ajustes (localStorage), aplicados al motor en un efecto
+ * - Media Session: efectos que publican metadata, playbackState y la posición en
+ *   navigator.mediaSession y registran los action handlers (si el navegador lo soporta)
+ *
+ * COLA Y SHUFFLE:
+ * - tracks: Orden de reproducción (barajado si shuffle está activo)
+ * - original: Orden de la lista tal como se recibió; al desactivar shuffle se vuelve a él
+ * - Al activar shuffle la canción actual queda primera y el resto se baraja
  *
  * UTILIZADO POR:
  * - src/contexts/AudioPlayerContext.jsx (wrapper de contexto)
- * - Indirectamente: TrackCard, widgets de tracks, etc.
+ * - Indirectamente: TrackCard, AlbumCard, PlaylistModal, FavoritesClient, etc.
+ *
+ * REFERENCIAS:
+ * - Importa createAudioEngine desde @/lib/audioEngine (src/lib/audioEngine.js)
+ * - Importa getPlayerSettings, subscribe, updatePlayerSettings, DEFAULT_PLAYER_SETTINGS y MAX_CROSSFADE_SECONDS
+ *   desde @/lib/playerSettings (src/lib/playerSettings.js)
  *
  * DEPENDENCIAS DE REACT:
- * - useState: Estado de track actual y estado de reproducción
- * - useRef: Referencia persistente al objeto Audio
- * - useEffect: Inicialización y limpieza del reproductor
+ * - useState: Cola, estado de reproducción y progreso
+ * - useRef: Referencia persistente al motor de audio y a la cola actual
+ * - useEffect: Inicialización y limpieza del reproductor, aplicar los ajustes, precarga, Media Session
+ * - useCallback: Acciones estables (se usan dentro de los listeners de Audio)
+ * - useSyncExternalStore: Ajustes del reproductor persistidos
  *
  * NOTA IMPORTANTE:
  * Spotify solo proporciona previews de 30 segundos en la propiedad preview_url.
@@ -32,56 +61,272 @@
 
 'use client';
 
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useCallback, useSyncExternalStore } from 'react';
+import {
+  getPlayerSettings,
+  subscribe as subscribeToSettings,
+  updatePlayerSettings,
+  DEFAULT_PLAYER_SETTINGS,
+  MAX_CROSSFADE_SECONDS
+} from '@/lib/playerSettings';
+import { createAudioEngine } from '@/lib/audioEngine';
+
+export const REPEAT_MODES = ['off', 'all', 'one'];
+
+// Con más de estos segundos reproducidos, "anterior" reinicia la canción actual
+const RESTART_THRESHOLD_SECONDS = 3;
+
+// Salto por defecto de seekbackward / seekforward (Media Session)
+const SEEK_OFFSET_SECONDS = 10;
+
+const EMPTY_QUEUE = { tracks: [], original: [], index: -1, shuffle: false, repeat: 'off' };
+
+function isPlayable(track) {
+  return !!track?.preview_url;
+}
+
+/**
+ * Busca la siguiente canción con preview desde start avanzando de step en step
+ *
+ * @returns {number} - Índice encontrado o -1
+ */
+function findPlayable(tracks, start, step, wrap) {
+  let index = start;
+  for (let checked = 0; checked < tracks.length; checked++) {
+    if (index < 0 || index >= tracks.length) {
+      if (!wrap) return -1;
+      index = (index + tracks.length) % tracks.length;
+    }
+    if (isPlayable(tracks[index])) return index;
+    index += step;
+  }
+  return -1;
+}
+
+function hasMediaSession() {
+  return typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+}
+
+/**
+ * Metadatos de Media Session de un track de Spotify
+ *
+ * @returns {MediaMetadata}
+ */
+function toMediaMetadata(track) {
+  return new MediaMetadata({
+    title: track.name,
+    artist: track.artists?.map((artist) => artist.name).join(', ') || '',
+    album: track.album?.name || '',
+    artwork: (track.album?.images || []).map((image) => ({
+      src: image.url,
+      ...(image.width && image.height ? { sizes: `${image.width}x${image.height}` } : {}),
+      type: 'image/jpeg'
+    }))
+  });
+}
+
+/**
+ * Publica la posición del audio en Media Session (barra de progreso del sistema)
+ *
+ * El sistema extrapola la posición mientras suena, así que basta con
+ * publicarla al cambiar de canción o de estado y después de cada seek.
+ */
+function publishPositionState(audio) {
+  if (!hasMediaSession() || !navigator.mediaSession.setPositionState || !audio) return;
+  const total = audio.duration;
+  try {
+    if (Number.isFinite(total) && total > 0) {
+      navigator.mediaSession.setPositionState({
+        duration: total,
+        playbackRate: audio.playbackRate,
+        position: Math.min(audio.currentTime, total)
+      });
+    } else {
+      navigator.mediaSession.setPositionState();
+    }
+  } catch (error) {
+    // Posición inválida mientras carga el audio: se publica en la siguiente actualización
+  }
+}
+
+/**
+ * Copia barajada (Fisher-Yates)
+ */
+function shuffleTracks(tracks) {
+  const shuffled = [...tracks];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
 
 /**
  * useAudioPlayer - Hook para reproducir previews de audio de Spotify
  *
  * ESTADOS INTERNOS:
- * - currentTrack: Object|null - Track que se está reproduciendo actualmente
+ * - queue: { tracks, original, index, shuffle, repeat } - Cola de reproducción
  * - isPlaying: boolean - Si el audio está en reproducción
- * - audioRef: Ref<Audio> - Referencia al objeto Audio del navegador
+ * - audioRef: Ref<Object> - Referencia al motor de audio (src/lib/audioEngine.js)
  *
  * CICLO DE VIDA:
- * 1. Al montar: Crea instancia de Audio() y configura listeners
- * 2. Durante uso: Maneja play/pause/stop de tracks
- * 3. Al desmontar: Pausa y limpia la instancia de Audio
+ * 1. Al montar: Crea el motor de audio y configura listeners
+ * 2. Durante uso: Maneja play/pause/stop y la cola
+ * 3. Al desmontar: Detiene y destruye el motor de audio
  *
  * FLUJO DE REPRODUCCIÓN:
- * play(track1) -> Reproduce track1
+ * play(track1) -> Reproduce track1 (cola de una canción si no estaba en la cola)
  * play(track1) de nuevo -> Pausa track1 (toggle)
- * play(track1) de nuevo -> Reanuda track1
- * play(track2) -> Detiene track1 y reproduce track2
+ * playQueue(tracks, 3) -> Reproduce tracks[3] y al terminar sigue con tracks[4]...
+ * Fin de la cola -> Se detiene (repeat 'off') o vuelve al principio (repeat 'all')
  *
  * @returns {Object} - Objeto con propiedades y métodos:
  *   - currentTrack: Object|null - Track actual {id, name, preview_url, ...}
  *   - isPlaying: boolean - Estado de reproducción
  *   - play: (track) => void - Reproduce o pausa un track
  *   - pause: () => void - Pausa la reproducción
- *   - stop: () => void - Detiene y resetea completamente
+ *   - stop: () => void - Detiene, resetea y vacía la cola
+ *   - queue: Array<Object> - Canciones de la cola en orden de reproducción
+ *   - queueIndex: number - Posición de la canción actual en queue (-1 si no hay)
+ *   - playQueue: (tracks, startIndex) => boolean - Reproduce una lista desde un índice
+ *   - next: () => boolean - Siguiente canción con preview (false si no hay)
+ *   - previous: () => void - Reinicia la actual o vuelve a la anterior
+ *   - hasNext / hasPrevious: boolean
+ *   - shuffle: boolean, toggleShuffle: () => void
+ *   - repeat: 'off' | 'all' | 'one', setRepeat: (mode) => void, cycleRepeat: () => void
+ *   - playNext: (track) => void - Insertar después de la actual
+ *   - addToQueue: (track|tracks) => void - Añadir al final de la cola
+ *   - currentTime: number - Segundos reproducidos de la canción actual
+ *   - duration: number - Duración del audio cargado en segundos (30 en los previews)
+ *   - seek: (seconds) => void - Saltar a una posición
+ *   - seekBy: (offset) => void - Avanzar/retroceder offset segundos
+ *   - volume: number (0-1), muted: boolean
+ *   - setVolume: (volume) => void - Cambiar el volumen (quita el silencio si es > 0)
+ *   - toggleMute: () => void
+ *   - crossfade: number (segundos), setCrossfade: (seconds) => void
+ *   - normalize: boolean, setNormalize: (normalize) => void - Igualar el volumen entre previews
  */
 export function useAudioPlayer() {
-  // Estado del track que se está reproduciendo actualmente
-  const [currentTrack, setCurrentTrack] = useState(null);
+  // Cola de reproducción (currentTrack = tracks[index])
+  const [queue, setQueue] = useState(EMPTY_QUEUE);
   // Estado que indica si el audio está reproduciéndose
   const [isPlaying, setIsPlaying] = useState(false);
   // Referencia al objeto Audio (persiste entre re-renders)
   const audioRef = useRef(null);
+  // Última cola (leída desde listeners y acciones)
+  const queueRef = useRef(EMPTY_QUEUE);
+  // Progreso de la canción actual (segundos)
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  // Volumen y silencio guardados en localStorage
+  const settings = useSyncExternalStore(subscribeToSettings, getPlayerSettings, () => DEFAULT_PLAYER_SETTINGS);
+
+  const commitQueue = useCallback((nextQueue) => {
+    queueRef.current = nextQueue;
+    setQueue(nextQueue);
+  }, []);
+
+  const resume = useCallback(() => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.play().catch((error) => {
+      // El navegador bloquea la reproducción sin interacción previa del usuario
+      if (error.name === 'NotAllowedError') {
+        setIsPlaying(false);
+      }
+    });
+    setIsPlaying(true);
+  }, []);
+
+  /**
+   * Carga la canción de la posición index de nextQueue y la reproduce
+   */
+  const startAt = useCallback((nextQueue, index) => {
+    const audio = audioRef.current;
+    const track = nextQueue.tracks[index];
+    if (!audio || !isPlayable(track)) return;
+
+    commitQueue({ ...nextQueue, index });
+    // Si la canción anterior está sonando, el motor hace el crossfade entre las dos
+    audio.load(track.preview_url);
+    setCurrentTime(0);
+    resume();
+  }, [commitQueue, resume]);
+
+  /**
+   * next - Pasa a la siguiente canción con preview
+   *
+   * @returns {boolean} - false si se ha llegado al final de la cola
+   */
+  const next = useCallback(() => {
+    const current = queueRef.current;
+    const index = findPlayable(current.tracks, current.index + 1, 1, current.repeat === 'all');
+    if (index === -1) return false;
+    startAt(current, index);
+    return true;
+  }, [startAt]);
+
+  /**
+   * previous - Reinicia la canción si ya lleva unos segundos; si no, vuelve a la anterior
+   */
+  const previous = useCallback(() => {
+    const audio = audioRef.current;
+    const current = queueRef.current;
+    if (!audio) return;
+
+    const index = findPlayable(current.tracks, current.index - 1, -1, current.repeat === 'all');
+    if (audio.currentTime > RESTART_THRESHOLD_SECONDS || index === -1) {
+      audio.currentTime = 0;
+      return;
+    }
+    startAt(current, index);
+  }, [startAt]);
 
   // EFECTO: Inicialización y limpieza del reproductor de audio
   // Se ejecuta solo una vez al montar el componente
   useEffect(() => {
     if (!audioRef.current) {
-      // Crear instancia del reproductor de audio HTML5
-      audioRef.current = new Audio();
+      // Crear el motor de audio (Web Audio con crossfade, o un Audio HTML5 sin Web Audio)
+      audioRef.current = createAudioEngine();
 
       // LISTENER 1: Cuando la canción termina de reproducirse
-      // Actualiza isPlaying a false automáticamente
+      // Repite la canción, avanza en la cola o se detiene al final
       audioRef.current.addEventListener('ended', () => {
-        setIsPlaying(false);
+        if (queueRef.current.repeat === 'one') {
+          audioRef.current.currentTime = 0;
+          resume();
+          return;
+        }
+        if (!next()) {
+          setIsPlaying(false);
+        }
       });
 
-      // LISTENER 2: Cuando ocurre un error al cargar o reproducir
+      // LISTENER 2: Quedan menos segundos que el crossfade (solo con Web Audio)
+      // Empieza ya la siguiente canción para que se solapen; repeat 'one' espera a 'ended'
+      audioRef.current.addEventListener('nearend', () => {
+        if (queueRef.current.repeat !== 'one') {
+          next();
+        }
+      });
+
+      // LISTENER 3: Progreso de la reproducción (varias veces por segundo)
+      audioRef.current.addEventListener('timeupdate', () => {
+        setCurrentTime(audioRef.current.currentTime);
+      });
+
+      // LISTENER 4: Duración conocida al cargar los metadatos del audio
+      audioRef.current.addEventListener('durationchange', () => {
+        const { duration: loaded } = audioRef.current;
+        setDuration(Number.isFinite(loaded) ? loaded : 0);
+      });
+
+      // LISTENER 5: Tras un seek (desde la app o desde el sistema), publicar la nueva posición
+      audioRef.current.addEventListener('seeked', () => {
+        publishPositionState(audioRef.current);
+      });
+
+      // LISTENER 6: Cuando ocurre un error al cargar o reproducir
       // Por ejemplo: preview_url inválido, problema de red, CORS, etc.
       audioRef.current.addEventListener('error', () => {
         setIsPlaying(false);
@@ -92,11 +337,18 @@ export function useAudioPlayer() {
     // Detiene la reproducción y limpia la referencia
     return () => {
       if (audioRef.current) {
-        audioRef.current.pause();
+        audioRef.current.destroy();
         audioRef.current = null;
       }
     };
-  }, []);
+  }, [next, resume]);
+
+  // EFECTO: Aplicar los ajustes guardados al motor (al montar y cada vez que cambian)
+  useEffect(() => {
+    if (!audioRef.current) return;
+    audioRef.current.setVolume(settings.volume, settings.muted);
+    audioRef.current.setOptions({ crossfade: settings.crossfade, normalize: settings.normalize });
+  }, [settings]);
 
   /**
    * play - Reproduce un track o alterna play/pause si es el mismo track
@@ -105,7 +357,8 @@ export function useAudioPlayer() {
    * - Si el track no tiene preview_url: no hace nada
    * - Si es el mismo track que está sonando: pausa
    * - Si es el mismo track pausado: reanuda
-   * - Si es un track diferente: cambia de canción
+   * - Si es un track de la cola: salta a él
+   * - Si es un track fuera de la cola: la cola pasa a ser solo ese track
    *
    * @param {Object} track - Objeto track de Spotify con propiedades:
    *   - id: string - ID único del track
@@ -113,70 +366,277 @@ export function useAudioPlayer() {
    *   - name: string - Nombre de la canción
    *   - artists: Array - Lista de artistas
    */
-  const play = (track) => {
+  const play = useCallback((track) => {
     // Validación: El track debe tener preview_url
-    if (!track?.preview_url) {
+    if (!isPlayable(track) || !audioRef.current) {
       return;
     }
 
-    if (audioRef.current) {
-      // CASO 1: Es la misma canción que está cargada
-      // Toggle entre play y pause
-      if (currentTrack?.id === track.id) {
-        if (isPlaying) {
-          audioRef.current.pause();
-          setIsPlaying(false);
-        } else {
-          audioRef.current.play();
-          setIsPlaying(true);
-        }
+    const current = queueRef.current;
+
+    // CASO 1: Es la misma canción que está cargada
+    // Toggle entre play y pause
+    if (current.tracks[current.index]?.id === track.id) {
+      if (audioRef.current.paused) {
+        resume();
       } else {
-        // CASO 2: Es una canción diferente
-        // Cambiar el source y reproducir la nueva canción
-        audioRef.current.src = track.preview_url;
-        audioRef.current.play();
-        setCurrentTrack(track);
-        setIsPlaying(true);
+        audioRef.current.pause();
+        setIsPlaying(false);
       }
+      return;
     }
-  };
+
+    // CASO 2: Es una canción diferente
+    const index = current.tracks.findIndex((queued) => queued?.id === track.id);
+    if (index !== -1) {
+      startAt(current, index);
+    } else {
+      startAt({ ...current, tracks: [track], original: [track] }, 0);
+    }
+  }, [resume, startAt]);
+
+  /**
+   * playQueue - Sustituye la cola por una lista y la reproduce desde startIndex
+   *
+   * Si la canción de startIndex no tiene preview, empieza por la siguiente que sí tenga.
+   * Con shuffle activo, la canción elegida suena primero y el resto se baraja.
+   *
+   * @param {Array<Object>} tracks - Tracks de Spotify
+   * @param {number} startIndex - Posición de la primera canción (default: 0)
+   * @returns {boolean} - false si ninguna canción tiene preview
+   */
+  const playQueue = useCallback((tracks, startIndex = 0) => {
+    const list = (tracks || []).filter(Boolean);
+    const start = findPlayable(list, startIndex, 1, false);
+    if (start === -1) return false;
+
+    const { shuffle, repeat } = queueRef.current;
+    const nextQueue = shuffle
+      ? { tracks: [list[start], ...shuffleTracks(list.filter((_, i) => i !== start))], original: list, index: 0, shuffle, repeat }
+      : { tracks: list, original: list, index: start, shuffle, repeat };
+
+    startAt(nextQueue, nextQueue.index);
+    return true;
+  }, [startAt]);
 
   /**
    * pause - Pausa la reproducción actual sin resetear
    *
    * COMPORTAMIENTO:
-   * - Pausa el audio en su posición actual
-   * - No cambia currentTrack
+   * - Pausa el audio en su posición actual (con un fade-out corto si hay Web Audio)
+   * - No cambia currentTrack ni la cola
    * - Permite reanudar con play() después
    */
-  const pause = () => {
+  const pause = useCallback(() => {
     if (audioRef.current) {
       audioRef.current.pause();
       setIsPlaying(false);
     }
-  };
+  }, []);
 
   /**
    * stop - Detiene completamente la reproducción y resetea
    *
    * COMPORTAMIENTO:
-   * - Pausa el audio
+   * - Pausa el audio (sin fade)
    * - Resetea la posición a 0
-   * - Limpia currentTrack (vuelve a null)
+   * - Vacía la cola (currentTrack vuelve a null); shuffle y repeat se mantienen
    * - Actualiza isPlaying a false
    *
    * DIFERENCIA CON pause():
    * - pause(): Mantiene la posición y el track
    * - stop(): Resetea todo completamente
    */
-  const stop = () => {
+  const stop = useCallback(() => {
     if (audioRef.current) {
-      audioRef.current.pause();
+      audioRef.current.pause({ immediate: true });
       audioRef.current.currentTime = 0;
       setIsPlaying(false);
-      setCurrentTrack(null);
+      setCurrentTime(0);
+      const { shuffle, repeat } = queueRef.current;
+      commitQueue({ ...EMPTY_QUEUE, shuffle, repeat });
     }
-  };
+  }, [commitQueue]);
+
+  /**
+   * toggleShuffle - Activa/desactiva el orden aleatorio sin cortar la canción actual
+   */
+  const toggleShuffle = useCallback(() => {
+    const current = queueRef.current;
+    const track = current.tracks[current.index];
+
+    if (current.shuffle) {
+      commitQueue({
+        ...current,
+        shuffle: false,
+        tracks: current.original,
+        index: track ? current.original.indexOf(track) : -1
+      });
+    } else {
+      const rest = current.original.filter((queued) => queued !== track);
+      commitQueue({
+        ...current,
+        shuffle: true,
+        tracks: track ? [track, ...shuffleTracks(rest)] : shuffleTracks(rest),
+        index: track ? 0 : -1
+      });
+    }
+  }, [commitQueue]);
+
+  const setRepeat = useCallback((mode) => {
+    if (!REPEAT_MODES.includes(mode)) return;
+    commitQueue({ ...queueRef.current, repeat: mode });
+  }, [commitQueue]);
+
+  /**
+   * cycleRepeat - off → all → one → off (como el botón de repetición de Spotify)
+   */
+  const cycleRepeat = useCallback(() => {
+    const { repeat } = queueRef.current;
+    setRepeat(REPEAT_MODES[(REPEAT_MODES.indexOf(repeat) + 1) % REPEAT_MODES.length]);
+  }, [setRepeat]);
+
+  /**
+   * playNext - Inserta un track para que suene justo después del actual
+   */
+  const playNext = useCallback((track) => {
+    if (!track) return;
+    const current = queueRef.current;
+    const currentTrack = current.tracks[current.index];
+    const originalIndex = currentTrack ? current.original.indexOf(currentTrack) : -1;
+
+    commitQueue({
+      ...current,
+      tracks: [...current.tracks.slice(0, current.index + 1), track, ...current.tracks.slice(current.index + 1)],
+      original: [...current.original.slice(0, originalIndex + 1), track, ...current.original.slice(originalIndex + 1)]
+    });
+  }, [commitQueue]);
+
+  /**
+   * addToQueue - Añade uno o varios tracks al final de la cola
+   *
+   * @param {Object|Array<Object>} tracks
+   */
+  const addToQueue = useCallback((tracks) => {
+    const added = [].concat(tracks).filter(Boolean);
+    if (added.length === 0) return;
+    const current = queueRef.current;
+    commitQueue({
+      ...current,
+      tracks: [...current.tracks, ...added],
+      original: [...current.original, ...added]
+    });
+  }, [commitQueue]);
+
+  /**
+   * seek - Salta a una posición de la canción actual
+   *
+   * @param {number} seconds - Posición en segundos (se limita a la duración)
+   */
+  const seek = useCallback((seconds) => {
+    const audio = audioRef.current;
+    if (!audio || !Number.isFinite(seconds)) return;
+    const position = Math.min(Math.max(0, seconds), audio.duration || 0);
+    audio.currentTime = position;
+    setCurrentTime(position);
+  }, []);
+
+  /**
+   * seekBy - Avanza o retrocede desde la posición actual
+   *
+   * @param {number} offset - Segundos (negativo para retroceder)
+   */
+  const seekBy = useCallback((offset) => {
+    if (audioRef.current) seek(audioRef.current.currentTime + offset);
+  }, [seek]);
+
+  /**
+   * setVolume - Cambia y guarda el volumen
+   *
+   * @param {number} volume - Entre 0 y 1
+   */
+  const setVolume = useCallback((volume) => {
+    if (!Number.isFinite(volume)) return;
+    const clamped = Math.min(1, Math.max(0, volume));
+    // Subir el volumen quita el silencio, como en cualquier reproductor
+    updatePlayerSettings(clamped > 0 ? { volume: clamped, muted: false } : { volume: clamped });
+  }, []);
+
+  const toggleMute = useCallback(() => {
+    updatePlayerSettings({ muted: !getPlayerSettings().muted });
+  }, []);
+
+  /**
+   * setCrossfade - Duración del crossfade entre canciones
+   *
+   * @param {number} seconds - 0 (sin crossfade) a MAX_CROSSFADE_SECONDS
+   */
+  const setCrossfade = useCallback((seconds) => {
+    if (!Number.isFinite(seconds)) return;
+    updatePlayerSettings({ crossfade: Math.min(MAX_CROSSFADE_SECONDS, Math.max(0, seconds)) });
+  }, []);
+
+  const setNormalize = useCallback((normalize) => {
+    updatePlayerSettings({ normalize: !!normalize });
+  }, []);
+
+  const currentTrack = queue.tracks[queue.index] || null;
+
+  // EFECTO: Precargar la siguiente canción de la cola (cambio sin huecos)
+  useEffect(() => {
+    if (!audioRef.current || queue.index === -1) return;
+    const index = findPlayable(queue.tracks, queue.index + 1, 1, queue.repeat === 'all');
+    if (index !== -1 && index !== queue.index) {
+      audioRef.current.preload(queue.tracks[index].preview_url);
+    }
+  }, [queue]);
+
+  // EFECTO: Metadatos de la canción actual en Media Session
+  useEffect(() => {
+    if (!hasMediaSession()) return;
+    navigator.mediaSession.metadata = currentTrack ? toMediaMetadata(currentTrack) : null;
+  }, [currentTrack]);
+
+  // EFECTO: Estado de reproducción y posición en Media Session
+  useEffect(() => {
+    if (!hasMediaSession()) return;
+    navigator.mediaSession.playbackState = !currentTrack ? 'none' : isPlaying ? 'playing' : 'paused';
+    publishPositionState(audioRef.current);
+  }, [currentTrack, isPlaying, duration]);
+
+  // EFECTO: Controles del sistema (teclas multimedia, pantalla de bloqueo)
+  // Cada acción se registra por separado: los navegadores lanzan error con las que no soportan
+  useEffect(() => {
+    if (!hasMediaSession()) return;
+
+    const handlers = {
+      play: () => {
+        if (queueRef.current.tracks[queueRef.current.index]) resume();
+      },
+      pause,
+      stop,
+      nexttrack: () => next(),
+      previoustrack: previous,
+      seekto: (details) => seek(details.seekTime),
+      seekbackward: (details) => seekBy(-(details.seekOffset || SEEK_OFFSET_SECONDS)),
+      seekforward: (details) => seekBy(details.seekOffset || SEEK_OFFSET_SECONDS)
+    };
+
+    const registered = Object.entries(handlers).filter(([action, handler]) => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    });
+
+    return () => {
+      registered.forEach(([action]) => navigator.mediaSession.setActionHandler(action, null));
+    };
+  }, [resume, pause, stop, next, previous, seek, seekBy]);
+
+  const wrap = queue.repeat === 'all';
 
   // Retornar el estado y las funciones de control
   return {
@@ -185,5 +645,31 @@ export function useAudioPlayer() {
     play,
     pause,
     stop,
+    queue: queue.tracks,
+    queueIndex: queue.index,
+    playQueue,
+    next,
+    previous,
+    hasNext: findPlayable(queue.tracks, queue.index + 1, 1, wrap) !== -1,
+    hasPrevious: findPlayable(queue.tracks, queue.index - 1, -1, wrap) !== -1,
+    shuffle: queue.shuffle,
+    toggleShuffle,
+    repeat: queue.repeat,
+    setRepeat,
+    cycleRepeat,
+    playNext,
+    addToQueue,
+    currentTime,
+    duration,
+    seek,
+    seekBy,
+    volume: settings.volume,
+    muted: settings.muted,
+    setVolume,
+    toggleMute,
+    crossfade: settings.crossfade,
+    normalize: settings.normalize,
+    setCrossfade,
+    setNormalize,
   };
 }
@@ -2,227 +2,122 @@
  * HOOK: USE FAVORITES - GESTIÓN DE CANCIONES FAVORITAS
  * ======================================================
  * Hook personalizado para gestionar las canciones favoritas del usuario.
- * Implementa persistencia dual: localStorage (inmediata) y Spotify API (sincronización).
+ * Las Liked Songs de Spotify son la fuente de verdad; localStorage es una copia
+ * local para que la UI responda al instante y funcione sin conexión.
  *
- * ARQUITECTURA DE PERSISTENCIA DUAL:
- * 1. localStorage: Actualización inmediata para UI responsive
- * 2. Spotify API: Sincronización en background para persistencia en cuenta de Spotify
- *
- * VENTAJAS DE ESTE ENFOQUE:
- * - UI instantánea: El usuario ve cambios inmediatamente
- * - Persistencia local: Funciona offline o si falla la API
- * - Sincronización con Spotify: Los favoritos se guardan en la cuenta del usuario
- * - Graceful degradation: Si falla la API, al menos funciona localmente
+ * ARQUITECTURA:
+ * - El estado y la sincronización viven en src/lib/favoritesSync.js (un único motor
+ *   por pestaña); el hook se suscribe con useSyncExternalStore, así que todas las
+ *   llamadas a useFavorites() comparten el mismo estado
+ * - Las demás pestañas abiertas reciben los cambios por el evento 'storage'
+ * - addFavorite / removeFavorite son idempotentes: repetirlos no duplica ni envía nada más
+ * - Escrituras optimistas: la UI cambia al momento y el cambio queda en una cola que
+ *   se envía a Spotify (PUT/DELETE /me/tracks) y se reintenta si falla
+ * - Reconciliación con /me/tracks al cargar y periódicamente
+ * - verifyFavorite comprueba con /me/tracks/contains las canciones que se muestran
  *
  * UTILIZADO EN:
- * - src/app/dashboard/favorites/FavoritesClient.jsx (página de favoritos)
- * - src/components/playlist/TrackCard.jsx (botón de corazón)
- * - Cualquier componente que necesite gestionar favoritos
+ * - src/app/dashboard/favorites/FavoritesClient.jsx (cambios pendientes y estado de sincronización)
+ * - src/components/playlist/TrackCard.jsx (botón de corazón con estado de sincronización)
+ * - src/components/layout/NowPlayingBar.jsx (like de la canción actual, también con la tecla L)
+ * - src/components/playlist/AuditionPanel.jsx (tecla F del modo audición)
+ * - src/components/layout/TopBar.jsx (resultados de búsqueda)
+ * - src/hooks/useOutbox.jsx (cambios pendientes en el indicador de la cola de cambios)
  *
  * REFERENCIAS:
- * - Importa getAccessToken desde @/lib/auth (src/lib/auth.js)
- *
- * ENDPOINTS DE SPOTIFY UTILIZADOS:
- * - PUT /me/tracks - Guardar tracks como favoritos
- * - DELETE /me/tracks - Eliminar tracks de favoritos
+ * - Importa el motor de sincronización desde @/lib/favoritesSync (src/lib/favoritesSync.js)
  *
  * DEPENDENCIAS DE REACT:
- * - useState: Estado de la lista de favoritos
- * - useEffect: Carga inicial desde localStorage
+ * - useSyncExternalStore: Estado compartido de favoritos y cola de sincronización
+ * - useMemo: Índice de IDs para isFavorite
  * - useCallback: Memoización de funciones para optimización
  */
 
 'use client';
 
-import { useState, useEffect, useCallback } from 'react';
-import { getAccessToken } from '@/lib/auth';
+import { useSyncExternalStore, useMemo, useCallback } from 'react';
+import {
+  getFavoritesState,
+  getServerFavoritesState,
+  subscribe,
+  addFavorite,
+  removeFavorite,
+  getSyncStatus as getTrackSyncStatus,
+  verifyFavorite,
+  syncFavorites,
+  retryFailed,
+  discardChange
+} from '@/lib/favoritesSync';
 
 /**
- * useFavorites - Hook para gestionar favoritos con persistencia dual
- *
- * ESTADO INTERNO:
- * - favorites: Array<Object> - Lista de tracks favoritos del usuario
- *
- * FLUJO DE CARGA INICIAL:
- * 1. Al montar: Lee 'favorite_tracks' de localStorage
- * 2. Parsea el JSON (o usa [] si falla)
- * 3. Establece el estado inicial de favorites
+ * useFavorites - Hook para gestionar favoritos sincronizados con Spotify
  *
- * FLUJO DE SINCRONIZACIÓN:
- * addFavorite(track):
- *   1. Actualiza estado local + localStorage inmediatamente
- *   2. Usuario ve cambio instantáneo
- *   3. Sincroniza con Spotify API en background
- *   4. Si falla API: al menos está guardado localmente
+ * FLUJO DE UN LIKE:
+ * 1. addFavorite(track): la canción aparece como favorita al instante (estado 'pending')
+ * 2. Tras una breve espera se envía PUT /me/tracks con los cambios acumulados
+ * 3. Si Spotify confirma: estado 'synced'. Si falla: sigue 'pending' mientras se reintenta con
+ *    backoff y pasa a 'error' al agotar los reintentos
  *
  * @returns {Object} - Objeto con propiedades y métodos:
- *   - favorites: Array<Object> - Lista de tracks favoritos
- *   - addFavorite: (track) => Promise - Añade un track a favoritos
- *   - removeFavorite: (trackId) => Promise - Elimina un track de favoritos
+ *   - favorites: Array<Object> - Tracks favoritos (más recientes primero)
+ *   - addFavorite: (track) => void - Añade un track a favoritos (idempotente)
+ *   - removeFavorite: (trackId) => void - Elimina un track de favoritos (idempotente)
  *   - toggleFavorite: (track) => void - Alterna el estado de favorito
  *   - isFavorite: (trackId) => boolean - Verifica si un track es favorito
+ *   - getSyncStatus: (trackId) => 'synced'|'pending'|'error'
+ *   - verifyFavorite: (track) => void - Comprobar en Spotify una canción visible
+ *   - pendingChanges: Array<Object> - Cambios sin confirmar { trackId, saved, track, attempts, error }
+ *   - syncing: boolean, lastSyncedAt: number|null, syncError: string|null
+ *   - syncNow: ({ force }) => Promise - Reconciliar ya con /me/tracks (force: descargar todas las páginas)
+ *   - retryFailed: (trackId?) => void - Reintentar ya los cambios fallidos (o solo el de una canción)
+ *   - discardChange: (trackId) => void - Descartar un cambio aún no enviado y volver al estado de Spotify
  */
 export function useFavorites() {
-  // Estado que mantiene la lista de canciones favoritas
-  const [favorites, setFavorites] = useState([]);
+  const state = useSyncExternalStore(subscribe, getFavoritesState, getServerFavoritesState);
 
-  // EFECTO: Cargar favoritos desde localStorage al montar el componente
-  // Esto proporciona persistencia local incluso si la API de Spotify no está disponible
-  useEffect(() => {
-    const stored = localStorage.getItem('favorite_tracks');
-    if (stored) {
-      try {
-        // Intentar parsear el JSON guardado
-        setFavorites(JSON.parse(stored));
-      } catch (error) {
-        // Si falla el parsing (JSON corrupto), usar array vacío
-        setFavorites([]);
-      }
-    }
-  }, []);
+  const favoriteIds = useMemo(
+    () => new Set(state.tracks.map(track => track.id)),
+    [state.tracks]
+  );
 
-  /**
-   * addFavorite - Añade una canción a favoritos
-   *
-   * ESTRATEGIA OPTIMISTA:
-   * Actualiza la UI inmediatamente (optimistic update) antes de la confirmación de la API.
-   * Esto proporciona una experiencia de usuario más fluida.
-   *
-   * FLUJO:
-   * 1. Añade el track al estado local inmediatamente
-   * 2. Guarda en localStorage
-   * 3. Usuario ve el cambio instantáneamente
-   * 4. En paralelo: intenta sincronizar con Spotify API
-   * 5. Si falla la API: el favorito se mantiene localmente
-   *
-   * @param {Object} track - Objeto track de Spotify con propiedades:
-   *   - id: string - ID del track
-   *   - name: string - Nombre de la canción
-   *   - artists: Array - Artistas
-   *   - album: Object - Información del álbum
-   *   - preview_url: string - URL del preview
-   */
-  const addFavorite = useCallback(async (track) => {
-    // PASO 1: Actualizar localStorage inmediatamente para UI rápida
-    setFavorites(prev => {
-      const updated = [...prev, track];
-      localStorage.setItem('favorite_tracks', JSON.stringify(updated));
-      return updated;
-    });
+  const pendingChanges = useMemo(() => Object.values(state.queue), [state.queue]);
 
-    // PASO 2: Sincronizar con Spotify API en background
-    // Esto guarda el favorito en la cuenta de Spotify del usuario
-    try {
-      const token = getAccessToken();
-      if (token) {
-        await fetch(`https://api.spotify.com/v1/me/tracks`, {
-          method: 'PUT',
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            ids: [track.id]
-          })
-        });
-      }
-    } catch (error) {
-      // Error silenciado - la actualización local ya se hizo
-      // En una implementación más robusta, podrías:
-      // - Mostrar un toast de "Guardado localmente, sincronización fallida"
-      // - Reintentar la sincronización más tarde
-      // - Revertir el cambio local si es crítico
-    }
-  }, []);
-
-  /**
-   * removeFavorite - Elimina una canción de favoritos
-   *
-   * ESTRATEGIA OPTIMISTA:
-   * Similar a addFavorite, actualiza la UI inmediatamente.
-   *
-   * FLUJO:
-   * 1. Elimina el track del estado local inmediatamente
-   * 2. Actualiza localStorage
-   * 3. Usuario ve el cambio instantáneamente
-   * 4. En paralelo: intenta sincronizar con Spotify API
-   *
-   * @param {string} trackId - ID del track a eliminar
-   */
-  const removeFavorite = useCallback(async (trackId) => {
-    // PASO 1: Actualizar localStorage inmediatamente para UI rápida
-    setFavorites(prev => {
-      const updated = prev.filter(t => t.id !== trackId);
-      localStorage.setItem('favorite_tracks', JSON.stringify(updated));
-      return updated;
-    });
-
-    // PASO 2: Sincronizar con Spotify API en background
-    try {
-      const token = getAccessToken();
-      if (token) {
-        await fetch(`https://api.spotify.com/v1/me/tracks`, {
-          method: 'DELETE',
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            ids: [trackId]
-          })
-        });
-      }
-    } catch (error) {
-      // Error silenciado - la actualización local ya se hizo
-    }
-  }, []);
+  const isFavorite = useCallback((trackId) => favoriteIds.has(trackId), [favoriteIds]);
 
   /**
    * toggleFavorite - Alterna el estado de favorito de un track
    *
-   * DESCRIPCIÓN:
-   * Función de conveniencia que verifica si el track es favorito
-   * y llama a addFavorite o removeFavorite según corresponda.
-   *
-   * USO TÍPICO:
-   * <button onClick={() => toggleFavorite(track)}>
-   *   {isFavorite(track.id) ? '♥' : '♡'}
-   * </button>
+   * Decide con el estado actual del motor (no con el del último render), así dos
+   * clics seguidos nunca añaden la misma canción dos veces.
    *
    * @param {Object} track - Objeto track completo de Spotify
    */
   const toggleFavorite = useCallback((track) => {
-    const isFav = favorites.some(f => f.id === track.id);
+    if (!track?.id) return;
+    const isFav = getFavoritesState().tracks.some(favorite => favorite.id === track.id);
     if (isFav) {
       removeFavorite(track.id);
     } else {
       addFavorite(track);
     }
-  }, [favorites, addFavorite, removeFavorite]);
+  }, []);
 
-  /**
-   * isFavorite - Verifica si un track es favorito
-   *
-   * DESCRIPCIÓN:
-   * Función de utilidad para comprobar si un track específico
-   * está en la lista de favoritos.
-   *
-   * @param {string} trackId - ID del track a verificar
-   * @returns {boolean} - true si el track es favorito, false si no
-   *
-   * USO:
-   * const heartIcon = isFavorite(track.id) ? '♥' : '♡';
-   */
-  const isFavorite = useCallback((trackId) => {
-    return favorites.some(f => f.id === trackId);
-  }, [favorites]);
+  const getSyncStatus = useCallback((trackId) => getTrackSyncStatus(state, trackId), [state]);
 
-  // Retornar todas las funciones y estado para uso externo
   return {
-    favorites,
+    favorites: state.tracks,
     addFavorite,
     removeFavorite,
     toggleFavorite,
-    isFavorite
+    isFavorite,
+    getSyncStatus,
+    verifyFavorite,
+    pendingChanges,
+    syncing: state.syncing,
+    lastSyncedAt: state.lastSyncedAt,
+    syncError: state.error,
+    syncNow: syncFavorites,
+    retryFailed,
+    discardChange
   };
 }
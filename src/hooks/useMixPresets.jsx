@@ -0,0 +1,60 @@
+/**
+ * HOOK: USE MIX PRESETS - MIXES GUARDADOS DEL GENERADOR
+ * =======================================================
+ * Expone a los componentes los mixes guardados en src/lib/mixPresets.js
+ * junto con las operaciones para gestionarlos.
+ *
+ * REFERENCIAS:
+ * - Importa subscribe, getMixesSnapshot y las operaciones desde @/lib/mixPresets (src/lib/mixPresets.js)
+ *
+ * UTILIZADO EN:
+ * - src/components/ui/MixPresetSelector.jsx (selector de mixes del generador)
+ *
+ * DEPENDENCIAS DE REACT:
+ * - useSyncExternalStore: Suscripción a los mixes sin copiarlos en useState
+ */
+
+'use client';
+
+import { useSyncExternalStore } from 'react';
+import {
+  subscribe,
+  getMixesSnapshot,
+  saveMix,
+  updateMix,
+  duplicateMix,
+  deleteMix,
+  exportMixes,
+  importMixes
+} from '@/lib/mixPresets';
+
+// Mixes usados durante SSR (no hay localStorage en el servidor)
+const SERVER_MIXES = [];
+
+/**
+ * useMixPresets - Mixes guardados
+ *
+ * @returns {Object} - Objeto con propiedades:
+ *   - mixes: Array<Object> - { id, name, preferences, strategy, limit, createdAt, updatedAt }
+ *   - save(name, config): Object - Crear un mix con { preferences, strategy, limit }
+ *   - update(id, changes): Object|null - Sobrescribir un mix
+ *   - duplicate(id): Object|null - Copiar un mix
+ *   - remove(id): void - Eliminar un mix
+ *   - exportToJson(ids?): string - Contenido del fichero de exportación
+ *   - importFromJson(json): Array<Object> - Mixes añadidos (lanza Error si el fichero no es válido)
+ *
+ * NOTA: save, update, duplicate, remove e importFromJson lanzan Error si localStorage está lleno.
+ */
+export function useMixPresets() {
+  const mixes = useSyncExternalStore(subscribe, getMixesSnapshot, () => SERVER_MIXES);
+
+  return {
+    mixes,
+    save: saveMix,
+    update: updateMix,
+    duplicate: duplicateMix,
+    remove: deleteMix,
+    exportToJson: exportMixes,
+    importFromJson: importMixes
+  };
+}
@@ -0,0 +1,117 @@
+/**
+ * HOOK: USE OUTBOX - CAMBIOS PENDIENTES DE ENVIAR A SPOTIFY
+ * ===========================================================
+ * Reúne en una sola lista los cambios que aún no han llegado a Spotify:
+ * - Los de la cola persistente de playlists (src/lib/mutationOutbox.js)
+ * - Los likes / unlikes del corazón, que tienen su propia cola compactada por canción
+ *   (src/lib/favoritesSync.js, a través de useFavorites)
+ *
+ * Cada elemento se puede reintentar o descartar sin saber de qué cola viene.
+ *
+ * REFERENCIAS:
+ * - Importa subscribe, getOutboxState, retryOperation, discardOperation y describeOperation
+ *   desde @/lib/mutationOutbox (src/lib/mutationOutbox.js)
+ * - Importa useFavorites desde @/hooks/useFavorites (src/hooks/useFavorites.jsx)
+ * - Importa hasExhaustedRetries desde @/lib/favoritesSync (src/lib/favoritesSync.js)
+ *
+ * UTILIZADO EN:
+ * - src/components/layout/OutboxIndicator.jsx
+ *
+ * DEPENDENCIAS DE REACT:
+ * - useSyncExternalStore: Suscripción al estado de la cola
+ * - useMemo: Lista combinada de cambios
+ * - useCallback: Acciones de reintentar / descartar
+ */
+
+'use client';
+
+import { useSyncExternalStore, useMemo, useCallback } from 'react';
+import {
+  subscribe,
+  getOutboxState,
+  getServerOutboxState,
+  retryOperation,
+  discardOperation,
+  describeOperation
+} from '@/lib/mutationOutbox';
+import { useFavorites } from '@/hooks/useFavorites';
+import { hasExhaustedRetries } from '@/lib/favoritesSync';
+
+/**
+ * useOutbox - Cambios pendientes y fallidos de todas las colas
+ *
+ * @returns {Object} - Objeto con propiedades:
+ *   - items: Array<Object> - { key, label, status: 'pending'|'sending'|'unknown'|'failed', error, createdAt }, en orden de llegada
+ *   - pendingCount: number - Cambios esperando o enviándose
+ *   - failedCount: number - Cambios que Spotify rechazó (o que agotaron los reintentos)
+ *   - online: boolean - Conexión según el navegador
+ *   - flushing: boolean - Si se está enviando la cola
+ *   - retry: (key) => void - Reintentar un cambio
+ *   - retryAll: () => void - Reintentar todos los fallidos
+ *   - discard: (key) => void - Descartar un cambio
+ */
+export function useOutbox() {
+  const outbox = useSyncExternalStore(subscribe, getOutboxState, getServerOutboxState);
+  const { pendingChanges, retryFailed, discardChange } = useFavorites();
+
+  const items = useMemo(() => {
+    const operations = outbox.operations.map(operation => ({
+      key: `op:${operation.id}`,
+      label: describeOperation(operation, outbox.operations),
+      // Una creación interrumpida que no se encontró en Spotify espera al usuario como un fallo
+      status: operation.status === 'unknown' && operation.error ? 'failed' : operation.status,
+      error: operation.error,
+      createdAt: operation.createdAt
+    }));
+
+    // Los likes fallidos se reintentan solos: solo son 'failed' al agotar los reintentos
+    const favorites = pendingChanges.map(change => {
+      const name = change.track?.name ? `"${change.track.name}"` : 'a song';
+      return {
+        key: `fav:${change.trackId}`,
+        label: change.saved ? `Save ${name} to Liked Songs` : `Remove ${name} from Liked Songs`,
+        status: hasExhaustedRetries(change) ? 'failed' : 'pending',
+        error: change.error,
+        createdAt: change.queuedAt
+      };
+    });
+
+    return [...operations, ...favorites].sort((a, b) => a.createdAt - b.createdAt);
+  }, [outbox.operations, pendingChanges]);
+
+  const failedCount = items.filter(item => item.status === 'failed').length;
+
+  const retry = useCallback((key) => {
+    const [source, id] = key.split(/:(.*)/);
+    if (source === 'op') {
+      retryOperation(Number(id));
+    } else {
+      retryFailed(id);
+    }
+  }, [retryFailed]);
+
+  const retryAll = useCallback(() => {
+    retryOperation();
+    retryFailed();
+  }, [retryFailed]);
+
+  const discard = useCallback((key) => {
+    const [source, id] = key.split(/:(.*)/);
+    if (source === 'op') {
+      discardOperation(Number(id));
+    } else {
+      discardChange(id);
+    }
+  }, [discardChange]);
+
+  return {
+    items,
+    pendingCount: items.length - failedCount,
+    failedCount,
+    online: outbox.online,
+    flushing: outbox.flushing,
+    retry,
+    retryAll,
+    discard
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * HOOK: USE PLAYER SHORTCUTS - ATAJOS DE TECLADO DEL REPRODUCTOR
+ * ================================================================
+ * Registra atajos de teclado globales para controlar el reproductor de previews.
+ *
+ * ATAJOS:
+ * - Espacio: Play / pause
+ * - ← / →: Retroceder / avanzar 5 segundos
+ * - Shift + ← / →: Canción anterior / siguiente
+ * - ↑ / ↓: Subir / bajar el volumen un 10%
+ * - M: Silenciar / quitar silencio
+ * - L: Like (añadir o quitar de favoritos) de la canción actual
+ *
+ * COMPORTAMIENTO:
+ * - Desactivados mientras se escribe (input, textarea, select o contenteditable)
+ * - Se ignoran las combinaciones con Ctrl, Cmd o Alt para no pisar atajos del navegador
+ * - Sin canción cargada no se registra el listener (no hay nada que controlar)
+ *
+ * REFERENCIAS:
+ * - Importa useAudioPlayerContext desde @/contexts/AudioPlayerContext (src/contexts/AudioPlayerContext.jsx)
+ *
+ * UTILIZADO EN:
+ * - src/components/layout/NowPlayingBar.jsx (activo en todo el dashboard)
+ *
+ * DEPENDENCIAS DE REACT:
+ * - useEffect: Registrar y limpiar el listener de keydown
+ */
+
+'use client';
+
+import { useEffect } from 'react';
+import { useAudioPlayerContext } from '@/contexts/AudioPlayerContext';
+
+const SEEK_STEP_SECONDS = 5;
+const VOLUME_STEP = 0.1;
+
+/**
+ * isTypingTarget - true si el foco está en un campo de texto (los atajos no deben interferir)
+ *
+ * También lo usan otros atajos de una sola tecla (src/components/playlist/AuditionPanel.jsx).
+ */
+export function isTypingTarget(target) {
+  if (!target || target === document.body) return false;
+  if (target.isContentEditable) return true;
+  const tag = target.tagName;
+  if (tag === 'TEXTAREA' || tag === 'SELECT') return true;
+  // Los range (seek, volumen) aceptan atajos; el resto de inputs son para escribir
+  return tag === 'INPUT' && target.type !== 'range' && target.type !== 'checkbox' && target.type !== 'radio';
+}
+
+/**
+ * usePlayerShortcuts - Atajos de teclado globales del reproductor
+ *
+ * @param {Object} options
+ * @param {Function} options.onLike - Callback de la tecla L (like de la canción actual)
+ */
+export function usePlayerShortcuts({ onLike } = {}) {
+  const {
+    currentTrack,
+    play,
+    next,
+    previous,
+    seekBy,
+    volume,
+    setVolume,
+    toggleMute,
+  } = useAudioPlayerContext();
+
+  useEffect(() => {
+    if (!currentTrack) return;
+
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+      if (isTypingTarget(event.target)) return;
+
+      switch (event.key) {
+        case ' ':
+          play(currentTrack);
+          break;
+        case 'ArrowRight':
+          if (event.shiftKey) {
+            next();
+          } else {
+            seekBy(SEEK_STEP_SECONDS);
+          }
+          break;
+        case 'ArrowLeft':
+          if (event.shiftKey) {
+            previous();
+          } else {
+            seekBy(-SEEK_STEP_SECONDS);
+          }
+          break;
+        case 'ArrowUp':
+          setVolume(volume + VOLUME_STEP);
+          break;
+        case 'ArrowDown':
+          setVolume(volume - VOLUME_STEP);
+          break;
+        case 'm':
+        case 'M':
+          toggleMute();
+          break;
+        case 'l':
+        case 'L':
+          if (!onLike) return;
+          onLike();
+          break;
+        default:
+          return;
+      }
+
+      // Evita el scroll con espacio/flechas y que el espacio "pulse" el botón con foco
+      event.preventDefault();
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [currentTrack, play, next, previous, seekBy, volume, setVolume, toggleMute, onLike]);
+}
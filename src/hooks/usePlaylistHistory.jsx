@@ -0,0 +1,57 @@
+/**
+ * HOOK: USE PLAYLIST HISTORY - HISTORIAL DE PLAYLISTS GENERADAS
+ * ===============================================================
+ * Expone a los componentes el historial guardado en src/lib/playlistHistory.js
+ * junto con las operaciones para gestionarlo.
+ *
+ * REFERENCIAS:
+ * - Importa subscribe, getHistorySnapshot y las operaciones desde @/lib/playlistHistory (src/lib/playlistHistory.js)
+ *
+ * UTILIZADO EN:
+ * - src/app/dashboard/history/HistoryClient.jsx (página de historial)
+ * - src/app/dashboard/generate-playlist/page.jsx (restaurar una generación con ?history=)
+ *
+ * DEPENDENCIAS DE REACT:
+ * - useSyncExternalStore: Suscripción al historial sin copiarlo en useState
+ */
+
+'use client';
+
+import { useSyncExternalStore } from 'react';
+import {
+  subscribe,
+  getHistorySnapshot,
+  renameHistoryEntry,
+  deleteHistoryEntry,
+  clearHistory,
+  diffHistoryEntries,
+  MAX_HISTORY_ENTRIES
+} from '@/lib/playlistHistory';
+
+// Historial usado durante SSR (no hay localStorage en el servidor)
+const SERVER_HISTORY = [];
+
+/**
+ * usePlaylistHistory - Historial de generaciones
+ *
+ * @returns {Object} - Objeto con propiedades:
+ *   - entries: Array<Object> - Generaciones de más reciente a más antigua
+ *     ({ id, name, createdAt, preferences, strategy, limit, tracks })
+ *   - maxEntries: number - Límite del historial (las más antiguas se eliminan)
+ *   - rename(id, name): void
+ *   - remove(id): void
+ *   - clear(): void
+ *   - diff(base, compare): Object - Ver diffHistoryEntries
+ */
+export function usePlaylistHistory() {
+  const entries = useSyncExternalStore(subscribe, getHistorySnapshot, () => SERVER_HISTORY);
+
+  return {
+    entries,
+    maxEntries: MAX_HISTORY_ENTRIES,
+    rename: renameHistoryEntry,
+    remove: deleteHistoryEntry,
+    clear: clearHistory,
+    diff: diffHistoryEntries
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * HOOK: USE RATE LIMIT STATUS - ESTADO DE LA COLA DE PETICIONES A SPOTIFY
+ * =========================================================================
+ * Expone a los componentes el estado del planificador de peticiones
+ * (src/lib/requestScheduler.js), para poder informar al usuario cuando
+ * Spotify ha limitado las peticiones (429) y la app está esperando.
+ *
+ * REFERENCIAS:
+ * - Importa subscribe y getSchedulerStatus desde @/lib/requestScheduler (src/lib/requestScheduler.js)
+ *
+ * UTILIZADO EN:
+ * - src/components/ui/LoadingSpinner.jsx (mensaje "Waiting for Spotify rate limit")
+ *
+ * DEPENDENCIAS DE REACT:
+ * - useSyncExternalStore: Suscripción al estado del módulo sin copiarlo en useState
+ */
+
+'use client';
+
+import { useSyncExternalStore } from 'react';
+import { subscribe, getSchedulerStatus } from '@/lib/requestScheduler';
+
+// Estado usado durante SSR (no hay cola en el servidor)
+const SERVER_STATUS = {
+  active: 0,
+  queued: 0,
+  rateLimited: false,
+  rateLimitedUntil: null
+};
+
+/**
+ * useRateLimitStatus - Estado actual de la cola de peticiones
+ *
+ * @returns {Object} - Objeto con propiedades:
+ *   - active: number - Peticiones en vuelo
+ *   - queued: number - Peticiones esperando turno o reintento
+ *   - rateLimited: boolean - Si la cola está pausada por un 429
+ *   - rateLimitedUntil: number|null - Timestamp (ms) en que se reanuda la cola
+ */
+export function useRateLimitStatus() {
+  return useSyncExternalStore(subscribe, getSchedulerStatus, () => SERVER_STATUS);
+}
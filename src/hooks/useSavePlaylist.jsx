@@ -0,0 +1,156 @@
+/**
+ * HOOK: USE SAVE PLAYLIST - GUARDAR UNA PLAYLIST GENERADA EN SPOTIFY
+ * ====================================================================
+ * Encapsula el flujo completo de guardado de una lista de tracks en la cuenta del usuario.
+ *
+ * MODOS DE GUARDADO:
+ * - 'create': Crea una playlist nueva (nombre, descripción, pública/privada)
+ * - 'overwrite': Sustituye el contenido de una playlist existente
+ * - 'append': Añade las canciones al final de una playlist existente
+ *
+ * FUNCIONALIDAD:
+ * - Añade las canciones en bloques de 100 URIs (límite de Spotify) informando del progreso
+ * - Devuelve la playlist guardada con su enlace de Spotify
+ * - Lista las playlists que el usuario puede modificar (propias o colaborativas)
+ * - Sin conexión el guardado queda en la cola de cambios (src/lib/mutationOutbox.js) y el
+ *   resultado sale con queued: true y sin enlace (la playlist aún no existe en Spotify)
+ *
+ * ARQUITECTURA:
+ * - Usa su propia instancia de useSpotify para que el loading del guardado no
+ *   afecte al loading de la página (que controla el spinner de generación)
+ *
+ * REFERENCIAS:
+ * - Importa useSpotify desde @/hooks/useSpotify (src/hooks/useSpotify.jsx)
+ * - Importa isLocalId desde @/lib/mutationOutbox (src/lib/mutationOutbox.js)
+ *
+ * UTILIZADO EN:
+ * - src/app/dashboard/generate-playlist/page.jsx (botón "Save to Spotify")
+ * - src/app/shared-playlist/page.jsx (importar una playlist compartida)
+ *
+ * DEPENDENCIAS DE REACT:
+ * - useState: saving, progress, savedPlaylist, error
+ * - useCallback: Memoización de las funciones expuestas
+ */
+
+'use client';
+
+import { useState, useCallback } from 'react';
+import { useSpotify } from '@/hooks/useSpotify';
+import { isLocalId } from '@/lib/mutationOutbox';
+
+/**
+ * useSavePlaylist - Guarda tracks en una playlist de Spotify
+ *
+ * @returns {Object} - Objeto con propiedades:
+ *   - saving: boolean - Si hay un guardado en curso
+ *   - progress: {done, total}|null - Canciones añadidas hasta ahora
+ *   - savedPlaylist: {id, name, url, mode, trackCount, queued}|null - Resultado del último guardado
+ *     (url es null si la playlist se creó sin conexión)
+ *   - error: string|null - Mensaje de error del último guardado
+ *   - savePlaylist(tracks, details): Promise<Object|null>
+ *   - getEditablePlaylists(): Promise<Array> - Playlists propias o colaborativas (lanza si no se pudieron cargar todas)
+ *   - reset(): void - Limpia progreso, resultado y error
+ */
+export function useSavePlaylist() {
+  const { getUserProfile, fetchAllPages, createPlaylist, addTracksToPlaylist } = useSpotify();
+  const [saving, setSaving] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [savedPlaylist, setSavedPlaylist] = useState(null);
+  const [error, setError] = useState(null);
+
+  /**
+   * Playlists en las que el usuario puede escribir (Spotify solo permite
+   * modificar las propias y las colaborativas). Recorre todas las páginas de
+   * /me/playlists, no solo las 50 primeras.
+   */
+  const getEditablePlaylists = useCallback(async () => {
+    const [profile, playlists] = await Promise.all([
+      getUserProfile(),
+      fetchAllPages('/me/playlists', { query: { limit: 50 } })
+    ]);
+    return (playlists || []).filter(
+      (playlist) => playlist && (playlist.owner?.id === profile?.id || playlist.collaborative)
+    );
+  }, [getUserProfile, fetchAllPages]);
+
+  /**
+   * savePlaylist - Guarda los tracks según el modo elegido
+   *
+   * @param {Array<Object>} tracks - Tracks a guardar (se usa track.uri)
+   * @param {Object} details
+   * @param {string} details.mode - 'create' | 'overwrite' | 'append' (default: 'create')
+   * @param {string} details.name - Nombre (modo 'create')
+   * @param {string} details.description - Descripción opcional (modo 'create')
+   * @param {boolean} details.isPublic - Visibilidad (modo 'create')
+   * @param {Object} details.target - Playlist existente (modos 'overwrite' y 'append')
+   * @returns {Promise<Object|null>} - Playlist guardada o null si falla
+   */
+  const savePlaylist = useCallback(async (tracks, { mode = 'create', name, description = '', isPublic = true, target } = {}) => {
+    const uris = (tracks || []).map((track) => track?.uri).filter(Boolean);
+
+    setSaving(true);
+    setError(null);
+    setSavedPlaylist(null);
+    setProgress({ done: 0, total: uris.length });
+
+    try {
+      let playlist = target;
+
+      if (mode === 'create') {
+        playlist = await createPlaylist(name, description, isPublic);
+        if (!playlist) {
+          throw new Error('Could not create the playlist. Please try again.');
+        }
+      } else if (!playlist?.id) {
+        throw new Error('Choose a playlist to save into.');
+      }
+
+      const saved = {
+        id: playlist.id,
+        name: playlist.name,
+        url: isLocalId(playlist.id)
+          ? null
+          : playlist.external_urls?.spotify || `https://open.spotify.com/playlist/${playlist.id}`,
+        mode,
+        trackCount: uris.length,
+        queued: !!playlist.queued
+      };
+
+      const result = await addTracksToPlaylist(playlist.id, uris, {
+        replace: mode === 'overwrite',
+        onProgress: (done, total) => setProgress({ done, total })
+      });
+      if (result?.queued) saved.queued = true;
+
+      if (!result && uris.length > 0) {
+        // La playlist existe pero no se añadieron todas las canciones: se enlaza igualmente
+        setSavedPlaylist(saved);
+        throw new Error(`"${playlist.name}" was saved but some tracks could not be added.`);
+      }
+
+      setSavedPlaylist(saved);
+      return saved;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, [createPlaylist, addTracksToPlaylist]);
+
+  const reset = useCallback(() => {
+    setProgress(null);
+    setSavedPlaylist(null);
+    setError(null);
+  }, []);
+
+  return {
+    saving,
+    progress,
+    savedPlaylist,
+    error,
+    savePlaylist,
+    getEditablePlaylists,
+    reset
+  };
+}
@@ -8,9 +8,9 @@
  * FUNCIONALIDADES PRINCIPALES:
  * 1. BÚSQUEDA: Artistas, canciones, géneros
  * 2. PERFIL DE USUARIO: Datos personales, top tracks, top artists
- * 3. BIBLIOTECA: Playlists, álbumes guardados, canciones favoritas
+ * 3. BIBLIOTECA: Playlists, álbumes guardados, canciones favoritas (con paginación completa)
  * 4. GESTIÓN DE PLAYLISTS: Crear, eliminar, agregar/quitar canciones, reordenar
- * 5. GENERACIÓN: Crear playlists basadas en preferencias (Recommendations API)
+ * 5. GENERACIÓN: Crear playlists basadas en preferencias (pipeline de generación con estrategias)
  * 6. FAVORITOS: Guardar y eliminar canciones favoritas
  *
  * ARQUITECTURA:
@@ -19,10 +19,20 @@
  * - Funciones especializadas: Una para cada endpoint o grupo de endpoints
  * - Memoización: Usa useCallback para optimizar rendimiento
  *
+ * CAMBIOS SIN CONEXIÓN:
+ * - createPlaylist, addTracksToPlaylist, removeTrackFromPlaylist y reorderPlaylistTracks pasan
+ *   por la cola persistente de src/lib/mutationOutbox.js: sin red (o con cambios anteriores de
+ *   la misma playlist en cola) se guardan y devuelven un resultado provisional con queued: true
+ * - Los likes sin conexión los gestiona la cola propia de src/lib/favoritesSync.js (useFavorites);
+ *   saveTrack y removeTrack llaman a Spotify directamente
+ * - createPlaylist sin conexión devuelve una playlist provisional (id 'local:...') que ya
+ *   se puede usar en addTracksToPlaylist
+ *
  * MANEJO DE ERRORES:
- * - 401 (Unauthorized): Token expirado, requiere re-login
+ * - Las peticiones fallidas lanzan SpotifyApiError (status, spotifyMessage, retryAfter)
+ * - 401 (Unauthorized): Se refresca el token y se reintenta una vez; si falla, requiere re-login
  * - 403 (Forbidden): Permisos insuficientes
- * - Otros: Error genérico con código de estado
+ * - Otros: Mensaje de Spotify o error genérico con código de estado
  *
  * UTILIZADO EN:
  * - src/app/dashboard/explore/ExploreClient.jsx (explorar música)
@@ -32,15 +42,16 @@
  * - src/components/modals/ (modales de playlist)
  *
  * REFERENCIAS:
- * - Importa getAccessToken desde @/lib/auth (src/lib/auth.js)
+ * - Importa spotifyRequest y paginate desde @/lib/spotifyClient (src/lib/spotifyClient.js)
+ * - Importa generatePlaylist (como runGenerationPipeline) desde @/lib/spotify (src/lib/spotify.js)
+ * - Importa runMutation desde @/lib/mutationOutbox (src/lib/mutationOutbox.js)
  *
  * ENDPOINTS DE SPOTIFY UTILIZADOS:
  * - /search (búsqueda de artistas, tracks)
  * - /me/* (perfil, top tracks/artists, playlists, saved tracks/albums)
  * - /playlists/* (detalles, tracks, crear, modificar, eliminar)
- * - /recommendations (generar recomendaciones personalizadas)
  * - /tracks (obtener múltiples tracks por IDs, guardar/eliminar favoritos)
- * - /artists/* (top tracks de un artista)
+ * - /artists/* (top tracks y géneros de artistas, usados también por el motor de recomendaciones)
  *
  * DEPENDENCIAS DE REACT:
  * - useState: Estados de loading y error
@@ -50,7 +61,9 @@
 'use client';
 
 import { useState, useCallback } from 'react';
-import { getAccessToken } from '@/lib/auth';
+import { spotifyRequest, paginate } from '@/lib/spotifyClient';
+import { generatePlaylist as runGenerationPipeline } from '@/lib/spotify';
+import { runMutation } from '@/lib/mutationOutbox';
 
 /**
  * useSpotify - Hook principal para interactuar con Spotify Web API
@@ -77,15 +90,20 @@ import { getAccessToken } from '@/lib/auth';
  *   - getUserSavedTracks(limit): Promise<Array>
  *   - getPlaylistTracks(playlistId): Promise<Array>
  *   - getPlaylistDetails(playlistId): Promise<Object>
- *   - createPlaylist(name, description, isPublic): Promise<Object>
- *   - addTracksToPlaylist(playlistId, trackUris): Promise<Object>
- *   - removeTrackFromPlaylist(playlistId, trackUri): Promise<Object>
+ *   - createPlaylist(name, description, isPublic): Promise<Object> - Provisional (queued: true) sin conexión
+ *   - addTracksToPlaylist(playlistId, trackUris, options): Promise<Object> - En bloques de 100 (replace, position, onProgress)
+ *   - removeTrackFromPlaylist(playlistId, trackUri): Promise<Object> - { snapshot_id } o { queued: true }
+ *   - reorderPlaylistTracks(playlistId, options): Promise<Object> - Mover canciones (range_start/insert_before)
+ *   - getPlaylistSnapshot(playlistId): Promise<string|null> - snapshot_id actual
  *   - deletePlaylist(playlistId): Promise<boolean>
- *   - generatePlaylist(preferences): Promise<Array>
+ *   - generatePlaylist(preferences, options): Promise<Array> - Recomendaciones con explicación
  *   - saveTrack(trackId): Promise<boolean>
  *   - removeTrack(trackId): Promise<boolean>
  *   - checkSavedTracks(trackIds): Promise<Array<boolean>>
  *   - getTracksByIds(trackIds): Promise<Array>
+ *   - getArtistsByIds(artistIds): Promise<Array>
+ *   - getPage(endpoint, query): Promise<{items, next, total}> - Una página de un endpoint paginado
+ *   - fetchAllPages(endpoint, options): Promise<Array> - Todas las páginas con progreso (lanza si falla alguna)
  */
 export function useSpotify() {
   // ESTADO: Loading indica si hay una operación en curso
@@ -97,46 +115,22 @@ export function useSpotify() {
    * spotifyFetch - Función wrapper centralizada para todas las llamadas a Spotify API
    *
    * PROPÓSITO:
-   * Centraliza la lógica de autenticación y manejo de errores para todas
-   * las llamadas a la API de Spotify. Todas las demás funciones usan esta.
-   *
-   * FLUJO:
-   * 1. Obtiene el token de acceso
-   * 2. Hace fetch a la API de Spotify con el token en headers
-   * 3. Maneja errores comunes (401, 403, otros)
-   * 4. Retorna los datos parseados como JSON
+   * Delega en el cliente común spotifyRequest (src/lib/spotifyClient.js), que
+   * gestiona autenticación, serialización del body, parseo de la respuesta y errores.
+   * Todas las demás funciones del hook usan esta.
    *
    * MANEJO DE ERRORES:
-   * - 401: Token expirado, requiere nuevo login
+   * - Lanza SpotifyApiError con status, spotifyMessage y retryAfter
+   * - 401: Token inválido incluso tras refrescarlo, requiere nuevo login
    * - 403: Permisos insuficientes (scopes faltantes)
-   * - Otros: Error genérico con código de estado
    *
    * @param {string} endpoint - Endpoint de la API (sin el prefijo /v1, ej: '/me/playlists')
-   * @returns {Promise<Object>} - Datos JSON de la respuesta
-   * @throws {Error} - Si no hay token, si la API devuelve error, o problemas de red
+   * @param {Object} options - Opciones de spotifyRequest (method, query, body)
+   * @returns {Promise<Object|null>} - Datos de la respuesta (null si está vacía)
+   * @throws {SpotifyApiError} - Si no hay token, si la API devuelve error, o problemas de red
    */
-  const spotifyFetch = useCallback(async (endpoint) => {
-    const token = getAccessToken();
-    if (!token) throw new Error('No token available');
-
-    const response = await fetch(`https://api.spotify.com/v1${endpoint}`, {
-      headers: { 'Authorization': `Bearer ${token}` }
-    });
-
-    if (!response.ok) {
-      if (response.status === 401) {
-        // Token expirado - el usuario necesita volver a hacer login
-        throw new Error('Token expired. Please login again.');
-      }
-      if (response.status === 403) {
-        // Permisos insuficientes - faltan scopes en la autenticación
-        throw new Error('Permission denied. Please re-authenticate with required permissions.');
-      }
-      // Otro tipo de error de API
-      throw new Error(`API Error: ${response.status}`);
-    }
-
-    return response.json();
+  const spotifyFetch = useCallback((endpoint, options) => {
+    return spotifyRequest(endpoint, options);
   }, []);
 
   /**
@@ -345,31 +339,79 @@ export function useSpotify() {
     }
   }, [spotifyFetch]);
 
-  const createPlaylist = useCallback(async (name, description = '', isPublic = true) => {
+  /**
+   * getPage - Obtiene una página de un endpoint paginado
+   *
+   * Pensado para "load more" / scroll infinito: la primera llamada recibe el endpoint
+   * y los parámetros; las siguientes reciben directamente el enlace 'next' devuelto.
+   *
+   * @param {string} endpoint - Endpoint (ej: '/me/playlists') o URL 'next' de la página anterior
+   * @param {Object} query - Parámetros de la primera página (ej: { limit: 50 })
+   * @returns {Promise<Object>} - { items: Array, next: string|null, total: number }
+   *
+   * UTILIZADO EN: LibraryClient, FavoritesClient, PlaylistModal
+   */
+  const getPage = useCallback(async (endpoint, query) => {
     setLoading(true);
     setError(null);
     try {
-      const token = getAccessToken();
-      if (!token) throw new Error('No token available');
-
-      const response = await fetch(`https://api.spotify.com/v1/me/playlists`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          name,
-          description,
-          public: isPublic
-        })
-      });
+      const data = await spotifyFetch(endpoint, { query });
+      return {
+        items: data?.items || [],
+        next: data?.next || null,
+        total: data?.total ?? 0
+      };
+    } catch (err) {
+      setError(err.message);
+      return { items: [], next: null, total: 0 };
+    } finally {
+      setLoading(false);
+    }
+  }, [spotifyFetch]);
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error?.message || 'Failed to create playlist');
+  /**
+   * fetchAllPages - Recorre todas las páginas de un endpoint siguiendo los enlaces 'next'
+   *
+   * NOTA: Si una página falla se guarda el error y se lanza: quien llama no puede confundir
+   * una lista cortada con la lista completa.
+   *
+   * @param {string} endpoint - Endpoint paginado (ej: '/me/tracks')
+   * @param {Object} options
+   * @param {Object} options.query - Parámetros de la primera página (default: { limit: 50 })
+   * @param {Function} options.onProgress - Callback ({ loaded, total }) tras cada página
+   * @returns {Promise<Array>} - Todos los items concatenados
+   * @throws {Error} - Si falla alguna página (con el status de Spotify, ver spotifyClient)
+   *
+   * UTILIZADO EN: FavoritesClient y PlaylistModal (cargar el resto de páginas desde 'next'),
+   * useSavePlaylist (todas las playlists del usuario)
+   */
+  const fetchAllPages = useCallback(async (endpoint, { query = { limit: 50 }, onProgress } = {}) => {
+    setLoading(true);
+    setError(null);
+    const items = [];
+    try {
+      for await (const page of paginate(endpoint, { query })) {
+        items.push(...(page.items || []));
+        onProgress?.({ loaded: items.length, total: page.total ?? items.length });
       }
-      return await response.json();
+      return items;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const createPlaylist = useCallback(async (name, description = '', isPublic = true) => {
+    setLoading(true);
+    setError(null);
+    try {
+      return await runMutation('createPlaylist', {
+        name,
+        description,
+        public: isPublic
+      });
     } catch (err) {
       setError(err.message);
       return null;
@@ -406,26 +448,26 @@ export function useSpotify() {
     }
   }, [spotifyFetch]);
 
-  const addTracksToPlaylist = useCallback(async (playlistId, trackUris) => {
+  /**
+   * addTracksToPlaylist - Añade canciones en bloques de 100 (límite de Spotify)
+   *
+   * @param {string} playlistId - ID de la playlist (también el provisional 'local:...')
+   * @param {Array<string>} trackUris - URIs de las canciones
+   * @param {Object} options
+   * @param {boolean} options.replace - Sustituir el contenido actual
+   * @param {number} options.position - Posición de inserción (sin ella, al final)
+   * @param {Function} options.onProgress - (done, total) tras cada bloque enviado
+   * @returns {Promise<Object|null>} - { snapshot_id }, { queued: true } si quedó en cola, o null si falla
+   */
+  const addTracksToPlaylist = useCallback(async (playlistId, trackUris, { replace = false, position, onProgress } = {}) => {
     setLoading(true);
     setError(null);
     try {
-      const token = getAccessToken();
-      if (!token) throw new Error('No token available');
-
-      const response = await fetch(`https://api.spotify.com/v1/playlists/${playlistId}/tracks`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          uris: trackUris
-        })
-      });
-
-      if (!response.ok) throw new Error('Failed to add tracks to playlist');
-      return await response.json();
+      return await runMutation(
+        'addTracks',
+        { playlistId, uris: trackUris, replace, position },
+        { onProgress }
+      );
     } catch (err) {
       setError(err.message);
       return null;
@@ -438,22 +480,38 @@ export function useSpotify() {
     setLoading(true);
     setError(null);
     try {
-      const token = getAccessToken();
-      if (!token) throw new Error('No token available');
+      return await runMutation('removeTracks', { playlistId, uris: [trackUri] });
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
 
-      const response = await fetch(`https://api.spotify.com/v1/playlists/${playlistId}/tracks`, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          tracks: [{ uri: trackUri }]
-        })
+  /**
+   * Mueve un bloque de canciones dentro de una playlist
+   *
+   * @param {string} playlistId - ID de la playlist
+   * @param {Object} options
+   * @param {number} options.rangeStart - Posición de la primera canción a mover
+   * @param {number} options.insertBefore - Posición delante de la que se insertan
+   * @param {number} options.rangeLength - Número de canciones a mover (default: 1)
+   * @param {string} options.snapshotId - Versión de la playlist sobre la que se hace el cambio
+   * @returns {Promise<Object|null>} - { snapshot_id } con la nueva versión, { snapshot_id: null, queued: true }
+   *   si queda en la cola (src/lib/mutationOutbox.js), o null si Spotify lo rechaza
+   */
+  const reorderPlaylistTracks = useCallback(async (playlistId, { rangeStart, insertBefore, rangeLength = 1, snapshotId }) => {
+    setLoading(true);
+    setError(null);
+    try {
+      return await runMutation('reorderTracks', {
+        playlistId,
+        rangeStart,
+        insertBefore,
+        rangeLength,
+        snapshotId: snapshotId || null
       });
-
-      if (!response.ok) throw new Error('Failed to remove track from playlist');
-      return await response.json();
     } catch (err) {
       setError(err.message);
       return null;
@@ -462,22 +520,24 @@ export function useSpotify() {
     }
   }, []);
 
+  /**
+   * Obtiene solo el snapshot_id actual de una playlist (para detectar cambios externos)
+   */
+  const getPlaylistSnapshot = useCallback(async (playlistId) => {
+    try {
+      const data = await spotifyFetch(`/playlists/${playlistId}`, { query: { fields: 'snapshot_id' } });
+      return data?.snapshot_id || null;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  }, [spotifyFetch]);
+
   const deletePlaylist = useCallback(async (playlistId) => {
     setLoading(true);
     setError(null);
     try {
-      const token = getAccessToken();
-      if (!token) throw new Error('No token available');
-
-      const response = await fetch(`https://api.spotify.com/v1/playlists/${playlistId}/followers`, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) throw new Error('Failed to delete playlist');
+      await spotifyFetch(`/playlists/${playlistId}/followers`, { method: 'DELETE' });
       return true;
     } catch (err) {
       setError(err.message);
@@ -485,27 +545,16 @@ export function useSpotify() {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [spotifyFetch]);
 
   const saveTrack = useCallback(async (trackId) => {
     setLoading(true);
     setError(null);
     try {
-      const token = getAccessToken();
-      if (!token) throw new Error('No token available');
-
-      const response = await fetch(`https://api.spotify.com/v1/me/tracks`, {
+      await spotifyFetch('/me/tracks', {
         method: 'PUT',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          ids: [trackId]
-        })
+        body: { ids: [trackId] }
       });
-
-      if (!response.ok) throw new Error('Failed to save track');
       return true;
     } catch (err) {
       setError(err.message);
@@ -513,27 +562,16 @@ export function useSpotify() {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [spotifyFetch]);
 
   const removeTrack = useCallback(async (trackId) => {
     setLoading(true);
     setError(null);
     try {
-      const token = getAccessToken();
-      if (!token) throw new Error('No token available');
-
-      const response = await fetch(`https://api.spotify.com/v1/me/tracks`, {
+      await spotifyFetch('/me/tracks', {
         method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          ids: [trackId]
-        })
+        body: { ids: [trackId] }
       });
-
-      if (!response.ok) throw new Error('Failed to remove track');
       return true;
     } catch (err) {
       setError(err.message);
@@ -541,7 +579,7 @@ export function useSpotify() {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [spotifyFetch]);
 
   const checkSavedTracks = useCallback(async (trackIds) => {
     setLoading(true);
@@ -588,189 +626,57 @@ export function useSpotify() {
     }
   }, [spotifyFetch]);
 
-  /**
-   * Función auxiliar para mezclar aleatoriamente un array (Fisher-Yates shuffle)
-   */
-  const shuffleArray = (array) => {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
-  };
-
-  /**
-   * Genera una playlist basada en las preferencias del usuario
-   * Usa el Recommendations API de Spotify para mayor variedad
-   */
-  const generatePlaylist = useCallback(async (preferences) => {
+  const getArtistsByIds = useCallback(async (artistIds) => {
     setLoading(true);
     setError(null);
-
     try {
-      let tracks = [];
-      const seenIds = new Set();
-
-      // Construir seeds para el Recommendations API
-      const seedArtists = (preferences.artists || []).slice(0, 2).map(a => a.id);
-      const seedTracks = (preferences.tracks || []).slice(0, 2).map(t => t.id);
-      const seedGenres = (preferences.genres || []).slice(0, 2);
-
-      // Construir parámetros de audio features desde mood
-      const audioParams = {};
-      if (preferences.mood) {
-        if (preferences.mood.energy !== undefined) {
-          audioParams.target_energy = preferences.mood.energy / 100;
-        }
-        if (preferences.mood.valence !== undefined) {
-          audioParams.target_valence = preferences.mood.valence / 100;
-        }
-        if (preferences.mood.danceability !== undefined) {
-          audioParams.target_danceability = preferences.mood.danceability / 100;
-        }
-        if (preferences.mood.acousticness !== undefined) {
-          audioParams.target_acousticness = preferences.mood.acousticness / 100;
-        }
-      }
-
-      // Añadir filtros de popularidad
-      if (preferences.popularity) {
-        const { min, max } = preferences.popularity;
-        if (min > 0) audioParams.min_popularity = min;
-        if (max < 100) audioParams.max_popularity = max;
-      }
-
-      // Calcular rango de años para decades
-      if (preferences.decades && preferences.decades.length > 0) {
-        const years = preferences.decades.map(d => parseInt(d));
-        const minYear = Math.min(...years);
-        const maxYear = Math.max(...years) + 9;
-        const currentYear = new Date().getFullYear();
-
-        // Convertir a timestamp unix (en segundos)
-        const minDate = new Date(minYear, 0, 1);
-        const maxDate = new Date(Math.min(maxYear, currentYear), 11, 31);
-
-        audioParams.min_release_date = minDate.toISOString().split('T')[0];
-        audioParams.max_release_date = maxDate.toISOString().split('T')[0];
-      }
-
-      // Función para hacer llamada al Recommendations API
-      const getRecommendations = async (artists, genres, trackIds, limit = 20) => {
-        const params = new URLSearchParams();
-
-        if (artists.length > 0) params.append('seed_artists', artists.join(','));
-        if (genres.length > 0) params.append('seed_genres', genres.join(','));
-        if (trackIds.length > 0) params.append('seed_tracks', trackIds.join(','));
-
-        params.append('limit', limit);
-
-        // Añadir parámetros de audio
-        Object.keys(audioParams).forEach(key => {
-          params.append(key, audioParams[key]);
-        });
-
-        try {
-          const data = await spotifyFetch(`/recommendations?${params.toString()}`);
-          return data.tracks || [];
-        } catch (err) {
-          return [];
-        }
-      };
-
-      // Estrategia 1: Usar seeds del usuario
-      const totalSeeds = seedArtists.length + seedGenres.length + seedTracks.length;
-
-      if (totalSeeds > 0) {
-        // Hacer múltiples llamadas con diferentes combinaciones para más variedad
-        const calls = [];
-
-        // Llamada 1: Con todos los seeds disponibles (máximo 5)
-        const allSeeds = {
-          artists: seedArtists.slice(0, 2),
-          genres: seedGenres.slice(0, 2),
-          tracks: seedTracks.slice(0, 1)
-        };
-        calls.push(getRecommendations(allSeeds.artists, allSeeds.genres, allSeeds.tracks, 20));
-
-        // Llamada 2: Solo artistas y géneros (si hay)
-        if (seedArtists.length > 0 || seedGenres.length > 0) {
-          calls.push(getRecommendations(
-            seedArtists.slice(0, 3),
-            seedGenres.slice(0, 2),
-            [],
-            15
-          ));
-        }
-
-        // Llamada 3: Diferentes combinaciones de seeds para más variedad
-        if (seedGenres.length > 2) {
-          // Usar géneros diferentes
-          calls.push(getRecommendations(
-            seedArtists.slice(0, 2),
-            seedGenres.slice(2, 4),
-            [],
-            15
-          ));
-        }
-
-        // Esperar todas las llamadas
-        const results = await Promise.all(calls);
-
-        // Combinar resultados
-        results.forEach(trackList => {
-          trackList.forEach(track => {
-            if (!seenIds.has(track.id)) {
-              tracks.push(track);
-              seenIds.add(track.id);
-            }
-          });
-        });
-      }
+      // Spotify API limita a 50 artistas por llamada
+      const chunkSize = 50;
+      const chunks = [];
 
-      // Estrategia 2: Si no hay suficientes seeds, usar géneros populares
-      if (totalSeeds === 0 || tracks.length < 15) {
-        // Usar géneros variados para obtener diferentes resultados
-        const defaultGenres = ['pop', 'rock', 'indie', 'electronic', 'hip-hop', 'jazz', 'classical'];
-        const randomGenres = shuffleArray(defaultGenres).slice(0, 3);
-
-        const defaultRecs = await getRecommendations([], randomGenres, [], 20);
-        defaultRecs.forEach(track => {
-          if (!seenIds.has(track.id)) {
-            tracks.push(track);
-            seenIds.add(track.id);
-          }
-        });
+      for (let i = 0; i < artistIds.length; i += chunkSize) {
+        chunks.push(artistIds.slice(i, i + chunkSize));
       }
 
-      // Estrategia 3: Si aún no hay suficientes, añadir algunas top tracks pero mezcladas
-      if (tracks.length < 10) {
-        const topTracks = await getUserTopTracks(15);
-
-        // Tomar solo algunas aleatoriamente para evitar repetición
-        const randomTopTracks = shuffleArray(topTracks).slice(0, 10);
-        randomTopTracks.forEach(track => {
-          if (!seenIds.has(track.id)) {
-            tracks.push(track);
-            seenIds.add(track.id);
-          }
-        });
-      }
+      const results = await Promise.all(
+        chunks.map(chunk =>
+          spotifyFetch(`/artists?ids=${chunk.join(',')}`)
+        )
+      );
 
-      // Mezclar aleatoriamente las canciones para variedad
-      tracks = shuffleArray(tracks);
+      return results.flatMap(result => result.artists || []).filter(Boolean);
+    } catch (err) {
+      setError(err.message);
+      return [];
+    } finally {
+      setLoading(false);
+    }
+  }, [spotifyFetch]);
 
-      // Limitar a 30 canciones
-      return tracks.slice(0, 30);
+  /**
+   * Genera una playlist basada en las preferencias del usuario
+   * Ejecuta el pipeline de generación de src/lib/spotify.js (source → dedupe → filter → rank → limit)
+   * con la estrategia elegida. Cada track incluye track.recommendation = { score, reasons }.
+   *
+   * @param {Object} preferences - Preferencias de los widgets (esquema de src/lib/preferences.js)
+   * @param {Object} options
+   * @param {string} options.strategy - 'smart' | 'strict' | 'discovery' (default: 'smart')
+   * @param {number} options.limit - Número de canciones (default: 30)
+   * @param {Array<string>} options.excludeIds - IDs que no deben repetirse
+   */
+  const generatePlaylist = useCallback(async (preferences, options = {}) => {
+    setLoading(true);
+    setError(null);
 
+    try {
+      return await runGenerationPipeline(preferences, options);
     } catch (err) {
       setError(err.message);
       return [];
     } finally {
       setLoading(false);
     }
-  }, [spotifyFetch, getUserTopTracks]);
+  }, []);
 
   return {
     loading,
@@ -790,11 +696,16 @@ export function useSpotify() {
     createPlaylist,
     addTracksToPlaylist,
     removeTrackFromPlaylist,
+    reorderPlaylistTracks,
+    getPlaylistSnapshot,
     deletePlaylist,
     generatePlaylist,
     saveTrack,
     removeTrack,
     checkSavedTracks,
-    getTracksByIds
+    getTracksByIds,
+    getArtistsByIds,
+    getPage,
+    fetchAllPages
   };
 }
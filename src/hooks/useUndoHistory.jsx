@@ -0,0 +1,162 @@
+/**
+ * HOOK: USE UNDO HISTORY - HISTORIAL DESHACER/REHACER
+ * =====================================================
+ * Pila de deshacer/rehacer genérica para las operaciones de edición de playlists
+ * (eliminar, reordenar, añadir canciones...).
+ *
+ * FUNCIONALIDAD:
+ * - push(command): Registra una operación ya aplicada y vacía la pila de rehacer
+ * - undo() / redo(): Ejecutan la operación inversa / la operación de nuevo
+ * - Atajos de teclado: Ctrl+Z (deshacer), Ctrl+Shift+Z o Ctrl+Y (rehacer); Cmd en macOS
+ * - lastAction: Última operación hecha/deshecha/rehecha, para mostrar el toast "Undo"
+ *
+ * COMANDOS:
+ * Cada comando es { label, undo, redo }:
+ * - label: string - Texto para el toast (ej: 'Removed "Song"')
+ * - undo / redo: Funciones (pueden ser async). Si lanzan un error, las pilas no cambian.
+ *   En playlists de Spotify son las llamadas a la API compensatorias.
+ *
+ * ARQUITECTURA:
+ * - Las pilas se guardan en estado; busyRef evita solapar dos undo/redo asíncronos
+ * - Los atajos se ignoran mientras se escribe en inputs y textareas
+ *
+ * UTILIZADO EN:
+ * - src/app/dashboard/generate-playlist/page.jsx (playlist generada, en memoria)
+ * - src/components/modals/PlaylistModal.jsx (playlist de Spotify)
+ *
+ * DEPENDENCIAS DE REACT:
+ * - useState: Pilas past/future, lastAction y error
+ * - useRef: Bloqueo mientras se ejecuta un undo/redo
+ * - useEffect: Registro de los atajos de teclado
+ * - useCallback: Memoización de las funciones expuestas
+ */
+
+'use client';
+
+import { useState, useRef, useEffect, useCallback } from 'react';
+
+// Máximo de operaciones que se pueden deshacer
+const DEFAULT_HISTORY_LIMIT = 50;
+
+/**
+ * Indica si el evento viene de un campo de texto (donde Ctrl+Z es el deshacer del navegador)
+ */
+function isEditableTarget(target) {
+  if (!target) return false;
+  const tag = target.tagName;
+  return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target.isContentEditable;
+}
+
+/**
+ * useUndoHistory - Historial de deshacer/rehacer
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Máximo de operaciones guardadas (default: 50)
+ * @param {boolean} options.enableShortcuts - Activar Ctrl+Z / Ctrl+Shift+Z (default: true)
+ *
+ * @returns {Object} - Objeto con propiedades:
+ *   - push(command): void - Registrar una operación aplicada
+ *   - undo(): Promise<void>
+ *   - redo(): Promise<void>
+ *   - canUndo: boolean
+ *   - canRedo: boolean
+ *   - lastAction: {id, label, type: 'do'|'undo'|'redo'}|null
+ *   - error: string|null - Error del último undo/redo fallido
+ *   - dismiss(): void - Ocultar el toast (limpia lastAction y error)
+ *   - clear(): void - Vaciar el historial (ej: al recargar datos)
+ */
+export function useUndoHistory({ limit = DEFAULT_HISTORY_LIMIT, enableShortcuts = true } = {}) {
+  const [past, setPast] = useState([]);
+  const [future, setFuture] = useState([]);
+  const [lastAction, setLastAction] = useState(null);
+  const [error, setError] = useState(null);
+  const busyRef = useRef(false);
+
+  const push = useCallback((command) => {
+    setPast((prev) => [...prev, command].slice(-limit));
+    setFuture([]);
+    setError(null);
+    setLastAction({ id: Date.now(), label: command.label, type: 'do' });
+  }, [limit]);
+
+  const undo = useCallback(async () => {
+    const command = past[past.length - 1];
+    if (!command || busyRef.current) return;
+
+    busyRef.current = true;
+    try {
+      await command.undo();
+      setPast((prev) => prev.slice(0, -1));
+      setFuture((prev) => [command, ...prev]);
+      setError(null);
+      setLastAction({ id: Date.now(), label: command.label, type: 'undo' });
+    } catch (err) {
+      setError(err.message || 'Could not undo the last change.');
+    } finally {
+      busyRef.current = false;
+    }
+  }, [past]);
+
+  const redo = useCallback(async () => {
+    const command = future[0];
+    if (!command || busyRef.current) return;
+
+    busyRef.current = true;
+    try {
+      await command.redo();
+      setFuture((prev) => prev.slice(1));
+      setPast((prev) => [...prev, command].slice(-limit));
+      setError(null);
+      setLastAction({ id: Date.now(), label: command.label, type: 'redo' });
+    } catch (err) {
+      setError(err.message || 'Could not redo the change.');
+    } finally {
+      busyRef.current = false;
+    }
+  }, [future, limit]);
+
+  const dismiss = useCallback(() => {
+    setLastAction(null);
+    setError(null);
+  }, []);
+
+  const clear = useCallback(() => {
+    setPast([]);
+    setFuture([]);
+    setLastAction(null);
+    setError(null);
+  }, []);
+
+  // Atajos de teclado
+  useEffect(() => {
+    if (!enableShortcuts) return;
+
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isEditableTarget(e.target)) return;
+      const key = e.key.toLowerCase();
+
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enableShortcuts, undo, redo]);
+
+  return {
+    push,
+    undo,
+    redo,
+    canUndo: past.length > 0,
+    canRedo: future.length > 0,
+    lastAction,
+    error,
+    dismiss,
+    clear
+  };
+}
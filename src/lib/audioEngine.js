@@ -0,0 +1,559 @@
+/**
+ * MÓDULO: MOTOR DE AUDIO - CROSSFADE Y REPRODUCCIÓN SIN CORTES
+ * ==============================================================
+ * Reproduce los previews de Spotify con la Web Audio API para que el cambio de
+ * canción no sea un corte seco.
+ *
+ * FUNCIONALIDAD:
+ * - Dos elementos Audio ("decks") que se alternan: la canción nueva entra en el deck
+ *   libre mientras la anterior se desvanece (crossfade de duración configurable)
+ * - Precarga de la siguiente canción en el deck libre (cambio sin huecos)
+ * - Fade in/out corto al reanudar y pausar (sin clics)
+ * - Normalización de volumen: mide el nivel RMS de cada preview mientras suena y
+ *   ajusta su ganancia hacia un nivel común (los previews tienen niveles muy distintos)
+ * - Volumen y silencio en una ganancia maestra, con un limitador para que la
+ *   normalización no sature
+ *
+ * GRAFO DE AUDIO (por deck):
+ * Audio → MediaElementSource ─┬→ normalizer (Gain) → fade (Gain) → master (Gain) → limiter → destino
+ *                             └→ analyser (medición RMS)
+ *
+ * ARQUITECTURA:
+ * - createAudioEngine() devuelve un objeto con la misma forma que un elemento Audio
+ *   para lo que usa useAudioPlayer (play, pause, paused, currentTime, duration,
+ *   addEventListener) más load, preload, setVolume, setOptions y destroy
+ * - Los eventos ('ended', 'timeupdate', 'durationchange', 'seeked', 'error') solo se
+ *   reenvían desde el deck activo; el que se está desvaneciendo no avisa de nada
+ * - 'nearend': evento propio, se emite una vez por canción cuando quedan menos
+ *   segundos que la duración del crossfade (momento de empezar la siguiente)
+ * - El AudioContext se crea en el primer load()/play() (los navegadores exigen un
+ *   gesto del usuario antes de reproducir audio)
+ * - FALLBACK: sin Web Audio (isWebAudioSupported() false) se usa un único elemento
+ *   Audio con el comportamiento de siempre: cambio directo de src, sin crossfade
+ *   ni normalización, volumen con audio.volume
+ *
+ * NOTA:
+ * Los elementos usan crossOrigin 'anonymous': sin CORS, Web Audio recibiría silencio
+ * de un audio de otro dominio. El CDN de previews de Spotify permite CORS, pero si un
+ * preview no se puede cargar así (cabeceras CORS ausentes, error de red...), ese deck pasa
+ * a un elemento Audio normal fuera del grafo ("deck simple") y se vuelve a cargar la misma
+ * canción: suena sin normalización, con el volumen en audio.volume y fades instantáneos.
+ * El deck sigue siendo simple el resto de la sesión. Solo si también falla así se emite 'error'.
+ *
+ * UTILIZADO EN:
+ * - src/hooks/useAudioPlayer.jsx
+ */
+
+// Eventos del elemento Audio que se reenvían desde el deck activo
+const FORWARDED_EVENTS = ['ended', 'timeupdate', 'durationchange', 'seeked', 'error'];
+
+// Fade al pausar/reanudar y al cambiar de canción sin crossfade
+const PAUSE_FADE_SECONDS = 0.2;
+
+// Normalización: nivel RMS objetivo (~ -20 dBFS) y límites de la corrección
+const TARGET_RMS = 0.1;
+const MIN_NORMALIZE_GAIN = 0.5;
+const MAX_NORMALIZE_GAIN = 2;
+// Por debajo de este nivel se considera silencio y no cuenta para la media
+const SILENCE_RMS = 0.005;
+// Peso de cada medición en la media móvil del nivel de la canción
+const LOUDNESS_SMOOTHING = 0.2;
+const NORMALIZE_INTERVAL_MS = 200;
+// Constante de tiempo de los ajustes de ganancia (segundos): cambios suaves, no saltos
+const NORMALIZE_TIME_CONSTANT = 0.5;
+const VOLUME_TIME_CONSTANT = 0.02;
+
+/**
+ * isWebAudioSupported - true si el navegador permite usar el motor con crossfade
+ *
+ * @returns {boolean}
+ */
+export function isWebAudioSupported() {
+  return typeof window !== 'undefined' && !!(window.AudioContext || window.webkitAudioContext);
+}
+
+/**
+ * createAudioEngine - Crea el motor de reproducción (Web Audio o fallback)
+ *
+ * @returns {Object} - Motor con la interfaz descrita en la cabecera del módulo.
+ *   supportsCrossfade indica si crossfade y normalización tienen efecto.
+ */
+export function createAudioEngine() {
+  return isWebAudioSupported() ? createWebAudioEngine() : createElementEngine();
+}
+
+/**
+ * Motor de fallback: un único elemento Audio, como antes de existir el motor
+ */
+function createElementEngine() {
+  const audio = new Audio();
+
+  return {
+    supportsCrossfade: false,
+    addEventListener: (type, listener) => audio.addEventListener(type, listener),
+    removeEventListener: (type, listener) => audio.removeEventListener(type, listener),
+    load(url) {
+      audio.src = url;
+    },
+    preload() {},
+    play: () => audio.play(),
+    pause() {
+      audio.pause();
+    },
+    get paused() {
+      return audio.paused;
+    },
+    get currentTime() {
+      return audio.currentTime;
+    },
+    set currentTime(seconds) {
+      audio.currentTime = seconds;
+    },
+    get duration() {
+      return audio.duration;
+    },
+    get playbackRate() {
+      return audio.playbackRate;
+    },
+    setVolume(volume, muted) {
+      audio.volume = volume;
+      audio.muted = muted;
+    },
+    setOptions() {},
+    destroy() {
+      audio.pause();
+      audio.removeAttribute('src');
+    }
+  };
+}
+
+/**
+ * Motor con Web Audio: dos decks con crossfade, normalización y limitador
+ */
+function createWebAudioEngine() {
+  const events = new EventTarget();
+  let options = { crossfade: 0, normalize: true };
+  let volume = 1;
+  let muted = false;
+
+  let context = null;
+  let master = null;
+  let normalizeTimer = null;
+  let sampleBuffer = null;
+
+  // Fade-in que aplicará el siguiente play(): el crossfade tras un load() o el fade corto al reanudar
+  let pendingFadeIn = PAUSE_FADE_SECONDS;
+  let pauseTimer = null;
+  let pausing = false;
+  // Precarga pedida mientras el deck libre terminaba un crossfade
+  let pendingPreload = null;
+  // El deck activo debería estar sonando (play() sin pause() ni load() posterior)
+  let playRequested = false;
+
+  const emit = (type) => events.dispatchEvent(new Event(type));
+
+  /**
+   * Conecta los listeners de un elemento al deck (ignoran al elemento en cuanto deja de ser el del deck)
+   */
+  const attachElement = (deck, element) => {
+    deck.element = element;
+    const listen = (type, listener) => {
+      element.addEventListener(type, () => {
+        if (deck.element === element) listener();
+      });
+    };
+
+    FORWARDED_EVENTS.forEach((type) => {
+      if (type === 'error') return;
+      listen(type, () => {
+        if (deck === active) emit(type);
+      });
+    });
+
+    // Fallo al cargar con CORS: se reintenta en un deck simple antes de avisar del error
+    listen('error', () => {
+      if (!deck.plain && deck.url) {
+        switchToPlain(deck);
+        return;
+      }
+      if (deck === active) emit('error');
+    });
+
+    listen('timeupdate', () => {
+      if (deck !== active || deck.nearEndFired || options.crossfade <= 0) return;
+      const remaining = element.duration - element.currentTime;
+      if (Number.isFinite(remaining) && remaining <= options.crossfade) {
+        deck.nearEndFired = true;
+        emit('nearend');
+      }
+    });
+
+    // Un seek hacia atrás vuelve a permitir el crossfade final
+    listen('seeked', () => {
+      if (element.duration - element.currentTime > options.crossfade) {
+        deck.nearEndFired = false;
+      }
+    });
+  };
+
+  const createDeck = () => {
+    const element = new Audio();
+    element.crossOrigin = 'anonymous';
+    element.preload = 'auto';
+
+    const deck = {
+      element: null,
+      url: null,
+      // Deck simple: elemento sin CORS fuera del grafo (ver NOTA)
+      plain: false,
+      // Nivel de fade de un deck simple (0-1), aplicado con audio.volume
+      level: 0,
+      fade: null,
+      normalizer: null,
+      analyser: null,
+      // Media móvil del nivel RMS de la canción cargada (null hasta la primera medición)
+      loudness: null,
+      // Timer que pausa el deck al terminar su fade-out
+      stopTimer: null,
+      nearEndFired: false
+    };
+    attachElement(deck, element);
+
+    return deck;
+  };
+
+  /**
+   * Volumen de un deck simple: su nivel de fade por el volumen maestro
+   */
+  const applyPlainVolume = (deck) => {
+    deck.element.volume = deck.level * volume;
+    deck.element.muted = muted;
+  };
+
+  /**
+   * Sustituye el elemento de un deck que no pudo cargar con CORS por uno simple
+   * y vuelve a cargar (y reproducir, si tocaba) la misma canción
+   */
+  const switchToPlain = (deck) => {
+    const failed = deck.element;
+    const element = new Audio();
+    element.preload = 'auto';
+
+    deck.plain = true;
+    deck.level = deck === active ? 1 : 0;
+    attachElement(deck, element);
+    failed.removeAttribute('src');
+
+    element.src = deck.url;
+    applyPlainVolume(deck);
+    if (deck === active && playRequested) {
+      element.play().catch(() => {});
+    }
+  };
+
+  const decks = [createDeck(), createDeck()];
+  let active = decks[0];
+
+  const idleDeck = () => (decks[0] === active ? decks[1] : decks[0]);
+
+  /**
+   * Crea el AudioContext y conecta los decks (solo la primera vez)
+   */
+  const ensureGraph = () => {
+    if (context) return;
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    context = new AudioContextClass();
+
+    master = context.createGain();
+    master.gain.value = muted ? 0 : volume;
+
+    // Limitador: evita saturar cuando la normalización sube la ganancia
+    const limiter = context.createDynamicsCompressor();
+    limiter.threshold.value = -3;
+    limiter.knee.value = 0;
+    limiter.ratio.value = 20;
+    limiter.attack.value = 0.003;
+    limiter.release.value = 0.25;
+
+    master.connect(limiter);
+    limiter.connect(context.destination);
+
+    decks.forEach((deck) => {
+      deck.analyser = context.createAnalyser();
+      deck.analyser.fftSize = 2048;
+      deck.normalizer = context.createGain();
+      deck.fade = context.createGain();
+      deck.fade.gain.value = deck === active ? 1 : 0;
+      deck.normalizer.connect(deck.fade);
+      deck.fade.connect(master);
+
+      // Un deck simple suena fuera del grafo
+      if (deck.plain) return;
+      const source = context.createMediaElementSource(deck.element);
+      source.connect(deck.analyser);
+      source.connect(deck.normalizer);
+    });
+
+    sampleBuffer = new Float32Array(decks[0].analyser.fftSize);
+    normalizeTimer = setInterval(updateNormalization, NORMALIZE_INTERVAL_MS);
+  };
+
+  /**
+   * Rampa lineal de la ganancia de fade de un deck desde su valor actual
+   */
+  const rampFade = (deck, value, seconds) => {
+    if (deck.plain) {
+      deck.level = value;
+      applyPlainVolume(deck);
+      return;
+    }
+    if (!context) return;
+    const gain = deck.fade.gain;
+    const now = context.currentTime;
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(gain.value, now);
+    gain.linearRampToValueAtTime(value, now + seconds);
+  };
+
+  const setFade = (deck, value) => {
+    if (deck.plain) {
+      deck.level = value;
+      applyPlainVolume(deck);
+      return;
+    }
+    if (!context) return;
+    deck.fade.gain.cancelScheduledValues(context.currentTime);
+    deck.fade.gain.setValueAtTime(value, context.currentTime);
+  };
+
+  const stopDeck = (deck) => {
+    clearTimeout(deck.stopTimer);
+    deck.stopTimer = null;
+    deck.element.pause();
+    setFade(deck, 0);
+  };
+
+  const clearPause = () => {
+    clearTimeout(pauseTimer);
+    pauseTimer = null;
+    pausing = false;
+  };
+
+  const loadDeck = (deck, url) => {
+    deck.element.src = url;
+    deck.url = url;
+    deck.loudness = null;
+    if (context) {
+      deck.normalizer.gain.cancelScheduledValues(context.currentTime);
+      deck.normalizer.gain.setValueAtTime(1, context.currentTime);
+    }
+  };
+
+  /**
+   * Mide el nivel de cada deck que suena y acerca su ganancia al nivel objetivo
+   */
+  const updateNormalization = () => {
+    decks.forEach((deck) => {
+      if (deck.plain || deck.element.paused) return;
+
+      let target = 1;
+      if (options.normalize) {
+        deck.analyser.getFloatTimeDomainData(sampleBuffer);
+        let sum = 0;
+        for (let i = 0; i < sampleBuffer.length; i++) {
+          sum += sampleBuffer[i] * sampleBuffer[i];
+        }
+        const rms = Math.sqrt(sum / sampleBuffer.length);
+
+        if (rms >= SILENCE_RMS) {
+          deck.loudness = deck.loudness === null
+            ? rms
+            : deck.loudness + (rms - deck.loudness) * LOUDNESS_SMOOTHING;
+        }
+        if (deck.loudness === null) return;
+        target = Math.min(MAX_NORMALIZE_GAIN, Math.max(MIN_NORMALIZE_GAIN, TARGET_RMS / deck.loudness));
+      }
+
+      deck.normalizer.gain.setTargetAtTime(target, context.currentTime, NORMALIZE_TIME_CONSTANT);
+    });
+  };
+
+  const isAudible = () => !!active.url && !active.element.paused && !pausing;
+
+  const engine = {
+    supportsCrossfade: true,
+
+    addEventListener: (type, listener) => events.addEventListener(type, listener),
+    removeEventListener: (type, listener) => events.removeEventListener(type, listener),
+
+    /**
+     * load - Carga una canción en el deck libre y lo convierte en el activo
+     *
+     * Si la anterior está sonando y hay crossfade, se desvanece mientras entra la
+     * nueva (el fade-in lo aplica el siguiente play()); si no, se corta.
+     *
+     * @param {string} url - URL del preview
+     */
+    load(url) {
+      ensureGraph();
+      const outgoing = active;
+      const incoming = idleDeck();
+      const crossfade = options.crossfade > 0 && isAudible() ? options.crossfade : 0;
+
+      clearPause();
+      if (crossfade > 0) {
+        rampFade(outgoing, 0, crossfade);
+        clearTimeout(outgoing.stopTimer);
+        outgoing.stopTimer = setTimeout(() => {
+          outgoing.stopTimer = null;
+          outgoing.element.pause();
+          if (pendingPreload) {
+            const url = pendingPreload;
+            pendingPreload = null;
+            engine.preload(url);
+          }
+        }, crossfade * 1000);
+      } else {
+        stopDeck(outgoing);
+      }
+
+      clearTimeout(incoming.stopTimer);
+      incoming.stopTimer = null;
+      incoming.element.pause();
+      if (incoming.url === url) {
+        // Precargada: ya tiene datos, solo hay que volver al principio
+        incoming.element.currentTime = 0;
+      } else {
+        loadDeck(incoming, url);
+      }
+      incoming.nearEndFired = false;
+      setFade(incoming, 0);
+      pendingPreload = null;
+
+      active = incoming;
+      playRequested = false;
+      pendingFadeIn = crossfade || PAUSE_FADE_SECONDS;
+      // Una canción precargada ya emitió su duración mientras el deck estaba inactivo
+      emit('durationchange');
+    },
+
+    /**
+     * preload - Carga por adelantado la siguiente canción en el deck libre
+     *
+     * @param {string} url - URL del preview
+     */
+    preload(url) {
+      const idle = idleDeck();
+      if (!url || idle.url === url) return;
+      // El deck libre aún está terminando un crossfade: se precarga al acabar
+      if (idle.stopTimer) {
+        pendingPreload = url;
+        return;
+      }
+      loadDeck(idle, url);
+    },
+
+    /**
+     * play - Reproduce el deck activo con fade-in
+     *
+     * @returns {Promise} - La promesa de HTMLMediaElement.play()
+     */
+    play() {
+      ensureGraph();
+      clearPause();
+      if (context.state === 'suspended') {
+        context.resume().catch(() => {});
+      }
+      playRequested = true;
+      const started = active.element.play();
+      rampFade(active, 1, pendingFadeIn);
+      pendingFadeIn = PAUSE_FADE_SECONDS;
+      return started;
+    },
+
+    /**
+     * pause - Pausa con un fade-out corto
+     *
+     * @param {Object} options
+     * @param {boolean} options.immediate - Pausar sin fade (por ejemplo al detener)
+     */
+    pause({ immediate = false } = {}) {
+      clearPause();
+      playRequested = false;
+      // Un crossfade en curso se corta: solo debe quedar el deck activo
+      decks.forEach((deck) => {
+        if (deck !== active) stopDeck(deck);
+      });
+
+      if (immediate || !context || active.element.paused) {
+        active.element.pause();
+        return;
+      }
+
+      pausing = true;
+      rampFade(active, 0, PAUSE_FADE_SECONDS);
+      pauseTimer = setTimeout(() => {
+        pauseTimer = null;
+        pausing = false;
+        active.element.pause();
+      }, PAUSE_FADE_SECONDS * 1000);
+    },
+
+    get paused() {
+      return pausing || active.element.paused;
+    },
+    get currentTime() {
+      return active.element.currentTime;
+    },
+    set currentTime(seconds) {
+      active.element.currentTime = seconds;
+    },
+    get duration() {
+      return active.element.duration;
+    },
+    get playbackRate() {
+      return active.element.playbackRate;
+    },
+
+    /**
+     * setVolume - Volumen (0-1) y silencio en la ganancia maestra
+     */
+    setVolume(nextVolume, nextMuted) {
+      volume = nextVolume;
+      muted = nextMuted;
+      decks.forEach((deck) => {
+        if (deck.plain) applyPlainVolume(deck);
+      });
+      if (master) {
+        master.gain.setTargetAtTime(muted ? 0 : volume, context.currentTime, VOLUME_TIME_CONSTANT);
+      }
+    },
+
+    /**
+     * setOptions - Ajustes del motor
+     *
+     * @param {Object} changes - { crossfade?: segundos, normalize?: boolean }
+     */
+    setOptions(changes) {
+      options = { ...options, ...changes };
+      if (context && !options.normalize) {
+        decks.forEach((deck) => deck.normalizer.gain.setTargetAtTime(1, context.currentTime, NORMALIZE_TIME_CONSTANT));
+      }
+    },
+
+    destroy() {
+      clearPause();
+      clearInterval(normalizeTimer);
+      decks.forEach((deck) => {
+        clearTimeout(deck.stopTimer);
+        deck.element.pause();
+        deck.element.removeAttribute('src');
+      });
+      if (context) {
+        context.close().catch(() => {});
+      }
+    }
+  };
+
+  return engine;
+}
@@ -82,9 +82,25 @@ export function getAccessToken() {
   return token;
 }
 
-// Verificar si hay token válido
+// Verificar si hay sesión: token válido o refresh token para renovarlo
+// (la renovación la hace src/lib/tokenManager.js en la siguiente llamada a la API)
 export function isAuthenticated() {
-  return getAccessToken() !== null;
+  return getAccessToken() !== null || localStorage.getItem('spotify_refresh_token') !== null;
+}
+
+// Guardar la ruta a la que volver después del login (ej: /shared-playlist?...&import=1)
+// Solo rutas internas, para no poder redirigir a otro dominio
+export function setPostLoginRedirect(path) {
+  if (typeof path === 'string' && path.startsWith('/') && !path.startsWith('//')) {
+    localStorage.setItem('post_login_redirect', path);
+  }
+}
+
+// Leer y borrar la ruta guardada por setPostLoginRedirect (null si no hay)
+export function consumePostLoginRedirect() {
+  const path = localStorage.getItem('post_login_redirect');
+  localStorage.removeItem('post_login_redirect');
+  return path && path.startsWith('/') && !path.startsWith('//') ? path : null;
 }
 
 // Cerrar sesión
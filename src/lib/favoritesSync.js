@@ -0,0 +1,645 @@
+/**
+ * MÓDULO: SINCRONIZACIÓN DE FAVORITOS CON SPOTIFY
+ * =================================================
+ * Mantiene los favoritos locales (localStorage) alineados con las Liked Songs de
+ * Spotify (/me/tracks), que son la fuente de verdad.
+ *
+ * FUNCIONALIDAD:
+ * - addFavorite / removeFavorite: Cambio local inmediato + escritura en cola
+ * - Cola de escrituras persistente: un "estado deseado" por canción (guardada o no),
+ *   así de un like + unlike rápidos solo se envía el último y nunca dos órdenes contradictorias
+ * - Envío en bloques de 50 (PUT/DELETE /me/tracks) tras una breve espera (agrupa clics)
+ * - Escrituras fallidas: reintento con backoff exponencial; tras MAX_ATTEMPTS quedan
+ *   como 'error' hasta retryFailed() (ver hasExhaustedRetries)
+ * - discardChange: Deshace un cambio que aún no ha llegado a Spotify (y lo saca de la cola)
+ * - syncFavorites: Reconciliación completa con /me/tracks al cargar y cada SYNC_INTERVAL_MS
+ * - verifyFavorite: Comprueba con /me/tracks/contains las canciones que se muestran en
+ *   pantalla (agrupadas en lotes, cada una como mucho una vez por CHECK_TTL_MS)
+ * - Estado observable (subscribe/getFavoritesState) compatible con useSyncExternalStore
+ *
+ * RECONCILIACIÓN:
+ * - Spotify gana, salvo en las canciones con cambios locales sin confirmar (cola) o
+ *   tocadas durante la propia sincronización
+ * - Atajo: si la primera página (total + IDs de las 50 más recientes) coincide con la
+ *   de la última sincronización, se da la lista por igual y no se recorren todas las páginas
+ *
+ * ESTADO DE SINCRONIZACIÓN POR CANCIÓN (getSyncStatus):
+ * - 'synced': Spotify coincide con el estado local
+ * - 'pending': Cambio en cola, enviándose o esperando un reintento automático
+ * - 'error': Agotó los reintentos automáticos (MAX_ATTEMPTS); espera a retryFailed()
+ *
+ * CLAVES DE LOCALSTORAGE:
+ * - favorite_tracks: Array de tracks (reducidos con toStoredTrack), más recientes primero
+ * - favorite_sync_queue: { [trackId]: { trackId, saved, track, attempts, nextAttemptAt, error, queuedAt } }
+ * - favorite_sync_meta: { signature, lastSyncedAt }
+ *
+ * ARQUITECTURA:
+ * - Estado a nivel de módulo: una única fuente de verdad por pestaña, compartida por
+ *   todos los componentes que usan useFavorites (un like en TopBar se ve al momento en TrackCard)
+ * - Una única cola y un único ciclo de sincronización por pestaña
+ * - La sincronización automática empieza con el primer suscriptor y se detiene con el último
+ *
+ * RELACIÓN CON LA COLA DE PLAYLISTS (src/lib/mutationOutbox.js):
+ * - Los likes no pasan por esa cola (IndexedDB); el motivo está en su sección LIKES
+ * - useOutbox muestra los cambios de las dos colas juntos, con reintentar y descartar
+ *
+ * VARIAS PESTAÑAS:
+ * - Cada escritura en localStorage dispara el evento 'storage' en las demás pestañas,
+ *   que recargan el estado desde localStorage (sin reescribirlo ni enviar nada)
+ * - Cada cambio lo envía la pestaña que lo hizo; si se cierra antes, la cola persistida
+ *   la envía la siguiente pestaña que sincronice
+ * - Si dos pestañas envían el mismo cambio no pasa nada: PUT/DELETE /me/tracks son idempotentes
+ *
+ * REFERENCIAS:
+ * - Importa spotifyRequest y paginate desde @/lib/spotifyClient (src/lib/spotifyClient.js)
+ *
+ * UTILIZADO EN:
+ * - src/hooks/useFavorites.jsx
+ */
+
+import { spotifyRequest, paginate } from '@/lib/spotifyClient';
+
+const FAVORITES_STORAGE_KEY = 'favorite_tracks';
+const QUEUE_STORAGE_KEY = 'favorite_sync_queue';
+const META_STORAGE_KEY = 'favorite_sync_meta';
+
+// Reconciliación periódica completa
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+// Espera antes de enviar la cola (agrupa varios clics seguidos en una petición)
+const FLUSH_DELAY_MS = 300;
+// Límite de IDs por petición de /me/tracks y /me/tracks/contains
+const BATCH_SIZE = 50;
+// Reintentos: 5s, 10s, 20s... con tope de 5 minutos
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 6;
+// Comprobación de canciones visibles
+const CHECK_DELAY_MS = 100;
+const CHECK_TTL_MS = 60 * 1000;
+
+const EMPTY_STATE = {
+  tracks: [],
+  queue: {},
+  syncing: false,
+  lastSyncedAt: null,
+  error: null
+};
+
+const listeners = new Set();
+let state = null;
+let signature = null;
+
+let flushTimer = null;
+let retryTimer = null;
+let flushing = false;
+let syncPromise = null;
+// Canciones modificadas localmente mientras se descargaba /me/tracks
+let touchedDuringSync = null;
+
+let autoSyncTimer = null;
+const checkQueue = new Map();
+const checkedAt = new Map();
+let checkTimer = null;
+
+/**
+ * toStoredTrack - Reduce un track a los campos que usa la app (localStorage tiene ~5 MB)
+ */
+export function toStoredTrack(track) {
+  return {
+    id: track.id,
+    name: track.name,
+    uri: track.uri,
+    duration_ms: track.duration_ms,
+    explicit: track.explicit,
+    preview_url: track.preview_url ?? null,
+    artists: (track.artists || []).map(({ id, name }) => ({ id, name })),
+    album: track.album
+      ? { id: track.album.id, name: track.album.name, images: track.album.images || [] }
+      : null
+  };
+}
+
+function readJson(key, fallback) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key));
+    return stored ?? fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function writeJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    // Sin espacio o sin almacenamiento: el estado sigue en memoria durante la sesión
+  }
+}
+
+function loadState() {
+  if (typeof window === 'undefined') return EMPTY_STATE;
+  const tracks = readJson(FAVORITES_STORAGE_KEY, []);
+  const queue = readJson(QUEUE_STORAGE_KEY, {});
+  const meta = readJson(META_STORAGE_KEY, {});
+  signature = meta.signature || null;
+  return {
+    ...EMPTY_STATE,
+    tracks: Array.isArray(tracks) ? tracks.filter(track => track?.id) : [],
+    queue: queue && typeof queue === 'object' ? queue : {},
+    lastSyncedAt: meta.lastSyncedAt || null
+  };
+}
+
+/**
+ * Sustituye el estado, guarda lo que haya cambiado y avisa a los suscriptores
+ */
+function setState(changes) {
+  const previous = getFavoritesState();
+  state = { ...previous, ...changes };
+  if (changes.tracks && changes.tracks !== previous.tracks) {
+    writeJson(FAVORITES_STORAGE_KEY, state.tracks);
+  }
+  if (changes.queue && changes.queue !== previous.queue) {
+    writeJson(QUEUE_STORAGE_KEY, state.queue);
+  }
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * getFavoritesState - Estado actual (misma referencia mientras no cambie)
+ *
+ * @returns {Object} - { tracks, queue, syncing, lastSyncedAt, error }
+ */
+export function getFavoritesState() {
+  if (state === null) {
+    state = loadState();
+  }
+  return state;
+}
+
+export function getServerFavoritesState() {
+  return EMPTY_STATE;
+}
+
+/**
+ * getSyncStatus - Estado de sincronización de una canción
+ *
+ * @param {Object} favoritesState - Estado devuelto por getFavoritesState
+ * @param {string} trackId
+ * @returns {'synced'|'pending'|'error'}
+ */
+export function getSyncStatus(favoritesState, trackId) {
+  const entry = favoritesState.queue[trackId];
+  if (!entry) return 'synced';
+  return hasExhaustedRetries(entry) ? 'error' : 'pending';
+}
+
+/**
+ * hasExhaustedRetries - Indica si un cambio en cola agotó los reintentos automáticos
+ * (solo se vuelve a enviar con retryFailed)
+ *
+ * @param {Object} entry - Cambio de la cola (favoritesState.queue[trackId])
+ * @returns {boolean}
+ */
+export function hasExhaustedRetries(entry) {
+  return entry.attempts >= MAX_ATTEMPTS;
+}
+
+// ============================================================
+// ESCRITURAS LOCALES Y COLA
+// ============================================================
+
+/**
+ * Registra el estado deseado de una canción (sustituye cualquier cambio anterior en cola)
+ *
+ * track se guarda también al quitar una canción, para poder restaurarla con discardChange.
+ */
+function enqueue(trackId, saved, track) {
+  const { queue } = getFavoritesState();
+  touchedDuringSync?.add(trackId);
+  return {
+    ...queue,
+    [trackId]: {
+      trackId,
+      saved,
+      track,
+      attempts: 0,
+      nextAttemptAt: 0,
+      error: null,
+      queuedAt: Date.now()
+    }
+  };
+}
+
+/**
+ * addFavorite - Marca una canción como favorita (idempotente)
+ *
+ * @param {Object} track - Track de Spotify
+ */
+export function addFavorite(track) {
+  if (!track?.id) return;
+  const { tracks } = getFavoritesState();
+  if (tracks.some(favorite => favorite.id === track.id)) return;
+
+  const stored = toStoredTrack(track);
+  setState({
+    tracks: [stored, ...tracks],
+    queue: enqueue(track.id, true, stored)
+  });
+  scheduleFlush();
+}
+
+/**
+ * removeFavorite - Quita una canción de favoritos (idempotente)
+ *
+ * @param {string} trackId
+ */
+export function removeFavorite(trackId) {
+  const { tracks } = getFavoritesState();
+  const removed = tracks.find(favorite => favorite.id === trackId);
+  if (!removed) return;
+
+  setState({
+    tracks: tracks.filter(favorite => favorite.id !== trackId),
+    queue: enqueue(trackId, false, removed)
+  });
+  scheduleFlush();
+}
+
+function scheduleFlush(delay = FLUSH_DELAY_MS) {
+  clearTimeout(flushTimer);
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushQueue();
+  }, delay);
+}
+
+/**
+ * Programa el siguiente reintento para el cambio fallido más próximo
+ */
+function scheduleRetry() {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  const waiting = Object.values(getFavoritesState().queue)
+    .filter(entry => entry.attempts > 0 && entry.attempts < MAX_ATTEMPTS)
+    .map(entry => entry.nextAttemptAt);
+  if (waiting.length === 0) return;
+
+  retryTimer = setTimeout(flushQueue, Math.max(0, Math.min(...waiting) - Date.now()));
+}
+
+/**
+ * Resultado de un bloque enviado: quita de la cola los cambios confirmados o
+ * anota el fallo. Si el usuario cambió de idea mientras tanto, la entrada nueva se respeta.
+ *
+ * Las entradas se identifican por queuedAt (no por referencia): el estado puede haberse
+ * recargado desde localStorage por un cambio en otra pestaña mientras se enviaba el bloque.
+ */
+function settleEntries(entries, error) {
+  const queue = { ...getFavoritesState().queue };
+  entries.forEach(entry => {
+    if (queue[entry.trackId]?.queuedAt !== entry.queuedAt) return;
+    if (error) {
+      const attempts = entry.attempts + 1;
+      queue[entry.trackId] = {
+        ...entry,
+        attempts,
+        nextAttemptAt: Date.now() + Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS),
+        error: error.message
+      };
+    } else {
+      delete queue[entry.trackId];
+      // Si hay una sincronización descargando /me/tracks, su copia puede ser anterior a este cambio
+      touchedDuringSync?.add(entry.trackId);
+    }
+  });
+  setState({ queue });
+}
+
+/**
+ * flushQueue - Envía a Spotify los cambios en cola que toca enviar
+ *
+ * @returns {Promise<void>}
+ */
+export async function flushQueue() {
+  if (flushing || typeof window === 'undefined') return;
+  // Sin conexión se espera al evento 'online'
+  if (navigator.onLine === false) return;
+
+  const now = Date.now();
+  const due = Object.values(getFavoritesState().queue)
+    .filter(entry => entry.attempts < MAX_ATTEMPTS && entry.nextAttemptAt <= now);
+  if (due.length === 0) {
+    scheduleRetry();
+    return;
+  }
+
+  flushing = true;
+  try {
+    for (const saved of [true, false]) {
+      const entries = due.filter(entry => entry.saved === saved);
+      for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+        const batch = entries.slice(i, i + BATCH_SIZE);
+        try {
+          await spotifyRequest('/me/tracks', {
+            method: saved ? 'PUT' : 'DELETE',
+            body: { ids: batch.map(entry => entry.trackId) }
+          });
+          settleEntries(batch, null);
+        } catch (error) {
+          settleEntries(batch, error);
+        }
+      }
+    }
+  } finally {
+    flushing = false;
+  }
+
+  // Cambios hechos mientras se enviaba el lote anterior
+  const pending = Object.values(getFavoritesState().queue).some(entry => entry.attempts === 0);
+  if (pending) {
+    scheduleFlush(0);
+  } else {
+    scheduleRetry();
+  }
+}
+
+/**
+ * retryFailed - Reintenta ya los cambios fallidos (también los que agotaron los reintentos)
+ *
+ * @param {string} [trackId] - Solo el cambio de esta canción; sin él, todos los fallidos
+ */
+export function retryFailed(trackId) {
+  const queue = { ...getFavoritesState().queue };
+  let changed = false;
+  Object.values(queue).forEach(entry => {
+    if (entry.attempts > 0 && (trackId === undefined || entry.trackId === trackId)) {
+      queue[entry.trackId] = { ...entry, attempts: 0, nextAttemptAt: 0 };
+      changed = true;
+    }
+  });
+  if (!changed) return;
+  setState({ queue });
+  scheduleFlush(0);
+}
+
+/**
+ * discardChange - Descarta el cambio en cola de una canción y devuelve su estado local
+ * al de antes del cambio (lo que hay en Spotify)
+ *
+ * Si el cambio ya se está enviando, la siguiente reconciliación mostrará el resultado real.
+ *
+ * @param {string} trackId
+ */
+export function discardChange(trackId) {
+  const { tracks, queue } = getFavoritesState();
+  const entry = queue[trackId];
+  if (!entry) return;
+
+  const rest = { ...queue };
+  delete rest[trackId];
+  const withoutTrack = tracks.filter(favorite => favorite.id !== trackId);
+  setState({
+    tracks: entry.saved || !entry.track ? withoutTrack : [entry.track, ...withoutTrack],
+    queue: rest
+  });
+  // Que una sincronización en curso no la vuelva a cambiar con datos anteriores
+  touchedDuringSync?.delete(trackId);
+}
+
+// ============================================================
+// RECONCILIACIÓN CON /me/tracks
+// ============================================================
+
+/**
+ * Combina la lista de Spotify con los cambios locales que aún no están confirmados
+ */
+function mergeRemote(remoteTracks, touched) {
+  const { tracks: localTracks, queue } = getFavoritesState();
+  const localIds = new Set(localTracks.map(track => track.id));
+  // Para estas canciones manda el estado local
+  const isLocalDecision = (trackId) => !!queue[trackId] || touched.has(trackId);
+
+  const merged = remoteTracks.filter(track => !isLocalDecision(track.id) || localIds.has(track.id));
+  const mergedIds = new Set(merged.map(track => track.id));
+  const localOnly = localTracks.filter(track => isLocalDecision(track.id) && !mergedIds.has(track.id));
+
+  return [...localOnly, ...merged];
+}
+
+/**
+ * syncFavorites - Reconcilia los favoritos locales con las Liked Songs de Spotify
+ *
+ * Primero envía la cola pendiente, después descarga /me/tracks (o solo la primera
+ * página si no ha cambiado nada) y combina ambos. Las llamadas simultáneas
+ * comparten la misma sincronización.
+ *
+ * @param {Object} options
+ * @param {boolean} options.force - Descargar todas las páginas aunque la primera no haya cambiado
+ * @returns {Promise<void>}
+ */
+export function syncFavorites({ force = false } = {}) {
+  if (syncPromise) return syncPromise;
+  if (typeof window === 'undefined') return Promise.resolve();
+
+  syncPromise = (async () => {
+    const touched = new Set();
+    touchedDuringSync = touched;
+    setState({ syncing: true });
+
+    try {
+      await flushQueue();
+
+      let remoteTracks = null;
+      let nextSignature = null;
+      for await (const page of paginate('/me/tracks', { query: { limit: BATCH_SIZE } })) {
+        const items = (page.items || []).map(item => item.track).filter(track => track?.id);
+
+        if (nextSignature === null) {
+          nextSignature = `${page.total}:${items.map(track => track.id).join(',')}`;
+          if (!force && nextSignature === signature) break;
+          remoteTracks = [];
+        }
+        remoteTracks.push(...items.map(toStoredTrack));
+      }
+
+      const lastSyncedAt = Date.now();
+      signature = nextSignature;
+      writeJson(META_STORAGE_KEY, { signature, lastSyncedAt });
+
+      setState({
+        ...(remoteTracks ? { tracks: mergeRemote(remoteTracks, touched) } : {}),
+        syncing: false,
+        lastSyncedAt,
+        error: null
+      });
+    } catch (error) {
+      setState({ syncing: false, error: error.message });
+    } finally {
+      touchedDuringSync = null;
+      syncPromise = null;
+    }
+  })();
+
+  return syncPromise;
+}
+
+// ============================================================
+// COMPROBACIÓN DE CANCIONES VISIBLES (/me/tracks/contains)
+// ============================================================
+
+/**
+ * verifyFavorite - Pide comprobar en Spotify si una canción visible está guardada
+ *
+ * Las peticiones se agrupan (CHECK_DELAY_MS) en lotes de 50 IDs y cada canción se
+ * comprueba como mucho una vez cada CHECK_TTL_MS. Si Spotify no coincide con el
+ * estado local (y no hay cambios locales pendientes), se corrige el estado local.
+ *
+ * @param {Object} track - Track de Spotify
+ */
+export function verifyFavorite(track) {
+  if (!track?.id || typeof window === 'undefined') return;
+  if (Date.now() - (checkedAt.get(track.id) || 0) < CHECK_TTL_MS) return;
+
+  checkedAt.set(track.id, Date.now());
+  checkQueue.set(track.id, track);
+  if (!checkTimer) {
+    checkTimer = setTimeout(runChecks, CHECK_DELAY_MS);
+  }
+}
+
+async function runChecks() {
+  checkTimer = null;
+  const tracks = [...checkQueue.values()];
+  checkQueue.clear();
+
+  for (let i = 0; i < tracks.length; i += BATCH_SIZE) {
+    const batch = tracks.slice(i, i + BATCH_SIZE);
+    let saved;
+    try {
+      saved = await spotifyRequest('/me/tracks/contains', {
+        query: { ids: batch.map(track => track.id) }
+      });
+    } catch (error) {
+      // Se volverán a comprobar la próxima vez que se muestren
+      batch.forEach(track => checkedAt.delete(track.id));
+      continue;
+    }
+    if (!Array.isArray(saved)) continue;
+
+    const { tracks: localTracks, queue } = getFavoritesState();
+    const localIds = new Set(localTracks.map(track => track.id));
+    const added = batch.filter((track, index) => saved[index] && !localIds.has(track.id) && !queue[track.id]);
+    const removedIds = new Set(
+      batch
+        .filter((track, index) => saved[index] === false && localIds.has(track.id) && !queue[track.id])
+        .map(track => track.id)
+    );
+
+    if (added.length > 0 || removedIds.size > 0) {
+      setState({
+        tracks: [...added.map(toStoredTrack), ...localTracks.filter(track => !removedIds.has(track.id))]
+      });
+    }
+  }
+}
+
+// ============================================================
+// SUSCRIPCIÓN Y SINCRONIZACIÓN AUTOMÁTICA
+// ============================================================
+
+const handleOnline = () => flushQueue();
+
+const SHARED_STORAGE_KEYS = [FAVORITES_STORAGE_KEY, QUEUE_STORAGE_KEY, META_STORAGE_KEY];
+
+/**
+ * Recarga el estado desde localStorage (cambios hechos en otra pestaña)
+ *
+ * No se reescribe localStorage ni se programa ningún envío. Las canciones que cambian
+ * cuentan como tocadas si hay una sincronización en curso, para que su copia de
+ * /me/tracks no deshaga el cambio.
+ */
+function reloadFromStorage() {
+  const previous = getFavoritesState();
+  const stored = loadState();
+
+  if (touchedDuringSync) {
+    const previousIds = new Set(previous.tracks.map(track => track.id));
+    const storedIds = new Set(stored.tracks.map(track => track.id));
+    previous.tracks.forEach(track => {
+      if (!storedIds.has(track.id)) touchedDuringSync.add(track.id);
+    });
+    stored.tracks.forEach(track => {
+      if (!previousIds.has(track.id)) touchedDuringSync.add(track.id);
+    });
+    Object.keys(stored.queue).forEach(trackId => touchedDuringSync.add(trackId));
+  }
+
+  state = {
+    ...previous,
+    tracks: stored.tracks,
+    queue: stored.queue,
+    lastSyncedAt: stored.lastSyncedAt ?? previous.lastSyncedAt
+  };
+  listeners.forEach(listener => listener());
+}
+
+const handleStorage = (event) => {
+  if (event.storageArea !== localStorage) return;
+  // key null: otra pestaña vació localStorage
+  if (event.key !== null && !SHARED_STORAGE_KEYS.includes(event.key)) return;
+  reloadFromStorage();
+};
+
+const handleVisibility = () => {
+  if (document.visibilityState === 'visible') syncIfStale();
+};
+
+function syncIfStale() {
+  const { lastSyncedAt } = getFavoritesState();
+  if (!lastSyncedAt || Date.now() - lastSyncedAt >= SYNC_INTERVAL_MS) {
+    syncFavorites();
+  }
+}
+
+function startAutoSync() {
+  // Sin suscriptores no se escuchaba a otras pestañas: la copia en memoria puede estar desfasada
+  if (state !== null) reloadFromStorage();
+  syncIfStale();
+  flushQueue();
+  autoSyncTimer = setInterval(() => {
+    // Pestañas en segundo plano no sincronizan; lo harán al volver a estar visibles
+    if (document.visibilityState === 'visible') syncIfStale();
+  }, SYNC_INTERVAL_MS);
+  window.addEventListener('online', handleOnline);
+  window.addEventListener('storage', handleStorage);
+  document.addEventListener('visibilitychange', handleVisibility);
+}
+
+function stopAutoSync() {
+  clearInterval(autoSyncTimer);
+  autoSyncTimer = null;
+  window.removeEventListener('online', handleOnline);
+  window.removeEventListener('storage', handleStorage);
+  document.removeEventListener('visibilitychange', handleVisibility);
+}
+
+/**
+ * subscribe - Escucha cambios de los favoritos
+ *
+ * El primer suscriptor arranca la sincronización automática (al cargar, periódica,
+ * al volver a la pestaña y al recuperar la conexión) y la escucha de cambios de
+ * otras pestañas; el último las detiene.
+ *
+ * @param {Function} listener - Callback sin argumentos
+ * @returns {Function} - Cancela la suscripción
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  if (listeners.size === 1) startAutoSync();
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) stopAutoSync();
+  };
+}
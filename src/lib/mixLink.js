@@ -0,0 +1,175 @@
+/**
+ * MÓDULO: ENLACES DE MIX - CONFIGURACIÓN DEL GENERADOR EN LA URL
+ * ===============================================================
+ * Serializa la "receta" del generador (preferencias, estrategia y longitud) en un
+ * parámetro de URL compacto y versionado: /dashboard/generate-playlist?mix=<código>
+ *
+ * FORMATO DEL CÓDIGO:
+ * "<versión>.<base64url(JSON compacto)>", ej: "1.eyJhIjpbIjA2SFRadDdB..."
+ *
+ * JSON compacto (versión 1):
+ * {
+ *   a: Array<string> - IDs de artistas
+ *   t: Array<string> - IDs de canciones semilla
+ *   g: Array<string> - Géneros
+ *   d: Array<string> - Décadas ('1980')
+ *   m: { e?, v?, d? } - Mood: energy, valence, danceability (0-100)
+ *   p: [min, max, range] - Popularidad
+ *   s: string - Estrategia del pipeline
+ *   l: number - Longitud objetivo
+ * }
+ * Solo se guardan los IDs de artistas y canciones; al abrir el enlace se resuelven con la API.
+ *
+ * VERSIONES:
+ * - MIX_LINK_VERSION: versión que se genera
+ * - MIN_MIX_LINK_VERSION: versión más antigua que se sigue aceptando
+ * - Enlaces más antiguos → MixLinkError 'outdated'; más nuevos → 'unsupported'
+ *
+ * REFERENCIAS:
+ * - Importa normalizePreferences desde @/lib/preferences (src/lib/preferences.js)
+ *
+ * UTILIZADO EN:
+ * - src/components/ui/MixPresetSelector.jsx (botón "Copy mix link")
+ * - src/app/dashboard/generate-playlist/page.jsx (restaurar ?mix=)
+ */
+
+import { normalizePreferences } from '@/lib/preferences';
+
+export const MIX_LINK_VERSION = 1;
+const MIN_MIX_LINK_VERSION = 1;
+
+// Límites para rechazar enlaces manipulados antes de llamar a la API
+const MAX_ITEMS = 50;
+const SPOTIFY_ID_PATTERN = /^[0-9A-Za-z]{22}$/;
+const DECADE_PATTERN = /^(19|20)\d0$/;
+
+/**
+ * MixLinkError - Error al leer un enlace de mix
+ *
+ * PROPIEDADES:
+ * - code: 'malformed' | 'outdated' | 'unsupported'
+ */
+export class MixLinkError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'MixLinkError';
+    this.code = code;
+  }
+}
+
+/**
+ * Codifica un string UTF-8 en base64url (sin relleno)
+ */
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodifica base64url a string UTF-8
+ */
+function fromBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * encodeMixParam - Genera el código del parámetro ?mix=
+ *
+ * @param {Object} config - { preferences, strategy, limit }
+ * @returns {string} - Código versionado
+ */
+export function encodeMixParam({ preferences, strategy, limit }) {
+  const normalized = normalizePreferences(preferences);
+  const { popularity, mood } = normalized;
+
+  const payload = {
+    a: normalized.artists.map(artist => artist.id),
+    t: normalized.tracks.map(track => track.id),
+    g: normalized.genres,
+    d: normalized.decades,
+    m: {
+      ...(mood.energy !== undefined && { e: mood.energy }),
+      ...(mood.valence !== undefined && { v: mood.valence }),
+      ...(mood.danceability !== undefined && { d: mood.danceability })
+    },
+    p: [popularity.min, popularity.max, popularity.range],
+    ...(strategy && { s: strategy }),
+    ...(limit && { l: limit })
+  };
+
+  return `${MIX_LINK_VERSION}.${toBase64Url(JSON.stringify(payload))}`;
+}
+
+/**
+ * Comprueba que un valor es un array de strings válidos y no demasiado largo
+ */
+function validList(value, isValid) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.length > MAX_ITEMS || !value.every(item => typeof item === 'string' && isValid(item))) {
+    throw new MixLinkError('This mix link is broken or incomplete.', 'malformed');
+  }
+  return value;
+}
+
+/**
+ * decodeMixParam - Lee y valida el código del parámetro ?mix=
+ *
+ * @param {string} param - Código del enlace
+ * @returns {Object} - {
+ *   artistIds: Array<string>, trackIds: Array<string> - A resolver con la API,
+ *   preferences: Object - Resto de preferencias (artists/tracks vacíos),
+ *   strategy: string|null, limit: number|null
+ * }
+ * @throws {MixLinkError} - Enlace mal formado, antiguo o de una versión más nueva
+ */
+export function decodeMixParam(param) {
+  const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(param || '');
+  if (!match) {
+    throw new MixLinkError('This mix link is broken or incomplete.', 'malformed');
+  }
+
+  const version = Number(match[1]);
+  if (version < MIN_MIX_LINK_VERSION) {
+    throw new MixLinkError('This mix link was created by an older version of the app and can no longer be opened.', 'outdated');
+  }
+  if (version > MIX_LINK_VERSION) {
+    throw new MixLinkError('This mix link was created by a newer version of the app. Reload the page and try again.', 'unsupported');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(match[2]));
+  } catch (error) {
+    throw new MixLinkError('This mix link is broken or incomplete.', 'malformed');
+  }
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new MixLinkError('This mix link is broken or incomplete.', 'malformed');
+  }
+
+  const artistIds = validList(payload.a, id => SPOTIFY_ID_PATTERN.test(id));
+  const trackIds = validList(payload.t, id => SPOTIFY_ID_PATTERN.test(id));
+  const genres = validList(payload.g, genre => genre.length > 0 && genre.length <= 50);
+  const decades = validList(payload.d, decade => DECADE_PATTERN.test(decade));
+  const popularity = Array.isArray(payload.p)
+    ? { range: typeof payload.p[2] === 'string' ? payload.p[2] : 'custom', min: payload.p[0], max: payload.p[1] }
+    : undefined;
+
+  return {
+    artistIds,
+    trackIds,
+    // normalizePreferences limita mood y popularidad a 0-100 y descarta claves desconocidas
+    preferences: normalizePreferences({
+      genres,
+      decades,
+      mood: { energy: payload.m?.e, valence: payload.m?.v, danceability: payload.m?.d },
+      popularity
+    }),
+    strategy: typeof payload.s === 'string' ? payload.s : null,
+    limit: Number.isInteger(payload.l) ? payload.l : null
+  };
+}
@@ -0,0 +1,271 @@
+/**
+ * MÓDULO: MIXES GUARDADOS DEL GENERADOR
+ * ======================================
+ * Presets con nombre ("mixes") de las preferencias del generador, guardados en localStorage
+ * para no tener que reconstruir cada vez la misma combinación de widgets.
+ *
+ * FUNCIONALIDAD:
+ * - saveMix / updateMix / duplicateMix / deleteMix: Gestión de los mixes
+ * - exportMixes / importMixes: Copia de seguridad en fichero JSON
+ * - subscribe / getMixesSnapshot: Estado observable (compatible con useSyncExternalStore)
+ *
+ * ESQUEMA (versión MIX_SCHEMA_VERSION):
+ * {
+ *   version: number,
+ *   mixes: Array<{ id, name, preferences, strategy, limit, createdAt, updatedAt }>
+ * }
+ * - preferences sigue el esquema de src/lib/preferences.js
+ *
+ * MIGRACIONES:
+ * - Los datos guardados (y los ficheros importados) pasan por migrateMixData(), que aplica
+ *   en orden las funciones de MIGRATIONS hasta llegar a la versión actual
+ * - Versión 0: array de { name, preferences } sin envolver (formato previo al versionado)
+ * - Para cambiar el esquema: subir MIX_SCHEMA_VERSION y añadir MIGRATIONS[versiónAnterior]
+ *
+ * MANEJO DE ERRORES:
+ * - Las funciones que escriben lanzan Error si localStorage está lleno (sin cambiar los mixes)
+ *
+ * REFERENCIAS:
+ * - Importa normalizePreferences desde @/lib/preferences (src/lib/preferences.js)
+ *
+ * UTILIZADO EN:
+ * - src/hooks/useMixPresets.jsx (estado para la UI)
+ */
+
+import { normalizePreferences } from '@/lib/preferences';
+
+const MIX_STORAGE_KEY = 'generator_mixes';
+
+// Versión actual del esquema guardado
+export const MIX_SCHEMA_VERSION = 1;
+
+// Identificador de los ficheros exportados
+const EXPORT_FORMAT = 'musicstream-mixes';
+
+const EMPTY_MIXES = [];
+const listeners = new Set();
+let cachedMixes = null;
+
+/**
+ * ID único para un mix
+ */
+function createMixId() {
+  return `mix-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Normaliza un mix a la forma de la versión actual
+ */
+function normalizeMix(mix) {
+  const now = new Date().toISOString();
+  return {
+    id: mix.id || createMixId(),
+    name: String(mix.name || 'Untitled mix').trim() || 'Untitled mix',
+    preferences: normalizePreferences(mix.preferences),
+    strategy: mix.strategy || null,
+    limit: Number(mix.limit) || null,
+    createdAt: mix.createdAt || now,
+    updatedAt: mix.updatedAt || mix.createdAt || now
+  };
+}
+
+// Cada función convierte los datos de la versión N (clave) a la versión N + 1
+const MIGRATIONS = {
+  0: (data) => ({
+    version: 1,
+    mixes: data.mixes.map(normalizeMix)
+  })
+};
+
+/**
+ * migrateMixData - Lleva datos guardados o importados a la versión actual
+ *
+ * @param {Object|Array} data - { version, mixes } o array sin versionar (versión 0)
+ * @returns {Array<Object>} - Mixes con el esquema actual
+ * @throws {Error} - Si el formato no es válido o la versión es más nueva que la app
+ */
+export function migrateMixData(data) {
+  let current = Array.isArray(data) ? { version: 0, mixes: data } : data;
+
+  if (!current || typeof current !== 'object' || !Array.isArray(current.mixes)) {
+    throw new Error('This file does not contain any mixes.');
+  }
+
+  let version = Number(current.version) || 0;
+  if (version > MIX_SCHEMA_VERSION) {
+    throw new Error('These mixes were saved by a newer version of the app.');
+  }
+
+  while (version < MIX_SCHEMA_VERSION) {
+    current = MIGRATIONS[version](current);
+    version = current.version;
+  }
+
+  return current.mixes.map(normalizeMix);
+}
+
+/**
+ * Lee los mixes de localStorage (o [] si no existen o están corruptos)
+ */
+function readMixes() {
+  if (typeof window === 'undefined') return EMPTY_MIXES;
+  try {
+    const stored = JSON.parse(localStorage.getItem(MIX_STORAGE_KEY));
+    return stored ? migrateMixData(stored) : EMPTY_MIXES;
+  } catch (error) {
+    return EMPTY_MIXES;
+  }
+}
+
+/**
+ * Guarda los mixes con la versión actual y notifica a los suscriptores
+ *
+ * @throws {Error} - Si localStorage está lleno (QuotaExceededError); el estado no cambia
+ */
+function writeMixes(mixes) {
+  try {
+    localStorage.setItem(MIX_STORAGE_KEY, JSON.stringify({ version: MIX_SCHEMA_VERSION, mixes }));
+  } catch (error) {
+    throw new Error('Browser storage is full. Delete some mixes or history entries and try again.');
+  }
+  cachedMixes = mixes;
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * getMixesSnapshot - Mixes actuales (misma referencia mientras no cambien)
+ *
+ * @returns {Array<Object>} - Mixes en orden de creación
+ */
+export function getMixesSnapshot() {
+  if (cachedMixes === null) {
+    cachedMixes = readMixes();
+  }
+  return cachedMixes;
+}
+
+/**
+ * subscribe - Escucha cambios de los mixes (también desde otras pestañas)
+ *
+ * @param {Function} listener - Callback sin argumentos
+ * @returns {Function} - Función para cancelar la suscripción
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+
+  const handleStorage = (event) => {
+    if (event.key === MIX_STORAGE_KEY) {
+      cachedMixes = readMixes();
+      listener();
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', handleStorage);
+  };
+}
+
+/**
+ * saveMix - Guarda la configuración actual como un mix nuevo
+ *
+ * @param {string} name - Nombre del mix
+ * @param {Object} config - { preferences, strategy, limit }
+ * @returns {Object} - Mix creado
+ */
+export function saveMix(name, { preferences, strategy, limit }) {
+  const mix = normalizeMix({ id: createMixId(), name, preferences, strategy, limit });
+  writeMixes([...getMixesSnapshot(), mix]);
+  return mix;
+}
+
+/**
+ * updateMix - Sobrescribe la configuración y/o el nombre de un mix
+ *
+ * @param {string} id - ID del mix
+ * @param {Object} changes - { name?, preferences?, strategy?, limit? }
+ * @returns {Object|null} - Mix actualizado o null si no existe
+ */
+export function updateMix(id, changes) {
+  let updated = null;
+  const mixes = getMixesSnapshot().map((mix) => {
+    if (mix.id !== id) return mix;
+    updated = normalizeMix({ ...mix, ...changes, updatedAt: new Date().toISOString() });
+    return updated;
+  });
+
+  if (updated) writeMixes(mixes);
+  return updated;
+}
+
+/**
+ * duplicateMix - Crea una copia de un mix ("Name (copy)")
+ *
+ * @param {string} id - ID del mix original
+ * @returns {Object|null} - Copia creada o null si no existe el original
+ */
+export function duplicateMix(id) {
+  const original = getMixesSnapshot().find(mix => mix.id === id);
+  if (!original) return null;
+  return saveMix(`${original.name} (copy)`, original);
+}
+
+/**
+ * deleteMix - Elimina un mix
+ */
+export function deleteMix(id) {
+  writeMixes(getMixesSnapshot().filter(mix => mix.id !== id));
+}
+
+/**
+ * exportMixes - Contenido del fichero JSON de exportación
+ *
+ * @param {Array<string>} ids - Mixes a exportar (default: todos)
+ * @returns {string} - JSON con { format, version, exportedAt, mixes }
+ */
+export function exportMixes(ids) {
+  const mixes = ids
+    ? getMixesSnapshot().filter(mix => ids.includes(mix.id))
+    : getMixesSnapshot();
+
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: MIX_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    mixes
+  }, null, 2);
+}
+
+/**
+ * importMixes - Añade los mixes de un fichero exportado (migrándolos si son de otra versión)
+ *
+ * Los mixes importados reciben IDs nuevos; si el nombre ya existe se añade "(imported)".
+ *
+ * @param {string} json - Contenido del fichero
+ * @returns {Array<Object>} - Mixes añadidos
+ * @throws {Error} - Si el fichero no es JSON o no contiene mixes válidos
+ */
+export function importMixes(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (data && !Array.isArray(data) && data.format && data.format !== EXPORT_FORMAT) {
+    throw new Error('This file does not contain any mixes.');
+  }
+
+  const existing = getMixesSnapshot();
+  const names = new Set(existing.map(mix => mix.name));
+  const imported = migrateMixData(data).map((mix) => normalizeMix({
+    ...mix,
+    id: createMixId(),
+    name: names.has(mix.name) ? `${mix.name} (imported)` : mix.name
+  }));
+
+  if (imported.length > 0) writeMixes([...existing, ...imported]);
+  return imported;
+}
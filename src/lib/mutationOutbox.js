@@ -0,0 +1,986 @@
+/**
+ * MÓDULO: BANDEJA DE SALIDA DE CAMBIOS (OUTBOX)
+ * ==============================================
+ * Cola persistente (IndexedDB) de los cambios que la app hace en Spotify, para que
+ * no se pierdan cuando falla la red: se guardan y se envían en orden al recuperar la conexión.
+ *
+ * FUNCIONALIDAD:
+ * - runMutation: Ejecuta un cambio al momento si se puede; sin conexión, con cambios
+ *   anteriores de la misma playlist aún en cola (ver dependsOn) o si falla la red,
+ *   lo deja en la cola y devuelve un resultado provisional
+ * - Reenvío en orden (el de llegada) al volver la conexión, al cargar y cada RETRY_DELAY_MS
+ *   mientras queden cambios con errores temporales
+ * - Sin sesión (no hay token o Spotify responde 401) no se reintenta: los cambios esperan en
+ *   la cola hasta que el usuario vuelve a iniciar sesión (la página de callback llama a flushOutbox)
+ * - Cambios redundantes: se compactan al entrar en la cola (ver COMPACTACIÓN)
+ * - Cambios rechazados por Spotify (4xx): quedan como 'failed' hasta retryOperation o discardOperation;
+ *   los cambios posteriores que dependen de ellos (ver dependsOn) también quedan 'failed' en vez
+ *   de enviarse sobre un estado que el usuario nunca vio, y vuelven a la cola al reintentar la causa
+ * - Estado observable (subscribe/getOutboxState) compatible con useSyncExternalStore
+ *
+ * TIPOS DE CAMBIO:
+ * - 'createPlaylist': { localId, name, description, public }
+ * - 'addTracks': { playlistId, uris, replace, position } (en bloques de 100 URIs)
+ * - 'removeTracks': { playlistId, uris } (quita todas las apariciones)
+ * - 'reorderTracks': { playlistId, rangeStart, insertBefore, rangeLength, snapshotId }
+ *   (si se queda en cola se envía sin snapshotId: sus posiciones se calcularon sobre el
+ *   resultado de los cambios anteriores de la cola, no sobre esa versión de Spotify)
+ *
+ * PLAYLISTS CREADAS SIN CONEXIÓN:
+ * - createPlaylist devuelve una playlist provisional con id 'local:...' que ya se puede
+ *   usar en otros cambios; al crearse de verdad, los cambios en cola pasan a usar el id real
+ * - Si la playlist no llega a crearse (Spotify lo rechaza o se descarta), los cambios que
+ *   dependen de ella fallan con status 424 (no se reintentan solos); si luego se reintenta
+ *   y se crea, vuelven a la cola
+ * - La correspondencia id local → id real se guarda en localStorage (las últimas
+ *   MAX_RESOLVED_IDS) para que quien guardó el id provisional pueda traducirlo (resolveLocalId)
+ *
+ * COMPACTACIÓN:
+ * - Quitar canciones de una playlist las quita también de los 'addTracks' en cola para esa
+ *   playlist (si la playlist aún no existe en Spotify, ni siquiera se envía el borrado).
+ *   No se hace si hay reordenaciones en cola para ella: sus posiciones cuentan esas canciones
+ * - Nunca se toca un cambio que se está enviando (estado 'sending')
+ *
+ * ESTADO DE CADA CAMBIO:
+ * - 'pending': En cola
+ * - 'sending': Enviándose
+ * - 'unknown': Una creación de playlist que se cortó a medias; antes de repetirla se busca
+ *   en las playlists del usuario (ver CAMBIOS INTERRUMPIDOS). Los cambios que dependen de
+ *   ella esperan; con error, no se encontró y espera a que el usuario reintente o descarte
+ * - 'failed': Spotify lo rechazó (o falló uno anterior del que depende: blockedBy = su id);
+ *   no se reintenta solo
+ *
+ * CAMBIOS INTERRUMPIDOS (la pestaña se cerró con un cambio en 'sending'):
+ * - Los que se pueden repetir sin efectos dobles (quitar canciones, reemplazar el
+ *   contenido de una playlist) vuelven a 'pending'
+ * - createPlaylist pasa a 'unknown'. Desde la cola se crea con una marca propia en la
+ *   descripción ([ref:...], ver createTag) que se quita después de crearla; para saber si
+ *   llegó a Spotify se mira primero el id guardado al recibir la respuesta y si no, se buscan
+ *   en todas las playlists del usuario una con esa marca. Si no aparece no se adivina:
+ *   queda 'unknown' con un error hasta que el usuario la reintente o la descarte
+ * - Añadir canciones (sin reemplazo) podría duplicarlas y reordenar podría mover otras
+ *   canciones: quedan 'failed' para que el usuario compruebe la playlist y decida si
+ *   reintentar o descartar
+ *
+ * LIKES (LIKED SONGS):
+ * - No pasan por esta cola sino por la de src/lib/favoritesSync.js, que también es persistente,
+ *   compacta like + unlike y reintenta sola. Es a propósito:
+ *   - Lo que importa de un like es el estado final de cada canción, no el orden: esa cola
+ *     guarda un estado deseado por canción y lo envía en bloques de 50 ids
+ *   - La reconciliación con /me/tracks y el corazón de cada canción necesitan leer los
+ *     cambios pendientes de forma síncrona (al pintar), y IndexedDB solo es asíncrono
+ *   - Tenerlos también aquí daría dos fuentes de verdad para el mismo like
+ * - Para el usuario es una sola bandeja: useOutbox junta las dos colas en OutboxIndicator
+ *
+ * VARIAS PESTAÑAS:
+ * - Solo una pestaña envía a la vez (Web Locks API, si el navegador la tiene)
+ * - Las demás se enteran de los cambios por BroadcastChannel y recargan desde IndexedDB
+ *
+ * ARQUITECTURA:
+ * - Todas las lecturas y escrituras de la cola pasan por una única cadena de promesas
+ *   (transact), así el estado en memoria y el de IndexedDB nunca se cruzan
+ * - Sin IndexedDB (modo privado de algunos navegadores) la cola funciona solo en memoria
+ *
+ * REFERENCIAS:
+ * - Importa spotifyRequest y paginate desde @/lib/spotifyClient (src/lib/spotifyClient.js)
+ * - Importa getAccessToken desde @/lib/auth (src/lib/auth.js)
+ *
+ * UTILIZADO EN:
+ * - src/hooks/useSpotify.jsx (createPlaylist, addTracksToPlaylist, removeTrackFromPlaylist, reorderPlaylistTracks)
+ * - src/components/modals/PlaylistModal.jsx (whenPlaylistSynced: recargar tras enviar lo que quedó en cola)
+ * - src/hooks/useOutbox.jsx
+ * - src/hooks/useSavePlaylist.jsx (isLocalId: sin enlace a Spotify para playlists provisionales)
+ * - src/lib/sharedImports.js (resolveLocalId: importaciones guardadas sin conexión)
+ * - src/components/layout/Sidebar.jsx (clearOutbox al cerrar sesión)
+ * - src/app/auth/callback/page.js (flushOutbox al iniciar sesión)
+ */
+
+import { spotifyRequest, paginate } from '@/lib/spotifyClient';
+import { getAccessToken } from '@/lib/auth';
+
+const DB_NAME = 'musicstream_outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'operations';
+const CHANNEL_NAME = 'mutation_outbox';
+const LOCK_NAME = 'mutation_outbox_flush';
+
+// Máximo de URIs por petición al añadir o quitar canciones de una playlist
+const PLAYLIST_TRACKS_CHUNK_SIZE = 100;
+// Espera antes de reintentar tras un error temporal (red, 429, 5xx)
+const RETRY_DELAY_MS = 30 * 1000;
+const LOCAL_ID_PREFIX = 'local:';
+// Status de los cambios cuya playlist no existe en Spotify (Failed Dependency): no es temporal
+const DEPENDENCY_FAILED_STATUS = 424;
+// Tamaño de página al buscar en las playlists del usuario una creación interrumpida
+const RECONCILE_PAGE_SIZE = 50;
+const LOGGED_OUT_MESSAGE = 'Your Spotify session has expired. Log in again to send this change.';
+const NOT_FOUND_MESSAGE = 'Interrupted while creating it and not found in Spotify. Retry to create it, or discard.';
+const INTERRUPTED_MESSAGE = 'Interrupted while sending. Check Spotify, then retry or discard.';
+const BLOCKED_MESSAGE = 'An earlier change to this playlist failed. Retry or discard it first.';
+const RESOLVED_IDS_STORAGE_KEY = 'outbox_resolved_ids';
+const MAX_RESOLVED_IDS = 100;
+
+const EMPTY_STATE = {
+  operations: [],
+  ready: false,
+  online: true,
+  flushing: false
+};
+
+const listeners = new Set();
+let state = EMPTY_STATE;
+
+let loadPromise = null;
+let dbPromise = null;
+let chain = Promise.resolve();
+let channel = null;
+let lastId = 0;
+
+let flushPromise = null;
+let retryTimer = null;
+// id local → id real de las playlists creadas desde la cola (copia de localStorage)
+let resolvedIds = null;
+
+function setState(changes) {
+  state = { ...state, ...changes };
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * getOutboxState - Estado actual (misma referencia mientras no cambie)
+ *
+ * @returns {Object} - { operations, ready, online, flushing }
+ */
+export function getOutboxState() {
+  return state;
+}
+
+export function getServerOutboxState() {
+  return EMPTY_STATE;
+}
+
+export function isLocalId(id) {
+  return typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX);
+}
+
+function getResolvedIds() {
+  if (!resolvedIds) {
+    resolvedIds = new Map();
+    try {
+      const stored = JSON.parse(localStorage.getItem(RESOLVED_IDS_STORAGE_KEY));
+      if (Array.isArray(stored)) resolvedIds = new Map(stored);
+    } catch (error) {
+      // Sin localStorage (servidor) o datos corruptos: empezar vacío
+    }
+  }
+  return resolvedIds;
+}
+
+function rememberResolvedId(localId, playlistId) {
+  const ids = getResolvedIds();
+  ids.set(localId, playlistId);
+  // Map conserva el orden de inserción: se descartan las más antiguas
+  while (ids.size > MAX_RESOLVED_IDS) {
+    ids.delete(ids.keys().next().value);
+  }
+  try {
+    localStorage.setItem(RESOLVED_IDS_STORAGE_KEY, JSON.stringify([...ids]));
+  } catch (error) {
+    // Sin espacio: la correspondencia sigue en memoria durante la sesión
+  }
+}
+
+/**
+ * resolveLocalId - Id real de una playlist creada desde la cola
+ *
+ * @param {string} id - Id provisional ('local:...') o real
+ * @returns {string|null} - Id real; null si la playlist aún no se ha creado en Spotify
+ */
+export function resolveLocalId(id) {
+  if (!isLocalId(id)) return id;
+  return getResolvedIds().get(id) || null;
+}
+
+function isOnline() {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+/**
+ * Errores por falta de sesión: sin token (la petición ni sale, status 0) o 401 tras intentar
+ * refrescarlo. Reintentar no sirve de nada hasta que el usuario vuelva a iniciar sesión.
+ */
+function isAuthError(error) {
+  const status = error?.status ?? 0;
+  return status === 401 || (status === 0 && !getAccessToken());
+}
+
+/**
+ * Errores tras los que merece la pena reintentar más tarde (sin respuesta, 429 o 5xx).
+ * El resto (4xx) significa que Spotify rechaza el cambio tal cual.
+ */
+function isTransientError(error) {
+  if (isAuthError(error)) return false;
+  const status = error?.status ?? 0;
+  return status === 0 || status === 429 || status >= 500;
+}
+
+/**
+ * Indica si una operación tiene que esperar a otra de la cola: la misma playlist (o la
+ * creación de la playlist provisional que usa). Cambios independientes no se bloquean entre sí.
+ */
+function dependsOn(operation, candidate) {
+  const { playlistId } = operation.payload;
+  if (!playlistId) return false;
+  return candidate.payload.playlistId === playlistId || candidate.payload.localId === playlistId;
+}
+
+/**
+ * Marca como fallidos los cambios pendientes que dependen de uno anterior fallido
+ * (en cadena: si falla A, falla B y los que dependen de B)
+ *
+ * @returns {Array<Object>} - Nueva lista de operaciones (la misma si no cambia nada)
+ */
+function failBlocked(operations) {
+  let changed = false;
+  const next = [...operations];
+  next.forEach((operation, index) => {
+    if (operation.status !== 'pending') return;
+    const cause = next.slice(0, index).find(
+      candidate => candidate.status === 'failed' && dependsOn(operation, candidate)
+    );
+    if (!cause) return;
+    next[index] = { ...operation, status: 'failed', error: BLOCKED_MESSAGE, blockedBy: cause.id };
+    changed = true;
+  });
+  return changed ? next : operations;
+}
+
+/**
+ * IDs crecientes: mantienen el orden de llegada también entre pestañas
+ */
+function nextId() {
+  lastId = Math.max(Date.now(), lastId + 1);
+  return lastId;
+}
+
+// ============================================================
+// INDEXEDDB
+// ============================================================
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(() => null);
+  }
+  return dbPromise;
+}
+
+/**
+ * Ejecuta una transacción sobre el almacén de operaciones
+ *
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {Function} callback - Recibe el object store; puede devolver una petición
+ * @returns {Promise<any>} - Resultado de la petición devuelta (null sin IndexedDB)
+ */
+async function withStore(mode, callback) {
+  const db = await openDb();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = callback(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request ? request.result : null);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * transact - Aplica un cambio a la cola (en memoria y en IndexedDB) en exclusiva
+ *
+ * @param {Function} update - (operations) => operations. Las operaciones que se quieran
+ *   modificar deben sustituirse por objetos nuevos (se guardan las referencias nuevas)
+ * @returns {Promise<void>}
+ */
+function transact(update) {
+  const run = chain.then(async () => {
+    const previous = state.operations;
+    const next = update(previous);
+    if (next === previous) return;
+
+    const nextIds = new Set(next.map(operation => operation.id));
+    const removed = previous.filter(operation => !nextIds.has(operation.id));
+    const previousSet = new Set(previous);
+    const written = next.filter(operation => !previousSet.has(operation));
+
+    setState({ operations: next });
+    try {
+      await withStore('readwrite', (store) => {
+        removed.forEach(operation => store.delete(operation.id));
+        written.forEach(operation => store.put(operation));
+      });
+    } catch (error) {
+      // Sin espacio o IndexedDB bloqueado: la cola sigue en memoria durante la sesión
+    }
+    channel?.postMessage('changed');
+  });
+
+  chain = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Estado de un cambio que se quedó en 'sending' (ver CAMBIOS INTERRUMPIDOS)
+ */
+function recoverInterrupted(operation) {
+  if (operation.type === 'createPlaylist') {
+    return { ...operation, status: 'unknown', error: null };
+  }
+  if ((operation.type === 'addTracks' && !operation.payload.replace) || operation.type === 'reorderTracks') {
+    return { ...operation, status: 'failed', error: INTERRUPTED_MESSAGE };
+  }
+  return { ...operation, status: 'pending' };
+}
+
+/**
+ * Recarga la cola desde IndexedDB (cambios hechos por otra pestaña)
+ *
+ * @param {Object} options
+ * @param {boolean} options.resetSending - Recuperar los cambios que quedaron en 'sending'
+ *   (solo con el cerrojo de envío: nadie más puede estar enviándolos)
+ */
+function reload({ resetSending = false } = {}) {
+  const run = chain.then(async () => {
+    let stored = null;
+    try {
+      stored = await withStore('readonly', store => store.getAll());
+    } catch (error) {
+      stored = null;
+    }
+    // Sin IndexedDB la memoria es la única copia
+    if (!stored) return;
+
+    const operations = stored
+      .map(operation => (resetSending && operation.status === 'sending'
+        ? recoverInterrupted(operation)
+        : operation))
+      .sort((a, b) => a.id - b.id);
+    operations.forEach(operation => {
+      lastId = Math.max(lastId, operation.id);
+    });
+    setState({ operations });
+  });
+
+  chain = run.catch(() => {});
+  return run;
+}
+
+// ============================================================
+// CARGA INICIAL Y SEGUIMIENTO DE LA CONEXIÓN
+// ============================================================
+
+const handleOnline = () => {
+  setState({ online: true });
+  flushOutbox();
+};
+
+const handleOffline = () => setState({ online: false });
+
+/**
+ * Carga la cola guardada y empieza a escuchar la conexión y a las demás pestañas
+ * (una sola vez por pestaña)
+ */
+function ensureLoaded() {
+  if (typeof window === 'undefined') return Promise.resolve();
+  if (!loadPromise) {
+    setState({ online: isOnline() });
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      channel = new BroadcastChannel(CHANNEL_NAME);
+      channel.onmessage = () => reload();
+    }
+
+    loadPromise = reload().then(() => {
+      setState({ ready: true });
+      flushOutbox();
+    });
+  }
+  return loadPromise;
+}
+
+/**
+ * subscribe - Escucha cambios de la cola (la carga si aún no se había cargado)
+ *
+ * @param {Function} listener - Callback sin argumentos
+ * @returns {Function} - Cancela la suscripción
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  ensureLoaded();
+  return () => listeners.delete(listener);
+}
+
+// ============================================================
+// COMPACTACIÓN
+// ============================================================
+
+/**
+ * Añade una operación a la cola compactándola con las que ya estaban
+ *
+ * @returns {Array<Object>} - Nueva lista de operaciones
+ */
+function compact(operations, operation) {
+  const waiting = (candidate) => candidate.status !== 'sending' && candidate.status !== 'unknown';
+
+  if (operation.type === 'removeTracks') {
+    const { playlistId } = operation.payload;
+    const reorderQueued = operations.some(
+      candidate => candidate.type === 'reorderTracks' && candidate.payload.playlistId === playlistId
+    );
+    if (reorderQueued) return [...operations, operation];
+
+    const removing = new Set(operation.payload.uris);
+    const next = [];
+    operations.forEach(candidate => {
+      if (!waiting(candidate) || candidate.type !== 'addTracks' || candidate.payload.playlistId !== playlistId) {
+        next.push(candidate);
+        return;
+      }
+      const uris = candidate.payload.uris.filter(uri => !removing.has(uri));
+      if (uris.length === candidate.payload.uris.length) {
+        next.push(candidate);
+      } else if (uris.length > 0 || candidate.payload.replace) {
+        next.push({ ...candidate, payload: { ...candidate.payload, uris } });
+      }
+    });
+    // En una playlist que aún no existe en Spotify solo pueden estar las canciones de la cola
+    if (isLocalId(playlistId)) return next;
+    return [...next, operation];
+  }
+
+  return [...operations, operation];
+}
+
+// ============================================================
+// EJECUCIÓN
+// ============================================================
+
+/**
+ * Marca que lleva en la descripción una playlist creada desde la cola mientras se crea
+ * (la única forma de reconocerla si se corta antes de recibir la respuesta)
+ */
+function createTag(localId) {
+  return `[ref:${localId.slice(LOCAL_ID_PREFIX.length)}]`;
+}
+
+/**
+ * Devuelve a una playlist creada desde la cola la descripción que eligió el usuario
+ * (sin la marca). Si falla, la marca se queda: no impide usar la playlist.
+ */
+async function clearCreateTag(playlistId, description) {
+  try {
+    await spotifyRequest(`/playlists/${playlistId}`, {
+      method: 'PUT',
+      body: { description: description || '' }
+    });
+  } catch (error) {
+    // Sin importancia
+  }
+}
+
+function resolvePlaylistId(playlistId) {
+  if (!isLocalId(playlistId)) return playlistId;
+  const resolved = getResolvedIds().get(playlistId);
+  if (!resolved) {
+    const error = new Error('The playlist this change belongs to could not be created in Spotify.');
+    error.status = DEPENDENCY_FAILED_STATUS;
+    throw error;
+  }
+  return resolved;
+}
+
+/**
+ * Envía una operación a Spotify
+ *
+ * Si un 'addTracks' falla a mitad, el error lleva en error.remaining el payload de lo
+ * que falta por enviar (para no repetir los bloques ya añadidos).
+ *
+ * @param {Object} operation - { type, payload }
+ * @param {Object} options
+ * @param {Function} options.onProgress - (done, total) tras cada bloque de 'addTracks'
+ * @param {boolean} options.tagged - Crear la playlist con la marca de createTag (desde la cola)
+ * @returns {Promise<any>} - Respuesta de Spotify (la playlist creada, { snapshot_id }...)
+ */
+async function execute({ type, payload }, { onProgress, tagged = false } = {}) {
+  switch (type) {
+    case 'createPlaylist': {
+      const description = tagged
+        ? [payload.description, createTag(payload.localId)].filter(Boolean).join(' ')
+        : payload.description;
+      const playlist = await spotifyRequest('/me/playlists', {
+        method: 'POST',
+        body: { name: payload.name, description, public: payload.public }
+      });
+      if (payload.localId && playlist?.id) {
+        rememberResolvedId(payload.localId, playlist.id);
+      }
+      return playlist;
+    }
+
+    case 'addTracks': {
+      const playlistId = resolvePlaylistId(payload.playlistId);
+      const { uris, replace, position } = payload;
+      let result = null;
+      let sent = 0;
+
+      try {
+        // Modo reemplazo: PUT sustituye todo el contenido por el primer bloque
+        if (replace) {
+          result = await spotifyRequest(`/playlists/${playlistId}/tracks`, {
+            method: 'PUT',
+            body: { uris: uris.slice(0, PLAYLIST_TRACKS_CHUNK_SIZE) }
+          });
+          sent = Math.min(PLAYLIST_TRACKS_CHUNK_SIZE, uris.length);
+          onProgress?.(sent, uris.length);
+        }
+
+        // Spotify acepta como máximo 100 URIs por petición
+        while (sent < uris.length) {
+          const chunk = uris.slice(sent, sent + PLAYLIST_TRACKS_CHUNK_SIZE);
+          result = await spotifyRequest(`/playlists/${playlistId}/tracks`, {
+            method: 'POST',
+            body: {
+              uris: chunk,
+              // Sin position se añaden al final
+              ...(position !== undefined && position !== null && { position: position + sent })
+            }
+          });
+          sent += chunk.length;
+          onProgress?.(sent, uris.length);
+        }
+      } catch (error) {
+        if (sent > 0) {
+          error.remaining = {
+            ...payload,
+            uris: uris.slice(sent),
+            replace: false,
+            position: position !== undefined && position !== null ? position + sent : position
+          };
+        }
+        throw error;
+      }
+      return result;
+    }
+
+    case 'removeTracks': {
+      const playlistId = resolvePlaylistId(payload.playlistId);
+      let result = null;
+      for (let i = 0; i < payload.uris.length; i += PLAYLIST_TRACKS_CHUNK_SIZE) {
+        result = await spotifyRequest(`/playlists/${playlistId}/tracks`, {
+          method: 'DELETE',
+          body: { tracks: payload.uris.slice(i, i + PLAYLIST_TRACKS_CHUNK_SIZE).map(uri => ({ uri })) }
+        });
+      }
+      return result;
+    }
+
+    case 'reorderTracks': {
+      const playlistId = resolvePlaylistId(payload.playlistId);
+      return spotifyRequest(`/playlists/${playlistId}/tracks`, {
+        method: 'PUT',
+        body: {
+          range_start: payload.rangeStart,
+          insert_before: payload.insertBefore,
+          range_length: payload.rangeLength,
+          ...(payload.snapshotId && { snapshot_id: payload.snapshotId })
+        }
+      });
+    }
+
+    default:
+      throw new Error(`Unknown operation: ${type}`);
+  }
+}
+
+/**
+ * Resultado provisional de un cambio que se ha quedado en la cola
+ */
+function queuedResult({ type, payload }) {
+  if (type === 'createPlaylist') {
+    return {
+      id: payload.localId,
+      name: payload.name,
+      description: payload.description,
+      public: payload.public,
+      external_urls: {},
+      tracks: { total: 0 },
+      queued: true
+    };
+  }
+  return { snapshot_id: null, queued: true };
+}
+
+/**
+ * runMutation - Ejecuta un cambio en Spotify o lo deja en la cola
+ *
+ * Se envía al momento si hay conexión y la cola no tiene cambios anteriores pendientes
+ * (el orden se respeta siempre). Si no, o si falla por la red, se guarda en la cola.
+ *
+ * @param {string} type - Tipo de cambio (ver TIPOS DE CAMBIO)
+ * @param {Object} payload - Datos del cambio
+ * @param {Object} options
+ * @param {Function} options.onProgress - (done, total) para 'addTracks'
+ * @returns {Promise<any>} - Respuesta de Spotify, o un resultado provisional con queued: true
+ * @throws {SpotifyApiError} - Si Spotify rechaza el cambio (4xx)
+ */
+export async function runMutation(type, payload, { onProgress } = {}) {
+  const operation = { type, payload };
+  if (type === 'createPlaylist') {
+    operation.payload = { ...payload, localId: `${LOCAL_ID_PREFIX}${nextId().toString(36)}` };
+  } else if (isLocalId(payload.playlistId) && getResolvedIds().has(payload.playlistId)) {
+    // La pantalla aún tiene la playlist provisional, pero ya existe en Spotify
+    operation.payload = { ...payload, playlistId: getResolvedIds().get(payload.playlistId) };
+  }
+
+  await ensureLoaded();
+  // Solo esperan los cambios que dependen de otro aún en cola (el orden entre ellos importa)
+  const blocked = state.operations.some(
+    candidate => candidate.status !== 'failed' && dependsOn(operation, candidate)
+  );
+  const waitingForPlaylist = isLocalId(operation.payload.playlistId);
+
+  if (!blocked && !waitingForPlaylist && isOnline()) {
+    try {
+      return await execute(operation, { onProgress });
+    } catch (error) {
+      // Sin sesión el cambio se guarda para enviarlo tras volver a iniciarla
+      if (!isTransientError(error) && !isAuthError(error)) throw error;
+      if (error.remaining) operation.payload = error.remaining;
+    }
+  }
+
+  if (type === 'reorderTracks') {
+    operation.payload = { ...operation.payload, snapshotId: null };
+  }
+  await enqueue(operation);
+  return queuedResult(operation);
+}
+
+function enqueue({ type, payload }) {
+  const operation = {
+    id: nextId(),
+    type,
+    payload,
+    status: 'pending',
+    error: null,
+    attempts: 0,
+    createdAt: Date.now()
+  };
+  return transact(operations => compact(operations, operation)).then(() => {
+    scheduleFlush();
+  });
+}
+
+// ============================================================
+// ENVÍO DE LA COLA
+// ============================================================
+
+function scheduleFlush(delay = 0) {
+  clearTimeout(retryTimer);
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    flushOutbox();
+  }, delay);
+}
+
+function updateOperation(id, changes) {
+  return transact(operations => operations.map(
+    operation => (operation.id === id ? { ...operation, ...changes } : operation)
+  ));
+}
+
+function removeOperation(id) {
+  return transact(operations => operations.filter(operation => operation.id !== id));
+}
+
+/**
+ * Tras crear una playlist, los cambios en cola que usaban su id provisional pasan al real
+ * (los que fallaron porque aún no existía vuelven a estar pendientes)
+ */
+function replaceLocalId(localId, playlistId) {
+  return transact(operations => operations.map(operation => (
+    operation.payload.playlistId === localId
+      ? {
+        ...operation,
+        payload: { ...operation.payload, playlistId },
+        ...(operation.status === 'failed' && { status: 'pending', error: null })
+      }
+      : operation
+  )));
+}
+
+/**
+ * Averigua si una creación de playlist interrumpida llegó a Spotify (ver CAMBIOS INTERRUMPIDOS)
+ *
+ * @throws {SpotifyApiError} - Si no se pueden leer las playlists del usuario
+ */
+async function reconcileCreate(operation) {
+  const { localId, description } = operation.payload;
+  let playlistId = getResolvedIds().get(localId) || null;
+
+  if (!playlistId) {
+    const tag = createTag(localId);
+    for await (const page of paginate('/me/playlists', { query: { limit: RECONCILE_PAGE_SIZE } })) {
+      const match = (page.items || []).find(playlist => playlist?.description?.includes(tag));
+      if (match) {
+        playlistId = match.id;
+        break;
+      }
+    }
+    if (playlistId) rememberResolvedId(localId, playlistId);
+  }
+
+  if (!playlistId) {
+    await updateOperation(operation.id, { error: NOT_FOUND_MESSAGE });
+    return;
+  }
+  await replaceLocalId(localId, playlistId);
+  await removeOperation(operation.id);
+  await clearCreateTag(playlistId, description);
+}
+
+function withFlushLock(callback) {
+  if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+    return navigator.locks.request(LOCK_NAME, callback);
+  }
+  return callback();
+}
+
+/**
+ * flushOutbox - Envía en orden los cambios pendientes
+ *
+ * Se para en el primer error temporal (y reintenta pasado RETRY_DELAY_MS o al volver la
+ * conexión) o de sesión (hasta volver a iniciarla); los cambios rechazados quedan como 'failed' (con los que dependen de ellos)
+ * y se sigue con los independientes.
+ *
+ * @returns {Promise<void>}
+ */
+export function flushOutbox() {
+  if (flushPromise) return flushPromise;
+  if (typeof window === 'undefined' || !isOnline()) return Promise.resolve();
+
+  flushPromise = (async () => {
+    setState({ flushing: true });
+    try {
+      await withFlushLock(async () => {
+        // Con el cerrojo nadie más está enviando: lo que quedó en 'sending' se interrumpió
+        await reload({ resetSending: true });
+
+        // Antes que nada: creaciones interrumpidas (las que ya se buscaron sin éxito llevan error)
+        const unknown = state.operations.filter(candidate => candidate.status === 'unknown' && !candidate.error);
+        for (const operation of unknown) {
+          try {
+            await reconcileCreate(operation);
+          } catch (error) {
+            if (isAuthError(error)) return;
+            if (isTransientError(error)) {
+              scheduleFlush(RETRY_DELAY_MS);
+              return;
+            }
+            await updateOperation(operation.id, { error: INTERRUPTED_MESSAGE });
+          }
+        }
+
+        for (;;) {
+          // Lo que depende de un cambio fallido no se envía
+          await transact(failBlocked);
+          // Lo que depende de una creación interrumpida espera a saber si existe
+          const waitsForUnknown = (operation) => state.operations.some(
+            candidate => candidate.status === 'unknown' && dependsOn(operation, candidate)
+          );
+          const operation = state.operations.find(
+            candidate => candidate.status === 'pending' && !waitsForUnknown(candidate)
+          );
+          if (!operation || !isOnline()) break;
+
+          await updateOperation(operation.id, { status: 'sending' });
+          try {
+            const result = await execute(operation, { tagged: true });
+            if (operation.type === 'createPlaylist' && result?.id) {
+              await replaceLocalId(operation.payload.localId, result.id);
+            }
+            await removeOperation(operation.id);
+            if (operation.type === 'createPlaylist' && result?.id) {
+              await clearCreateTag(result.id, operation.payload.description);
+            }
+          } catch (error) {
+            // Sin sesión: queda en cola y no se reintenta hasta iniciar sesión de nuevo
+            if (isAuthError(error)) {
+              await updateOperation(operation.id, {
+                status: 'pending',
+                error: LOGGED_OUT_MESSAGE,
+                ...(error.remaining && { payload: error.remaining })
+              });
+              break;
+            }
+            if (isTransientError(error)) {
+              await updateOperation(operation.id, {
+                status: 'pending',
+                error: error.message,
+                ...(error.remaining && { payload: error.remaining })
+              });
+              scheduleFlush(RETRY_DELAY_MS);
+              break;
+            }
+            await updateOperation(operation.id, {
+              status: 'failed',
+              error: error.message,
+              attempts: operation.attempts + 1
+            });
+          }
+        }
+      });
+    } finally {
+      flushPromise = null;
+      setState({ flushing: false });
+    }
+  })();
+
+  return flushPromise;
+}
+
+/**
+ * whenPlaylistSynced - Espera a que la cola no tenga cambios por enviar de una playlist
+ *
+ * Los cambios fallidos no cuentan (esperan al usuario). Sirve para recargar la playlist
+ * con su versión real en Spotify cuando se ha enviado lo que estaba en cola.
+ *
+ * @param {string} playlistId - ID de la playlist
+ * @returns {Promise<void>}
+ */
+export function whenPlaylistSynced(playlistId) {
+  const waiting = () => state.operations.some(
+    operation => operation.status !== 'failed' && operation.payload.playlistId === playlistId
+  );
+
+  return new Promise((resolve) => {
+    if (!waiting()) {
+      resolve();
+      return;
+    }
+    const unsubscribe = subscribe(() => {
+      if (waiting()) return;
+      unsubscribe();
+      resolve();
+    });
+  });
+}
+
+// ============================================================
+// ACCIONES DEL USUARIO
+// ============================================================
+
+/**
+ * retryOperation - Vuelve a poner en cola un cambio fallido (o todos sin id)
+ *
+ * Los cambios que fallaron solo porque dependían de él (blockedBy) vuelven también a la cola.
+ * También sirve para una creación interrumpida que no se encontró en Spotify ('unknown' con
+ * error): el usuario confirma que se vuelva a crear.
+ *
+ * @param {number} [id] - ID de la operación; sin él se reintentan todas las fallidas
+ */
+export async function retryOperation(id) {
+  await transact(operations => {
+    // Las operaciones están ordenadas: la causa siempre va antes que lo bloqueado por ella
+    const retried = new Set();
+    return operations.map(operation => {
+      const retryable = operation.status === 'failed' || (operation.status === 'unknown' && operation.error);
+      const retry = retryable &&
+        (id === undefined || operation.id === id || retried.has(operation.blockedBy));
+      if (!retry) return operation;
+      retried.add(operation.id);
+      return { ...operation, status: 'pending', error: null, blockedBy: null };
+    });
+  });
+  flushOutbox();
+}
+
+/**
+ * discardOperation - Descarta un cambio en cola (no se enviará)
+ *
+ * Si se descarta la creación de una playlist, los cambios que dependían de ella quedan
+ * como fallidos (para que el usuario los vea y decida, no se borran sin avisar).
+ *
+ * @param {number} id - ID de la operación
+ */
+export function discardOperation(id) {
+  return transact(operations => {
+    const discarded = operations.find(operation => operation.id === id && operation.status !== 'sending');
+    if (!discarded) return operations;
+
+    const localId = discarded.type === 'createPlaylist' ? discarded.payload.localId : null;
+    return operations
+      .filter(operation => operation !== discarded)
+      .map(operation => (localId && operation.payload.playlistId === localId && operation.status !== 'sending'
+        ? { ...operation, status: 'failed', error: 'The playlist it belongs to was discarded.' }
+        : operation));
+  });
+}
+
+/**
+ * clearOutbox - Vacía la cola (al cerrar sesión: los cambios son de esa cuenta)
+ */
+export function clearOutbox() {
+  getResolvedIds().clear();
+  try {
+    localStorage.removeItem(RESOLVED_IDS_STORAGE_KEY);
+  } catch (error) {
+    // Sin localStorage
+  }
+  return transact(operations => operations.filter(operation => operation.status === 'sending'));
+}
+
+/**
+ * describeOperation - Texto para mostrar un cambio en la interfaz
+ *
+ * @param {Object} operation - Operación de la cola
+ * @param {Array<Object>} operations - Cola completa (para nombrar playlists creadas sin conexión)
+ * @returns {string}
+ */
+export function describeOperation(operation, operations = []) {
+  const { type, payload } = operation;
+  const songs = (count) => (count === 1 ? '1 song' : `${count} songs`);
+  const playlistName = () => {
+    const created = operations.find(
+      candidate => candidate.type === 'createPlaylist' && candidate.payload.localId === payload.playlistId
+    );
+    return created ? `"${created.payload.name}"` : 'a playlist';
+  };
+
+  switch (type) {
+    case 'createPlaylist':
+      return `Create playlist "${payload.name}"`;
+    case 'addTracks':
+      return payload.replace
+        ? `Replace the songs of ${playlistName()} (${songs(payload.uris.length)})`
+        : `Add ${songs(payload.uris.length)} to ${playlistName()}`;
+    case 'removeTracks':
+      return `Remove ${songs(payload.uris.length)} from ${playlistName()}`;
+    case 'reorderTracks':
+      return `Reorder the songs of ${playlistName()}`;
+    default:
+      return type;
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * MÓDULO: AJUSTES DEL REPRODUCTOR
+ * ================================
+ * Volumen, silencio, crossfade y normalización del reproductor de previews,
+ * guardados en localStorage para que se mantengan entre recargas y pestañas.
+ *
+ * FUNCIONALIDAD:
+ * - getPlayerSettings / subscribe: Estado observable (compatible con useSyncExternalStore)
+ * - updatePlayerSettings: Guarda cambios parciales ({ volume }, { muted }, { crossfade }...)
+ *
+ * ESTRUCTURA GUARDADA:
+ * {
+ *   volume: number (0-1),
+ *   muted: boolean,
+ *   crossfade: number (segundos, 0 = sin crossfade, máximo MAX_CROSSFADE_SECONDS),
+ *   normalize: boolean (igualar el volumen entre previews)
+ * }
+ *
+ * UTILIZADO EN:
+ * - src/hooks/useAudioPlayer.jsx
+ */
+
+const SETTINGS_STORAGE_KEY = 'player_settings';
+
+export const MAX_CROSSFADE_SECONDS = 12;
+
+export const DEFAULT_PLAYER_SETTINGS = { volume: 0.8, muted: false, crossfade: 3, normalize: true };
+
+function clampNumber(value, min, max, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+const listeners = new Set();
+let cachedSettings = null;
+
+function readSettings() {
+  if (typeof window === 'undefined') return DEFAULT_PLAYER_SETTINGS;
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+    return {
+      volume: clampNumber(stored?.volume, 0, 1, DEFAULT_PLAYER_SETTINGS.volume),
+      muted: stored?.muted === true,
+      crossfade: clampNumber(stored?.crossfade, 0, MAX_CROSSFADE_SECONDS, DEFAULT_PLAYER_SETTINGS.crossfade),
+      normalize: stored?.normalize !== false
+    };
+  } catch (error) {
+    return DEFAULT_PLAYER_SETTINGS;
+  }
+}
+
+/**
+ * getPlayerSettings - Ajustes actuales (misma referencia mientras no cambien)
+ *
+ * @returns {Object} - { volume, muted, crossfade, normalize }
+ */
+export function getPlayerSettings() {
+  if (cachedSettings === null) {
+    cachedSettings = readSettings();
+  }
+  return cachedSettings;
+}
+
+/**
+ * subscribe - Escucha cambios de los ajustes (también desde otras pestañas)
+ *
+ * @param {Function} listener - Callback sin argumentos
+ * @returns {Function} - Cancela la suscripción
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+
+  const handleStorage = (event) => {
+    if (event.key === SETTINGS_STORAGE_KEY) {
+      cachedSettings = readSettings();
+      listener();
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', handleStorage);
+  };
+}
+
+/**
+ * updatePlayerSettings - Guarda cambios parciales de los ajustes
+ *
+ * @param {Object} changes - { volume?, muted?, crossfade?, normalize? }
+ */
+export function updatePlayerSettings(changes) {
+  cachedSettings = { ...getPlayerSettings(), ...changes };
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(cachedSettings));
+  } catch (error) {
+    // Sin almacenamiento disponible el ajuste solo dura la sesión
+  }
+  listeners.forEach(listener => listener());
+}
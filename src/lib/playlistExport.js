@@ -0,0 +1,222 @@
+/**
+ * MÓDULO: EXPORTACIÓN DE PLAYLISTS
+ * =================================
+ * Convierte cualquier lista de tracks de Spotify en un fichero descargable.
+ *
+ * FORMATOS (EXPORT_FORMATS):
+ * - csv: Una fila por canción: title, artists, album, duration, isrc, popularity, uri
+ * - json: { name, exportedAt, trackCount, totalDurationMs, totalDuration, tracks }
+ * - m3u8: #EXTM3U con #PLAYLIST, #EXTINF (segundos, "Artista - Título") y #EXTALB por canción
+ * - xspf: XML estándar (xspf.org) con title, annotation y trackList
+ *
+ * METADATOS:
+ * - El nombre de la playlist da nombre al fichero y se incluye en JSON, M3U8 y XSPF
+ * - La duración total se incluye en JSON, M3U8 (comentario) y XSPF (annotation)
+ * - CSV se mantiene como tabla pura para que abra sin ajustes en hojas de cálculo
+ *   (las celdas que parecen fórmulas se prefijan con ' para que no se ejecuten)
+ *
+ * ENTRADA:
+ * - Acepta tracks directos o items de playlist/biblioteca ({ track, added_at })
+ * - Las entradas sin track (canciones eliminadas de Spotify) se omiten
+ *
+ * UTILIZADO EN:
+ * - src/components/ui/ExportMenu.jsx
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  json: { id: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  m3u8: { id: 'm3u8', label: 'M3U8', extension: 'm3u8', mimeType: 'audio/x-mpegurl;charset=utf-8' },
+  xspf: { id: 'xspf', label: 'XSPF', extension: 'xspf', mimeType: 'application/xspf+xml' }
+};
+
+const CSV_COLUMNS = ['title', 'artists', 'album', 'duration', 'isrc', 'popularity', 'uri'];
+
+/**
+ * Extrae los tracks de una lista de tracks o de items { track }
+ */
+function toTracks(items) {
+  return (items || [])
+    .map(item => item?.track || item)
+    .filter(track => track?.name);
+}
+
+function artistNames(track) {
+  return (track.artists || []).map(artist => artist.name).join(', ');
+}
+
+function trackUrl(track) {
+  return track.external_urls?.spotify || (track.id ? `https://open.spotify.com/track/${track.id}` : '');
+}
+
+/**
+ * Formatea milisegundos como m:ss o h:mm:ss
+ */
+export function formatDuration(ms) {
+  const totalSeconds = Math.round((ms || 0) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+/**
+ * Escapa una celda de CSV
+ * Las celdas que empiezan por =, +, -, @ (o tabulador/retorno) se prefijan con ' para que
+ * una hoja de cálculo no las ejecute como fórmula (un título de canción lo controla cualquiera)
+ */
+function escapeCsv(value) {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Las líneas de M3U no pueden contener saltos de línea
+function singleLine(value) {
+  return String(value ?? '').replace(/[\r\n]+/g, ' ');
+}
+
+function toCsv(tracks) {
+  const rows = tracks.map(track => [
+    track.name,
+    artistNames(track),
+    track.album?.name,
+    formatDuration(track.duration_ms),
+    track.external_ids?.isrc,
+    track.popularity,
+    track.uri
+  ].map(escapeCsv).join(','));
+
+  // BOM para que Excel detecte UTF-8 (acentos y caracteres no latinos)
+  return '\uFEFF' + [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function toJson(tracks, { name, totalDurationMs }) {
+  return JSON.stringify({
+    name,
+    exportedAt: new Date().toISOString(),
+    trackCount: tracks.length,
+    totalDurationMs,
+    totalDuration: formatDuration(totalDurationMs),
+    tracks: tracks.map(track => ({
+      title: track.name,
+      artists: (track.artists || []).map(artist => artist.name),
+      album: track.album?.name || null,
+      durationMs: track.duration_ms ?? null,
+      isrc: track.external_ids?.isrc || null,
+      popularity: track.popularity ?? null,
+      uri: track.uri || null,
+      url: trackUrl(track) || null
+    }))
+  }, null, 2);
+}
+
+function toM3u8(tracks, { name, totalDurationMs }) {
+  const lines = [
+    '#EXTM3U',
+    `#PLAYLIST:${singleLine(name)}`,
+    `# Total duration: ${formatDuration(totalDurationMs)} (${tracks.length} tracks)`
+  ];
+
+  tracks.forEach(track => {
+    lines.push(`#EXTINF:${Math.round((track.duration_ms || 0) / 1000)},${singleLine(`${artistNames(track)} - ${track.name}`)}`);
+    if (track.album?.name) lines.push(`#EXTALB:${singleLine(track.album.name)}`);
+    lines.push(trackUrl(track) || track.uri || '');
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+function toXspf(tracks, { name, totalDurationMs }) {
+  const trackList = tracks.map(track => [
+    '    <track>',
+    trackUrl(track) && `      <location>${escapeXml(trackUrl(track))}</location>`,
+    track.uri && `      <identifier>${escapeXml(track.uri)}</identifier>`,
+    `      <title>${escapeXml(track.name)}</title>`,
+    `      <creator>${escapeXml(artistNames(track))}</creator>`,
+    track.album?.name && `      <album>${escapeXml(track.album.name)}</album>`,
+    track.duration_ms && `      <duration>${track.duration_ms}</duration>`,
+    '    </track>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escapeXml(name)}</title>`,
+    `  <annotation>${escapeXml(`${tracks.length} tracks, total duration ${formatDuration(totalDurationMs)}`)}</annotation>`,
+    `  <date>${new Date().toISOString()}</date>`,
+    '  <trackList>',
+    ...trackList,
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].join('\n');
+}
+
+const SERIALIZERS = { csv: toCsv, json: toJson, m3u8: toM3u8, xspf: toXspf };
+
+/**
+ * exportTracks - Contenido del fichero en el formato indicado
+ *
+ * @param {Array<Object>} items - Tracks o items { track }
+ * @param {string} format - 'csv' | 'json' | 'm3u8' | 'xspf'
+ * @param {Object} options
+ * @param {string} options.name - Nombre de la playlist
+ * @returns {string} - Contenido del fichero
+ */
+export function exportTracks(items, format, { name = 'Playlist' } = {}) {
+  const serialize = SERIALIZERS[format];
+  if (!serialize) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const tracks = toTracks(items);
+  const totalDurationMs = tracks.reduce((total, track) => total + (track.duration_ms || 0), 0);
+  return serialize(tracks, { name, totalDurationMs });
+}
+
+/**
+ * Nombre de fichero seguro a partir del nombre de la playlist
+ */
+function toFileName(name, extension) {
+  const base = String(name || 'playlist')
+    .replace(/[\\/:*?"<>|]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 100);
+  return `${base || 'playlist'}.${extension}`;
+}
+
+/**
+ * downloadPlaylist - Genera el fichero y lo descarga en el navegador
+ *
+ * @param {Array<Object>} items - Tracks o items { track }
+ * @param {string} format - Clave de EXPORT_FORMATS
+ * @param {Object} options - { name }
+ */
+export function downloadPlaylist(items, format, { name = 'Playlist' } = {}) {
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  const blob = new Blob([exportTracks(items, format, { name })], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  // Firefox solo descarga enlaces que están en el documento, y el navegador puede no haber
+  // empezado a leer el blob al volver de click(): se revoca más tarde
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = toFileName(name, extension);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,267 @@
+/**
+ * MÓDULO: HISTORIAL DE PLAYLISTS GENERADAS
+ * =========================================
+ * Guarda en localStorage cada playlist generada junto con las preferencias exactas,
+ * la estrategia y la longitud que la produjeron, para poder consultarla y restaurarla.
+ *
+ * FUNCIONALIDAD:
+ * - addHistoryEntry: Registra una generación (se llama en Generate y Refresh)
+ * - renameHistoryEntry / deleteHistoryEntry / clearHistory: Gestión del historial
+ * - diffHistoryEntries: Diferencias de canciones y preferencias entre dos generaciones
+ * - subscribe / getHistorySnapshot: Estado observable (compatible con useSyncExternalStore)
+ *
+ * LÍMITE DE TAMAÑO Y EVICCIÓN:
+ * - Como máximo MAX_HISTORY_ENTRIES generaciones; al superarlo se eliminan las más antiguas
+ * - Los tracks se guardan en formato compacto (sin mercados disponibles, sin todas las imágenes)
+ * - Si localStorage se llena (QuotaExceededError) se siguen eliminando las más antiguas
+ *
+ * ARQUITECTURA:
+ * - Estado a nivel de módulo: snapshot en caché, solo cambia al escribir
+ * - El evento 'storage' mantiene sincronizadas otras pestañas
+ *
+ * REFERENCIAS:
+ * - Importa normalizePreferences desde @/lib/preferences (src/lib/preferences.js)
+ *
+ * UTILIZADO EN:
+ * - src/hooks/usePlaylistHistory.jsx (estado para la UI)
+ * - src/app/dashboard/generate-playlist/page.jsx (registrar y restaurar generaciones)
+ * - src/app/dashboard/history/HistoryClient.jsx (página de historial)
+ */
+
+import { normalizePreferences } from '@/lib/preferences';
+
+const HISTORY_STORAGE_KEY = 'generated_playlist_history';
+
+// Número máximo de generaciones guardadas
+export const MAX_HISTORY_ENTRIES = 30;
+
+const EMPTY_HISTORY = [];
+const listeners = new Set();
+let cachedHistory = null;
+
+/**
+ * Lee el historial de localStorage (o [] si no existe o está corrupto)
+ */
+function readHistory() {
+  if (typeof window === 'undefined') return EMPTY_HISTORY;
+  try {
+    const stored = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+    return Array.isArray(stored) ? stored : EMPTY_HISTORY;
+  } catch (error) {
+    return EMPTY_HISTORY;
+  }
+}
+
+/**
+ * Escribe el historial eliminando las entradas más antiguas si no cabe
+ *
+ * @param {Array<Object>} entries - Entradas ordenadas de más reciente a más antigua
+ */
+function writeHistory(entries) {
+  let toSave = entries.slice(0, MAX_HISTORY_ENTRIES);
+
+  while (true) {
+    try {
+      localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(toSave));
+      break;
+    } catch (error) {
+      // localStorage lleno: descartar la más antigua y reintentar
+      if (toSave.length <= 1) {
+        toSave = [];
+        localStorage.removeItem(HISTORY_STORAGE_KEY);
+        break;
+      }
+      toSave = toSave.slice(0, -1);
+    }
+  }
+
+  cachedHistory = toSave;
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * Reduce un track de Spotify a los campos que usa la UI
+ */
+function compactTrack(track) {
+  return {
+    id: track.id,
+    name: track.name,
+    uri: track.uri,
+    duration_ms: track.duration_ms,
+    popularity: track.popularity,
+    preview_url: track.preview_url || null,
+    external_urls: track.external_urls,
+    artists: (track.artists || []).map(artist => ({ id: artist.id, name: artist.name })),
+    album: {
+      id: track.album?.id,
+      name: track.album?.name,
+      release_date: track.album?.release_date,
+      // Solo la imagen mediana (Spotify las ordena de mayor a menor)
+      images: track.album?.images?.length > 0
+        ? [track.album.images[1] || track.album.images[0]]
+        : []
+    },
+    ...(track.recommendation && { recommendation: track.recommendation })
+  };
+}
+
+/**
+ * Nombre automático a partir de las preferencias (ej: "Taylor Swift · pop · 1980s")
+ */
+export function describePreferences(preferences) {
+  const parts = [
+    ...(preferences.artists || []).slice(0, 2).map(artist => artist.name),
+    ...(preferences.genres || []).slice(0, 2),
+    ...(preferences.decades || []).slice(0, 2).map(decade => `${decade}s`)
+  ];
+  return parts.length > 0 ? parts.join(' · ') : 'Generated playlist';
+}
+
+/**
+ * getHistorySnapshot - Historial actual (misma referencia mientras no cambie)
+ *
+ * @returns {Array<Object>} - Entradas de más reciente a más antigua
+ */
+export function getHistorySnapshot() {
+  if (cachedHistory === null) {
+    cachedHistory = readHistory();
+  }
+  return cachedHistory;
+}
+
+/**
+ * subscribe - Escucha cambios del historial (también desde otras pestañas)
+ *
+ * @param {Function} listener - Callback sin argumentos
+ * @returns {Function} - Función para cancelar la suscripción
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+
+  const handleStorage = (event) => {
+    if (event.key === HISTORY_STORAGE_KEY) {
+      cachedHistory = readHistory();
+      listener();
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', handleStorage);
+  };
+}
+
+/**
+ * getHistoryEntry - Busca una generación por ID
+ *
+ * @param {string} id - ID de la entrada
+ * @returns {Object|null} - Entrada o null
+ */
+export function getHistoryEntry(id) {
+  if (!id) return null;
+  return getHistorySnapshot().find(entry => entry.id === id) || null;
+}
+
+/**
+ * addHistoryEntry - Registra una playlist generada
+ *
+ * @param {Object} generation
+ * @param {Array<Object>} generation.tracks - Tracks generados
+ * @param {Object} generation.preferences - Preferencias que la produjeron
+ * @param {string} generation.strategy - Estrategia del pipeline
+ * @param {number} generation.limit - Longitud objetivo
+ * @param {string} generation.name - Nombre (default: describePreferences)
+ * @returns {Object|null} - Entrada creada o null si no había tracks
+ */
+export function addHistoryEntry({ tracks, preferences, strategy, limit, name }) {
+  if (!Array.isArray(tracks) || tracks.length === 0) return null;
+
+  const normalized = normalizePreferences(preferences);
+  const entry = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name || describePreferences(normalized),
+    createdAt: new Date().toISOString(),
+    preferences: normalized,
+    strategy,
+    limit,
+    tracks: tracks.map(compactTrack)
+  };
+
+  writeHistory([entry, ...getHistorySnapshot()]);
+  return entry;
+}
+
+/**
+ * renameHistoryEntry - Cambia el nombre de una generación
+ */
+export function renameHistoryEntry(id, name) {
+  const trimmed = name?.trim();
+  if (!trimmed) return;
+  writeHistory(getHistorySnapshot().map(entry => (entry.id === id ? { ...entry, name: trimmed } : entry)));
+}
+
+/**
+ * deleteHistoryEntry - Elimina una generación
+ */
+export function deleteHistoryEntry(id) {
+  writeHistory(getHistorySnapshot().filter(entry => entry.id !== id));
+}
+
+/**
+ * clearHistory - Elimina todo el historial
+ */
+export function clearHistory() {
+  writeHistory([]);
+}
+
+/**
+ * Texto legible de un valor de preferencia (para comparar y mostrar en el diff)
+ */
+function describeValue(key, value) {
+  if (key === 'artists' || key === 'tracks') return value.map(item => item.name).join(', ') || 'none';
+  if (key === 'decades') return value.map(decade => `${decade}s`).join(', ') || 'any';
+  if (key === 'genres') return value.join(', ') || 'any';
+  if (key === 'popularity') return `${value.min}-${value.max}`;
+  if (key === 'mood') {
+    const entries = Object.entries(value);
+    return entries.length > 0 ? entries.map(([mood, level]) => `${mood} ${level}`).join(', ') : 'any';
+  }
+  return String(value ?? '');
+}
+
+/**
+ * diffHistoryEntries - Diferencias entre dos generaciones
+ *
+ * @param {Object} base - Entrada de referencia (normalmente la más antigua)
+ * @param {Object} compare - Entrada a comparar
+ * @returns {Object} - {
+ *   added: Array<Track> - Solo en compare,
+ *   removed: Array<Track> - Solo en base,
+ *   common: Array<Track> - En ambas,
+ *   preferenceChanges: Array<{ key, before, after }> - Preferencias distintas (texto legible)
+ * }
+ */
+export function diffHistoryEntries(base, compare) {
+  const baseIds = new Set(base.tracks.map(track => track.id));
+  const compareIds = new Set(compare.tracks.map(track => track.id));
+
+  const preferenceChanges = ['artists', 'tracks', 'genres', 'decades', 'mood', 'popularity']
+    .map(key => ({
+      key,
+      before: describeValue(key, base.preferences[key]),
+      after: describeValue(key, compare.preferences[key])
+    }))
+    .filter(change => change.before !== change.after);
+
+  if (base.strategy !== compare.strategy) {
+    preferenceChanges.push({ key: 'strategy', before: base.strategy, after: compare.strategy });
+  }
+
+  return {
+    added: compare.tracks.filter(track => !baseIds.has(track.id)),
+    removed: base.tracks.filter(track => !compareIds.has(track.id)),
+    common: compare.tracks.filter(track => baseIds.has(track.id)),
+    preferenceChanges
+  };
+}
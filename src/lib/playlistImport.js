@@ -0,0 +1,383 @@
+/**
+ * MÓDULO: IMPORTACIÓN DE PLAYLISTS - LECTURA Y EMPAREJAMIENTO
+ * ============================================================
+ * Convierte listas exportadas de otros servicios (hojas de cálculo, M3U o texto)
+ * en filas normalizadas y puntúa lo parecido que es cada resultado de búsqueda.
+ *
+ * FORMATOS DE ENTRADA (parseImportText):
+ * - CSV: Primera fila de cabecera. Separador detectado (coma, punto y coma o tabulador).
+ *   Columnas reconocidas por nombre: title/track/song/name, artist(s), album,
+ *   isrc, duration/time/length, uri/url/spotify
+ * - M3U / M3U8: #EXTINF:<segundos>,Artista - Título (+ #EXTALB y la ruta/URL siguiente)
+ * - Texto: Una canción por línea "Artista - Título" (las líneas con # se ignoran)
+ *
+ * FILA NORMALIZADA:
+ * { line, title, artist, album, isrc, durationMs, spotifyId }
+ *
+ * EMPAREJAMIENTO:
+ * - ISRC o ID de Spotify (de una URI/URL exportada) → confianza 1 si coincide
+ * - En otro caso: similitud de título (55%), artista (35%) y duración (10%)
+ *   Sin duración en la fila, título y artista se reparten el peso completo
+ * - La similitud ignora mayúsculas, acentos, puntuación y sufijos como
+ *   "(Remastered 2011)" o "- Radio Edit", y combina distancia de edición y tokens comunes
+ *
+ * UTILIZADO EN:
+ * - src/app/dashboard/import/ImportClient.jsx
+ */
+
+export const CONFIDENCE_HIGH = 0.85;
+export const CONFIDENCE_LOW = 0.6;
+// Por debajo de este valor la mejor candidata no se acepta automáticamente
+export const CONFIDENCE_MIN = 0.45;
+
+const SPOTIFY_TRACK_PATTERN = /(?:spotify:track:|open\.spotify\.com\/(?:intl-[a-z]+\/)?track\/)([0-9A-Za-z]{22})/;
+const ISRC_PATTERN = /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/;
+
+const COLUMN_ALIASES = {
+  title: ['title', 'track', 'track name', 'song', 'song name', 'name'],
+  artist: ['artist', 'artists', 'artist name', 'artist name(s)', 'performer'],
+  album: ['album', 'album name', 'release'],
+  isrc: ['isrc'],
+  duration: ['duration', 'duration (ms)', 'duration_ms', 'time', 'length'],
+  uri: ['uri', 'spotify uri', 'track uri', 'url', 'spotify url', 'link']
+};
+
+// ---------------------------------------------------------------------------
+// Lectura de ficheros
+// ---------------------------------------------------------------------------
+
+/**
+ * Divide una línea de CSV respetando comillas ("a, b" y "" escapadas)
+ */
+function splitCsvLine(line, delimiter) {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  cells.push(current.trim());
+  return cells;
+}
+
+/**
+ * Divide el texto en registros de CSV (un campo entre comillas puede contener saltos de línea)
+ */
+function splitCsvRecords(text) {
+  const records = [];
+  let current = '';
+  let quoted = false;
+
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (char === '\n' && !quoted) {
+      records.push(current.replace(/\r$/, ''));
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) records.push(current.replace(/\r$/, ''));
+  return records.filter(record => record.trim());
+}
+
+/**
+ * Convierte "3:45", "1:02:03", "225" (segundos) o "225000" (ms) en milisegundos
+ */
+function parseDuration(value, { milliseconds = false } = {}) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  if (text.includes(':')) {
+    const seconds = text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+  }
+
+  const number = Number(text);
+  if (!Number.isFinite(number) || number <= 0) return null;
+  // Un número sin unidad por encima de una hora solo puede estar en milisegundos
+  return milliseconds || number > 3600 ? Math.round(number) : Math.round(number * 1000);
+}
+
+function extractSpotifyId(value) {
+  return SPOTIFY_TRACK_PATTERN.exec(value || '')?.[1] || null;
+}
+
+/**
+ * Separa "Artista - Título" (acepta guion, en dash y em dash)
+ */
+function splitArtistTitle(text) {
+  const match = /^(.+?)\s+[-–—]\s+(.+)$/.exec(text.trim());
+  return match
+    ? { artist: match[1].trim(), title: match[2].trim() }
+    : { artist: '', title: text.trim() };
+}
+
+function createRow(line, fields) {
+  const isrc = (fields.isrc || '').replace(/[\s-]/g, '').toUpperCase();
+  return {
+    line,
+    title: fields.title || '',
+    artist: fields.artist || '',
+    album: fields.album || '',
+    isrc: ISRC_PATTERN.test(isrc) ? isrc : null,
+    durationMs: fields.durationMs ?? null,
+    spotifyId: extractSpotifyId(fields.uri)
+  };
+}
+
+function parseCsv(text) {
+  const records = splitCsvRecords(text);
+  if (records.length === 0) return [];
+
+  const header = records[0];
+  const delimiter = ['\t', ';', ','].reduce((best, candidate) => (
+    header.split(candidate).length > header.split(best).length ? candidate : best
+  ), ',');
+  const columns = splitCsvLine(header, delimiter).map(cell => cell.toLowerCase());
+
+  const indexOf = (key) => columns.findIndex(column => COLUMN_ALIASES[key].includes(column));
+  const index = Object.fromEntries(Object.keys(COLUMN_ALIASES).map(key => [key, indexOf(key)]));
+  if (index.title === -1) {
+    throw new Error('The CSV file needs a title column (for example "title" or "track name").');
+  }
+  const durationInMs = /ms/.test(columns[index.duration] || '');
+
+  return records.slice(1).map((record, i) => {
+    const cells = splitCsvLine(record, delimiter);
+    const cell = (key) => (index[key] === -1 ? '' : cells[index[key]] || '');
+    return createRow(i + 2, {
+      title: cell('title'),
+      // Varios artistas pueden venir separados por ";" o "," en la misma celda
+      artist: cell('artist').split(/\s*[;,]\s*/)[0],
+      album: cell('album'),
+      isrc: cell('isrc'),
+      durationMs: parseDuration(cell('duration'), { milliseconds: durationInMs }),
+      uri: cell('uri')
+    });
+  }).filter(row => row.title || row.spotifyId);
+}
+
+/**
+ * "Music/Artist%20-%20Title.mp3" → "Artist - Title"
+ */
+function fileNameToLabel(path) {
+  const fileName = path.split(/[\\/]/).pop();
+  let decoded = fileName;
+  try {
+    decoded = decodeURIComponent(fileName);
+  } catch (error) {
+    // Rutas con % sin codificar: se usan tal cual
+  }
+  return decoded.replace(/\.[a-z0-9]{2,4}$/i, '');
+}
+
+function parseM3u(text) {
+  const rows = [];
+  let pending = null;
+
+  text.split(/\r?\n/).forEach((rawLine, i) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#EXTINF:')) {
+      const [, seconds = '', label = ''] = /^#EXTINF:(-?\d+(?:\.\d+)?)[^,]*,(.*)$/.exec(line) || [];
+      pending = {
+        line: i + 1,
+        ...splitArtistTitle(label),
+        durationMs: Number(seconds) > 0 ? Math.round(Number(seconds) * 1000) : null
+      };
+    } else if (line.startsWith('#EXTALB:') && pending) {
+      pending.album = line.slice('#EXTALB:'.length).trim();
+    } else if (!line.startsWith('#')) {
+      // La ruta del fichero: si no hubo #EXTINF se usa el nombre del fichero como título
+      const fields = pending || {
+        line: i + 1,
+        ...splitArtistTitle(fileNameToLabel(line))
+      };
+      rows.push(createRow(fields.line, { ...fields, uri: line }));
+      pending = null;
+    }
+  });
+
+  return rows.filter(row => row.title || row.spotifyId);
+}
+
+function parseLines(text) {
+  return text.split(/\r?\n/)
+    .map((line, i) => ({ line: i + 1, text: line.trim() }))
+    .filter(({ text: line }) => line && !line.startsWith('#'))
+    .map(({ line, text: content }) => {
+      const spotifyId = extractSpotifyId(content);
+      return createRow(line, spotifyId ? { uri: content } : splitArtistTitle(content));
+    });
+}
+
+/**
+ * parseImportText - Lee el contenido de un fichero o texto pegado
+ *
+ * @param {string} text - Contenido
+ * @param {string} fileName - Nombre del fichero (opcional, ayuda a detectar el formato)
+ * @returns {Object} - { format: 'csv' | 'm3u' | 'text', rows: Array<Object> }
+ * @throws {Error} - CSV sin columna de título
+ */
+export function parseImportText(text, fileName = '') {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const extension = fileName.split('.').pop().toLowerCase();
+
+  if (/^#EXTM3U/.test(content) || extension === 'm3u' || extension === 'm3u8') {
+    return { format: 'm3u', rows: parseM3u(content) };
+  }
+
+  const firstLine = content.split(/\r?\n/, 1)[0].toLowerCase();
+  const looksLikeCsv = extension === 'csv' || extension === 'tsv' ||
+    (/[,;\t]/.test(firstLine) && COLUMN_ALIASES.title.some(alias => firstLine.includes(alias)));
+  if (looksLikeCsv) {
+    return { format: 'csv', rows: parseCsv(content) };
+  }
+
+  return { format: 'text', rows: parseLines(content) };
+}
+
+// ---------------------------------------------------------------------------
+// Emparejamiento
+// ---------------------------------------------------------------------------
+
+/**
+ * Normaliza un texto para comparar: minúsculas, sin acentos ni puntuación
+ * y sin sufijos de versión ("(Remastered)", "- Radio Edit", "feat. X")
+ *
+ * Conserva letras y números de cualquier alfabeto (cirílico, japonés, coreano...):
+ * NFKD unifica variantes de compatibilidad (ancho completo, ligaduras) y separa los acentos
+ */
+function normalize(text, { stripVersion = false } = {}) {
+  let value = String(text || '').toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '');
+  if (stripVersion) {
+    value = value
+      .replace(/\s[-–—]\s.*(remaster|version|edit|mix|live|mono|stereo|remix).*$/, '')
+      .replace(/[([][^)\]]*(remaster|version|edit|mix|live|mono|stereo|feat|ft\.|with )[^)\]]*[)\]]/g, '')
+      .replace(/\s(feat|ft)\.?\s.*$/, '');
+  }
+  return value.replace(/&/g, ' and ').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similitud entre 0 y 1: la mejor entre distancia de edición y tokens en común
+ */
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const editScore = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+  const tokensA = new Set(a.split(' '));
+  const tokensB = new Set(b.split(' '));
+  const common = [...tokensA].filter(token => tokensB.has(token)).length;
+  const tokenScore = (2 * common) / (tokensA.size + tokensB.size);
+
+  return Math.max(editScore, tokenScore);
+}
+
+/**
+ * scoreMatch - Confianza (0-1) de que un track de Spotify sea la fila importada
+ *
+ * @param {Object} row - Fila de parseImportText
+ * @param {Object} track - Track de Spotify
+ * @returns {number}
+ */
+export function scoreMatch(row, track) {
+  if (!track) return 0;
+  if (row.spotifyId && row.spotifyId === track.id) return 1;
+  if (row.isrc && row.isrc === track.external_ids?.isrc) return 1;
+
+  const titleScore = similarity(
+    normalize(row.title, { stripVersion: true }),
+    normalize(track.name, { stripVersion: true })
+  );
+
+  // La fila suele traer solo el artista principal: vale con que coincida uno
+  const rowArtist = normalize(row.artist);
+  const artistScore = rowArtist
+    ? Math.max(0, ...(track.artists || []).map(artist => similarity(rowArtist, normalize(artist.name))))
+    : null;
+
+  const durationScore = row.durationMs && track.duration_ms
+    ? Math.max(0, 1 - Math.abs(row.durationMs - track.duration_ms) / 30000)
+    : null;
+
+  const parts = [[titleScore, 0.55], [artistScore, 0.35], [durationScore, 0.1]]
+    .filter(([score]) => score !== null);
+  const totalWeight = parts.reduce((total, [, weight]) => total + weight, 0);
+  const score = parts.reduce((total, [value, weight]) => total + value * weight, 0) / totalWeight;
+
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * buildSearchQueries - Búsquedas a probar, de la más precisa a la más amplia
+ *
+ * @param {Object} row - Fila de parseImportText
+ * @returns {Array<string>}
+ */
+export function buildSearchQueries(row) {
+  const queries = [];
+  if (row.isrc) queries.push(`isrc:${row.isrc}`);
+
+  const title = normalize(row.title, { stripVersion: true });
+  const artist = normalize(row.artist);
+  if (title && artist) queries.push(`track:${title} artist:${artist}`);
+  if (title) queries.push(artist ? `${artist} ${title}` : title);
+
+  return queries;
+}
+
+/**
+ * rankCandidates - Ordena los resultados de búsqueda por confianza (sin duplicados)
+ *
+ * @param {Object} row - Fila de parseImportText
+ * @param {Array<Object>} tracks - Resultados de searchTracks
+ * @returns {Array<{ track: Object, confidence: number }>}
+ */
+export function rankCandidates(row, tracks) {
+  const seen = new Set();
+  return tracks
+    .filter(track => track?.id && !seen.has(track.id) && seen.add(track.id))
+    .map(track => ({ track, confidence: scoreMatch(row, track) }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
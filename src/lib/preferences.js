@@ -0,0 +1,94 @@
+/**
+ * MÓDULO: ESQUEMA DE PREFERENCIAS DEL GENERADOR
+ * ==============================================
+ * Define la forma única de las preferencias que producen los widgets del generador
+ * y que consumen todas las etapas del pipeline de generación.
+ *
+ * ESQUEMA:
+ * {
+ *   artists: Array<{id, name, ...}>   - Artistas seleccionados (ArtistWidget)
+ *   tracks: Array<{id, name, artists}> - Canciones semilla (TrackWidget)
+ *   genres: Array<string>             - Géneros (GenreWidget)
+ *   decades: Array<string>            - Décadas de inicio, ej: '1980' (DecadeWidget)
+ *   mood: { energy?, valence?, danceability? } - 0-100; vacío = sin preferencia (MoodWidget)
+ *   popularity: { range, min, max }   - 0-100 (PopularityWidget)
+ * }
+ *
+ * COMPATIBILIDAD:
+ * - popularity en formato antiguo [min, max] se convierte a { range: 'custom', min, max }
+ * - Campos ausentes o null se sustituyen por los valores por defecto
+ *
+ * UTILIZADO EN:
+ * - src/lib/spotify.js (pipeline de generación)
+ * - src/lib/recommendationEngine.js (etapas de fuente y puntuación)
+ * - src/lib/playlistHistory.js (preferencias guardadas con cada generación)
+ * - src/lib/mixPresets.js (preferencias de los mixes guardados)
+ * - src/app/dashboard/generate-playlist/page.jsx (estado inicial)
+ */
+
+export const DEFAULT_PREFERENCES = {
+  artists: [],
+  tracks: [],
+  genres: [],
+  decades: [],
+  mood: {},
+  popularity: { range: 'all', min: 0, max: 100 }
+};
+
+const MOOD_KEYS = ['energy', 'valence', 'danceability'];
+
+/**
+ * Limita un número al rango 0-100
+ */
+function clampPercent(value, fallback) {
+  const number = Number(value);
+  if (Number.isNaN(number)) return fallback;
+  return Math.min(100, Math.max(0, number));
+}
+
+/**
+ * Normaliza la popularidad a { range, min, max }
+ *
+ * @param {Object|Array} popularity - { range, min, max } o el formato antiguo [min, max]
+ * @returns {Object} - { range: string, min: number, max: number }
+ */
+export function normalizePopularity(popularity) {
+  if (Array.isArray(popularity)) {
+    return {
+      range: 'custom',
+      min: clampPercent(popularity[0], 0),
+      max: clampPercent(popularity[1], 100)
+    };
+  }
+  return {
+    range: popularity?.range || 'all',
+    min: clampPercent(popularity?.min ?? 0, 0),
+    max: clampPercent(popularity?.max ?? 100, 100)
+  };
+}
+
+/**
+ * normalizePreferences - Devuelve unas preferencias completas y con el esquema único
+ *
+ * @param {Object|null} preferences - Preferencias parciales o en formato antiguo (null o
+ *   undefined equivalen a {})
+ * @returns {Object} - Preferencias con todos los campos del esquema
+ */
+export function normalizePreferences(input) {
+  const preferences = input || {};
+  const mood = {};
+  MOOD_KEYS.forEach(key => {
+    if (preferences.mood?.[key] !== undefined && preferences.mood?.[key] !== null) {
+      mood[key] = clampPercent(preferences.mood[key], 50);
+    }
+  });
+
+  return {
+    artists: Array.isArray(preferences.artists) ? preferences.artists : [],
+    tracks: Array.isArray(preferences.tracks) ? preferences.tracks : [],
+    genres: Array.isArray(preferences.genres) ? preferences.genres : [],
+    decades: Array.isArray(preferences.decades) ? preferences.decades.map(String) : [],
+    mood,
+    popularity: normalizePopularity(preferences.popularity)
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * MÓDULO: LIMITADOR DE PETICIONES (SERVIDOR)
+ * ===========================================
+ * Limita cuántas peticiones puede hacer un mismo cliente a las rutas públicas de la API
+ * (las que no requieren sesión de Spotify y escriben en disco o llaman a Spotify).
+ *
+ * ARQUITECTURA:
+ * - Ventana fija por clave (ej: 'share:<ip>'): como máximo `limit` peticiones cada `windowMs`
+ * - Los contadores viven en memoria del proceso y las ventanas caducadas se purgan solas
+ *
+ * IDENTIFICACIÓN DEL CLIENTE (getClientKey):
+ * - Solo se usan cabeceras que pone la plataforma o el proxy de confianza delante de la app:
+ *   x-real-ip, o la última entrada de x-forwarded-for (la que añadió el último salto). Las
+ *   primeras entradas las puede escribir el propio cliente y cambiarlas en cada petición
+ * - Sin esas cabeceras todos los clientes comparten una misma clave (límite global)
+ *
+ * LIMITACIONES:
+ * - En despliegues con varias instancias (o serverless) cada instancia cuenta por separado;
+ *   para un límite global hace falta un almacén compartido (Redis, KV...)
+ *
+ * UTILIZADO EN:
+ * - src/app/api/share/route.js (crear enlaces compartidos)
+ * - src/app/api/shared-tracks/route.js (metadatos de canciones sin sesión)
+ *
+ * Solo debe importarse desde código de servidor.
+ */
+
+// Número máximo de claves en memoria antes de purgar las ventanas caducadas
+const MAX_TRACKED_KEYS = 10000;
+// Clave compartida cuando no se conoce la IP del cliente
+const UNKNOWN_CLIENT_KEY = 'unknown';
+
+const windows = new Map();
+
+/**
+ * Elimina las ventanas que ya han caducado
+ */
+function prune(now) {
+  for (const [key, entry] of windows) {
+    if (entry.resetAt <= now) windows.delete(key);
+  }
+}
+
+/**
+ * getClientKey - Identificador del cliente para el límite (ver IDENTIFICACIÓN DEL CLIENTE)
+ *
+ * @param {Request} request - Petición entrante
+ * @returns {string} - IP del cliente según el proxy de confianza, o 'unknown' (clave compartida)
+ */
+export function getClientKey(request) {
+  const realIp = request.headers.get('x-real-ip')?.trim();
+  if (realIp) return realIp;
+
+  const forwarded = request.headers.get('x-forwarded-for');
+  const lastHop = forwarded?.split(',').pop().trim();
+  return lastHop || UNKNOWN_CLIENT_KEY;
+}
+
+/**
+ * checkRateLimit - Cuenta una petición y dice si está permitida
+ *
+ * @param {string} key - Clave del cliente (ej: `share:${ip}`)
+ * @param {Object} options
+ * @param {number} options.limit - Peticiones permitidas por ventana
+ * @param {number} options.windowMs - Duración de la ventana en ms
+ * @returns {Object} - { allowed: boolean, retryAfter: number (segundos hasta la siguiente ventana) }
+ */
+export function checkRateLimit(key, { limit, windowMs }) {
+  const now = Date.now();
+  if (windows.size >= MAX_TRACKED_KEYS) prune(now);
+
+  let entry = windows.get(key);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + windowMs };
+    windows.set(key, entry);
+  }
+
+  entry.count++;
+  return {
+    allowed: entry.count <= limit,
+    retryAfter: Math.max(1, Math.ceil((entry.resetAt - now) / 1000))
+  };
+}
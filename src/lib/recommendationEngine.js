@@ -0,0 +1,370 @@
+/**
+ * MÓDULO: MOTOR DE RECOMENDACIONES LOCAL
+ * =======================================
+ * Sustituye al endpoint /recommendations de Spotify (no disponible para apps nuevas).
+ * Proporciona las etapas de fuente y puntuación que usa el pipeline de generación
+ * (src/lib/spotify.js), construidas sobre endpoints que siguen funcionando.
+ *
+ * FUNCIONALIDAD:
+ * 1. fetchCandidateSources: Recolecta candidatas de las fuentes pedidas:
+ *    - 'artists': Top tracks de los artistas seleccionados (/artists/{id}/top-tracks)
+ *    - 'seedTracks': Top tracks de los artistas de las canciones seleccionadas
+ *    - 'genres': Búsqueda por género y rango de años (/search?q=genre:"x" year:1980-1999)
+ *    - 'decades': Búsqueda por década si no hay géneros (/search?q=year:1980-1989)
+ *    - 'personal': Top tracks y canciones guardadas del usuario (/me/top/tracks, /me/tracks)
+ * 2. dedupeCandidates: Une duplicados (por ID y por "nombre|artista") conservando sus fuentes
+ * 3. getArtistGenres: Obtiene los géneros de los artistas de las candidatas (/artists?ids=)
+ * 4. scoreCandidate: Puntúa una candidata contra todos los widgets y explica la puntuación
+ *
+ * MOOD SIN AUDIO FEATURES:
+ * /audio-features tampoco está disponible, así que energía, valencia y bailabilidad
+ * se estiman a partir de los géneros del artista (MOOD_PROFILES).
+ *
+ * NOTA: Las funciones esperan preferencias normalizadas (normalizePreferences).
+ *
+ * REFERENCIAS:
+ * - Importa spotifyRequest desde @/lib/spotifyClient (src/lib/spotifyClient.js)
+ *
+ * UTILIZADO EN:
+ * - src/lib/spotify.js (etapas del pipeline de generación)
+ */
+
+import { spotifyRequest } from '@/lib/spotifyClient';
+
+// Peso de cada criterio en la puntuación final
+const WEIGHTS = {
+  artist: 4,
+  seedTrack: 2.5,
+  genre: 2,
+  decade: 2,
+  decadeMiss: -3,
+  popularity: 1,
+  popularityMiss: -2,
+  mood: 2,
+  personal: 0.5
+};
+
+/**
+ * Perfiles de mood aproximados por palabra clave de género (valores 0-100)
+ * Se promedian todos los perfiles cuyas palabras clave aparecen en los géneros del artista.
+ */
+const MOOD_PROFILES = [
+  { keywords: ['metal', 'hardcore', 'punk', 'grindcore'], energy: 90, valence: 35, danceability: 35 },
+  { keywords: ['rock', 'grunge', 'garage'], energy: 75, valence: 50, danceability: 45 },
+  { keywords: ['edm', 'house', 'techno', 'trance', 'electro', 'dubstep', 'drum-and-bass', 'hardstyle'], energy: 85, valence: 60, danceability: 85 },
+  { keywords: ['dance', 'disco', 'club', 'party', 'funk'], energy: 75, valence: 75, danceability: 85 },
+  { keywords: ['hip hop', 'hip-hop', 'rap', 'trap'], energy: 65, valence: 50, danceability: 80 },
+  { keywords: ['reggaeton', 'latin', 'salsa', 'samba', 'dancehall', 'afrobeat'], energy: 75, valence: 80, danceability: 85 },
+  { keywords: ['pop'], energy: 65, valence: 65, danceability: 70 },
+  { keywords: ['r&b', 'r-n-b', 'soul'], energy: 50, valence: 55, danceability: 65 },
+  { keywords: ['jazz', 'blues', 'bossanova'], energy: 40, valence: 55, danceability: 50 },
+  { keywords: ['folk', 'acoustic', 'singer-songwriter', 'country'], energy: 40, valence: 55, danceability: 45 },
+  { keywords: ['classical', 'piano', 'opera', 'ambient', 'new-age', 'sleep', 'study'], energy: 20, valence: 40, danceability: 20 },
+  { keywords: ['chill', 'lo-fi', 'lofi', 'trip-hop'], energy: 35, valence: 55, danceability: 55 },
+  { keywords: ['sad', 'emo', 'goth'], energy: 40, valence: 20, danceability: 35 },
+  { keywords: ['happy', 'summer', 'kids', 'children', 'disney'], energy: 70, valence: 90, danceability: 70 }
+];
+
+const MOOD_KEYS = ['energy', 'valence', 'danceability'];
+
+/**
+ * Año de lanzamiento de un track (o null si no se conoce)
+ */
+export function getReleaseYear(track) {
+  const year = parseInt(track?.album?.release_date?.slice(0, 4), 10);
+  return Number.isNaN(year) ? null : year;
+}
+
+/**
+ * Indica si un track se publicó en alguna de las décadas seleccionadas
+ *
+ * @param {Object} track - Track de Spotify
+ * @param {Array<string>} decades - Décadas de inicio (ej: ['1980', '1990'])
+ * @returns {string|null} - Década que coincide o null
+ */
+export function matchDecade(track, decades) {
+  const year = getReleaseYear(track);
+  if (year === null) return null;
+  return decades.find(d => year >= parseInt(d, 10) && year < parseInt(d, 10) + 10) || null;
+}
+
+/**
+ * Rango de años "1980-1999" que cubre todas las décadas seleccionadas
+ */
+function getYearRange(decades) {
+  const years = decades.map(d => parseInt(d, 10)).filter(y => !Number.isNaN(y));
+  if (years.length === 0) return null;
+  return `${Math.min(...years)}-${Math.max(...years) + 9}`;
+}
+
+/**
+ * Estima el perfil de mood de un track a partir de los géneros de su artista
+ *
+ * @returns {Object|null} - { energy, valence, danceability } o null si no hay géneros conocidos
+ */
+function estimateMood(genres) {
+  const matches = MOOD_PROFILES.filter(profile =>
+    profile.keywords.some(keyword => genres.some(genre => genre.includes(keyword)))
+  );
+  if (matches.length === 0) return null;
+
+  const estimate = {};
+  MOOD_KEYS.forEach(key => {
+    estimate[key] = matches.reduce((acc, profile) => acc + profile[key], 0) / matches.length;
+  });
+  return estimate;
+}
+
+/**
+ * Describe un mood objetivo con una palabra para las explicaciones
+ */
+function describeMood(mood) {
+  if ((mood.energy ?? 50) >= 70) return 'energetic';
+  if ((mood.valence ?? 50) <= 35) return 'melancholic';
+  if ((mood.energy ?? 50) <= 40) return 'chill';
+  if ((mood.valence ?? 50) >= 65) return 'happy';
+  return 'balanced';
+}
+
+/**
+ * Pide una fuente de candidatas sin romper el proceso si falla
+ */
+async function safeRequest(endpoint, query, pick) {
+  try {
+    const data = await spotifyRequest(endpoint, { query });
+    return pick(data) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Fuentes de candidatas disponibles
+export const CANDIDATE_SOURCES = ['artists', 'seedTracks', 'genres', 'decades', 'personal'];
+
+/**
+ * fetchCandidateSources - Etapa "source": pide las candidatas a Spotify
+ *
+ * Cada fuente que falla se ignora (devuelve lista vacía) para no romper la generación.
+ *
+ * @param {Object} preferences - Preferencias normalizadas
+ * @param {Object} options
+ * @param {Array<string>} options.sources - Fuentes a consultar (default: CANDIDATE_SOURCES)
+ * @returns {Promise<Array<Object>>} - Lotes { source: string, tracks: Array } en orden de prioridad
+ */
+export async function fetchCandidateSources(preferences, { sources = CANDIDATE_SOURCES } = {}) {
+  const { artists, tracks: seedTracks, genres, decades } = preferences;
+  const yearRange = getYearRange(decades);
+  const enabled = new Set(sources);
+
+  const requests = [];
+
+  // Fuente 'artists': top tracks de los artistas seleccionados
+  if (enabled.has('artists')) {
+    artists.forEach(artist => {
+      requests.push(
+        safeRequest(`/artists/${artist.id}/top-tracks`, { market: 'US' }, d => d?.tracks)
+          .then(tracks => ({ source: `artist:${artist.id}`, tracks }))
+      );
+    });
+  }
+
+  // Fuente 'seedTracks': top tracks del artista principal de cada canción seleccionada
+  if (enabled.has('seedTracks')) {
+    const seedArtistIds = new Set(enabled.has('artists') ? artists.map(a => a.id) : []);
+    seedTracks.forEach(track => {
+      const artistId = track.artists?.[0]?.id;
+      if (!artistId || seedArtistIds.has(artistId)) return;
+      seedArtistIds.add(artistId);
+      requests.push(
+        safeRequest(`/artists/${artistId}/top-tracks`, { market: 'US' }, d => d?.tracks)
+          .then(tracks => ({ source: `seed:${track.id}`, tracks }))
+      );
+    });
+  }
+
+  // Fuente 'genres': búsqueda por género (limitada al rango de años de las décadas)
+  if (enabled.has('genres')) {
+    genres.forEach(genre => {
+      const q = yearRange ? `genre:"${genre}" year:${yearRange}` : `genre:"${genre}"`;
+      requests.push(
+        safeRequest('/search', { type: 'track', q, limit: 50 }, d => d?.tracks?.items)
+          .then(tracks => ({ source: `genre:${genre}`, tracks }))
+      );
+    });
+  }
+
+  // Fuente 'decades': búsqueda por década cuando no hay géneros que la acoten
+  if (enabled.has('decades') && (genres.length === 0 || !enabled.has('genres'))) {
+    decades.forEach(decade => {
+      const start = parseInt(decade, 10);
+      requests.push(
+        safeRequest('/search', { type: 'track', q: `year:${start}-${start + 9}`, limit: 50 }, d => d?.tracks?.items)
+          .then(tracks => ({ source: `decade:${decade}`, tracks }))
+      );
+    });
+  }
+
+  // Fuente 'personal': gustos del usuario (para personalizar y como respaldo)
+  if (enabled.has('personal')) {
+    requests.push(
+      safeRequest('/me/top/tracks', { limit: 50, time_range: 'medium_term' }, d => d?.items)
+        .then(tracks => ({ source: 'top', tracks }))
+    );
+    requests.push(
+      safeRequest('/me/tracks', { limit: 50 }, d => d?.items?.map(item => item.track))
+        .then(tracks => ({ source: 'saved', tracks }))
+    );
+  }
+
+  return Promise.all(requests);
+}
+
+/**
+ * dedupeCandidates - Etapa "dedupe": une las candidatas repetidas
+ *
+ * Cada canción se guarda una sola vez (por ID y por "nombre|artista", porque la misma
+ * canción puede venir en varias ediciones) junto con todas las fuentes que la aportaron.
+ *
+ * @param {Array<Object>} batches - Lotes { source, tracks } de fetchCandidateSources
+ * @returns {Array<Object>} - Candidatas { track, sources: Set<string> } en orden de aparición
+ */
+export function dedupeCandidates(batches) {
+  const candidates = new Map();
+  const byNameAndArtist = new Map();
+
+  batches.forEach(({ source, tracks }) => {
+    tracks.forEach(track => {
+      if (!track?.id) return;
+
+      const nameKey = `${track.name?.toLowerCase()}|${track.artists?.[0]?.id}`;
+      const existingId = candidates.has(track.id) ? track.id : byNameAndArtist.get(nameKey);
+
+      if (existingId) {
+        candidates.get(existingId).sources.add(source);
+      } else {
+        candidates.set(track.id, { track, sources: new Set([source]) });
+        byNameAndArtist.set(nameKey, track.id);
+      }
+    });
+  });
+
+  return [...candidates.values()];
+}
+
+/**
+ * Obtiene los géneros de los artistas principales de las candidatas
+ *
+ * @param {Array<Object>} tracks - Tracks candidatos
+ * @returns {Promise<Map<string, Array<string>>>} - Géneros por ID de artista
+ */
+export async function getArtistGenres(tracks) {
+  const artistIds = [...new Set(tracks.map(t => t.artists?.[0]?.id).filter(Boolean))].slice(0, 200);
+  const genresByArtist = new Map();
+
+  const chunks = [];
+  for (let i = 0; i < artistIds.length; i += 50) {
+    chunks.push(artistIds.slice(i, i + 50));
+  }
+
+  const results = await Promise.all(
+    chunks.map(chunk => safeRequest('/artists', { ids: chunk.join(',') }, d => d?.artists))
+  );
+
+  results.flat().forEach(artist => {
+    if (artist?.id) genresByArtist.set(artist.id, artist.genres || []);
+  });
+
+  return genresByArtist;
+}
+
+/**
+ * scoreCandidate - Etapa "rank": puntúa una candidata contra todas las preferencias
+ *
+ * @param {Object} candidate - { track, sources: Set<string> }
+ * @param {Object} preferences - Preferencias normalizadas
+ * @param {Array<string>} artistGenres - Géneros del artista principal
+ * @returns {Object} - { score: number, reasons: Array<string> }
+ */
+export function scoreCandidate({ track, sources }, preferences, artistGenres = []) {
+  let score = 0;
+  const reasons = [];
+
+  // Artistas seleccionados
+  const selectedArtist = (preferences.artists || []).find(artist =>
+    track.artists?.some(a => a.id === artist.id)
+  );
+  if (selectedArtist) {
+    score += WEIGHTS.artist;
+    reasons.push(`By ${selectedArtist.name}`);
+  }
+
+  // Canciones semilla (mismo artista)
+  const seedTrack = (preferences.tracks || []).find(seed =>
+    seed.id !== track.id && seed.artists?.some(sa => track.artists?.some(a => a.id === sa.id))
+  );
+  if (seedTrack) {
+    score += WEIGHTS.seedTrack;
+    reasons.push(`Same artist as "${seedTrack.name}"`);
+  }
+
+  // Géneros: por fuente de búsqueda o por los géneros del artista
+  const matchedGenre = (preferences.genres || []).find(genre =>
+    sources.has(`genre:${genre}`) ||
+    artistGenres.some(g => g.includes(genre.replace(/-/g, ' ')) || g.includes(genre))
+  );
+  if (matchedGenre) {
+    score += WEIGHTS.genre;
+    reasons.push(`Matches genre ${matchedGenre}`);
+  }
+
+  // Décadas
+  const decades = preferences.decades || [];
+  if (decades.length > 0) {
+    const decade = matchDecade(track, decades);
+    if (decade) {
+      score += WEIGHTS.decade;
+      reasons.push(`Released in the ${decade}s`);
+    } else {
+      score += WEIGHTS.decadeMiss;
+    }
+  }
+
+  // Popularidad
+  const { min, max } = preferences.popularity;
+  if (min > 0 || max < 100) {
+    const popularity = track.popularity ?? 0;
+    if (popularity >= min && popularity <= max) {
+      score += WEIGHTS.popularity;
+      reasons.push(`Popularity ${popularity} within ${min}-${max}`);
+    } else {
+      const distance = popularity < min ? min - popularity : popularity - max;
+      score += WEIGHTS.popularityMiss * Math.min(1, distance / 25);
+    }
+  }
+
+  // Mood (estimado por géneros del artista)
+  const mood = preferences.mood || {};
+  if (MOOD_KEYS.some(key => mood[key] !== undefined)) {
+    const estimate = estimateMood(artistGenres);
+    if (estimate) {
+      const keys = MOOD_KEYS.filter(key => mood[key] !== undefined);
+      const diff = keys.reduce((acc, key) => acc + Math.abs(mood[key] - estimate[key]), 0) / keys.length;
+      const fit = 1 - diff / 100;
+      score += WEIGHTS.mood * (fit * 2 - 1);
+      if (fit >= 0.75) {
+        reasons.push(`Fits a ${describeMood(mood)} mood`);
+      }
+    }
+  }
+
+  // Gustos del usuario
+  if (sources.has('top')) {
+    score += WEIGHTS.personal;
+    reasons.push('One of your top tracks');
+  } else if (sources.has('saved')) {
+    score += WEIGHTS.personal;
+    reasons.push('In your Liked Songs');
+  }
+
+  return { score, reasons };
+}
@@ -0,0 +1,175 @@
+/**
+ * MÓDULO: PLANIFICADOR DE PETICIONES CON CONTROL DE RATE LIMIT
+ * =============================================================
+ * Cola de peticiones a la Spotify Web API con límite de concurrencia y reintentos.
+ * Evita ráfagas (generador, getTracksByIds, búsquedas con debounce) que provocan 429.
+ *
+ * FUNCIONALIDAD:
+ * - Límite de concurrencia: como máximo MAX_CONCURRENT peticiones en vuelo
+ * - 429 Too Many Requests: pausa TODA la cola durante el Retry-After indicado por Spotify
+ * - Errores 5xx en peticiones idempotentes: reintento con backoff exponencial y jitter
+ * - Estado observable (subscribe/getSchedulerStatus) para que la UI muestre la espera
+ *
+ * ARQUITECTURA:
+ * - Estado a nivel de módulo: una única cola compartida por toda la app
+ * - Las tareas son funciones async que lanzan errores con status/retryAfter (SpotifyApiError)
+ * - El snapshot de estado solo cambia al notificar (compatible con useSyncExternalStore)
+ *
+ * UTILIZADO EN:
+ * - src/lib/spotifyClient.js (todas las peticiones pasan por scheduleRequest)
+ * - src/hooks/useRateLimitStatus.jsx (estado para la UI)
+ */
+
+// Número máximo de peticiones simultáneas a Spotify
+const MAX_CONCURRENT = 4;
+// Reintentos máximos por petición
+const MAX_RETRIES = 3;
+// Backoff exponencial: 500ms, 1s, 2s... con tope de 30s
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+
+const queue = [];
+const listeners = new Set();
+let activeCount = 0;
+let retryingCount = 0;
+let pausedUntil = 0;
+let resumeTimer = null;
+
+let status = {
+  active: 0,
+  queued: 0,
+  rateLimited: false,
+  rateLimitedUntil: null
+};
+
+/**
+ * Recalcula el snapshot de estado y avisa a los suscriptores
+ */
+function notify() {
+  const rateLimited = pausedUntil > Date.now();
+  status = {
+    active: activeCount,
+    queued: queue.length + retryingCount,
+    rateLimited,
+    rateLimitedUntil: rateLimited ? pausedUntil : null
+  };
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * Calcula la espera antes de reintentar
+ *
+ * - Si Spotify envía Retry-After, se respeta (en segundos)
+ * - Si no, backoff exponencial con "full jitter" para no sincronizar reintentos
+ *
+ * @param {Error} error - Error de la tarea (puede tener retryAfter)
+ * @param {number} attempt - Número de reintento (1, 2, 3...)
+ * @returns {number} - Milisegundos de espera
+ */
+function getRetryDelay(error, attempt) {
+  if (error.retryAfter) {
+    return error.retryAfter * 1000;
+  }
+  const exponential = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+/**
+ * Indica si un error merece reintento
+ */
+function isRetryable(error, job) {
+  if (error.status === 429) return true;
+  return job.retryServerErrors && error.status >= 500;
+}
+
+/**
+ * Arranca tantas tareas como permita el límite de concurrencia
+ * (o programa la reanudación si la cola está pausada por rate limit)
+ */
+function processQueue() {
+  const wait = pausedUntil - Date.now();
+  if (wait > 0) {
+    if (!resumeTimer) {
+      resumeTimer = setTimeout(() => {
+        resumeTimer = null;
+        processQueue();
+      }, wait);
+    }
+    notify();
+    return;
+  }
+
+  while (activeCount < MAX_CONCURRENT && queue.length > 0) {
+    runJob(queue.shift());
+  }
+  notify();
+}
+
+/**
+ * Ejecuta una tarea y gestiona su reintento si falla
+ */
+async function runJob(job) {
+  activeCount++;
+  try {
+    job.resolve(await job.task());
+  } catch (error) {
+    if (job.attempt < MAX_RETRIES && isRetryable(error, job)) {
+      job.attempt++;
+      const delay = getRetryDelay(error, job.attempt);
+
+      if (error.status === 429) {
+        // Rate limit: pausar toda la cola y poner la tarea la primera
+        pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+        queue.unshift(job);
+      } else {
+        // Error de servidor: reintentar solo esta tarea tras el backoff
+        retryingCount++;
+        setTimeout(() => {
+          retryingCount--;
+          queue.unshift(job);
+          processQueue();
+        }, delay);
+      }
+    } else {
+      job.reject(error);
+    }
+  } finally {
+    activeCount--;
+    processQueue();
+  }
+}
+
+/**
+ * scheduleRequest - Encola una petición
+ *
+ * @param {Function} task - Función async que realiza la petición
+ * @param {Object} options
+ * @param {boolean} options.retryServerErrors - Reintentar ante 5xx (solo peticiones idempotentes)
+ * @returns {Promise<*>} - Resultado de la tarea
+ */
+export function scheduleRequest(task, { retryServerErrors = false } = {}) {
+  return new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject, attempt: 0, retryServerErrors });
+    processQueue();
+  });
+}
+
+/**
+ * getSchedulerStatus - Snapshot inmutable del estado de la cola
+ *
+ * @returns {Object} - { active, queued, rateLimited, rateLimitedUntil }
+ */
+export function getSchedulerStatus() {
+  return status;
+}
+
+/**
+ * subscribe - Escucha cambios de estado de la cola
+ *
+ * @param {Function} listener - Callback sin argumentos
+ * @returns {Function} - Función para cancelar la suscripción
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,309 @@
+/**
+ * MÓDULO: CODIFICACIÓN COMPACTA DE PLAYLISTS COMPARTIDAS
+ * =======================================================
+ * Convierte una playlist (nombre + IDs de canciones) en un código corto para la URL
+ * de /shared-playlist. Sustituye a la lista de IDs separados por comas, que con
+ * playlists largas generaba URLs que se rompían en navegadores y aplicaciones de chat.
+ *
+ * FORMATO (bytes, transportado en base64url):
+ * [versión: 1 byte][flags: 1 byte][cuerpo][CRC32 del cuerpo sin comprimir: 4 bytes]
+ * - flags bit 0: cuerpo comprimido con deflate-raw (solo si reduce el tamaño)
+ * - cuerpo: [longitud del nombre: varint][nombre UTF-8][nº de canciones: varint][IDs]
+ * - Cada ID de Spotify (22 caracteres base62) se empaqueta en 17 bytes (62^22 < 2^136)
+ *
+ * TAMAÑO:
+ * - Unos 23 caracteres por canción: igual que la lista con comas, pero con versión y checksum
+ * - Hasta MAX_INLINE_CODE_LENGTH (~60 canciones) el código va en la URL (?p=)
+ * - Por encima se guarda en el servidor (/api/share) y la URL solo lleva un ID corto (?s=)
+ *
+ * COMPATIBILIDAD:
+ * - Las URLs antiguas ?tracks=id1,id2&name=... se siguen leyendo en /shared-playlist
+ *
+ * ERRORES:
+ * - decodeShareCode lanza ShareCodeError ('malformed' | 'checksum' | 'unsupported')
+ * - El cuerpo descomprimido se limita a MAX_BODY_BYTES (10.000 canciones): la descompresión
+ *   se corta al superarlo, así un código manipulado no puede agotar la memoria del servidor
+ *
+ * UTILIZADO EN:
+ * - src/components/modals/SharePlaylistModal.jsx (generar el enlace)
+ * - src/app/shared-playlist/page.jsx (leer el enlace)
+ * - src/app/api/share/route.js (validar códigos antes de guardarlos)
+ * - src/app/api/shared-tracks/route.js (validar IDs)
+ */
+
+export const SHARE_CODE_VERSION = 1;
+
+// Códigos más largos se guardan en el servidor (/api/share) y se comparten por ID corto
+export const MAX_INLINE_CODE_LENGTH = 1500;
+
+const FLAG_COMPRESSED = 1;
+const ID_LENGTH = 22;
+const PACKED_ID_BYTES = 17;
+const MAX_NAME_CHARS = 200;
+// Canciones máximas de una playlist de Spotify
+const MAX_SHARE_TRACKS = 10000;
+// Tamaño máximo del cuerpo sin comprimir: nombre (≤ 3 bytes UTF-8 por carácter), varints e IDs.
+// Al descomprimir se corta en cuanto se supera (protección frente a "bombas" de deflate)
+const MAX_BODY_BYTES = MAX_NAME_CHARS * 3 + 2 * 5 + MAX_SHARE_TRACKS * PACKED_ID_BYTES;
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const SPOTIFY_ID_PATTERN = /^[0-9A-Za-z]{22}$/;
+
+/**
+ * ShareCodeError - Error al leer un código de playlist compartida
+ *
+ * PROPIEDADES:
+ * - code: 'malformed' | 'checksum' | 'unsupported'
+ */
+export class ShareCodeError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ShareCodeError';
+    this.code = code;
+  }
+}
+
+/**
+ * Indica si un string es un ID de Spotify que se puede empaquetar
+ */
+export function isPackableId(id) {
+  return SPOTIFY_ID_PATTERN.test(id || '');
+}
+
+// ---------------------------------------------------------------------------
+// Utilidades binarias
+// ---------------------------------------------------------------------------
+
+let crcTable = null;
+
+/**
+ * CRC32 (polinomio IEEE) de un Uint8Array
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function writeVarint(out, value) {
+  let remaining = value;
+  while (remaining >= 0x80) {
+    out.push((remaining & 0x7f) | 0x80);
+    remaining >>>= 7;
+  }
+  out.push(remaining);
+}
+
+function readVarint(bytes, state) {
+  let value = 0;
+  let shift = 0;
+  while (state.offset < bytes.length) {
+    const byte = bytes[state.offset++];
+    value |= (byte & 0x7f) << shift;
+    if ((byte & 0x80) === 0) return value >>> 0;
+    shift += 7;
+    if (shift > 28) break;
+  }
+  throw new ShareCodeError('This share link is broken or incomplete.', 'malformed');
+}
+
+/**
+ * Empaqueta un ID base62 de 22 caracteres en 17 bytes (big-endian)
+ */
+function packId(id, out) {
+  let value = 0n;
+  for (const char of id) {
+    value = value * 62n + BigInt(BASE62.indexOf(char));
+  }
+  const bytes = new Array(PACKED_ID_BYTES);
+  for (let i = PACKED_ID_BYTES - 1; i >= 0; i--) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  out.push(...bytes);
+}
+
+/**
+ * Recupera el ID base62 a partir de sus 17 bytes
+ */
+function unpackId(bytes, offset) {
+  let value = 0n;
+  for (let i = 0; i < PACKED_ID_BYTES; i++) {
+    value = (value << 8n) | BigInt(bytes[offset + i]);
+  }
+  let id = '';
+  for (let i = 0; i < ID_LENGTH; i++) {
+    id = BASE62[Number(value % 62n)] + id;
+    value /= 62n;
+  }
+  return id;
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  if (!/^[A-Za-z0-9_-]+$/.test(encoded || '')) {
+    throw new ShareCodeError('This share link is broken or incomplete.', 'malformed');
+  }
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Pasa bytes por un CompressionStream ('deflate-raw')
+ */
+async function compress(bytes) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw')));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Descomprime 'deflate-raw' leyendo por trozos y abortando si se superan maxBytes
+ * (un código pequeño no puede obligar al servidor a reservar memoria sin límite)
+ */
+async function decompress(bytes, maxBytes) {
+  const reader = new Blob([bytes]).stream()
+    .pipeThrough(new DecompressionStream('deflate-raw'))
+    .getReader();
+
+  const chunks = [];
+  let total = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.length;
+    if (total > maxBytes) {
+      await reader.cancel();
+      throw new ShareCodeError('This share link is broken or incomplete.', 'malformed');
+    }
+    chunks.push(value);
+  }
+
+  const body = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    body.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return body;
+}
+
+// ---------------------------------------------------------------------------
+// API pública
+// ---------------------------------------------------------------------------
+
+/**
+ * encodeShareCode - Genera el código compacto de una playlist
+ *
+ * @param {Object} share
+ * @param {string} share.name - Nombre de la playlist
+ * @param {Array<string>} share.trackIds - IDs de Spotify (los que no son válidos se omiten)
+ * @returns {Promise<string>} - Código base64url
+ */
+export async function encodeShareCode({ name = '', trackIds }) {
+  const ids = trackIds.filter(isPackableId).slice(0, MAX_SHARE_TRACKS);
+  const nameBytes = new TextEncoder().encode(name.slice(0, MAX_NAME_CHARS));
+
+  const body = [];
+  writeVarint(body, nameBytes.length);
+  body.push(...nameBytes);
+  writeVarint(body, ids.length);
+  ids.forEach(id => packId(id, body));
+
+  const rawBody = Uint8Array.from(body);
+  let payload = rawBody;
+  let flags = 0;
+
+  // Los IDs son casi aleatorios, pero el nombre y los IDs repetidos sí se comprimen
+  if (typeof CompressionStream !== 'undefined') {
+    const compressed = await compress(rawBody);
+    if (compressed.length < rawBody.length) {
+      payload = compressed;
+      flags |= FLAG_COMPRESSED;
+    }
+  }
+
+  const checksum = crc32(rawBody);
+  const bytes = new Uint8Array(2 + payload.length + 4);
+  bytes[0] = SHARE_CODE_VERSION;
+  bytes[1] = flags;
+  bytes.set(payload, 2);
+  new DataView(bytes.buffer).setUint32(2 + payload.length, checksum);
+
+  return toBase64Url(bytes);
+}
+
+/**
+ * decodeShareCode - Lee un código compacto
+ *
+ * @param {string} code - Código base64url
+ * @returns {Promise<Object>} - { name: string, trackIds: Array<string> }
+ * @throws {ShareCodeError}
+ */
+export async function decodeShareCode(code) {
+  const bytes = fromBase64Url(code);
+  if (bytes.length < 6) {
+    throw new ShareCodeError('This share link is broken or incomplete.', 'malformed');
+  }
+
+  if (bytes[0] !== SHARE_CODE_VERSION) {
+    throw new ShareCodeError('This share link was created by a different version of the app.', 'unsupported');
+  }
+
+  const flags = bytes[1];
+  const payload = bytes.subarray(2, bytes.length - 4);
+  const expectedChecksum = new DataView(bytes.buffer, bytes.byteOffset, bytes.length).getUint32(bytes.length - 4);
+
+  let body = payload;
+  if (flags & FLAG_COMPRESSED) {
+    try {
+      body = await decompress(payload, MAX_BODY_BYTES);
+    } catch (error) {
+      throw new ShareCodeError('This share link is broken or incomplete.', 'malformed');
+    }
+  }
+
+  if (body.length > MAX_BODY_BYTES) {
+    throw new ShareCodeError('This share link is broken or incomplete.', 'malformed');
+  }
+
+  if (crc32(body) !== expectedChecksum) {
+    throw new ShareCodeError('This share link is damaged (checksum mismatch). Ask for a new link.', 'checksum');
+  }
+
+  const state = { offset: 0 };
+  const nameLength = readVarint(body, state);
+  const name = new TextDecoder().decode(body.subarray(state.offset, state.offset + nameLength));
+  state.offset += nameLength;
+
+  const count = readVarint(body, state);
+  if (state.offset + count * PACKED_ID_BYTES !== body.length) {
+    throw new ShareCodeError('This share link is broken or incomplete.', 'malformed');
+  }
+
+  const trackIds = [];
+  for (let i = 0; i < count; i++) {
+    trackIds.push(unpackId(body, state.offset + i * PACKED_ID_BYTES));
+  }
+
+  return { name, trackIds };
+}
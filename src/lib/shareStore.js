@@ -0,0 +1,158 @@
+/**
+ * MÓDULO: ALMACÉN DE ENLACES COMPARTIDOS (SERVIDOR)
+ * ==================================================
+ * Guarda en disco los códigos de playlists compartidas demasiado largos para la URL
+ * y los identifica con un ID corto (ej: /shared-playlist?s=Ab3dE9xZ).
+ *
+ * ALMACENAMIENTO:
+ * - Un fichero JSON por enlace: <SHARE_STORE_DIR>/<id>.json → { code, createdAt }
+ * - Directorio por defecto: .data/shares en la raíz del proyecto (ignorado por git)
+ * - Se escribe en un fichero temporal y se renombra para no dejar ficheros a medias
+ *
+ * LÍMITES:
+ * - Caducidad: los enlaces se borran tras SHARE_TTL_DAYS días (default: 90)
+ * - Espacio: el directorio no pasa de SHARE_STORE_MAX_BYTES (default: 200 MB); al llenarse
+ *   saveShare lanza ShareStoreFullError hasta que caduquen enlaces antiguos
+ * - La limpieza y el cálculo del espacio usado se hacen como mucho cada PRUNE_INTERVAL_MS
+ *
+ * LIMITACIONES:
+ * - Necesita un disco persistente y compartido: en plataformas serverless el sistema de
+ *   ficheros es efímero (o de solo lectura) y cada instancia vería sus propios enlaces
+ *
+ * SEGURIDAD:
+ * - Los IDs se validan con SHARE_ID_PATTERN antes de tocar el disco (sin rutas relativas)
+ * - El tamaño máximo del código y el número de peticiones los limita la ruta de la API
+ *
+ * UTILIZADO EN:
+ * - src/app/api/share/route.js (crear)
+ * - src/app/api/share/[id]/route.js (leer)
+ *
+ * Solo debe importarse desde código de servidor (usa node:fs).
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { randomBytes } from 'node:crypto';
+
+const STORE_DIR = process.env.SHARE_STORE_DIR || path.join(process.cwd(), '.data', 'shares');
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const SHARE_ID_LENGTH = 8;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SHARE_TTL_MS = (Number(process.env.SHARE_TTL_DAYS) || 90) * DAY_MS;
+const MAX_STORE_BYTES = Number(process.env.SHARE_STORE_MAX_BYTES) || 200 * 1024 * 1024;
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+export const SHARE_ID_PATTERN = /^[0-9A-Za-z]{8}$/;
+
+// Espacio usado por el directorio (se recalcula en cada limpieza)
+let usage = null;
+
+/**
+ * ShareStoreFullError - El almacén de enlaces ha alcanzado SHARE_STORE_MAX_BYTES
+ */
+export class ShareStoreFullError extends Error {
+  constructor() {
+    super('The share store is full');
+    this.name = 'ShareStoreFullError';
+  }
+}
+
+/**
+ * ID corto aleatorio en base62
+ */
+function createShareId() {
+  const bytes = randomBytes(SHARE_ID_LENGTH);
+  return Array.from(bytes, byte => BASE62[byte % 62]).join('');
+}
+
+function sharePath(id) {
+  return path.join(STORE_DIR, `${id}.json`);
+}
+
+function isExpired(createdAt, now = Date.now()) {
+  return now - createdAt > SHARE_TTL_MS;
+}
+
+/**
+ * Borra los enlaces caducados (y temporales abandonados) y recalcula el espacio usado
+ * Los ficheros no se modifican tras crearse, así que mtime es la fecha de creación.
+ */
+async function pruneStore() {
+  const now = Date.now();
+  let bytes = 0;
+
+  for (const name of await fs.readdir(STORE_DIR)) {
+    const file = path.join(STORE_DIR, name);
+    try {
+      const stats = await fs.stat(file);
+      if (isExpired(stats.mtimeMs, now)) {
+        await fs.unlink(file);
+      } else {
+        bytes += stats.size;
+      }
+    } catch (error) {
+      // Borrado mientras tanto (otra petición u otro proceso)
+    }
+  }
+
+  usage = { bytes, checkedAt: now };
+}
+
+/**
+ * saveShare - Guarda un código y devuelve su ID corto
+ *
+ * @param {string} code - Código de src/lib/shareCodec.js (ya validado)
+ * @returns {Promise<string>} - ID del enlace
+ * @throws {ShareStoreFullError} - Si el almacén ha alcanzado su tamaño máximo
+ */
+export async function saveShare(code) {
+  await fs.mkdir(STORE_DIR, { recursive: true });
+
+  if (!usage || Date.now() - usage.checkedAt > PRUNE_INTERVAL_MS) {
+    await pruneStore();
+  }
+
+  const content = JSON.stringify({ code, createdAt: new Date().toISOString() });
+  const size = Buffer.byteLength(content);
+  if (usage.bytes + size > MAX_STORE_BYTES) {
+    throw new ShareStoreFullError();
+  }
+
+  // Reintentar en el caso (muy improbable) de colisión de IDs
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const id = createShareId();
+    const target = sharePath(id);
+    try {
+      await fs.access(target);
+      continue;
+    } catch (error) {
+      // No existe: el ID está libre
+    }
+
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, content);
+    await fs.rename(temp, target);
+    usage.bytes += size;
+    return id;
+  }
+
+  throw new Error('Could not allocate a share ID');
+}
+
+/**
+ * getShare - Lee un enlace guardado
+ *
+ * @param {string} id - ID corto
+ * @returns {Promise<Object|null>} - { code, createdAt } o null si no existe, ha caducado o el ID no es válido
+ */
+export async function getShare(id) {
+  if (!SHARE_ID_PATTERN.test(id || '')) return null;
+  try {
+    const share = JSON.parse(await fs.readFile(sharePath(id), 'utf8'));
+    // Caducado pero aún no borrado por pruneStore
+    if (isExpired(Date.parse(share.createdAt))) return null;
+    return share;
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * MÓDULO: PLAYLISTS COMPARTIDAS IMPORTADAS
+ * =========================================
+ * Recuerda (en localStorage) qué playlists compartidas ya se han guardado en la cuenta
+ * del usuario, para que al volver a abrir el mismo enlace se ofrezca actualizar la
+ * playlist existente en lugar de crear un duplicado.
+ *
+ * CLAVE DE UNA PLAYLIST COMPARTIDA:
+ * - getShareKey(): se calcula a partir del enlace de origen, no de su contenido: 's:<id corto>'
+ *   tal cual (ya es corto) y, para 'p:<código>' y el formato antiguo 't:<nombre>\n<IDs>', un
+ *   hash de 64 bits (dos FNV-1a de 32 con distinta semilla). Así la clave ocupa unos pocos
+ *   caracteres aunque el enlace tenga cientos de KB, y con 64 bits las colisiones entre las
+ *   pocas importaciones de un usuario no son un riesgo real
+ *
+ * IMPORTACIONES SIN CONEXIÓN:
+ * - Si la playlist se creó en la cola (src/lib/mutationOutbox.js) se recuerda con su id
+ *   provisional ('local:...') y queued: true; getSharedImport la pasa al id real en cuanto
+ *   la cola la ha creado en Spotify
+ *
+ * ESTRUCTURA GUARDADA:
+ * { [shareKey]: { playlistId, name, url, trackCount, queued, importedAt } }
+ *
+ * REFERENCIAS:
+ * - Importa isLocalId y resolveLocalId desde @/lib/mutationOutbox (src/lib/mutationOutbox.js)
+ *
+ * UTILIZADO EN:
+ * - src/app/shared-playlist/page.jsx
+ */
+
+import { isLocalId, resolveLocalId } from '@/lib/mutationOutbox';
+
+const IMPORTS_STORAGE_KEY = 'shared_playlist_imports';
+
+function readImports() {
+  try {
+    return JSON.parse(localStorage.getItem(IMPORTS_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function writeImports(imports) {
+  localStorage.setItem(IMPORTS_STORAGE_KEY, JSON.stringify(imports));
+}
+
+/**
+ * FNV-1a de 32 bits en hexadecimal (8 caracteres)
+ */
+function fnv1a(text, seed) {
+  let hash = seed;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function hashLink(text) {
+  return fnv1a(text, 0x811c9dc5) + fnv1a(text, 0x050c5d1f);
+}
+
+/**
+ * getShareKey - Identificador estable de un enlace compartido
+ *
+ * @param {Object} source - Origen del enlace (uno de los tres formatos)
+ * @param {string} source.shortId - ID corto (?s=)
+ * @param {string} source.code - Código compacto (?p=)
+ * @param {string} source.name - Nombre (formato antiguo ?tracks=&name=)
+ * @param {Array<string>} source.trackIds - IDs (formato antiguo)
+ * @returns {string} - 's:<id corto>', 'p:<hash>' o 't:<hash>' (hash de 16 caracteres hexadecimales)
+ */
+export function getShareKey({ shortId, code, name, trackIds }) {
+  if (shortId) return `s:${shortId}`;
+  if (code) return `p:${hashLink(code)}`;
+  return `t:${hashLink(`${name}\n${trackIds.join(',')}`)}`;
+}
+
+/**
+ * getSharedImport - Importación previa de una playlist compartida
+ *
+ * @param {string} shareKey - Clave de getShareKey
+ * @returns {Object|null} - { playlistId, name, url, trackCount, queued, importedAt } o null
+ */
+export function getSharedImport(shareKey) {
+  const imports = readImports();
+  const saved = imports[shareKey];
+  if (!saved) return null;
+
+  // Importada sin conexión: si la cola ya creó la playlist, guardar su id real
+  if (isLocalId(saved.playlistId)) {
+    const playlistId = resolveLocalId(saved.playlistId);
+    if (playlistId) {
+      imports[shareKey] = {
+        ...saved,
+        playlistId,
+        url: `https://open.spotify.com/playlist/${playlistId}`,
+        queued: false
+      };
+      try {
+        writeImports(imports);
+      } catch (error) {
+        // Sin espacio: se vuelve a traducir la próxima vez
+      }
+    }
+  }
+  return imports[shareKey];
+}
+
+/**
+ * rememberSharedImport - Guarda la playlist de Spotify creada o actualizada al importar
+ *
+ * @param {string} shareKey - Clave de getShareKey
+ * @param {Object} playlist - Resultado de useSavePlaylist { id, name, url, trackCount, queued }
+ *   (id provisional y url null si se creó sin conexión)
+ * @returns {Object} - Importación guardada
+ */
+export function rememberSharedImport(shareKey, playlist) {
+  const imports = readImports();
+  imports[shareKey] = {
+    playlistId: playlist.id,
+    name: playlist.name,
+    url: playlist.url,
+    trackCount: playlist.trackCount,
+    queued: !!playlist.queued,
+    importedAt: new Date().toISOString()
+  };
+  try {
+    writeImports(imports);
+  } catch (error) {
+    // Sin espacio: la playlist ya está guardada en Spotify, solo no se recordará el enlace
+  }
+  return imports[shareKey];
+}
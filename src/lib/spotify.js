@@ -1,127 +1,239 @@
 /**
  * MÓDULO: GENERADOR DE PLAYLISTS DE SPOTIFY
  * ==========================================
- * Este módulo contiene funciones para generar playlists personalizadas basadas en
- * las preferencias del usuario utilizando la API de Spotify.
+ * Pipeline único de generación de playlists a partir de las preferencias del usuario.
+ * Todas las estrategias comparten el mismo esquema de preferencias (src/lib/preferences.js)
+ * y se componen de las mismas etapas intercambiables.
+ *
+ * ETAPAS DEL PIPELINE:
+ * 1. source: Pide candidatas a Spotify → lotes { source, tracks }
+ * 2. dedupe: Une duplicados → candidatas { track, sources }
+ * 3. filter: Descarta candidatas (excluidas, fuera de década/popularidad...)
+ * 4. rank: Ordena las candidatas y añade score y reasons
+ * 5. limit: Recorta a la longitud objetivo y devuelve tracks con track.recommendation
+ *
+ * ESTRATEGIAS (PLAYLIST_STRATEGIES):
+ * - smart: Todas las fuentes, puntuación contra todos los widgets (filtros "suaves")
+ * - strict: Solo artistas, canciones y géneros/décadas; década y popularidad son filtros obligatorios
+ * - discovery: Como smart, pero sin canciones que ya están en el top o en Liked Songs del usuario
  *
  * REFERENCIAS:
- * - Importa getAccessToken() desde @/lib/auth (src/lib/auth.js)
- * - Utilizado por: src/app/dashboard/generate-playlist/page.jsx
+ * - Importa normalizePreferences desde @/lib/preferences (src/lib/preferences.js)
+ * - Importa las etapas desde @/lib/recommendationEngine (src/lib/recommendationEngine.js)
  *
- * DEPENDENCIAS EXTERNAS:
- * - Spotify Web API (https://api.spotify.com/v1)
+ * UTILIZADO EN:
+ * - src/hooks/useSpotify.jsx (generatePlaylist)
+ * - src/app/dashboard/generate-playlist/page.jsx (selector de estrategia)
  */
 
+import { normalizePreferences } from '@/lib/preferences';
+import {
+  fetchCandidateSources,
+  dedupeCandidates,
+  getArtistGenres,
+  scoreCandidate,
+  matchDecade
+} from '@/lib/recommendationEngine';
+
+// Longitud de playlist por defecto y opciones ofrecidas en la UI
+export const DEFAULT_PLAYLIST_LENGTH = 30;
+export const PLAYLIST_LENGTH_OPTIONS = [15, 30, 50, 100];
+
+// Variación aleatoria para que "Refresh" no devuelva siempre el mismo orden
+const SCORE_JITTER = 0.75;
+
 /**
- * Genera una playlist personalizada basada en las preferencias del usuario
- *
- * DESCRIPCIÓN DETALLADA:
- * Esta función toma las preferencias musicales del usuario (artistas, géneros, décadas y rango de popularidad)
- * y genera una playlist de hasta 30 canciones que coincidan con estos criterios. El proceso incluye:
- * 1. Obtener las mejores canciones de los artistas seleccionados
- * 2. Buscar canciones por los géneros especificados
- * 3. Filtrar por década si se especifica
- * 4. Filtrar por rango de popularidad si se especifica
- * 5. Eliminar duplicados y limitar a 30 canciones
- *
- * FLUJO DE EJECUCIÓN:
- * 1. Extrae preferencias del objeto (artists, genres, decades, popularity)
- * 2. Obtiene el token de acceso de Spotify usando getAccessToken()
- * 3. Por cada artista seleccionado: hace fetch a /artists/{id}/top-tracks para obtener sus mejores canciones
- * 4. Por cada género seleccionado: hace búsqueda de canciones con ese género (límite 20 por género)
- * 5. Si hay décadas seleccionadas: filtra las canciones por año de lanzamiento
- * 6. Si hay rango de popularidad: filtra las canciones que estén dentro del rango [min, max]
- * 7. Elimina duplicados usando Map con track.id como clave
- * 8. Limita el resultado final a 30 canciones
+ * Mezcla aleatoriamente un array (Fisher-Yates shuffle)
+ */
+function shuffleArray(array) {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * ETAPAS REUTILIZABLES
+ * Todas reciben el contexto { preferences, limit, excluded } además de su entrada.
+ */
+
+/**
+ * Etapa filter base: quita las canciones excluidas y las canciones semilla
+ */
+function excludeFilter(candidates, { excluded }) {
+  return candidates.filter(({ track }) => !excluded.has(track.id));
+}
+
+/**
+ * Etapa filter estricta: década y popularidad como requisitos obligatorios
+ */
+function strictFilter(candidates, context) {
+  const { decades, popularity } = context.preferences;
+
+  return excludeFilter(candidates, context).filter(({ track }) => {
+    if (decades.length > 0 && !matchDecade(track, decades)) return false;
+    const trackPopularity = track.popularity ?? 0;
+    return trackPopularity >= popularity.min && trackPopularity <= popularity.max;
+  });
+}
+
+/**
+ * Etapa filter de descubrimiento: quita lo que el usuario ya escucha
+ */
+function discoveryFilter(candidates, context) {
+  return excludeFilter(candidates, context).filter(
+    ({ sources }) => !sources.has('top') && !sources.has('saved')
+  );
+}
+
+/**
+ * Etapa rank por puntuación: score de scoreCandidate + un poco de azar
+ */
+async function scoreRank(candidates, { preferences }) {
+  const genresByArtist = await getArtistGenres(candidates.map(c => c.track));
+
+  return candidates
+    .map(candidate => {
+      const artistGenres = genresByArtist.get(candidate.track.artists?.[0]?.id) || [];
+      const { score, reasons } = scoreCandidate(candidate, preferences, artistGenres);
+      return { ...candidate, score, reasons, rank: score + Math.random() * SCORE_JITTER };
+    })
+    .sort((a, b) => b.rank - a.rank);
+}
+
+/**
+ * Etapa rank intercalada: alterna entre fuentes (artista, género...) en orden aleatorio
+ * para que ninguna fuente acapare la playlist. Mantiene las razones de scoreCandidate,
+ * con los géneros de cada artista igual que scoreRank.
+ */
+async function interleaveRank(candidates, { preferences }) {
+  const genresByArtist = await getArtistGenres(candidates.map(c => c.track));
+  const groups = new Map();
+  candidates.forEach(candidate => {
+    const source = [...candidate.sources][0];
+    if (!groups.has(source)) groups.set(source, []);
+    groups.get(source).push(candidate);
+  });
+
+  const queues = [...groups.values()].map(shuffleArray);
+  const ranked = [];
+  while (queues.some(queue => queue.length > 0)) {
+    queues.forEach(queue => {
+      const candidate = queue.shift();
+      if (!candidate) return;
+      const artistGenres = genresByArtist.get(candidate.track.artists?.[0]?.id) || [];
+      const { score, reasons } = scoreCandidate(candidate, preferences, artistGenres);
+      ranked.push({ ...candidate, score, reasons });
+    });
+  }
+  return ranked;
+}
+
+/**
+ * Etapa limit: recorta a la longitud objetivo y adjunta la explicación a cada track
+ */
+function limitTracks(ranked, { limit }) {
+  return ranked.slice(0, limit).map(({ track, score, reasons }) => ({
+    ...track,
+    recommendation: { score: Math.round(score * 100) / 100, reasons }
+  }));
+}
+
+/**
+ * Estrategias disponibles. Cada una define sus cinco etapas.
+ * Para añadir una estrategia basta con componer etapas nuevas o existentes.
+ */
+export const PLAYLIST_STRATEGIES = {
+  smart: {
+    id: 'smart',
+    name: 'Smart mix',
+    description: 'Scores tracks against every preference',
+    stages: {
+      source: ({ preferences }) => fetchCandidateSources(preferences),
+      dedupe: dedupeCandidates,
+      filter: excludeFilter,
+      rank: scoreRank,
+      limit: limitTracks
+    }
+  },
+  strict: {
+    id: 'strict',
+    name: 'Strict match',
+    description: 'Only tracks inside your decades and popularity range',
+    stages: {
+      source: ({ preferences }) =>
+        fetchCandidateSources(preferences, { sources: ['artists', 'seedTracks', 'genres', 'decades'] }),
+      dedupe: dedupeCandidates,
+      filter: strictFilter,
+      rank: interleaveRank,
+      limit: limitTracks
+    }
+  },
+  discovery: {
+    id: 'discovery',
+    name: 'Discovery',
+    description: 'Skips tracks you already listen to',
+    stages: {
+      source: ({ preferences }) => fetchCandidateSources(preferences),
+      dedupe: dedupeCandidates,
+      filter: discoveryFilter,
+      rank: scoreRank,
+      limit: limitTracks
+    }
+  }
+};
+
+export const DEFAULT_STRATEGY = 'smart';
+
+/**
+ * runPipeline - Ejecuta las cinco etapas en orden
  *
- * @param {Object} preferences - Objeto con las preferencias del usuario
- * @param {Array<Object>} preferences.artists - Array de objetos artista con propiedades {id, name, ...}
- * @param {Array<string>} preferences.genres - Array de strings con nombres de géneros (ej: ['pop', 'rock'])
- * @param {Array<string>} preferences.decades - Array de strings con décadas (ej: ['1980', '1990'])
- * @param {Array<number>} preferences.popularity - Array de 2 elementos [min, max] con rango de popularidad (0-100)
+ * @param {Object} stages - { source, dedupe, filter, rank, limit }
+ * @param {Object} context - { preferences (normalizadas), limit, excluded: Set<string> }
+ * @returns {Promise<Array<Object>>} - Tracks finales
+ */
+export async function runPipeline(stages, context) {
+  const batches = await stages.source(context);
+  const candidates = stages.dedupe(batches, context);
+  const filtered = stages.filter(candidates, context);
+  const ranked = await stages.rank(filtered, context);
+  return stages.limit(ranked, context);
+}
+
+/**
+ * Genera una playlist personalizada basada en las preferencias del usuario
  *
- * @returns {Promise<Array<Object>>} - Array de hasta 30 objetos track de Spotify con propiedades:
- *   - id: string - ID único de la canción
- *   - name: string - Nombre de la canción
- *   - artists: Array - Artistas de la canción
- *   - album: Object - Información del álbum (incluyendo release_date)
- *   - popularity: number - Puntuación de popularidad (0-100)
- *   - preview_url: string - URL de preview de 30 segundos
- *   - uri: string - URI de Spotify para reproducción
+ * @param {Object} preferences - Preferencias de los widgets (ver src/lib/preferences.js).
+ *   Se aceptan formatos antiguos, como popularity: [min, max].
+ * @param {Object} options
+ * @param {string} options.strategy - ID de PLAYLIST_STRATEGIES (default: 'smart')
+ * @param {number} options.limit - Número de canciones objetivo (default: 30)
+ * @param {Array<string>} options.excludeIds - IDs que no deben aparecer (ej: canciones ya en la playlist)
  *
- * ENDPOINTS DE SPOTIFY UTILIZADOS:
- * - GET /artists/{id}/top-tracks?market=US - Obtiene las mejores canciones de un artista
- * - GET /search?type=track&q=genre:{genre}&limit=20 - Busca canciones por género
+ * @returns {Promise<Array<Object>>} - Tracks de Spotify ordenados, cada uno con
+ *   track.recommendation = { score: number, reasons: Array<string> }
  *
  * EJEMPLO DE USO:
  * const tracks = await generatePlaylist({
  *   artists: [{id: '06HL4z0CvFAxyc27GXpf02', name: 'Taylor Swift'}],
  *   genres: ['pop', 'indie'],
  *   decades: ['2010', '2020'],
- *   popularity: [50, 100]
- * });
+ *   popularity: { min: 50, max: 100 }
+ * }, { strategy: 'strict', limit: 50 });
  */
-export async function generatePlaylist(preferences) {
-  const { artists, genres, decades, popularity } = preferences;
-  const token = getAccessToken();
-  let allTracks = [];
-
-  // PASO 1: Obtener top tracks de artistas seleccionados
-  // Para cada artista, obtiene sus 10 canciones más populares en el mercado de US
-  for (const artist of artists) {
-    const tracks = await fetch(
-      `https://api.spotify.com/v1/artists/${artist.id}/top-tracks?market=US`,
-      {
-        headers: { 'Authorization': `Bearer ${token}` }
-      }
-    );
-    const data = await tracks.json();
-    allTracks.push(...data.tracks);
-  }
-
-  // PASO 2: Buscar por géneros
-  // Para cada género, busca hasta 20 canciones que coincidan con ese género
-  for (const genre of genres) {
-    const results = await fetch(
-      `https://api.spotify.com/v1/search?type=track&q=genre:${genre}&limit=20`,
-      {
-        headers: { 'Authorization': `Bearer ${token}` }
-      }
-    );
-    const data = await results.json();
-    allTracks.push(...data.tracks.items);
-  }
-
-  // PASO 3: Filtrar por década
-  // Si se especificaron décadas, filtra las canciones cuyo año de lanzamiento
-  // esté dentro de alguna de las décadas seleccionadas (ej: 1980-1989, 1990-1999)
-  if (decades.length > 0) {
-    allTracks = allTracks.filter(track => {
-      const year = new Date(track.album.release_date).getFullYear();
-      return decades.some(decade => {
-        const decadeStart = parseInt(decade);
-        return year >= decadeStart && year < decadeStart + 10;
-      });
-    });
-  }
-
-  // PASO 4: Filtrar por popularidad
-  // Si se especificó un rango de popularidad [min, max], filtra las canciones
-  // que tengan una puntuación de popularidad dentro de ese rango (0-100)
-  if (popularity) {
-    const [min, max] = popularity;
-    allTracks = allTracks.filter(
-      track => track.popularity >= min && track.popularity <= max
-    );
-  }
+export async function generatePlaylist(preferences = {}, {
+  strategy = DEFAULT_STRATEGY,
+  limit = DEFAULT_PLAYLIST_LENGTH,
+  excludeIds = []
+} = {}) {
+  const normalized = normalizePreferences(preferences);
+  const { stages } = PLAYLIST_STRATEGIES[strategy] || PLAYLIST_STRATEGIES[DEFAULT_STRATEGY];
 
-  // PASO 5: Eliminar duplicados y limitar a 30 canciones
-  // Usa un Map con track.id como clave para eliminar duplicados automáticamente
-  // (si una canción aparece varias veces, solo se mantiene una copia)
-  // Finalmente, limita el resultado a las primeras 30 canciones
-  const uniqueTracks = Array.from(
-    new Map(allTracks.map(track => [track.id, track])).values()
-  ).slice(0, 30);
+  // Las canciones semilla no se recomiendan a sí mismas
+  const excluded = new Set(excludeIds);
+  normalized.tracks.forEach(track => excluded.add(track.id));
 
-  return uniqueTracks;
-}
\ No newline at end of file
+  return runPipeline(stages, { preferences: normalized, limit, excluded });
+}
@@ -0,0 +1,173 @@
+/**
+ * MÓDULO: CLIENTE DE SPOTIFY CON CREDENCIALES DE LA APLICACIÓN (SERVIDOR)
+ * ========================================================================
+ * Acceso a datos públicos de Spotify sin usuario (flujo client-credentials), para que
+ * las páginas públicas (/shared-playlist) funcionen a visitantes sin sesión.
+ *
+ * FUNCIONALIDAD:
+ * - getAppAccessToken: Token de la aplicación, reutilizado hasta poco antes de caducar
+ * - getTracksMetadata: Metadatos de canciones por ID, en bloques de 50 y con caché
+ *
+ * CACHÉ (en memoria del proceso):
+ * - Token: hasta TOKEN_EXPIRY_MARGIN_MS antes de su caducidad
+ * - Canciones: TRACK_CACHE_TTL_MS por canción, como máximo TRACK_CACHE_MAX_ENTRIES
+ *   (al superarlo se descartan las más antiguas; Map conserva el orden de inserción)
+ * - Las canciones que Spotify no encuentra también se cachean (como null)
+ * - La respuesta se construye con lo leído en cada llamada, no releyendo la caché
+ *   (una petición puede traer más canciones de las que caben en ella)
+ *
+ * LÍMITES DE SPOTIFY:
+ * - Un 429 de Spotify se propaga como SpotifyRateLimitError con retryAfter (segundos),
+ *   para que la ruta responda también 429 con Retry-After
+ *
+ * CONFIGURACIÓN:
+ * - SPOTIFY_CLIENT_ID / SPOTIFY_CLIENT_SECRET (las mismas que /api/spotify-token)
+ * - NEXT_PUBLIC_SPOTIFY_API_BASE_URL: base de la API (default: https://api.spotify.com/v1)
+ *
+ * UTILIZADO EN:
+ * - src/app/api/shared-tracks/route.js
+ *
+ * Solo debe importarse desde código de servidor (usa el client secret).
+ */
+
+const SPOTIFY_API_BASE_URL =
+  process.env.NEXT_PUBLIC_SPOTIFY_API_BASE_URL || 'https://api.spotify.com/v1';
+
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+const TRACK_CACHE_TTL_MS = 60 * 60 * 1000;
+const TRACK_CACHE_MAX_ENTRIES = 5000;
+const TRACKS_PER_REQUEST = 50;
+
+/**
+ * SpotifyRateLimitError - Spotify ha limitado las peticiones de la aplicación (429)
+ *
+ * PROPIEDADES:
+ * - retryAfter: Segundos a esperar (cabecera Retry-After de Spotify)
+ */
+export class SpotifyRateLimitError extends Error {
+  constructor(retryAfter) {
+    super('Spotify rate limit exceeded');
+    this.name = 'SpotifyRateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+let appToken = null;
+let pendingToken = null;
+const trackCache = new Map();
+
+/**
+ * getAppAccessToken - Token de aplicación (client-credentials)
+ *
+ * @returns {Promise<string>} - Access token
+ * @throws {Error} - Credenciales no configuradas o rechazadas
+ */
+export async function getAppAccessToken() {
+  if (appToken && Date.now() < appToken.expiresAt - TOKEN_EXPIRY_MARGIN_MS) {
+    return appToken.value;
+  }
+
+  // Peticiones simultáneas comparten la misma renovación
+  if (!pendingToken) {
+    pendingToken = (async () => {
+      const clientId = process.env.SPOTIFY_CLIENT_ID;
+      const clientSecret = process.env.SPOTIFY_CLIENT_SECRET;
+      if (!clientId || !clientSecret) {
+        throw new Error('Spotify client credentials are not configured');
+      }
+
+      const response = await fetch('https://accounts.spotify.com/api/token', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Authorization': 'Basic ' + Buffer.from(
+            `${clientId}:${clientSecret}`
+          ).toString('base64')
+        },
+        body: new URLSearchParams({ grant_type: 'client_credentials' })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error_description || 'Could not get an app token');
+      }
+
+      appToken = {
+        value: data.access_token,
+        expiresAt: Date.now() + data.expires_in * 1000
+      };
+      return appToken.value;
+    })().finally(() => {
+      pendingToken = null;
+    });
+  }
+
+  return pendingToken;
+}
+
+function readCachedTrack(id) {
+  const entry = trackCache.get(id);
+  if (!entry) return undefined;
+  if (Date.now() > entry.expiresAt) {
+    trackCache.delete(id);
+    return undefined;
+  }
+  return entry.track;
+}
+
+function cacheTrack(id, track) {
+  trackCache.delete(id);
+  trackCache.set(id, { track, expiresAt: Date.now() + TRACK_CACHE_TTL_MS });
+
+  while (trackCache.size > TRACK_CACHE_MAX_ENTRIES) {
+    trackCache.delete(trackCache.keys().next().value);
+  }
+}
+
+/**
+ * getTracksMetadata - Canciones por ID usando el token de la aplicación
+ *
+ * @param {Array<string>} ids - IDs de Spotify (se respeta el orden)
+ * @returns {Promise<Array<Object|null>>} - Una posición por ID; null si Spotify no la encuentra
+ * @throws {SpotifyRateLimitError} - Spotify ha respondido 429
+ * @throws {Error} - Fallo de autenticación o de la API
+ */
+export async function getTracksMetadata(ids) {
+  const found = new Map();
+  const missing = [];
+  for (const id of new Set(ids)) {
+    const cached = readCachedTrack(id);
+    if (cached === undefined) {
+      missing.push(id);
+    } else {
+      found.set(id, cached);
+    }
+  }
+
+  if (missing.length > 0) {
+    const token = await getAppAccessToken();
+
+    for (let i = 0; i < missing.length; i += TRACKS_PER_REQUEST) {
+      const chunk = missing.slice(i, i + TRACKS_PER_REQUEST);
+      const response = await fetch(`${SPOTIFY_API_BASE_URL}/tracks?ids=${chunk.join(',')}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      if (response.status === 429) {
+        throw new SpotifyRateLimitError(Number(response.headers.get('Retry-After')) || 1);
+      }
+      if (!response.ok) {
+        throw new Error(`Spotify API error ${response.status}`);
+      }
+
+      const data = await response.json();
+      chunk.forEach((id, index) => {
+        const track = data.tracks?.[index] || null;
+        found.set(id, track);
+        cacheTrack(id, track);
+      });
+    }
+  }
+
+  return ids.map(id => found.get(id) ?? null);
+}
@@ -0,0 +1,213 @@
+/**
+ * MÓDULO: CLIENTE DE LA SPOTIFY WEB API
+ * ======================================
+ * Cliente único (sin dependencias de React) para todas las llamadas a la Spotify Web API.
+ * Sustituye a los fetch manuales repartidos por hooks y páginas.
+ *
+ * FUNCIONALIDAD:
+ * - Construye la URL a partir de una base configurable (útil para apuntar a un mock local)
+ * - Añade autenticación mediante fetchWithAuth (refresco de token y reintento tras 401)
+ * - Serializa bodies de tipo objeto a JSON automáticamente
+ * - Parsea respuestas JSON, de texto y vacías (204 / body vacío)
+ * - Convierte las respuestas de error en SpotifyApiError con status, mensaje y retry-after
+ * - Pasa cada petición por la cola de requestScheduler (concurrencia limitada y reintentos 429)
+ *
+ * CONFIGURACIÓN:
+ * - NEXT_PUBLIC_SPOTIFY_API_BASE_URL: base de la API (default: https://api.spotify.com/v1)
+ *
+ * REFERENCIAS:
+ * - Importa fetchWithAuth desde @/lib/tokenManager (src/lib/tokenManager.js)
+ * - Importa scheduleRequest desde @/lib/requestScheduler (src/lib/requestScheduler.js)
+ *
+ * UTILIZADO EN:
+ * - src/hooks/useSpotify.jsx
+ * - src/hooks/useFavorites.jsx
+ * - src/lib/recommendationEngine.js
+ * - src/app/debug/page.jsx
+ *
+ * EJEMPLO DE USO:
+ * const playlists = await spotifyRequest('/me/playlists', { query: { limit: 50 } });
+ * await spotifyRequest('/me/tracks', { method: 'PUT', body: { ids: [trackId] } });
+ * for await (const page of paginate('/me/tracks', { query: { limit: 50 } })) { ... }
+ */
+
+import { fetchWithAuth } from '@/lib/tokenManager';
+import { scheduleRequest } from '@/lib/requestScheduler';
+
+export const SPOTIFY_API_BASE_URL =
+  process.env.NEXT_PUBLIC_SPOTIFY_API_BASE_URL || 'https://api.spotify.com/v1';
+
+/**
+ * SpotifyApiError - Error tipado devuelto por el cliente
+ *
+ * PROPIEDADES:
+ * - status: number - Código HTTP de la respuesta (0 si no hubo respuesta)
+ * - spotifyMessage: string|null - Mensaje original de Spotify (error.message del body)
+ * - retryAfter: number|null - Segundos indicados en la cabecera Retry-After (429)
+ * - endpoint: string - Endpoint que falló
+ */
+export class SpotifyApiError extends Error {
+  constructor(message, { status = 0, spotifyMessage = null, retryAfter = null, endpoint = '' } = {}) {
+    super(message);
+    this.name = 'SpotifyApiError';
+    this.status = status;
+    this.spotifyMessage = spotifyMessage;
+    this.retryAfter = retryAfter;
+    this.endpoint = endpoint;
+  }
+}
+
+/**
+ * Construye la URL completa de un endpoint
+ *
+ * @param {string} endpoint - Ruta relativa (ej: '/me/playlists') o URL absoluta (ej: un 'next' de paginación)
+ * @param {Object} query - Parámetros de query string (se ignoran los null/undefined)
+ * @returns {string} - URL completa
+ */
+export function buildSpotifyUrl(endpoint, query) {
+  const url = /^https?:\/\//.test(endpoint) ? endpoint : `${SPOTIFY_API_BASE_URL}${endpoint}`;
+  if (!query) return url;
+
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      params.append(key, Array.isArray(value) ? value.join(',') : value);
+    }
+  });
+
+  const queryString = params.toString();
+  if (!queryString) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}${queryString}`;
+}
+
+/**
+ * Lee el body de una respuesta según su tipo
+ *
+ * @param {Response} response - Respuesta de fetch
+ * @returns {Promise<Object|string|null>} - JSON parseado, texto, o null si está vacío
+ */
+async function parseBody(response) {
+  if (response.status === 204) return null;
+
+  const text = await response.text();
+  if (!text) return null;
+
+  const contentType = response.headers.get('content-type') || '';
+  if (contentType.includes('application/json')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+  return text;
+}
+
+/**
+ * Lee la cabecera Retry-After (en segundos) de una respuesta
+ *
+ * @param {Response} response - Respuesta de fetch
+ * @returns {number|null} - Segundos de espera o null si no hay cabecera
+ */
+function parseRetryAfter(response) {
+  const header = response.headers.get('retry-after');
+  if (!header) return null;
+  const seconds = parseInt(header, 10);
+  return Number.isNaN(seconds) ? null : seconds;
+}
+
+/**
+ * Mensaje legible para la UI según el código de estado
+ */
+function getErrorMessage(status, spotifyMessage) {
+  if (status === 401) return 'Token expired. Please login again.';
+  if (status === 403) return 'Permission denied. Please re-authenticate with required permissions.';
+  if (status === 429) return 'Rate limited by Spotify. Please try again later.';
+  return spotifyMessage || `API Error: ${status}`;
+}
+
+/**
+ * spotifyRequest - Realiza una petición autenticada a la Spotify Web API
+ *
+ * La petición se encola en requestScheduler: si Spotify responde 429 se espera el
+ * Retry-After y se reintenta; los GET también se reintentan ante errores 5xx.
+ *
+ * @param {string} endpoint - Endpoint relativo a la base (ej: '/me/tracks') o URL absoluta
+ * @param {Object} options
+ * @param {string} options.method - Método HTTP (default: 'GET')
+ * @param {Object} options.query - Parámetros de query string
+ * @param {Object|string} options.body - Body; los objetos se envían como JSON
+ * @param {Object} options.headers - Cabeceras adicionales
+ * @returns {Promise<Object|string|null>} - Body de la respuesta parseado
+ * @throws {SpotifyApiError} - Si la respuesta no es 2xx o falla la red
+ */
+export function spotifyRequest(endpoint, options = {}) {
+  return scheduleRequest(
+    () => executeRequest(endpoint, options),
+    { retryServerErrors: (options.method || 'GET') === 'GET' }
+  );
+}
+
+/**
+ * Ejecuta una única petición HTTP (sin cola ni reintentos)
+ */
+async function executeRequest(endpoint, { method = 'GET', query, body, headers = {} } = {}) {
+  const url = buildSpotifyUrl(endpoint, query);
+  const init = { method, headers: { ...headers } };
+
+  if (body !== undefined) {
+    if (typeof body === 'string') {
+      init.body = body;
+    } else {
+      init.body = JSON.stringify(body);
+      init.headers['Content-Type'] = 'application/json';
+    }
+  }
+
+  let response;
+  try {
+    response = await fetchWithAuth(url, init);
+  } catch (error) {
+    // Sin token o error de red: no hay respuesta HTTP
+    throw new SpotifyApiError(error.message, { endpoint });
+  }
+
+  const data = await parseBody(response);
+
+  if (!response.ok) {
+    const spotifyMessage =
+      (data && typeof data === 'object' && (data.error?.message || data.error_description)) || null;
+
+    throw new SpotifyApiError(getErrorMessage(response.status, spotifyMessage), {
+      status: response.status,
+      spotifyMessage,
+      retryAfter: parseRetryAfter(response),
+      endpoint
+    });
+  }
+
+  return data;
+}
+
+/**
+ * paginate - Iterador asíncrono sobre un endpoint paginado de Spotify
+ *
+ * Recorre las páginas siguiendo el enlace 'next' que devuelve Spotify
+ * (objetos de paginación { items, next, total, offset, limit }).
+ *
+ * @param {string} endpoint - Endpoint paginado (ej: '/me/tracks')
+ * @param {Object} options
+ * @param {Object} options.query - Parámetros de la primera página (ej: { limit: 50 })
+ * @yields {Object} - Cada objeto de paginación tal y como lo devuelve Spotify
+ * @throws {SpotifyApiError} - Si falla la petición de alguna página
+ */
+export async function* paginate(endpoint, { query } = {}) {
+  let next = buildSpotifyUrl(endpoint, query);
+
+  while (next) {
+    const page = await spotifyRequest(next);
+    if (!page) return;
+    yield page;
+    next = page.next;
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * MÓDULO: GESTOR DE TOKENS DE SPOTIFY
+ * ====================================
+ * Centraliza la obtención y renovación del access token de Spotify.
+ * Evita que el usuario sea expulsado de la sesión cada hora cuando el token caduca.
+ *
+ * FUNCIONALIDAD:
+ * - Refresco proactivo: si al token le quedan menos de REFRESH_MARGIN_MS, se renueva antes de usarlo
+ * - Refresco reactivo: fetchWithAuth() reintenta una vez la petición tras un 401
+ * - Deduplicación: si varias llamadas necesitan refrescar a la vez, solo hay una petición en vuelo
+ *
+ * ARQUITECTURA:
+ * - Usa /api/refresh-token (src/app/api/refresh-token/route.js) para no exponer el client secret
+ * - Guarda el nuevo token con saveTokens() de @/lib/auth
+ * - Estado a nivel de módulo (refreshPromise) compartido por todos los hooks y páginas
+ *
+ * REFERENCIAS:
+ * - Importa getAccessToken y saveTokens desde @/lib/auth (src/lib/auth.js)
+ *
+ * UTILIZADO EN:
+ * - src/hooks/useSpotify.jsx (spotifyFetch)
+ * - src/hooks/useFavorites.jsx (sincronización de favoritos)
+ * - src/app/debug/page.jsx (comprobación de permisos)
+ */
+
+import { getAccessToken, saveTokens } from '@/lib/auth';
+
+// Margen antes de la expiración en el que se considera que el token debe renovarse
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Promesa del refresco en curso (null si no hay ninguno)
+let refreshPromise = null;
+
+/**
+ * Indica si el token guardado expira dentro del margen de refresco
+ *
+ * @returns {boolean} - true si no hay expiración guardada o si está a punto de caducar
+ */
+function isTokenExpiringSoon() {
+  const expiration = localStorage.getItem('spotify_token_expiration');
+  if (!expiration) return true;
+  return Date.now() > parseInt(expiration) - REFRESH_MARGIN_MS;
+}
+
+/**
+ * Renueva el access token usando el refresh token guardado
+ *
+ * DEDUPLICACIÓN:
+ * Si ya hay un refresco en curso, devuelve la misma promesa en lugar de lanzar
+ * otra petición. Así, N llamadas concurrentes que reciben 401 generan un único refresco.
+ *
+ * NOTA: Spotify puede devolver un refresh_token nuevo; si no lo hace se conserva el anterior.
+ *
+ * @returns {Promise<string|null>} - Nuevo access token, o null si no se pudo renovar
+ */
+export function refreshAccessToken() {
+  if (refreshPromise) return refreshPromise;
+
+  refreshPromise = (async () => {
+    const refreshToken = localStorage.getItem('spotify_refresh_token');
+    if (!refreshToken) return null;
+
+    try {
+      const response = await fetch('/api/refresh-token', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: refreshToken })
+      });
+
+      if (!response.ok) return null;
+
+      const data = await response.json();
+      saveTokens(data.access_token, data.refresh_token || refreshToken, data.expires_in);
+      return data.access_token;
+    } catch (error) {
+      return null;
+    }
+  })();
+
+  // Liberar la promesa al terminar para permitir futuros refrescos
+  refreshPromise.finally(() => {
+    refreshPromise = null;
+  });
+
+  return refreshPromise;
+}
+
+/**
+ * Obtiene un access token válido, refrescándolo si está a punto de caducar
+ *
+ * @returns {Promise<string|null>} - Token válido o null si no hay sesión
+ */
+export async function getValidAccessToken() {
+  const token = getAccessToken();
+  if (token && !isTokenExpiringSoon()) return token;
+
+  const refreshed = await refreshAccessToken();
+  // Si el refresco falla pero el token aún no ha caducado, seguir usándolo
+  return refreshed || getAccessToken();
+}
+
+/**
+ * fetch con cabecera Authorization y reintento tras 401
+ *
+ * FLUJO:
+ * 1. Obtiene un token válido (refresco proactivo)
+ * 2. Hace la petición con el token en headers
+ * 3. Si responde 401, refresca el token (deduplicado) y reintenta una sola vez
+ *
+ * @param {string} url - URL completa a la que hacer la petición
+ * @param {Object} options - Opciones de fetch (method, headers, body...)
+ * @returns {Promise<Response>} - Respuesta de fetch (el llamador comprueba response.ok)
+ * @throws {Error} - Si no hay token disponible
+ */
+export async function fetchWithAuth(url, options = {}) {
+  const token = await getValidAccessToken();
+  if (!token) throw new Error('No token available');
+
+  const doFetch = (accessToken) => fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      'Authorization': `Bearer ${accessToken}`
+    }
+  });
+
+  const response = await doFetch(token);
+  if (response.status !== 401) return response;
+
+  // 401: el token fue invalidado antes de tiempo, refrescar y reintentar una vez
+  const refreshed = await refreshAccessToken();
+  if (!refreshed) return response;
+
+  return doFetch(refreshed);
+}